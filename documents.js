@@ -0,0 +1,173 @@
+// --- 文件附件 (纯文本、Markdown、源代码、PDF) ---
+// 文件的文本在浏览器中提取，随用户消息的 files 字段发送 (见 functions/lib/files.js)：
+//   { name, type, size, pages?, text, data? }
+// PDF 用 pdf.js 提取文本，pdf.js 只在第一次添加 PDF 时从 CDN 加载；
+// 同时保留原文件的 base64 (data)，支持直接读取 PDF 的模型 (Gemini) 会收到原文件。
+// 较长的文本由后端切分并加上文件边界后插入用户消息。
+
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
+const PDFJS_INTEGRITY = 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e'; // 与 index.html 中的 CDN 脚本一样校验完整性
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+const MAX_TEXT_FILE_SIZE = 2 * 1024 * 1024; // 文本文件的大小上限
+const MAX_PDF_FILE_SIZE = 10 * 1024 * 1024; // PDF 的大小上限，与后端的原文件上限相同
+const MAX_FILE_TEXT_LENGTH = 1000000; // 提取出的文本长度上限 (字符数)，与后端相同
+
+// 按扩展名识别的文本文件 (浏览器对很多源代码文件给不出 MIME 类型)
+const TEXT_FILE_EXTENSIONS = [
+    'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'jsonl', 'xml', 'yaml', 'yml', 'toml', 'ini', 'log', 'html', 'htm', 'css',
+    'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h', 'cpp', 'hpp', 'cc',
+    'cs', 'php', 'sh', 'bash', 'zsh', 'ps1', 'sql', 'r', 'lua', 'pl', 'scala', 'dart', 'tex',
+];
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript', 'application/x-sh'];
+
+let pdfJsPromise = null; // 缓存 pdf.js 的加载，避免重复插入脚本
+
+/**
+ * 判断文件是否可以作为文件附件。
+ * @param {File} file - 用户选择的文件。
+ * @returns {'pdf'|'text'|null} 不支持的文件返回 null。
+ */
+function getDocumentKind(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    if (file.type === 'application/pdf' || extension === 'pdf') {
+        return 'pdf';
+    }
+    if (file.type.startsWith('text/') || TEXT_MIME_TYPES.includes(file.type) || TEXT_FILE_EXTENSIONS.includes(extension)) {
+        return 'text';
+    }
+    return null;
+}
+
+/**
+ * 加载 pdf.js (只在第一次调用时插入脚本)。
+ * @returns {Promise<Object>} pdfjsLib。
+ */
+function loadPdfJs() {
+    if (!pdfJsPromise) {
+        pdfJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_URL;
+            script.integrity = PDFJS_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => {
+                pdfJsPromise = null; // 允许下次重试
+                reject(new Error('无法加载 PDF 解析库'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return pdfJsPromise;
+}
+
+/**
+ * 提取 PDF 的文本，每页之间用空行分隔。扫描版 PDF 没有文本层，结果可能为空。
+ * @param {ArrayBuffer} buffer - PDF 文件内容。
+ * @returns {Promise<{text: string, pages: number}>}
+ */
+async function extractPdfText(buffer) {
+    const pdfjsLib = await loadPdfJs();
+    // pdf.js 会转移 buffer 的所有权，传入副本，原数据还要编码为 base64
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer.slice(0)) }).promise;
+    const pageTexts = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            // hasEOL 表示该文本片段之后换行
+            pageTexts.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('').trim());
+        }
+    } finally {
+        pdf.destroy();
+    }
+    return { text: pageTexts.filter(Boolean).join('\n\n'), pages: pdf.numPages };
+}
+
+/**
+ * 把二进制数据编码为 base64。
+ * @param {ArrayBuffer} buffer - 数据。
+ * @returns {string}
+ */
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // 分段转换，避免 String.fromCharCode 的参数过多
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * 读取一个文件附件并提取文本。
+ * @param {File} file - 用户选择的文件 (getDocumentKind 不为 null)。
+ * @returns {Promise<{name: string, type: string, size: number, pages?: number, text: string, data?: string}>}
+ * @throws {Error} 文件过大、不是文本或无法解析时抛出，message 可以直接显示给用户。
+ */
+async function readDocumentFile(file) {
+    if (getDocumentKind(file) === 'pdf') {
+        if (file.size > MAX_PDF_FILE_SIZE) {
+            throw new Error(`PDF 过大 (上限 ${MAX_PDF_FILE_SIZE / 1024 / 1024} MB): ${file.name}`);
+        }
+        const buffer = await file.arrayBuffer();
+        let extracted;
+        try {
+            extracted = await extractPdfText(buffer);
+        } catch (error) {
+            console.error('解析 PDF 失败:', error);
+            throw new Error(`无法解析 PDF: ${file.name}`);
+        }
+        return {
+            name: file.name,
+            type: 'application/pdf',
+            size: file.size,
+            pages: extracted.pages,
+            text: extracted.text.slice(0, MAX_FILE_TEXT_LENGTH),
+            data: toBase64(buffer),
+        };
+    }
+
+    if (file.size > MAX_TEXT_FILE_SIZE) {
+        throw new Error(`文件过大 (上限 ${MAX_TEXT_FILE_SIZE / 1024 / 1024} MB): ${file.name}`);
+    }
+    const text = await file.text();
+    // 扩展名像文本但实际是二进制的文件 (包含 NUL 字符) 不能作为文本发送
+    if (text.includes('\u0000')) {
+        throw new Error(`不是文本文件: ${file.name}`);
+    }
+    if (text.length > MAX_FILE_TEXT_LENGTH) {
+        throw new Error(`文件内容过长: ${file.name}`);
+    }
+    return { name: file.name, type: file.type || 'text/plain', size: file.size, text };
+}
+
+/**
+ * 格式化文件大小，例如 1536 -> "1.5 KB"。
+ * @param {number} bytes - 字节数。
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${bytes} B`;
+}
+
+/**
+ * 文件附件的说明文字 (页数和大小)，显示在文件卡片上，例如 "12 页 · 1.5 MB"。
+ * @param {{size?: number, pages?: number}} file - 文件附件。
+ * @returns {string}
+ */
+function describeFile(file) {
+    return [
+        ...(file.pages ? [`${file.pages} 页`] : []),
+        ...(Number.isFinite(file.size) ? [formatFileSize(file.size)] : []),
+    ].join(' · ');
+}
@@ -0,0 +1,316 @@
+// --- 对话导出与导入 ---
+// 导出当前对话 (见 storage.js 中的对话记录和 message-tree.js 中的消息树) 为三种格式：
+//   - Markdown : 当前分支的可读文本，图片内嵌为 data URL，或以引用链接的形式集中放在文末；文件附件只列出文件名
+//   - JSON     : 完整的对话记录，包括所有分支、模型、系统提示词、生成参数和每条回复的附加信息，可以重新导入
+//   - JSONL    : OpenAI 对话微调格式，每个以助手回复结尾的分支为一行 { "messages": [...] }
+// 导入只接受这里导出的 JSON (或只有线性 messages 的同格式文件)，导入后作为一个新对话继续使用。
+
+const EXPORT_FORMAT = 'aiwebchat.conversation';
+const EXPORT_FORMAT_VERSION = 1;
+const IMPORTABLE_ROLES = ['user', 'assistant'];
+// 只接受 base64 编码的图片 data URL，与后端的校验一致
+const IMPORTABLE_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/=]+$/i;
+const IMPORTABLE_FILE_DATA_PATTERN = /^[A-Za-z0-9+/=]+$/;
+
+/**
+ * 把标题转换为可以用作文件名的文本。
+ * @param {string} title - 对话标题。
+ * @returns {string}
+ */
+function toExportFileName(title) {
+    return (title || '对话').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim().slice(0, 80) || '对话';
+}
+
+/**
+ * 导出为 JSON：完整的对话记录，可以通过 parseConversationImport 重新导入。
+ * @param {Object} conversation - 对话记录 (含 tree)。
+ * @returns {string}
+ */
+function exportConversationAsJSON(conversation) {
+    const tree = conversation.tree || createTreeFromMessages(conversation.messages || []);
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: {
+            title: conversation.title,
+            model: conversation.model,
+            systemPrompt: conversation.systemPrompt || '',
+            params: conversation.params || {},
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            messages: getActivePath(tree).map(toHistoryMessage), // 当前分支的线性副本，便于其他工具读取
+            tree,
+        },
+    }, null, 2);
+}
+
+/**
+ * 导出为 Markdown：当前分支上的消息，助手回复原样保留 (本身就是 Markdown)。
+ * @param {Object} conversation - 对话记录 (含 tree)。
+ * @param {Object} [options]
+ * @param {'embed'|'link'} [options.images] - 'embed' 把图片以 data URL 内嵌在正文中；
+ *        'link' 在正文中使用引用链接，图片数据集中放在文末，正文更便于阅读。
+ * @returns {string}
+ */
+function exportConversationAsMarkdown(conversation, { images = 'embed' } = {}) {
+    const tree = conversation.tree || createTreeFromMessages(conversation.messages || []);
+    const lines = [`# ${conversation.title || '对话'}`, ''];
+    lines.push(`- 模型: ${conversation.model || '未知'}`);
+    lines.push(`- 导出时间: ${new Date().toLocaleString()}`);
+    if (conversation.params && Object.keys(conversation.params).length > 0) {
+        lines.push(`- 生成参数: \`${JSON.stringify(conversation.params)}\``);
+    }
+    if (conversation.systemPrompt) {
+        lines.push('', '**系统提示词**', '', ...conversation.systemPrompt.split('\n').map(line => `> ${line}`));
+    }
+
+    const imageDefinitions = [];
+    for (const node of getActivePath(tree)) {
+        const heading = node.role === 'user' ? '用户' : `助手${node.meta?.servedBy ? ` (${node.meta.servedBy})` : ''}`;
+        lines.push('', '---', '', `## ${heading}`, '');
+        for (const call of node.meta?.tools || []) {
+            const output = call.error !== undefined ? `错误: ${call.error}` : call.result;
+            lines.push(`<details><summary>工具调用: ${call.name}</summary>`, '', '```json', call.arguments || '{}', '```', '', '```', output ?? '', '```', '', '</details>', '');
+        }
+        for (const file of node.files || []) {
+            const info = describeFile(file);
+            lines.push(`- 附件: \`${file.name}\`${info ? ` (${info})` : ''}`);
+        }
+        if (node.files?.length > 0) {
+            lines.push('');
+        }
+        if (node.content) {
+            lines.push(node.content);
+        }
+        node.images.forEach(image => {
+            const number = imageDefinitions.length + 1;
+            if (images === 'link') {
+                lines.push('', `![图片 ${number}][image-${number}]`);
+            } else {
+                lines.push('', `![图片 ${number}](${image})`);
+            }
+            imageDefinitions.push(image);
+        });
+        if (node.truncated) {
+            lines.push('', '*(回复未完成：已停止生成)*');
+        }
+    }
+
+    if (images === 'link' && imageDefinitions.length > 0) {
+        lines.push('', '---', '', ...imageDefinitions.map((image, i) => `[image-${i + 1}]: ${image}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 文件附件在微调样本中的文本：与发送给模型时一样，每个文件用 <file> 标签标明边界，放在用户的文字之前。
+ * @param {Object} node - 消息节点。
+ * @returns {string}
+ */
+function toTrainingText(node) {
+    const blocks = (node.files || []).map(file => `<file name="${file.name.replace(/["<>]/g, '_')}">\n${file.text}\n</file>`);
+    return [...blocks, node.content].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 导出为 OpenAI 对话微调的 JSONL。每个以助手回复结尾的分支 (包括重新生成的旧版本) 都是一条训练样本；
+ * 被停止生成的回复设置 weight 为 0，不参与训练。没有文本的回复 (只调用了工具) 会被跳过。
+ * 文件附件的文本插入用户消息 (PDF 只使用提取出的文本)。
+ * @param {Object} conversation - 对话记录 (含 tree)。
+ * @returns {string} 没有可用样本时返回空字符串。
+ */
+function exportConversationAsJSONL(conversation) {
+    const tree = conversation.tree || createTreeFromMessages(conversation.messages || []);
+    const leaves = Object.values(tree.nodes).filter(node => node.id !== ROOT_NODE_ID && node.childIds.length === 0);
+    const examples = [];
+    for (const leaf of leaves) {
+        const path = getPathTo(tree, leaf.id).filter(node => node.role === 'user' || node.content);
+        if (path.length === 0 || path[path.length - 1].role !== 'assistant') {
+            continue;
+        }
+        const messages = [
+            ...(conversation.systemPrompt ? [{ role: 'system', content: conversation.systemPrompt }] : []),
+            ...path.map(node => ({
+                role: node.role,
+                content: node.images.length > 0
+                    ? [{ type: 'text', text: toTrainingText(node) }, ...node.images.map(url => ({ type: 'image_url', image_url: { url } }))]
+                    : toTrainingText(node),
+                ...(node.role === 'assistant' ? { weight: node.truncated ? 0 : 1 } : {}),
+            })),
+        ];
+        examples.push(JSON.stringify({ messages }));
+    }
+    return examples.length > 0 ? `${examples.join('\n')}\n` : '';
+}
+
+/**
+ * 校验导入的回复附加信息 (见 script.js 中的 buildReplyMeta)，只保留类型正确的字段，
+ * 避免格式不对的文件在显示时出错。
+ * @param {*} meta - 导入文件中节点的 meta。
+ * @returns {Object|undefined}
+ */
+function sanitizeImportedMeta(meta) {
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+        return undefined;
+    }
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isNumberOrNull = value => value === null || value === undefined || Number.isFinite(value);
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const result = {};
+    if (isStringArray(meta.unsupportedParams)) {
+        result.unsupportedParams = meta.unsupportedParams;
+    }
+    if (isObject(meta.usage) && ['prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'ttft_ms', 'cost'].every(key => isNumberOrNull(meta.usage[key]))) {
+        result.usage = { ...meta.usage, currency: typeof meta.usage.currency === 'string' ? meta.usage.currency : null };
+    }
+    if (isObject(meta.context) && Number.isFinite(meta.context.tokens) && isNumberOrNull(meta.context.limit) && isNumberOrNull(meta.context.trimmed)) {
+        result.context = { tokens: meta.context.tokens, limit: meta.context.limit ?? null, trimmed: meta.context.trimmed ?? 0, summarized: Boolean(meta.context.summarized) };
+    }
+    for (const key of ['servedBy', 'finishReason', 'error']) {
+        if (typeof meta[key] === 'string') {
+            result[key] = meta[key];
+        }
+    }
+    if (isObject(meta.filter) && isStringArray(meta.filter.categories ?? [])) {
+        result.filter = { ...(typeof meta.filter.blockReason === 'string' ? { blockReason: meta.filter.blockReason } : {}), categories: meta.filter.categories ?? [] };
+    }
+    if (Array.isArray(meta.tools)) {
+        const tools = meta.tools.filter(call => isObject(call) && ['id', 'name', 'arguments'].every(key => typeof call[key] === 'string'))
+            .map(call => ({
+                id: call.id,
+                name: call.name,
+                arguments: call.arguments,
+                ...(typeof call.error === 'string' ? { error: call.error } : { result: typeof call.result === 'string' ? call.result : '' }),
+            }));
+        if (tools.length > 0) {
+            result.tools = tools;
+        }
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * 校验导入的文件附件 (见 documents.js 中的 readDocumentFile)。
+ * @param {*} files - 导入文件中节点的 files。
+ * @returns {Array<Object>}
+ * @throws {Error} 如果不是合法的文件附件。
+ */
+function sanitizeImportedFiles(files) {
+    if (!Array.isArray(files)) {
+        throw new Error('文件中包含无法识别的附件');
+    }
+    return files.map(file => {
+        if (!file || typeof file.name !== 'string' || !file.name || typeof file.text !== 'string'
+            || (file.data !== undefined && (typeof file.data !== 'string' || !IMPORTABLE_FILE_DATA_PATTERN.test(file.data)))) {
+            throw new Error('文件中包含无法识别的附件');
+        }
+        return {
+            name: file.name,
+            type: typeof file.type === 'string' ? file.type : 'text/plain',
+            size: Number.isFinite(file.size) ? file.size : 0,
+            ...(Number.isInteger(file.pages) && file.pages > 0 ? { pages: file.pages } : {}),
+            text: file.text,
+            ...(file.data !== undefined ? { data: file.data } : {}),
+        };
+    });
+}
+
+/**
+ * 校验导入的消息树，并只保留已知的字段。
+ * @param {Object} tree - 导入文件中的消息树。
+ * @returns {Object} 清理后的消息树。
+ * @throws {Error} 如果结构不合法 (缺少根节点、引用了不存在的节点、存在环等)。
+ */
+function sanitizeImportedTree(tree) {
+    const nodes = tree?.nodes;
+    if (!nodes || typeof nodes !== 'object' || !nodes[ROOT_NODE_ID]) {
+        throw new Error('文件中的消息树缺少根节点');
+    }
+
+    const result = createMessageTree();
+    const visited = new Set([ROOT_NODE_ID]);
+    const queue = [ROOT_NODE_ID];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        const source = nodes[id];
+        const childIds = Array.isArray(source.childIds) ? source.childIds : [];
+        for (const childId of childIds) {
+            const child = nodes[childId];
+            if (typeof childId !== 'string' || !child || visited.has(childId) || child.parentId !== id) {
+                throw new Error('文件中的消息树结构不完整');
+            }
+            if (!IMPORTABLE_ROLES.includes(child.role) || typeof (child.content ?? '') !== 'string') {
+                throw new Error('文件中包含无法识别的消息');
+            }
+            const images = child.images ?? [];
+            if (!Array.isArray(images) || !images.every(image => typeof image === 'string' && IMPORTABLE_IMAGE_PATTERN.test(image))) {
+                throw new Error('文件中包含无法识别的图片');
+            }
+            const files = child.role === 'user' && child.files !== undefined ? sanitizeImportedFiles(child.files) : [];
+            visited.add(childId);
+            queue.push(childId);
+            const meta = sanitizeImportedMeta(child.meta);
+            result.nodes[childId] = {
+                id: childId,
+                parentId: id,
+                childIds: [],
+                selectedChildId: null,
+                role: child.role,
+                content: child.content || '',
+                images,
+                ...(files.length > 0 ? { files } : {}),
+                ...(child.truncated ? { truncated: true } : {}),
+                ...(meta ? { meta } : {}),
+            };
+        }
+        const target = result.nodes[id];
+        target.childIds = [...childIds];
+        target.selectedChildId = childIds.includes(source.selectedChildId) ? source.selectedChildId : childIds[childIds.length - 1] || null;
+    }
+    return result;
+}
+
+/**
+ * 解析导入的 JSON 文件。
+ * @param {string} text - 文件内容。
+ * @returns {{title: string, model: string|null, systemPrompt: string, params: Object, tree: Object}}
+ * @throws {Error} 如果不是可以导入的对话文件。
+ */
+function parseConversationImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('文件不是有效的 JSON');
+    }
+    if (data?.format !== EXPORT_FORMAT || !data.conversation) {
+        throw new Error('不是从本应用导出的对话文件');
+    }
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error('文件来自更新版本的应用，请先更新后再导入');
+    }
+
+    const source = data.conversation;
+    let tree;
+    if (source.tree) {
+        tree = sanitizeImportedTree(source.tree);
+    } else if (Array.isArray(source.messages)) {
+        // 只有线性消息时按同样的规则校验
+        tree = sanitizeImportedTree(createTreeFromMessages(source.messages.map(message => ({ ...message }))));
+    } else {
+        throw new Error('文件中没有消息');
+    }
+    if (getActivePath(tree).length === 0) {
+        throw new Error('文件中没有消息');
+    }
+
+    const params = source.params && typeof source.params === 'object' && !Array.isArray(source.params) ? source.params : {};
+    return {
+        title: typeof source.title === 'string' && source.title.trim() ? source.title.trim().slice(0, 100) : '',
+        model: typeof source.model === 'string' ? source.model : null,
+        systemPrompt: typeof source.systemPrompt === 'string' ? source.systemPrompt : '',
+        params,
+        tree,
+    };
+}
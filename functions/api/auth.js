@@ -0,0 +1,158 @@
+// =========================================================================
+// 登录与会话 (AUTH_MODE 为 session 时使用，见 functions/lib/auth.js)
+//   GET /login         - 登录页面
+//   POST /api/login    - 校验用户名和密码，签发会话 Cookie
+//   POST /api/logout   - 清除会话 Cookie
+//   GET /api/session   - 返回当前用户 { user, method }，供前端显示退出按钮
+// =========================================================================
+
+import { SESSION_COOKIE_NAME, createSessionToken, getAuthMode, getSessionTtl, verifyLogin } from '../lib/auth.js';
+import { escapeHtml } from '../lib/html.js';
+
+/**
+ * 只允许站内的相对路径作为登录后的跳转地址，防止开放重定向。
+ * @param {string|null} next - 请求中的跳转地址。
+ * @returns {string}
+ */
+function safeRedirectPath(next) {
+    return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/';
+}
+
+/**
+ * 生成会话 Cookie。maxAge 为 0 时清除 Cookie。
+ * @param {string} value - Cookie 的值。
+ * @param {number} maxAge - 有效期 (秒)。
+ * @returns {string} Set-Cookie 响应头的值。
+ */
+function sessionCookie(value, maxAge) {
+    return `${SESSION_COOKIE_NAME}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * 处理 GET /login：渲染登录页面。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Response}
+ */
+export function handleLoginPage(request, env) {
+    const url = new URL(request.url);
+    if (getAuthMode(env) !== 'session') {
+        return Response.redirect(new URL('/', request.url).toString(), 302);
+    }
+    const next = safeRedirectPath(url.searchParams.get('next'));
+    const error = url.searchParams.has('error') ? '<p class="login-error">用户名或密码错误。</p>' : '';
+
+    return new Response(`<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>登录 - AI Web Chat</title>
+    <link rel="stylesheet" href="/style.css">
+    <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap">
+</head>
+<body>
+    <form class="login-form" method="POST" action="/api/login">
+        <h1>WPC NB</h1>
+        ${error}
+        <input type="hidden" name="next" value="${escapeHtml(next)}">
+        <label for="login-username">用户名</label>
+        <input type="text" id="login-username" name="username" autocomplete="username" required autofocus>
+        <label for="login-password">密码</label>
+        <input type="password" id="login-password" name="password" autocomplete="current-password" required>
+        <button type="submit">登录</button>
+    </form>
+</body>
+</html>`, {
+        status: 200,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
+    });
+}
+
+/**
+ * 处理 POST /api/login。支持登录页面的表单提交 (成功后 303 跳转) 和 JSON 请求 (返回 JSON)。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Response>}
+ */
+export async function handleLoginRequest(request, env) {
+    const isJson = (request.headers.get('Content-Type') || '').includes('application/json');
+    let username;
+    let password;
+    let next;
+    try {
+        const body = isJson ? await request.json() : Object.fromEntries(await request.formData());
+        ({ username = '', password = '', next } = body || {});
+    } catch (e) {
+        return new Response(JSON.stringify({ error: 'Invalid login request body' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+    next = safeRedirectPath(next);
+
+    try {
+        if (getAuthMode(env) !== 'session') {
+            return new Response(JSON.stringify({ error: 'Login is only available when AUTH_MODE is "session"' }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+            });
+        }
+
+        if (!(await verifyLogin(String(username), String(password), env))) {
+            console.warn(`Failed login attempt for user ${String(username).slice(0, 64)}`);
+            if (isJson) {
+                return new Response(JSON.stringify({ error: 'Invalid username or password' }), {
+                    status: 401,
+                    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+                });
+            }
+            const retryUrl = new URL('/login', request.url);
+            retryUrl.searchParams.set('error', '1');
+            retryUrl.searchParams.set('next', next);
+            return Response.redirect(retryUrl.toString(), 303);
+        }
+
+        const cookie = sessionCookie(await createSessionToken(String(username), env), getSessionTtl(env));
+        if (isJson) {
+            return new Response(JSON.stringify({ user: String(username) }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Set-Cookie': cookie }
+            });
+        }
+        return new Response(null, {
+            status: 303,
+            headers: { 'Location': new URL(next, request.url).toString(), 'Set-Cookie': cookie }
+        });
+    } catch (error) {
+        console.error('Login failed:', error);
+        return new Response(JSON.stringify({ error: error.message }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+/**
+ * 处理 POST /api/logout：清除会话 Cookie。
+ * @returns {Response}
+ */
+export function handleLogoutRequest() {
+    return new Response(null, {
+        status: 204,
+        headers: { 'Access-Control-Allow-Origin': '*', 'Set-Cookie': sessionCookie('', 0) }
+    });
+}
+
+/**
+ * 处理 GET /api/session：返回已通过验证的当前用户。
+ * @param {{id: string, method: string}} user - authenticate 的结果。
+ * @returns {Response}
+ */
+export function handleSessionRequest(user) {
+    return new Response(JSON.stringify({ user: user.id, method: user.method }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' }
+    });
+}
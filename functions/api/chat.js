@@ -1,11 +1,41 @@
 // /root/桌面/aiwebchat/functions/api/chat.js
 // worker.js
 
-// 定义支持的大模型供应商，以便更好地组织和扩展
-const PROVIDERS = {
-    OLLAMA: 'ollama',
-    GEMINI: 'gemini',
-};
+import { handleConversationRequest, handleShareRequest, handleSharePage } from './conversations.js';
+import { handleModelsRequest } from './models.js';
+import { handleHealthRequest } from './health.js';
+import { handleTranscribeRequest } from './transcribe.js';
+import { handleGenerationStreamRequest, handleGenerationCancelRequest } from './generations.js';
+import { handleLoginPage, handleLoginRequest, handleLogoutRequest, handleSessionRequest } from './auth.js';
+import { authenticate, getAuthMode } from '../lib/auth.js';
+import { applyCors, handlePreflight } from '../lib/cors.js';
+import { checkQuota, recordTokenUsage, getQuotaSubjects, createQuotaExceededResponse } from '../lib/quota.js';
+import { resolveModel } from '../lib/models.js';
+import { getProvider } from '../lib/providers/index.js';
+import { validateParams } from '../lib/params.js';
+import { resolveRoute, sendWithFallback } from '../lib/router.js';
+import { getModelPrice, buildUsageReport, createUsageTracker } from '../lib/usage.js';
+import { estimateMessageTokens, estimateTextTokens, fitToContextWindow, getContextBudget } from '../lib/context.js';
+import { resolveTools } from '../lib/tools.js';
+import { normalizeFileAttachments, expandFileAttachments, applyDocumentBudget, getInlineBytes, MAX_REQUEST_INLINE_BYTES } from '../lib/files.js';
+import { addUsage, completeWithTools, createToolLoopStream } from '../lib/tool-loop.js';
+import { getGenerationStore, recordGeneration } from '../lib/generations.js';
+
+// 图片附件限制 (前端会先缩放和重新编码，这里只做兜底校验)
+const MAX_IMAGES_PER_MESSAGE = 8;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// 历史图片策略的默认值，可通过 IMAGE_HISTORY_POLICY / IMAGE_HISTORY_MAX_BYTES 覆盖。
+// 无论如何配置，图片和原文件合计都不超过请求的内联数据上限 (MAX_REQUEST_INLINE_BYTES，见 files.js)
+const DEFAULT_IMAGE_HISTORY_POLICY = 'drop';
+const DEFAULT_IMAGE_HISTORY_MAX_BYTES = 12 * 1024 * 1024;
+const IMAGE_SUMMARY_CACHE_SIZE = 200;
+
+// 上下文超长时的处理策略，可通过 CONTEXT_OVERFLOW_POLICY 覆盖：'trim' 直接裁剪，'summarize' 用摘要替代被裁剪的轮次
+const DEFAULT_CONTEXT_OVERFLOW_POLICY = 'trim';
+const HISTORY_SUMMARY_MAX_TOKENS = 1024; // 摘要的长度上限，同时作为为摘要预留的预算
+const HISTORY_SUMMARY_CACHE_SIZE = 200;
 
 // =========================================================================
 // 主请求处理函数 (使用 ES Module export default)
@@ -16,9 +46,23 @@ export default {
             const url = new URL(request.url);
             const pathname = url.pathname.endsWith('/') ? url.pathname.slice(0, -1) : url.pathname; // 移除尾部斜杠
 
-            // 仅处理 POST 请求到 /api/chat 路径
-            if (request.method === 'POST' && pathname === '/api/chat') {
-                return handleChatRequest(request, env);
+            // 接口请求：统一处理跨域预检、身份验证，并按 CORS_ALLOWED_ORIGINS 改写跨域响应头
+            if (pathname.startsWith('/api/')) {
+                if (request.method === 'OPTIONS') {
+                    return handlePreflight(request, env);
+                }
+                return applyCors(await handleApiRequest(request, env, ctx, pathname), request, env);
+            }
+
+            // 登录页面：GET /login (AUTH_MODE 为 session 时)
+            if (request.method === 'GET' && pathname === '/login') {
+                return handleLoginPage(request, env);
+            }
+
+            // 只读分享页面：GET /share/:id (不需要登录，任何拿到链接的人都可以查看)
+            const shareMatch = pathname.match(/^\/share\/([^/]+)$/);
+            if (request.method === 'GET' && shareMatch) {
+                return handleSharePage(request, env, decodeURIComponent(shareMatch[1]));
             }
 
             // 如果不匹配，则尝试服务静态资产
@@ -27,70 +71,147 @@ export default {
             console.error('Global fetch error:', error);
             return new Response(JSON.stringify({ error: `Internal server error: ${error.message}` }), {
                 status: 500,
-                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+                headers: { 'Content-Type': 'application/json' }
             });
         }
     }
 };
 
+/**
+ * 分发 /api/ 下的请求。除登录和退出外，所有接口都需要先通过身份验证 (见 functions/lib/auth.js)。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {Object} ctx - 执行上下文 (用于 waitUntil)。
+ * @param {string} pathname - 已去掉尾部斜杠的路径。
+ * @returns {Promise<Response>}
+ */
+async function handleApiRequest(request, env, ctx, pathname) {
+    // 登录与退出：POST /api/login、POST /api/logout
+    if (request.method === 'POST' && pathname === '/api/login') {
+        return handleLoginRequest(request, env);
+    }
+    if (request.method === 'POST' && pathname === '/api/logout') {
+        return handleLogoutRequest();
+    }
 
-// =========================================================================
-// Gemini 流式响应转换器
-// 将 Gemini 的流式 JSON 转换为 OpenAI 兼容的 SSE 格式
-// =========================================================================
-function transformGeminiStreamToSSE() {
-    let buffer = '';
-    const decoder = new TextDecoder();
-
-    return new TransformStream({
-        transform(chunk, controller) {
-            buffer += decoder.decode(chunk, { stream: true });
-
-            // Gemini 的流通常以 "data: " 开头，并且每个 JSON 对象后有两个换行符
-            // 我们需要处理可能不完整的 JSON 数据块
-            const lines = buffer.split('\n\n');
-
-            // 保留最后一个可能不完整的块在缓冲区中
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
-                        const rawJson = line.substring(6);
-                        const geminiChunk = JSON.parse(rawJson);
-                        const textContent = geminiChunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
-                        if (textContent) {
-                            // 构建 OpenAI 兼容的 SSE 负载
-                            const ssePayload = {
-                                choices: [{
-                                    delta: { content: textContent },
-                                    index: 0,
-                                    finish_reason: null
-                                }]
-                            };
-                            // 将 SSE 格式的字符串推送到流中
-                            controller.enqueue(`data: ${JSON.stringify(ssePayload)}\n\n`);
-                        }
-                    } catch (e) {
-                        console.error('Error parsing Gemini stream chunk:', e, 'Chunk:', line);
-                    }
-                }
-            }
-        },
-        flush(controller) {
-            // 流结束时，发送一个 [DONE] 消息，以符合 OpenAI SSE 规范
-            controller.enqueue('data: [DONE]\n\n');
+    const user = await authenticate(request, env);
+    if (!user) {
+        return createUnauthorizedResponse(env);
+    }
+
+    // 仅处理 POST 请求到 /api/chat 路径
+    if (request.method === 'POST' && pathname === '/api/chat') {
+        const requestId = getRequestId(request);
+        return withRequestId(await handleChatRequest(request, env, ctx, user, requestId), requestId);
+    }
+
+    // 可恢复的流式生成：GET /api/chat/:id/stream 重新连接，DELETE /api/chat/:id 停止
+    const generationMatch = pathname.match(/^\/api\/chat\/([^/]+)(\/stream)?$/);
+    if (generationMatch) {
+        const id = decodeURIComponent(generationMatch[1]);
+        if (request.method === 'GET' && generationMatch[2]) {
+            return handleGenerationStreamRequest(request, env, user, id);
+        }
+        if (request.method === 'DELETE' && !generationMatch[2]) {
+            return handleGenerationCancelRequest(request, env, user, id);
+        }
+    }
+
+    // 语音转文字：POST /api/transcribe
+    if (request.method === 'POST' && pathname === '/api/transcribe') {
+        return handleTranscribeRequest(request, env, user);
+    }
+
+    // 当前用户：GET /api/session
+    if (request.method === 'GET' && pathname === '/api/session') {
+        return handleSessionRequest(user);
+    }
+
+    // 模型目录：GET /api/models
+    if (request.method === 'GET' && pathname === '/api/models') {
+        return handleModelsRequest(request, env);
+    }
+
+    // 后端健康检查：GET /api/health
+    if (request.method === 'GET' && pathname === '/api/health') {
+        return handleHealthRequest(request, env);
+    }
+
+    // 对话存储：GET/PUT/DELETE /api/conversations/:id
+    const conversationMatch = pathname.match(/^\/api\/conversations\/([^/]+)$/);
+    if (conversationMatch) {
+        return handleConversationRequest(request, env, user, decodeURIComponent(conversationMatch[1]));
+    }
+
+    // 创建分享链接：POST /api/share
+    if (request.method === 'POST' && pathname === '/api/share') {
+        return handleShareRequest(request, env, user);
+    }
+
+    return new Response(JSON.stringify({ error: 'Not Found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+/**
+ * 生成 401 响应。告诉前端验证方式：session 模式给出登录页面地址，token 模式需要在请求头中携带令牌。
+ * @param {Object} env - 环境变量。
+ * @returns {Response}
+ */
+function createUnauthorizedResponse(env) {
+    const mode = getAuthMode(env);
+    return new Response(JSON.stringify({
+        error: 'Authentication required',
+        statusCode: 401,
+        auth: mode,
+        ...(mode === 'session' ? { loginUrl: '/login' } : {}),
+    }), {
+        status: 401,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            ...(mode === 'token' ? { 'WWW-Authenticate': 'Bearer realm="aiwebchat"' } : {}),
         }
     });
 }
 
 
+// 客户端提供的请求 ID 只接受这些字符，避免把任意内容写进日志和响应头
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 读取请求 ID (X-Request-ID 请求头)，没有或格式不对时生成一个。
+ * 对比模式下前端把同一条消息并行发给多个模型，这些 /api/chat 请求共用一个请求 ID，
+ * 日志中可以据此找到同一次对比的所有请求。每个请求仍然单独计入配额。
+ * @param {Request} request - 请求对象。
+ * @returns {string}
+ */
+function getRequestId(request) {
+    const requestId = request.headers.get('X-Request-ID');
+    return requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+/**
+ * 在响应中带上请求 ID (X-Request-ID)，包括错误响应。
+ * @param {Response} response - 聊天接口的响应。
+ * @param {string} requestId - 请求 ID。
+ * @returns {Response} 新的响应 (响应体不变)。
+ */
+function withRequestId(response, requestId) {
+    const result = new Response(response.body, response);
+    result.headers.set('X-Request-ID', requestId);
+    const exposed = result.headers.get('Access-Control-Expose-Headers');
+    result.headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, X-Request-ID` : 'X-Request-ID');
+    return result;
+}
+
+
 // =========================================================================
 // 聊天请求处理函数
-// 这是核心逻辑，根据模型选择不同的后端 API
+// 这是核心逻辑，按模型目录中的供应商选择适配器 (见 functions/lib/providers/)
 // =========================================================================
-async function handleChatRequest(request, env) {
+async function handleChatRequest(request, env, ctx, user, requestId) {
     // 确保请求体为 JSON
     const contentType = request.headers.get('Content-Type');
     if (!contentType || !contentType.includes('application/json')) {
@@ -110,7 +231,7 @@ async function handleChatRequest(request, env) {
         });
     }
 
-    const { model, messages, stream, image: imageBase64 } = requestBody; // 提取请求中的关键信息
+    const { model, messages, stream, images = [], systemPrompt, params } = requestBody; // 提取请求中的关键信息
 
     if (!model) {
         return new Response(JSON.stringify({ error: 'Missing "model" in request body' }), {
@@ -125,36 +246,27 @@ async function handleChatRequest(request, env) {
         });
     }
 
-    // --- 多模态处理：如果请求中包含图片，则修改最后一条消息 ---
-    const processedMessages = [...messages]; // 创建消息的副本，避免直接修改原始请求体
-    if (imageBase64 && processedMessages.length > 0) { // 这里修正了一个明显的错别字：imageBase66 应为 imageBase64
-        const lastMessage = processedMessages[processedMessages.length - 1];
-        if (lastMessage.role === 'user') {
-            const match = imageBase64.match(/^data:(image\/.+);base64,(.+)$/);
-            if (match) {
-                const mimeType = match[1];
-                const pureBase64 = match[2];
-
-                if (model.startsWith('gemini')) {
-                    lastMessage.parts = [
-                        { text: lastMessage.content },
-                        { inline_data: { mime_type: mimeType, data: pureBase64 } }
-                    ];
-                    delete lastMessage.content; // Gemini API 使用 parts 字段，移除 content
-                } else {
-                    lastMessage.content = [
-                        { type: 'text', text: lastMessage.content },
-                        { type: 'image_url', image_url: { url: imageBase64 } }
-                    ];
-                }
-            }
-        }
+    if (systemPrompt !== undefined && typeof systemPrompt !== 'string') {
+        return new Response(JSON.stringify({ error: '"systemPrompt" must be a string' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
     }
 
-    // --- 构建 API 配置 ---
-    let apiConfig;
+    // --- 路由：模型可以是单个模型，也可以是 MODEL_ROUTES 中配置的别名 (按顺序在多个目标之间切换) ---
+    let route;
+    let targets; // 已解析的目标模型 (resolveModel 的结果)
+    let baseMessages; // 统一格式的消息，各目标在此基础上按自己的能力和上下文长度处理
+    let tools; // 启用的服务端工具 (OpenAI function 格式)，未启用时为 null
     try {
-        apiConfig = buildApiConfig(model, processedMessages, stream, env);
+        route = resolveRoute(model, env);
+        targets = route.targets.map(id => resolveModel(id, env));
+        baseMessages = normalizeMessages(messages, images);
+        tools = resolveTools(requestBody.tools, env);
+        // 对话级的系统提示词作为第一条 system 消息，由各供应商的适配器放到正确的位置
+        if (systemPrompt?.trim()) {
+            baseMessages.unshift({ role: 'system', content: systemPrompt.trim(), images: [] });
+        }
     } catch (e) {
         return new Response(JSON.stringify({ error: e.message }), {
             status: 400,
@@ -162,41 +274,121 @@ async function handleChatRequest(request, env) {
         });
     }
 
-    // --- 路由器逻辑：根据 apiConfig 发送请求到后端 ---
+    // --- 配额：按用户和来源 IP 限制请求数与每日 token 数 (见 functions/lib/quota.js) ---
+    const quotaSubjects = getQuotaSubjects(request, user);
+    let exceeded;
     try {
-        const fetchOptions = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                ...(apiConfig.apiKey ? { 'Authorization': `Bearer ${apiConfig.apiKey}` } : {})
-            },
-            body: JSON.stringify(apiConfig.body),
-        };
+        exceeded = await checkQuota(quotaSubjects, env);
+    } catch (e) {
+        console.error(`[${requestId}] Quota check failed:`, e);
+        return new Response(JSON.stringify({ error: e.message }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+    if (exceeded) {
+        return createQuotaExceededResponse(exceeded);
+    }
 
-        let finalEndpoint = apiConfig.endpoint;
-        if (apiConfig.provider === PROVIDERS.GEMINI) {
-            // Gemini 的 API Key 通过 URL 参数传递
-            const urlParams = new URLSearchParams();
-            if (stream) {
-                urlParams.append('alt', 'sse');
+    // --- 发送请求到后端 ---
+    try {
+        // 传入 request.signal：客户端断开连接 (例如点击"停止生成") 时会中止对上游的请求。
+        // 流式传输开始后，客户端断开会取消返回给它的流，取消信号再沿 pipeThrough 传递到上游响应体，
+        // 关闭与上游的连接，让供应商停止继续生成 token。
+        // 绑定了 STREAM_STORE 时流式请求可以恢复 (见 functions/lib/generations.js)：上游请求使用单独的中止控制器，
+        // 只在收到上游响应之前跟随客户端断开；之后客户端断开不影响生成，停止生成通过 DELETE /api/chat/:id。
+        const generationStore = stream ? getGenerationStore(env) : null;
+        const upstreamController = generationStore ? new AbortController() : null;
+        const abortUpstream = () => upstreamController.abort();
+        if (upstreamController) {
+            request.signal?.addEventListener('abort', abortUpstream);
+        }
+        const upstreamSignal = upstreamController ? upstreamController.signal : request.signal;
+        const startedAt = Date.now(); // 用于统计总耗时 (包括失败切换) 和首个 token 的时间
+        const result = await sendWithFallback(route, targets, {
+            prepare: target => prepareUpstreamRequest(target, baseMessages, params, stream, env, tools),
+            stream,
+            signal: upstreamSignal,
+        });
+        request.signal?.removeEventListener('abort', abortUpstream);
+
+        if (!result.response) {
+            if (result.error?.name === 'AbortError' && request.signal?.aborted) {
+                // 客户端已经断开，不需要返回内容
+                return new Response(null, { status: 499 });
             }
-            urlParams.append('key', apiConfig.apiKey);
+            // 所有目标都在准备阶段失败 (参数不合法、消息超出上下文窗口、缺少配置等)，属于请求本身的问题
+            if (result.failures.every(failure => failure.stage === 'prepare')) {
+                return new Response(JSON.stringify({ error: result.error.message }), {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+                });
+            }
+            console.error(`[${requestId}] All backends failed for model ${model}:`, result.failures);
+            return new Response(JSON.stringify({
+                error: `Backend request failed for model ${model}: ${result.error.message}`,
+                statusCode: 502,
+                failures: result.failures,
+            }, null, 2), {
+                status: 502,
+                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+            });
+        }
 
-            // 统一构建 Gemini API 的操作路径
-            const operation = stream ? 'streamGenerateContent' : 'generateContent';
-            finalEndpoint = `${apiConfig.endpoint}:${operation}?${urlParams.toString()}`;
-            delete fetchOptions.headers['Authorization'];
+        const { target: modelInfo, prepared } = result;
+        let backendResponse = result.response;
+        const { adapter, generation, context, price } = prepared;
+        const provider = adapter.id;
+        // 回复完成后累计 token 用量；供应商没有返回用量时，用估算的上下文 token 数代替输入部分
+        const recordUsage = report => runInBackground(ctx, recordTokenUsage(quotaSubjects,
+            report.total_tokens ?? (report.prompt_tokens ?? context.tokens) + (report.completion_tokens ?? 0), env));
+        const generationId = generationStore ? crypto.randomUUID() : null;
+        // 通过响应头告知客户端：实际回答的模型、被忽略的参数 (当前供应商不支持，没有发送给上游)、上下文窗口的使用情况和生成 ID
+        const infoHeaders = exposeHeaders({
+            'X-Served-By': modelInfo.id,
+            ...(generation.unsupported.length > 0 ? { 'X-Unsupported-Params': generation.unsupported.join(', ') } : {}),
+            'X-Context-Tokens': String(context.tokens),
+            ...(context.limit ? { 'X-Context-Limit': String(context.limit) } : {}),
+            'X-Context-Trimmed': String(context.trimmed),
+            ...(context.summarized ? { 'X-Context-Summarized': '1' } : {}),
+            ...(generationId ? { 'X-Generation-ID': generationId } : {}),
+        });
+
+        // 先检查上游状态：出错时流式与非流式请求都返回统一的 JSON 错误，而不是把错误响应体当作 SSE 转发
+        if (!backendResponse.ok) {
+            return await createUpstreamErrorResponse(backendResponse, adapter, modelInfo.id);
         }
 
-        const backendResponse = await fetch(finalEndpoint, fetchOptions);
+        // 调用工具后的后续轮次固定发给已经回答的模型 (对话中的工具调用格式和 ID 属于它)，仍然按路由的设置重试和超时
+        const sendToolRound = async roundMessages => {
+            const next = await sendWithFallback({ ...route, targets: [modelInfo.id] }, [modelInfo], {
+                prepare: async () => buildUpstreamRequest(modelInfo, roundMessages, generation.params, stream, env, tools),
+                stream,
+                signal: upstreamSignal,
+            });
+            if (!next.response) {
+                throw next.error;
+            }
+            return next.response;
+        };
 
-        // --- 流式响应处理 ---
+        // --- 流式响应处理：非 OpenAI 格式的上游由适配器转换为 OpenAI 兼容的 SSE，并在末尾追加 usage 事件 ---
         if (stream) {
             let responseStream;
-            if (apiConfig.provider === PROVIDERS.GEMINI) {
-                responseStream = backendResponse.body.pipeThrough(transformGeminiStreamToSSE());
+            if (tools) {
+                responseStream = createToolLoopStream({
+                    response: backendResponse, adapter, messages: prepared.messages, send: sendToolRound, env, signal: upstreamSignal,
+                });
             } else {
-                responseStream = backendResponse.body;
+                const translator = adapter.createStreamTranslator();
+                responseStream = translator ? backendResponse.body.pipeThrough(translator) : backendResponse.body;
+            }
+            responseStream = createUsageTracker(responseStream, { startedAt, price, onReport: recordUsage, signal: upstreamSignal });
+
+            if (generationId) {
+                responseStream = recordGeneration({
+                    source: responseStream, store: generationStore, id: generationId, user, headers: infoHeaders, upstream: upstreamController, ctx,
+                });
             }
 
             return new Response(responseStream, {
@@ -204,57 +396,38 @@ async function handleChatRequest(request, env) {
                 headers: {
                     'Content-Type': 'text/event-stream',
                     'Access-Control-Allow-Origin': '*',
+                    ...infoHeaders,
                 }
             });
         }
 
         // --- 非流式响应处理 ---
+        let toolCalls = [];
+        let earlierUsage = null; // 调用工具的各轮用量之和，与最后一轮的用量合并
+        if (tools) {
+            ({ response: backendResponse, toolCalls, usage: earlierUsage } = await completeWithTools({
+                response: backendResponse, adapter, messages: prepared.messages, send: sendToolRound, env, signal: request.signal,
+            }));
+            if (!backendResponse.ok) {
+                return await createUpstreamErrorResponse(backendResponse, adapter, modelInfo.id);
+            }
+        }
+
         let data;
-        let rawErrorText = null; // 用于存储原始错误文本
         let contentTypeHeader = backendResponse.headers.get('Content-Type');
+        // 响应体只能读取一次：先读取文本，JSON 解析失败时仍可以记录原始内容
+        const rawText = await backendResponse.text();
 
         try {
-            data = await backendResponse.json();
+            data = JSON.parse(rawText);
         } catch (jsonError) {
-            // 如果 JSON 解析失败，立即读取原始文本作为错误信息
-            rawErrorText = await backendResponse.text();
-            console.error(`Backend API returned non-JSON or malformed JSON for model ${model} (${apiConfig.provider}) (Status: ${backendResponse.status}, Content-Type: ${contentTypeHeader || 'None'}):`, rawErrorText);
-        }
-
-        if (!backendResponse.ok) {
-            // 如果请求失败，优先使用已捕获的原始错误文本
-            const errorDetails = rawErrorText ?? JSON.stringify(data?.error) ?? 'No error details available.';
-
-            // 专门处理 429 Too Many Requests 错误
-            if (backendResponse.status === 429) {
-                console.error(`Rate limit exceeded for model ${model} (${apiConfig.provider}). Status: 429`);
-                const errorPayload = {
-                    error: `请求过于频繁 (速率限制)，请稍等片刻后再试。模型: ${model}`,
-                    statusCode: 429,
-                    provider: apiConfig.provider,
-                    originalError: errorDetails
-                };
-                return new Response(JSON.stringify(errorPayload, null, 2), {
-                    status: 429,
-                    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-                });
-            }
-
-            console.error(`Backend API returned error status for model ${model} (${apiConfig.provider}): Status ${backendResponse.status}, Raw Response: ${errorDetails}`);
-            return new Response(JSON.stringify({
-                error: `Backend API error for model ${model} (${apiConfig.provider}): Status ${backendResponse.status}. Details: ${errorDetails.substring(0, 500)}`,
-                statusCode: backendResponse.status,
-                originalResponse: errorDetails
-            }, null, 2), {
-                status: backendResponse.status,
-                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-            });
+            console.error(`[${requestId}] Backend API returned non-JSON or malformed JSON for model ${model} (${provider}) (Status: ${backendResponse.status}, Content-Type: ${contentTypeHeader || 'None'}):`, rawText);
         }
 
         if (data && data.error) { // 确保 data 存在
-            console.error(`Backend API reported error for model ${model} (${apiConfig.provider}):`, data.error);
+            console.error(`[${requestId}] Backend API reported error for model ${model} (${provider}):`, data.error);
             return new Response(JSON.stringify({
-                error: `Backend API error for model ${model} (${apiConfig.provider}): ${data.error.message || JSON.stringify(data.error)}`,
+                error: `Backend API error for model ${model} (${provider}): ${adapter.normalizeError(backendResponse.status, data, null).message}`,
                 statusCode: backendResponse.status,
                 originalResponse: data
             }, null, 2), {
@@ -263,29 +436,37 @@ async function handleChatRequest(request, env) {
             });
         }
 
-        let replyContent;
-        if (apiConfig.provider === PROVIDERS.GEMINI) {
-            replyContent = data.candidates?.[0]?.content?.parts?.[0]?.text;
-        } else {
-            replyContent = data.choices?.[0]?.message?.content;
-        }
+        const { reply: replyContent, usage, finishReason, filterResults } = adapter.parseResponse(data);
 
 
         if (replyContent === undefined) {
-            console.warn(`Unexpected backend response structure for model ${model} (${apiConfig.provider}):`, data);
-            return new Response(JSON.stringify({ error: `Unexpected response from ${apiConfig.provider} for model ${model}` }), {
+            console.warn(`[${requestId}] Unexpected backend response structure for model ${model} (${provider}):`, data);
+            return new Response(JSON.stringify({ error: `Unexpected response from ${provider} for model ${model}` }), {
                 status: 500,
                 headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
             });
         }
 
-        return new Response(JSON.stringify({ reply: replyContent }), {
+        const usageReport = buildUsageReport({ usage: addUsage(earlierUsage, usage), finishReason, startedAt, firstTokenAt: null, price });
+        recordUsage(usageReport);
+        return new Response(JSON.stringify({
+            reply: replyContent,
+            usage: usageReport,
+            ...(toolCalls.length > 0 ? { toolCalls } : {}),
+            ...filterResults,
+            ...(route.alias ? { servedBy: modelInfo.id } : {}),
+            ...(generation.unsupported.length > 0 ? { unsupportedParams: generation.unsupported } : {}),
+        }), {
             status: 200,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...infoHeaders }
         });
 
     } catch (error) {
-        console.error(`Worker internal error during backend fetch for model ${model}:`, error);
+        if (error.name === 'AbortError') {
+            // 客户端已经断开 (停止生成或关闭页面)，属于正常情况，响应不会再被读取
+            return new Response(null, { status: 499 });
+        }
+        console.error(`[${requestId}] Worker internal error during backend fetch for model ${model}:`, error);
         return new Response(JSON.stringify({ error: `Worker internal error: ${error.message}` }), {
             status: 500,
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
@@ -294,115 +475,496 @@ async function handleChatRequest(request, env) {
 }
 
 /**
- * 根据模型和消息构建 API 请求配置。
- * @param {string} model - 模型名称。
- * @param {Array<Object>} messages - 消息数组。
+ * 在响应返回后继续执行的任务 (例如写入配额计数)。失败只记录日志，不影响响应。
+ * @param {Object|undefined} ctx - 执行上下文，本地测试时可能没有。
+ * @param {Promise<any>} promise - 任务。
+ */
+function runInBackground(ctx, promise) {
+    const guarded = promise.catch(e => console.error('Background task failed:', e));
+    ctx?.waitUntil?.(guarded);
+}
+
+/**
+ * 为一个目标模型准备上游请求：校验生成参数、按模型能力处理图片、裁剪上下文，再由适配器构建请求。
+ * 路由中的每个目标都单独准备，因为它们的供应商、图片支持和上下文长度可能不同。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @param {Array<Object>} messages - normalizeMessages 生成的消息 (不会被修改)。
+ * @param {Object|undefined} params - 请求中的生成参数。
  * @param {boolean} stream - 是否流式传输。
  * @param {Object} env - 环境变量。
- * @returns {Object} API 配置对象。
- * @throws {Error} 如果模型不支持。
+ * @param {Array<Object>|null} [tools] - 启用的工具 (resolveTools 的结果)。
+ * @returns {Promise<{adapter: Object, url: string, init: RequestInit, messages: Array<Object>, generation: Object, context: Object, price: Object|null}>}
+ *          messages 是实际发送的消息 (调用工具后的后续轮次在此基础上追加)；
+ *          generation 是校验后的生成参数 { params, unsupported }；context 是上下文窗口的使用情况 { tokens, limit, trimmed, summarized }；
+ *          price 是模型价格，用于计算费用 (未知时为 null)。
+ * @throws {Error} 如果参数、消息或配置不合法。
  */
-function buildApiConfig(model, messages, stream, env) {
-    let apiConfig = {};
+async function prepareUpstreamRequest(modelInfo, messages, params, stream, env, tools = null) {
+    const price = getModelPrice(modelInfo.id, env);
+    const generation = validateParams(params, modelInfo, getProvider(modelInfo.provider));
+    const processed = modelInfo.vision === false
+        ? omitAllImages(messages)
+        : await applyImageHistoryPolicy(messages, modelInfo.id, env);
+    // 文件附件按当前供应商展开 (原文件或插入文本)，展开后的内容计入上下文窗口
+    const expanded = expandFileAttachments(processed, getProvider(modelInfo.provider));
+    const { messages: fitted, context } = await applyContextWindow(expanded, modelInfo, generation.params, env);
+    // 'keep' 策略不限制较早的图片，内联数据仍可能超出上限，此时拒绝请求而不是让上游返回错误
+    const inlineBytes = fitted.reduce((sum, msg) => sum + getInlineBytes(msg), 0);
+    if (inlineBytes > MAX_REQUEST_INLINE_BYTES) {
+        throw new Error(`Images and documents in the conversation are too large: at most ${MAX_REQUEST_INLINE_BYTES / 1024 / 1024} MB per request`);
+    }
+    const { adapter, url, init } = buildUpstreamRequest(modelInfo, fitted, generation.params, stream, env, tools);
+    return { adapter, url, init, messages: fitted, generation, context, price };
+}
 
-    if (model.startsWith('gemini')) {
-        if (!env.GEMINI_API_KEY) {
-            throw new Error('Server configuration error: GEMINI_API_KEY is not set for Gemini model.');
-        }
+/**
+ * 将上游的错误响应 (4xx/5xx) 转换为统一的 JSON 错误。流式和非流式请求共用。
+ * 429 时返回中文提示，并透传上游的 Retry-After，客户端据此自动重试。
+ * @param {Response} backendResponse - 上游响应，status 不是 2xx。
+ * @param {import('../lib/providers/index.js').ProviderAdapter} adapter - 供应商适配器。
+ * @param {string} model - 客户端请求的模型 ID。
+ * @returns {Promise<Response>}
+ */
+async function createUpstreamErrorResponse(backendResponse, adapter, model) {
+    const provider = adapter.id;
+    // 响应体只能读取一次：先读取文本，再尝试解析为 JSON
+    const rawText = await backendResponse.text().catch(() => '');
+    let data = null;
+    try {
+        data = JSON.parse(rawText);
+    } catch (e) {
+        console.error(`Backend API returned non-JSON error for model ${model} (${provider}) (Status: ${backendResponse.status}, Content-Type: ${backendResponse.headers.get('Content-Type') || 'None'}):`, rawText);
+    }
+    const errorDetails = adapter.normalizeError(backendResponse.status, data, data ? null : rawText).details;
+
+    // 专门处理 429 Too Many Requests 错误
+    if (backendResponse.status === 429) {
+        console.error(`Rate limit exceeded for model ${model} (${provider}). Status: 429`);
+        const retryAfter = parseRetryAfter(backendResponse.headers.get('Retry-After'));
+        const errorPayload = {
+            error: `请求过于频繁 (速率限制)，请稍等片刻后再试。模型: ${model}`,
+            statusCode: 429,
+            provider,
+            ...(retryAfter !== null ? { retryAfter } : {}),
+            originalError: errorDetails
+        };
+        return new Response(JSON.stringify(errorPayload, null, 2), {
+            status: 429,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                ...(retryAfter !== null ? exposeHeaders({ 'Retry-After': String(retryAfter) }) : {}),
+            }
+        });
+    }
+
+    console.error(`Backend API returned error status for model ${model} (${provider}): Status ${backendResponse.status}, Raw Response: ${errorDetails}`);
+    return new Response(JSON.stringify({
+        error: `Backend API error for model ${model} (${provider}): Status ${backendResponse.status}. Details: ${errorDetails.substring(0, 500)}`,
+        statusCode: backendResponse.status,
+        originalResponse: errorDetails
+    }, null, 2), {
+        status: backendResponse.status,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+/**
+ * 解析 Retry-After 响应头 (秒数或 HTTP 日期)。
+ * @param {string|null} value - 响应头的值。
+ * @returns {number|null} 需要等待的秒数，无法解析时返回 null。
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim());
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
 
-        // --- Gemini 消息处理：确保角色交替并合并连续消息 ---
+/**
+ * 为自定义响应头加上 Access-Control-Expose-Headers，浏览器端的脚本才能读取它们。
+ * @param {Object<string, string>} headers - 自定义响应头。
+ * @returns {Object<string, string>}
+ */
+function exposeHeaders(headers) {
+    return { ...headers, 'Access-Control-Expose-Headers': Object.keys(headers).join(', ') };
+}
+
+/**
+ * 由模型对应的供应商适配器构建上游请求。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @param {Array<Object>} messages - 消息数组 (normalizeMessages 生成的统一格式)。
+ * @param {Object} params - 已校验的生成参数 (见 functions/lib/params.js)。
+ * @param {boolean} stream - 是否流式传输。
+ * @param {Object} env - 环境变量。
+ * @param {Array<Object>|null} [tools] - 启用的工具 (OpenAI function 格式)。
+ * @returns {{adapter: import('../lib/providers/index.js').ProviderAdapter, url: string, init: RequestInit}}
+ * @throws {Error} 如果供应商不支持、缺少配置或对话历史不合法。
+ */
+function buildUpstreamRequest(modelInfo, messages, params, stream, env, tools = null) {
+    const adapter = getProvider(modelInfo.provider);
+    const { url, init } = adapter.buildRequest({ model: modelInfo, messages, params, ...(tools ? { tools } : {}), stream: Boolean(stream), env });
+    return { adapter, url, init };
+}
 
-        // 1. 过滤掉无效或空内容的消息
-        let processed = messages.filter(msg => (msg.content || (msg.parts && msg.parts.some(p => p.text || p.inline_data))));
+/**
+ * 解析单个图片 data URL。
+ * 每一项都必须是 base64 编码的图片 data URL（前端已完成缩放与重新编码）。
+ * @param {string} dataUrl - 图片 data URL。
+ * @returns {{mimeType: string, data: string, dataUrl: string}} 解析后的图片信息。
+ * @throws {Error} 如果格式、类型或大小不合法。
+ */
+function parseImageDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' ? dataUrl.match(/^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/i) : null;
+    if (!match) {
+        throw new Error('Invalid image: expected a base64 image data URL');
+    }
+    const mimeType = match[1].toLowerCase();
+    if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+        throw new Error(`Unsupported image type: ${mimeType}`);
+    }
+    // base64 每 4 个字符对应 3 个字节
+    const size = Math.floor(match[2].length * 3 / 4);
+    if (size > MAX_IMAGE_BYTES) {
+        throw new Error(`Image is too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+    }
+    return { mimeType, data: match[2], dataUrl, size };
+}
 
-        // 2. 确保第一条消息是 'user'
-        const firstUserIndex = processed.findIndex(msg => msg.role === 'user');
-        if (firstUserIndex > 0) {
-            processed = processed.slice(firstUserIndex);
-        } else if (firstUserIndex === -1) {
-            throw new Error("Invalid chat history: No user messages found.");
+/**
+ * 将客户端发来的消息统一为内部格式 { role, content, images }。
+ * 兼容两种写法：
+ *   - { role, content: '文本', images: ['data:image/...'] }
+ *   - OpenAI 风格的 { role, content: [{ type: 'text' }, { type: 'image_url' }] }
+ * 顶层的 images 字段 (旧写法) 会附加到最后一条用户消息上。
+ * 用户消息可以带有文件附件 (files，见 functions/lib/files.js)，按供应商展开前保留在消息中。
+ * 也接受 OpenAI 风格的工具调用历史：助手消息的 tool_calls 转换为 toolCalls，
+ * role 为 tool 的消息转换为 { role: 'tool', toolCallId, name, content } (name 缺省时取自对应的调用)。
+ * @param {Array<Object>} messages - 请求中的消息数组。
+ * @param {Array<string>} [extraImages] - 请求顶层的图片数组。
+ * @returns {Array<{role: string, content: string, images: Array<Object>, files?: Array<Object>}>} 统一格式的消息。
+ * @throws {Error} 如果消息、图片或文件不合法，或者最新一条用户消息的图片和原文件超出内联数据的上限 (见 applyDocumentBudget)。
+ */
+function normalizeMessages(messages, extraImages = []) {
+    if (!Array.isArray(extraImages)) {
+        throw new Error('"images" must be an array of data URLs');
+    }
+
+    const toolNames = new Map(); // 工具调用 ID -> 工具名称，用于补全工具结果的 name
+    const normalized = messages.map((msg, index) => {
+        if (!msg || typeof msg.role !== 'string') {
+            throw new Error(`Invalid message at index ${index}: missing "role"`);
         }
 
-        // 3. 合并连续的同角色消息，确保角色交替
-        const mergedMessages = [];
-        for (const msg of processed) {
-            const lastMsg = mergedMessages.length > 0 ? mergedMessages[mergedMessages.length - 1] : null;
-            const currentRole = msg.role === 'user' ? 'user' : 'model'; // 标准化当前角色
-            const isTextMessage = !(msg.parts && msg.parts.some(p => p.inline_data));
-
-            if (lastMsg && lastMsg.role === currentRole && isTextMessage) {
-                // 合并纯文本内容
-                const contentToAppend = msg.content || (msg.parts && msg.parts[0]?.text) || '';
-                lastMsg.parts[0].text += "\n" + contentToAppend;
-            } else {
-                // 直接添加，并确保格式正确
-                let parts = msg.parts;
-                if (!parts) {
-                    parts = [{ text: msg.content || '' }];
+        let text = '';
+        const imageUrls = Array.isArray(msg.images) ? [...msg.images] : [];
+        if (Array.isArray(msg.content)) {
+            for (const part of msg.content) {
+                if (part?.type === 'text') {
+                    text += (text ? '\n' : '') + (part.text || '');
+                } else if (part?.type === 'image_url') {
+                    imageUrls.push(part.image_url?.url);
                 }
-                mergedMessages.push({ role: currentRole, parts });
             }
+        } else {
+            text = msg.content || '';
         }
 
-        if (mergedMessages.length === 0) {
-            throw new Error("Invalid chat history: Resulting messages are empty.");
+        if (imageUrls.length > MAX_IMAGES_PER_MESSAGE) {
+            throw new Error(`Too many images in message ${index}: at most ${MAX_IMAGES_PER_MESSAGE} images are allowed per message`);
         }
 
-        apiConfig = {
-            provider: PROVIDERS.GEMINI,
-            endpoint: `https://generativelanguage.googleapis.com/v1beta/models/${model}`,
-            apiKey: env.GEMINI_API_KEY,
-            modelName: model,
-            body: {
-                contents: mergedMessages,
+        let images;
+        let files = [];
+        try {
+            images = imageUrls.map(parseImageDataUrl);
+            if (msg.role === 'user' && msg.files !== undefined) {
+                files = normalizeFileAttachments(msg.files);
             }
-        };
-    } else if (model.startsWith('deepseek') || model.startsWith('gpt-') || model.startsWith('qwen') || model.startsWith('ollama-')) {
-        // 修改这里以支持多个 Ollama 服务器
-        let ollamaBaseUrl = env.OLLAMA_API_BASE_URL; // 默认使用 OLLAMA_API_BASE_URL
-
-        // 尝试从模型名称中提取 Ollama 服务器地址
-        // 例如：model: "ollama-http://192.168.1.100:11434/llama2"
-        const ollamaUrlPrefix = 'ollama-http';
-        if (model.startsWith(ollamaUrlPrefix)) {
-            const parts = model.split('/');
-            if (parts.length >= 3) {
-                // 提取完整的 URL，例如 "http://192.168.1.100:11434"
-                ollamaBaseUrl = parts[0] + '//' + parts[1].split('-')[1] + '/' + parts[2]; // 重新构建 URL
-                model = model.substring(ollamaUrlPrefix.length + ollamaBaseUrl.length - ollamaUrlPrefix.length); // 提取实际的模型名
+        } catch (e) {
+            throw new Error(`Invalid message at index ${index}: ${e.message}`);
+        }
+
+        if (msg.role === 'tool') {
+            if (typeof msg.tool_call_id !== 'string' || !msg.tool_call_id) {
+                throw new Error(`Invalid message at index ${index}: tool messages need a "tool_call_id"`);
             }
+            return { role: 'tool', toolCallId: msg.tool_call_id, name: msg.name || toolNames.get(msg.tool_call_id) || '', content: text, images: [] };
         }
-        
-        if (!ollamaBaseUrl) {
-            throw new Error('Server configuration error: OLLAMA_API_BASE_URL or a valid Ollama URL in model name is not set.');
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            const toolCalls = msg.tool_calls.map(call => {
+                if (typeof call?.id !== 'string' || typeof call.function?.name !== 'string') {
+                    throw new Error(`Invalid message at index ${index}: every tool call needs an "id" and a "function.name"`);
+                }
+                toolNames.set(call.id, call.function.name);
+                return { id: call.id, name: call.function.name, arguments: typeof call.function.arguments === 'string' ? call.function.arguments : '{}' };
+            });
+            return { role: 'assistant', content: text, images, toolCalls };
         }
+        return { role: msg.role, content: text, images, ...(files.length > 0 ? { files } : {}) };
+    });
 
-        // --- Ollama/OpenAI 消息处理：统一消息格式 ---
-        const ollamaMessages = messages.map(msg => {
-            // 如果 content 已经是数组 (多模态)，直接返回
-            if (Array.isArray(msg.content)) {
-                return msg;
+    if (extraImages.length > 0) {
+        const lastMessage = normalized[normalized.length - 1];
+        if (lastMessage.role === 'user') {
+            lastMessage.images.push(...extraImages.map(parseImageDataUrl));
+            if (lastMessage.images.length > MAX_IMAGES_PER_MESSAGE) {
+                throw new Error(`Too many images: at most ${MAX_IMAGES_PER_MESSAGE} images are allowed per message`);
             }
-            // 如果是纯文本，也包装成数组，以保持格式统一
-            return {
-                ...msg,
-                content: [{ type: 'text', text: msg.content || '' }]
-            };
-        });
+        }
+    }
 
-        apiConfig = {
-            provider: PROVIDERS.OLLAMA,
-            endpoint: `${ollamaBaseUrl}/v1/chat/completions`,
-            apiKey: null, // Ollama 通常不需要 API Key，或者自行处理
-            modelName: model.startsWith('ollama-') ? model.substring('ollama-'.length) : model, // 提取实际的模型名称
-            body: {
-                model: model.startsWith('ollama-') ? model.substring('ollama-'.length) : model,
-                messages: ollamaMessages,
-                stream: stream !== undefined ? stream : true,
+    return applyDocumentBudget(normalized);
+}
+
+/**
+ * 当历史消息中的图片总量超过预算时，按配置的策略处理较早的图片。
+ * 最后一条消息中的图片总是保留，它的图片和原文件先占用预算；其余图片从新到旧累计大小，超出预算的部分：
+ *   - 'drop'      : 替换为一段占位文本
+ *   - 'summarize' : 调用当前模型生成简短描述，用描述文本代替图片
+ *   - 'keep'      : 不做处理
+ * 通过环境变量 IMAGE_HISTORY_POLICY 和 IMAGE_HISTORY_MAX_BYTES 配置，预算不超过 MAX_REQUEST_INLINE_BYTES。
+ * @param {Array<Object>} messages - normalizeMessages 生成的消息。
+ * @param {string} model - 模型名称。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Array<Object>>} 处理后的消息 (不会修改传入的数组)。
+ */
+async function applyImageHistoryPolicy(messages, model, env) {
+    const policy = (env.IMAGE_HISTORY_POLICY || DEFAULT_IMAGE_HISTORY_POLICY).toLowerCase();
+    if (policy === 'keep') {
+        return messages;
+    }
+    if (policy !== 'drop' && policy !== 'summarize') {
+        throw new Error(`Server configuration error: unknown IMAGE_HISTORY_POLICY "${policy}"`);
+    }
+    const budget = Math.min(Number(env.IMAGE_HISTORY_MAX_BYTES) || DEFAULT_IMAGE_HISTORY_MAX_BYTES, MAX_REQUEST_INLINE_BYTES);
+
+    const result = messages.map(msg => ({ ...msg, images: [...msg.images] }));
+    let usedBytes = getInlineBytes(result[result.length - 1]);
+
+    for (let i = result.length - 2; i >= 0; i--) {
+        const msg = result[i];
+        const kept = [];
+        const omitted = [];
+        // 同一条消息内也从后往前计算，保证越新的图片越优先保留
+        for (const img of [...msg.images].reverse()) {
+            if (usedBytes + img.size <= budget) {
+                usedBytes += img.size;
+                kept.unshift(img);
+            } else {
+                omitted.unshift(img);
             }
-        };
-    } else {
-        throw new Error(`Unsupported model: ${model}`);
+        }
+        if (omitted.length === 0) {
+            continue;
+        }
+
+        const notes = [];
+        for (const img of omitted) {
+            if (policy === 'summarize') {
+                const summary = await summarizeImage(img, model, env);
+                notes.push(summary ? `[早先的图片，内容描述: ${summary}]` : '[早先的图片已从上下文中省略]');
+            } else {
+                notes.push('[早先的图片已从上下文中省略]');
+            }
+        }
+        msg.images = kept;
+        msg.content = [msg.content, ...notes].filter(Boolean).join('\n');
+    }
+
+    return result;
+}
+
+/**
+ * 将所有图片替换为占位文本，用于不支持图片输入的模型 (例如对话中途切换到了纯文本模型)。
+ * @param {Array<Object>} messages - normalizeMessages 生成的消息。
+ * @returns {Array<Object>} 处理后的消息。
+ */
+function omitAllImages(messages) {
+    return messages.map(msg => {
+        if (msg.images.length === 0) {
+            return msg;
+        }
+        const note = `[${msg.images.length} 张图片已省略：当前模型不支持图片输入]`;
+        return { ...msg, content: [msg.content, note].filter(Boolean).join('\n'), images: [] };
+    });
+}
+
+/**
+ * 计算文本的 SHA-256 摘要 (base64 编码)，用作缓存键。
+ * @param {string} text - 文本。
+ * @returns {Promise<string>}
+ */
+async function sha256Base64(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+// 图片描述的缓存 (同一个 Worker 实例内有效)，避免长对话中每一轮都重复生成
+const imageSummaryCache = new Map();
+
+/**
+ * 调用当前模型为一张图片生成简短的文字描述，用于替代历史中的旧图片。
+ * 失败时返回 null，由调用方退化为占位文本。
+ * @param {Object} image - parseImageDataUrl 解析出的图片。
+ * @param {string} model - 模型名称。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<string|null>} 图片描述。
+ */
+async function summarizeImage(image, model, env) {
+    const cacheKey = `${model}:${await sha256Base64(image.data)}`;
+    if (imageSummaryCache.has(cacheKey)) {
+        return imageSummaryCache.get(cacheKey);
+    }
+
+    try {
+        const { adapter, url, init } = buildUpstreamRequest(resolveModel(model, env), [{
+            role: 'user',
+            content: '用一两句话简要描述这张图片的内容，包括其中的关键文字或数据。只输出描述本身。',
+            images: [image]
+        }], {}, false, env);
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            console.error(`Image summarization failed for model ${model}: Status ${response.status}`);
+            return null;
+        }
+        const summary = adapter.parseResponse(await response.json()).reply?.trim() || null;
+        if (summary) {
+            if (imageSummaryCache.size >= IMAGE_SUMMARY_CACHE_SIZE) {
+                imageSummaryCache.delete(imageSummaryCache.keys().next().value); // 淘汰最早的条目
+            }
+            imageSummaryCache.set(cacheKey, summary);
+        }
+        return summary;
+    } catch (e) {
+        console.error(`Image summarization failed for model ${model}:`, e);
+        return null;
+    }
+}
+
+/**
+ * 让消息适应模型的上下文窗口。超出预算时从最早的轮次开始裁剪；
+ * CONTEXT_OVERFLOW_POLICY 为 'summarize' 时，被裁剪的轮次由一段滚动摘要代替 (作为 system 消息)。
+ * 模型的上下文长度未知时不做处理。
+ * @param {Array<Object>} messages - 统一格式的消息。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @param {Object} params - 已校验的生成参数 (max_tokens 决定为回复预留的空间)。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{messages: Array<Object>, context: {tokens: number, limit: number|null, trimmed: number, summarized: boolean}}>}
+ * @throws {Error} 如果最后一条消息本身就超出了上下文窗口，或策略配置不合法。
+ */
+async function applyContextWindow(messages, modelInfo, params, env) {
+    const policy = (env.CONTEXT_OVERFLOW_POLICY || DEFAULT_CONTEXT_OVERFLOW_POLICY).toLowerCase();
+    if (policy !== 'trim' && policy !== 'summarize') {
+        throw new Error(`Server configuration error: unknown CONTEXT_OVERFLOW_POLICY "${policy}"`);
+    }
+
+    const contextWindow = getContextBudget(modelInfo, params, env);
+    if (!contextWindow) {
+        const tokens = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg, modelInfo.provider), 0);
+        return { messages, context: { tokens, limit: null, trimmed: 0, summarized: false } };
+    }
+
+    let fitted = fitToContextWindow(messages, contextWindow.budget, modelInfo.provider);
+    if (fitted.trimmed.length === 0 || policy === 'trim') {
+        return { messages: fitted.messages, context: { tokens: fitted.tokens, limit: contextWindow.limit, trimmed: fitted.trimmed.length, summarized: false } };
+    }
+
+    // 为摘要预留空间后重新裁剪，保证加入摘要后仍在预算之内
+    fitted = fitToContextWindow(messages, contextWindow.budget - HISTORY_SUMMARY_MAX_TOKENS, modelInfo.provider);
+    const summary = await summarizeHistory(fitted.trimmed, modelInfo, contextWindow.budget, env);
+    if (!summary) {
+        return { messages: fitted.messages, context: { tokens: fitted.tokens, limit: contextWindow.limit, trimmed: fitted.trimmed.length, summarized: false } };
+    }
+
+    // 摘要放在原有 system 消息之后，适配器会把它们合并到供应商的系统提示词位置
+    const summaryMessage = { role: 'system', content: `[较早对话的摘要]\n${summary}`, images: [] };
+    const insertAt = fitted.messages.findIndex(msg => msg.role !== 'system');
+    const result = [...fitted.messages];
+    result.splice(insertAt === -1 ? result.length : insertAt, 0, summaryMessage);
+    return {
+        messages: result,
+        context: {
+            tokens: fitted.tokens + estimateMessageTokens(summaryMessage, modelInfo.provider),
+            limit: contextWindow.limit,
+            trimmed: fitted.trimmed.length,
+            summarized: true,
+        },
+    };
+}
+
+// 对话摘要的缓存 (同一个 Worker 实例内有效)。键是被裁剪消息前缀的链式哈希，
+// 对话继续增长时可以在上一次的摘要基础上只总结新裁剪的消息 (滚动摘要)
+const historySummaryCache = new Map();
+
+/**
+ * 调用当前模型为被裁剪的较早轮次生成摘要。失败时返回 null，由调用方退化为直接裁剪。
+ * @param {Array<Object>} trimmed - 被裁剪的消息 (按时间顺序)。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @param {number} budget - 上下文预算，用于限制发送给摘要请求的文本长度。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<string|null>} 摘要文本。
+ */
+async function summarizeHistory(trimmed, modelInfo, budget, env) {
+    // 1. 计算每个前缀的链式哈希，找到已有摘要的最长前缀
+    const prefixKeys = [];
+    let chain = '';
+    for (const msg of trimmed) {
+        chain = await sha256Base64(`${chain}\n${msg.role}:${msg.images.length}:${msg.content}`);
+        prefixKeys.push(`${modelInfo.id}:${chain}`);
+    }
+    let cachedIndex = -1;
+    for (let i = prefixKeys.length - 1; i >= 0; i--) {
+        if (historySummaryCache.has(prefixKeys[i])) {
+            cachedIndex = i;
+            break;
+        }
+    }
+    if (cachedIndex === prefixKeys.length - 1) {
+        return historySummaryCache.get(prefixKeys[cachedIndex]);
+    }
+
+    // 2. 把上一次的摘要和新裁剪的消息整理成文本；超出预算时丢弃最早的部分
+    const previousSummary = cachedIndex >= 0 ? historySummaryCache.get(prefixKeys[cachedIndex]) : '';
+    const lines = trimmed.slice(cachedIndex + 1).map(msg => {
+        const speaker = msg.role === 'user' ? '用户' : msg.role === 'tool' ? `工具 (${msg.name})` : '助手';
+        const images = msg.images.length > 0 ? ` [附带 ${msg.images.length} 张图片]` : '';
+        const calls = (msg.toolCalls || []).map(call => ` [调用工具 ${call.name}: ${call.arguments}]`).join('');
+        return `${speaker}: ${msg.content}${images}${calls}`;
+    });
+    const inputBudget = Math.floor(budget / 2);
+    while (lines.length > 1 && estimateTextTokens(lines.join('\n')) > inputBudget) {
+        lines.shift();
+    }
+
+    const prompt = '请把下面这段对话中较早的内容整理成一段简洁的摘要，保留关键事实、结论、用户的偏好和尚未解决的问题，'
+        + '以便在后续对话中代替原文作为背景。只输出摘要本身。\n\n'
+        + (previousSummary ? `此前的摘要:\n${previousSummary}\n\n之后的对话:\n` : '对话:\n')
+        + lines.join('\n');
+
+    // 3. 调用当前模型生成摘要
+    try {
+        const { adapter, url, init } = buildUpstreamRequest(modelInfo, [{ role: 'user', content: prompt, images: [] }],
+            { max_tokens: Math.min(HISTORY_SUMMARY_MAX_TOKENS, modelInfo.maxOutputTokens || HISTORY_SUMMARY_MAX_TOKENS) }, false, env);
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            console.error(`History summarization failed for model ${modelInfo.id}: Status ${response.status}`);
+            return null;
+        }
+        const summary = adapter.parseResponse(await response.json()).reply?.trim() || null;
+        if (summary) {
+            if (historySummaryCache.size >= HISTORY_SUMMARY_CACHE_SIZE) {
+                historySummaryCache.delete(historySummaryCache.keys().next().value); // 淘汰最早的条目
+            }
+            historySummaryCache.set(prefixKeys[prefixKeys.length - 1], summary);
+        }
+        return summary;
+    } catch (e) {
+        console.error(`History summarization failed for model ${modelInfo.id}:`, e);
+        return null;
     }
-    return apiConfig;
 }
@@ -0,0 +1,252 @@
+// =========================================================================
+// 对话存储与分享
+//   GET/PUT/DELETE /api/conversations/:id  - 读取、保存、删除对话
+//   POST /api/share                       - 为已保存的对话创建只读分享链接
+//   GET /share/:id                        - 渲染只读的对话记录页面
+// 数据保存在 env.CHAT_STORE 存储绑定中 (见 functions/lib/storage.js)。
+// 对话按用户分开保存 (conversation:<用户>:<对话 ID>)，用户只能读写、分享自己的对话；分享的快照对所有人可见。
+// =========================================================================
+
+import { getStore } from '../lib/storage.js';
+import { escapeHtml } from '../lib/html.js';
+
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_CONVERSATION_BYTES = 20 * 1024 * 1024; // 单个对话 (含图片) 的大小上限，低于 KV 的 25 MB 限制
+const SHARE_ID_BYTES = 12;
+
+/**
+ * 生成一个 JSON 响应。
+ * @param {Object} body - 响应体。
+ * @param {number} [status] - HTTP 状态码。
+ * @returns {Response}
+ */
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+/**
+ * 对话在存储中的键。用户 ID 经过编码，不会与分隔符冲突。
+ * @param {{id: string}} user - 当前用户。
+ * @param {string} id - 对话 ID。
+ * @returns {string}
+ */
+function getConversationKey(user, id) {
+    return `conversation:${encodeURIComponent(user.id)}:${id}`;
+}
+
+/**
+ * 处理 /api/conversations/:id 的 GET、PUT、DELETE 请求。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {{id: string}} user - 当前用户。
+ * @param {string} id - 路径中的对话 ID。
+ * @returns {Promise<Response>}
+ */
+export async function handleConversationRequest(request, env, user, id) {
+    if (!CONVERSATION_ID_PATTERN.test(id)) {
+        return jsonResponse({ error: 'Invalid conversation id' }, 400);
+    }
+
+    let store;
+    try {
+        store = getStore(env);
+    } catch (e) {
+        return jsonResponse({ error: e.message }, 503);
+    }
+    const key = getConversationKey(user, id);
+
+    if (request.method === 'GET') {
+        const conversation = await store.get(key, 'json');
+        if (!conversation) {
+            return jsonResponse({ error: 'Conversation not found' }, 404);
+        }
+        return jsonResponse(conversation);
+    }
+
+    if (request.method === 'PUT') {
+        const tooLarge = () => jsonResponse({ error: `Conversation is too large (max ${MAX_CONVERSATION_BYTES / 1024 / 1024} MB)` }, 413);
+        // 先按 Content-Length 拒绝明显过大的请求，读取后再按 UTF-8 字节数检查 (中文每个字符占 3 个字节)
+        if (Number(request.headers.get('Content-Length')) > MAX_CONVERSATION_BYTES) {
+            return tooLarge();
+        }
+        const bodyText = await request.text();
+        if (new TextEncoder().encode(bodyText).length > MAX_CONVERSATION_BYTES) {
+            return tooLarge();
+        }
+
+        let conversation;
+        try {
+            conversation = JSON.parse(bodyText);
+        } catch (e) {
+            return jsonResponse({ error: 'Invalid JSON in request body' }, 400);
+        }
+        if (!conversation || !Array.isArray(conversation.messages)) {
+            return jsonResponse({ error: 'Missing "messages" array in conversation' }, 400);
+        }
+
+        const record = {
+            id,
+            title: typeof conversation.title === 'string' ? conversation.title.slice(0, 200) : '',
+            model: typeof conversation.model === 'string' ? conversation.model : '',
+            messages: conversation.messages,
+            createdAt: Number(conversation.createdAt) || Date.now(),
+            updatedAt: Date.now(),
+        };
+        try {
+            await store.put(key, JSON.stringify(record));
+        } catch (e) {
+            console.error(`Failed to save conversation ${id}:`, e);
+            return jsonResponse({ error: 'Failed to save the conversation, please try again later' }, 503);
+        }
+        return jsonResponse(record);
+    }
+
+    if (request.method === 'DELETE') {
+        await store.delete(key);
+        return new Response(null, { status: 204, headers: { 'Access-Control-Allow-Origin': '*' } });
+    }
+
+    return jsonResponse({ error: 'Method Not Allowed' }, 405);
+}
+
+/**
+ * 处理 POST /api/share：为已保存的对话生成一份快照，并返回只读链接。
+ * 快照与原对话相互独立，之后对原对话的修改不会影响已分享的内容。
+ * 请求体: { conversationId }
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {{id: string}} user - 当前用户，只能分享自己的对话。
+ * @returns {Promise<Response>}
+ */
+export async function handleShareRequest(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return jsonResponse({ error: 'Invalid JSON in request body' }, 400);
+    }
+
+    const conversationId = body?.conversationId;
+    if (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+        return jsonResponse({ error: 'Missing or invalid "conversationId" in request body' }, 400);
+    }
+
+    let store;
+    try {
+        store = getStore(env);
+    } catch (e) {
+        return jsonResponse({ error: e.message }, 503);
+    }
+
+    const conversation = await store.get(getConversationKey(user, conversationId), 'json');
+    if (!conversation) {
+        return jsonResponse({ error: 'Conversation not found' }, 404);
+    }
+
+    const shareId = generateShareId();
+    await store.put(`share:${shareId}`, JSON.stringify({
+        ...conversation,
+        shareId,
+        sharedAt: Date.now(),
+    }));
+
+    const url = new URL(`/share/${shareId}`, request.url).toString();
+    return jsonResponse({ shareId, url }, 201);
+}
+
+/**
+ * 处理 GET /share/:id：渲染只读的对话记录页面。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {string} shareId - 分享 ID。
+ * @returns {Promise<Response>}
+ */
+export async function handleSharePage(request, env, shareId) {
+    let shared = null;
+    if (CONVERSATION_ID_PATTERN.test(shareId)) {
+        try {
+            shared = await getStore(env).get(`share:${shareId}`, 'json');
+        } catch (e) {
+            console.error('Failed to read shared conversation:', e);
+        }
+    }
+
+    if (!shared) {
+        return new Response(renderSharePage('对话不存在', '<p class="share-empty">这个分享链接不存在或已失效。</p>'), {
+            status: 404,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+
+    const messagesHtml = shared.messages
+        .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant'))
+        .map(renderMessageHtml)
+        .join('\n');
+
+    return new Response(renderSharePage(shared.title || '分享的对话', messagesHtml, shared.model), {
+        status: 200,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
+
+/**
+ * 生成随机的分享 ID (base64url 编码)。
+ * @returns {string}
+ */
+function generateShareId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(SHARE_ID_BYTES));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 将一条消息渲染为与聊天界面相同结构的 HTML。
+ * 只接受图片 data URL 作为图片地址，其余内容一律按纯文本转义。
+ * @param {Object} msg - 消息 { role, content, images }。
+ * @returns {string} HTML 片段。
+ */
+function renderMessageHtml(msg) {
+    const images = (Array.isArray(msg.images) ? msg.images : [])
+        .filter(src => typeof src === 'string' && /^data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/=]+$/i.test(src))
+        .map(src => `<img src="${escapeHtml(src)}" alt="对话中的图片">`)
+        .join('');
+    const text = typeof msg.content === 'string' ? escapeHtml(msg.content) : '';
+
+    return `<div class="message ${msg.role}"><div class="message-content">${images}${text}</div></div>`;
+}
+
+/**
+ * 生成只读分享页面的完整 HTML，复用主界面的样式表。
+ * @param {string} title - 页面标题 (未转义)。
+ * @param {string} bodyHtml - 消息区域的 HTML (已转义)。
+ * @param {string} [model] - 对话使用的模型 (未转义)。
+ * @returns {string} HTML 文档。
+ */
+function renderSharePage(title, bodyHtml, model = '') {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - AI Web Chat</title>
+    <link rel="stylesheet" href="/style.css">
+    <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap">
+</head>
+<body>
+    <div class="chat-container">
+        <div class="chat-main">
+            <header class="chat-header">
+                <h1>${escapeHtml(title)}</h1>
+                <span class="share-meta">${model ? `模型: ${escapeHtml(model)} · ` : ''}只读分享</span>
+            </header>
+            <main class="chat-window">
+${bodyHtml}
+            </main>
+        </div>
+    </div>
+</body>
+</html>`;
+}
@@ -0,0 +1,75 @@
+// =========================================================================
+// 可恢复的流式生成 (见 functions/lib/generations.js)
+//   GET /api/chat/:id/stream  - 重新连接一个生成，从 Last-Event-ID 之后的事件开始重放
+//   DELETE /api/chat/:id      - 停止一个生成 (客户端断开后上游请求仍在后台进行，只能这样停止)
+// 生成只对发起它的用户可见，其他用户和已过期的生成都返回 404。
+// =========================================================================
+
+import { getGenerationStore, getGeneration, cancelGeneration, createReplayStream } from '../lib/generations.js';
+
+/**
+ * 生成一个 JSON 响应。
+ * @param {Object} body - 响应体。
+ * @param {number} [status] - HTTP 状态码。
+ * @returns {Response}
+ */
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+/**
+ * 读取客户端收到的最后一个事件的 id：浏览器的 EventSource 使用 Last-Event-ID 请求头，也接受 ?lastEventId= 查询参数。
+ * @param {Request} request - 请求对象。
+ * @returns {number} 没有或格式不对时为 0 (从头重放)。
+ */
+function getLastEventId(request) {
+    const value = request.headers.get('Last-Event-ID') ?? new URL(request.url).searchParams.get('lastEventId');
+    return /^\d{1,9}$/.test(value ?? '') ? Number(value) : 0;
+}
+
+/**
+ * 处理 GET /api/chat/:id/stream：重放生成中 Last-Event-ID 之后的事件，并跟随到生成结束。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {{id: string}} user - 当前用户。
+ * @param {string} id - 路径中的生成 ID。
+ * @returns {Promise<Response>}
+ */
+export async function handleGenerationStreamRequest(request, env, user, id) {
+    const store = getGenerationStore(env);
+    const meta = store ? await getGeneration(store, id, user) : null;
+    if (!meta) {
+        return jsonResponse({ error: 'Generation not found' }, 404);
+    }
+    return new Response(createReplayStream(store, id, meta, getLastEventId(request)), {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Access-Control-Allow-Origin': '*',
+            ...meta.headers,
+        }
+    });
+}
+
+/**
+ * 处理 DELETE /api/chat/:id：请求停止一个生成。已经结束的生成不受影响。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {{id: string}} user - 当前用户。
+ * @param {string} id - 路径中的生成 ID。
+ * @returns {Promise<Response>}
+ */
+export async function handleGenerationCancelRequest(request, env, user, id) {
+    const store = getGenerationStore(env);
+    const meta = store ? await getGeneration(store, id, user) : null;
+    if (!meta) {
+        return jsonResponse({ error: 'Generation not found' }, 404);
+    }
+    if (meta.status === 'streaming') {
+        await cancelGeneration(store, id);
+    }
+    return jsonResponse({ cancelled: meta.status === 'streaming' });
+}
@@ -0,0 +1,96 @@
+// =========================================================================
+// 健康检查接口
+//   GET /api/health - 检查每个已配置的供应商和命名后端 (BACKENDS) 是否可达
+// 响应格式: { status: "ok" | "degraded" | "down", backends: [{ id, label, provider, ok, status, latencyMs, circuitOpen, error? }] }
+// 全部可达时返回 200，否则返回 503，便于外部监控直接根据状态码报警。
+// 检查只发送轻量的请求 (列出模型)，不会产生 token 费用。
+// =========================================================================
+
+import { getBackends } from '../lib/backends.js';
+import { getProvider, listProviders } from '../lib/providers/index.js';
+import { getBackendKey, isCircuitOpen } from '../lib/router.js';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * 列出需要检查的后端：已配置的内置供应商，以及 BACKENDS 中的命名后端。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<{id: string, label: string, provider: string, model: Object|null}>}
+ *          model 是传给适配器的模型信息，命名后端通过它带上自己的服务地址和 API Key。
+ */
+function listHealthTargets(env) {
+    const providers = listProviders()
+        .filter(adapter => adapter.isConfigured(env))
+        .map(adapter => ({ id: adapter.id, label: adapter.label, provider: adapter.id, model: null }));
+    const backends = getBackends(env).map(backend => ({
+        id: backend.id,
+        label: backend.label,
+        provider: backend.type,
+        model: { provider: backend.type, backend: { id: backend.id, apiBaseUrl: backend.apiBaseUrl, apiKey: backend.apiKey } },
+    }));
+    return [...providers, ...backends];
+}
+
+/**
+ * 检查单个后端。
+ * @param {{id: string, label: string, provider: string, model: Object|null}} target - 检查对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Object>} 检查结果。
+ */
+async function checkTarget(target, env) {
+    const result = {
+        id: target.id,
+        label: target.label,
+        provider: target.provider,
+        ok: false,
+        status: null,
+        latencyMs: null,
+        circuitOpen: isCircuitOpen(getBackendKey(target.model || target)),
+    };
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+    try {
+        const { url, init } = getProvider(target.provider).buildHealthRequest(env, target.model);
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        await response.body?.cancel();
+        result.status = response.status;
+        result.ok = response.ok;
+        if (!response.ok) {
+            result.error = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        result.error = controller.signal.aborted ? `No response within ${HEALTH_CHECK_TIMEOUT_MS} ms` : error.message;
+    } finally {
+        clearTimeout(timer);
+        result.latencyMs = Date.now() - startedAt;
+    }
+    return result;
+}
+
+/**
+ * 处理 GET /api/health。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Response>}
+ */
+export async function handleHealthRequest(request, env) {
+    let targets;
+    try {
+        targets = listHealthTargets(env);
+    } catch (error) {
+        console.error('Failed to read backend configuration:', error);
+        return new Response(JSON.stringify({ status: 'down', error: error.message, backends: [] }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+
+    const backends = await Promise.all(targets.map(target => checkTarget(target, env)));
+    const reachable = backends.filter(backend => backend.ok).length;
+    const status = reachable === backends.length ? 'ok' : reachable > 0 ? 'degraded' : 'down';
+    return new Response(JSON.stringify({ status, backends }), {
+        status: status === 'ok' ? 200 : 503,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' }
+    });
+}
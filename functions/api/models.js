@@ -0,0 +1,35 @@
+// =========================================================================
+// 模型目录接口
+//   GET /api/models - 返回可用模型列表，供前端生成模型选择器
+// 响应格式: { models: [{ id, label, provider, vision, contextLength }], errors: [{ provider, error }] }
+// BACKENDS 中命名后端的模型带有 backend (后端 ID) 和 backendLabel，不会返回后端的地址和 API Key
+// MODEL_ROUTES 中的别名也会列出，provider 为 "route"，并带有 targets (按优先级排列的目标模型 ID)
+// =========================================================================
+
+import { getModelCatalog } from '../lib/models.js';
+
+/**
+ * 处理 GET /api/models。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Response>}
+ */
+export async function handleModelsRequest(request, env) {
+    try {
+        const catalog = await getModelCatalog(env);
+        return new Response(JSON.stringify(catalog), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'private, max-age=60',
+                'Access-Control-Allow-Origin': '*'
+            }
+        });
+    } catch (error) {
+        console.error('Failed to build model catalog:', error);
+        return new Response(JSON.stringify({ error: error.message }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
@@ -0,0 +1,189 @@
+// =========================================================================
+// 语音转文字接口
+//   POST /api/transcribe - 请求体为 multipart/form-data，file 字段是录音 (前端用 MediaRecorder 录制)
+// 响应格式: { text }
+// 与 /api/chat 共用请求数配额 (QUOTAS，见 functions/lib/quota.js)，超出时返回 429。
+// 录音转发到 OpenAI 兼容的 /audio/transcriptions 接口 (OpenAI Whisper、本地的 whisper 服务等)：
+//   TRANSCRIBE_API_BASE_URL  服务地址，以 /v1 结尾，例如 "http://192.168.1.100:8000/v1"；
+//                            未配置时使用 OpenAI (OPENAI_API_BASE_URL / OPENAI_API_KEY)
+//   TRANSCRIBE_API_KEY       服务的 API Key，可选
+//   TRANSCRIBE_MODEL         模型名称，默认 "whisper-1"
+//   TRANSCRIBE_LANGUAGE      录音的语言 (ISO-639-1，例如 "zh")，不设置时由服务自动识别
+// =========================================================================
+
+import { OPENAI_DEFAULT_BASE_URL } from '../lib/providers/openai.js';
+import { checkQuota, getQuotaSubjects, createQuotaExceededResponse } from '../lib/quota.js';
+
+const DEFAULT_TRANSCRIBE_MODEL = 'whisper-1';
+// 与 OpenAI 接口的上限相同
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const TRANSCRIBE_TIMEOUT_MS = 60000;
+
+// 录音的 MIME 类型与文件扩展名，转写服务按扩展名识别格式
+const AUDIO_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'mp4',
+    'audio/x-m4a': 'm4a',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/flac': 'flac',
+};
+
+/**
+ * 读取转写服务的配置。
+ * @param {Object} env - 环境变量。
+ * @returns {{url: string, apiKey: string|null, model: string, language: string|null}|null} 未配置时返回 null。
+ * @throws {Error} 如果 TRANSCRIBE_API_BASE_URL 不是合法的 http(s) 地址。
+ */
+function getTranscribeConfig(env) {
+    let baseUrl = env.TRANSCRIBE_API_BASE_URL;
+    let apiKey = env.TRANSCRIBE_API_KEY || null;
+    if (!baseUrl) {
+        if (!env.OPENAI_API_KEY) {
+            return null;
+        }
+        baseUrl = env.OPENAI_API_BASE_URL || OPENAI_DEFAULT_BASE_URL;
+        apiKey = env.OPENAI_API_KEY;
+    }
+
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (e) {
+        throw new Error('Server configuration error: TRANSCRIBE_API_BASE_URL is not a valid URL.');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Server configuration error: TRANSCRIBE_API_BASE_URL must be an http(s) URL.');
+    }
+    return {
+        url: `${url.toString().replace(/\/+$/, '')}/audio/transcriptions`,
+        apiKey,
+        model: env.TRANSCRIBE_MODEL || DEFAULT_TRANSCRIBE_MODEL,
+        language: env.TRANSCRIBE_LANGUAGE || null,
+    };
+}
+
+/**
+ * 生成 JSON 错误响应。
+ * @param {number} status - 状态码。
+ * @param {string} message - 错误信息。
+ * @returns {Response}
+ */
+function createErrorResponse(status, message) {
+    return new Response(JSON.stringify({ error: message }), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+/**
+ * 处理 POST /api/transcribe。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @param {{id: string, method: string}} user - 当前用户，用于配额计数。
+ * @returns {Promise<Response>}
+ */
+export async function handleTranscribeRequest(request, env, user) {
+    let config;
+    try {
+        config = getTranscribeConfig(env);
+    } catch (error) {
+        return createErrorResponse(500, error.message);
+    }
+    if (!config) {
+        return createErrorResponse(503, 'Speech-to-text is not configured (set TRANSCRIBE_API_BASE_URL or OPENAI_API_KEY).');
+    }
+
+    if (!(request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+        return createErrorResponse(415, 'Unsupported Media Type: Request must be multipart/form-data');
+    }
+    // 先按 Content-Length 拒绝明显过大的请求，避免读取整个请求体
+    if (Number(request.headers.get('Content-Length')) > MAX_AUDIO_BYTES + 64 * 1024) {
+        return createErrorResponse(413, `Audio must not exceed ${MAX_AUDIO_BYTES / 1024 / 1024} MB`);
+    }
+
+    let file;
+    try {
+        file = (await request.formData()).get('file');
+    } catch (e) {
+        return createErrorResponse(400, 'Invalid multipart/form-data in request body');
+    }
+    if (!file || typeof file === 'string') {
+        return createErrorResponse(400, 'Missing "file" in request body');
+    }
+    const mimeType = (file.type || '').split(';')[0].trim().toLowerCase();
+    if (!AUDIO_EXTENSIONS[mimeType]) {
+        return createErrorResponse(400, `Unsupported audio type: ${file.type || 'unknown'}`);
+    }
+    if (file.size > MAX_AUDIO_BYTES) {
+        return createErrorResponse(413, `Audio must not exceed ${MAX_AUDIO_BYTES / 1024 / 1024} MB`);
+    }
+
+    // 录音合法时才计入配额，转发前检查
+    let exceeded;
+    try {
+        exceeded = await checkQuota(getQuotaSubjects(request, user), env);
+    } catch (error) {
+        console.error('Quota check failed:', error);
+        return createErrorResponse(500, error.message);
+    }
+    if (exceeded) {
+        return createQuotaExceededResponse(exceeded);
+    }
+
+    const body = new FormData();
+    body.append('file', file, `recording.${AUDIO_EXTENSIONS[mimeType]}`);
+    body.append('model', config.model);
+    body.append('response_format', 'json');
+    if (config.language) {
+        body.append('language', config.language);
+    }
+
+    // 客户端断开或超时都会中止对转写服务的请求
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TRANSCRIBE_TIMEOUT_MS);
+    const onClientAbort = () => controller.abort();
+    request.signal?.addEventListener('abort', onClientAbort);
+    try {
+        const response = await fetch(config.url, {
+            method: 'POST',
+            headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+            body,
+            signal: controller.signal,
+        });
+        const rawText = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(rawText);
+        } catch (e) {
+            // 非 JSON 的响应按原文处理
+        }
+        if (!response.ok) {
+            const message = data?.error?.message || data?.error || data?.detail || rawText || `HTTP ${response.status}`;
+            console.error(`Transcription backend returned error status ${response.status}:`, rawText);
+            return createErrorResponse(response.status === 429 ? 429 : 502, `Transcription failed: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+        }
+        if (typeof data?.text !== 'string') {
+            console.error('Unexpected transcription response:', rawText);
+            return createErrorResponse(502, 'Unexpected response from transcription backend');
+        }
+        return new Response(JSON.stringify({ text: data.text.trim() }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    } catch (error) {
+        if (request.signal?.aborted) {
+            return new Response(null, { status: 499 });
+        }
+        if (controller.signal.aborted) {
+            return createErrorResponse(504, `Transcription backend did not respond within ${TRANSCRIBE_TIMEOUT_MS / 1000} s`);
+        }
+        console.error('Transcription request failed:', error);
+        return createErrorResponse(502, `Transcription request failed: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+        request.signal?.removeEventListener('abort', onClientAbort);
+    }
+}
@@ -0,0 +1,253 @@
+// =========================================================================
+// 身份验证
+// 通过 AUTH_MODE 选择验证方式 (默认 none，不做验证)：
+//   - token   : 共享访问令牌，请求头 "Authorization: Bearer <令牌>"。
+//               ACCESS_TOKENS 为逗号分隔的令牌列表，或 JSON 对象 {"令牌": "用户名"}
+//   - session : 登录页面 (/login) 签发的会话 Cookie，使用 SESSION_SECRET 以 HMAC-SHA256 签名。
+//               账号在 LOGIN_USERS 中配置: {"alice": "密码"}
+//   - header  : 信任反向代理添加的用户请求头，例如 Cloudflare Access 的
+//               Cf-Access-Authenticated-User-Email (可通过 AUTH_HEADER 修改)。
+//               只有当 Worker 无法绕过代理被直接访问时才安全。
+// =========================================================================
+
+export const AUTH_MODES = ['none', 'token', 'session', 'header'];
+export const SESSION_COOKIE_NAME = 'aiwebchat_session';
+const DEFAULT_AUTH_HEADER = 'Cf-Access-Authenticated-User-Email';
+const DEFAULT_SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+/**
+ * 读取配置的验证方式。
+ * @param {Object} env - 环境变量。
+ * @returns {string} AUTH_MODES 之一。
+ * @throws {Error} 如果配置了未知的验证方式。
+ */
+export function getAuthMode(env) {
+    const mode = (env.AUTH_MODE || 'none').toLowerCase();
+    if (!AUTH_MODES.includes(mode)) {
+        throw new Error(`Server configuration error: unknown AUTH_MODE "${mode}"`);
+    }
+    return mode;
+}
+
+/**
+ * 会话的有效期 (秒)，可通过 SESSION_TTL_SECONDS 覆盖。
+ * @param {Object} env - 环境变量。
+ * @returns {number}
+ */
+export function getSessionTtl(env) {
+    return Number(env.SESSION_TTL_SECONDS) > 0 ? Number(env.SESSION_TTL_SECONDS) : DEFAULT_SESSION_TTL_SECONDS;
+}
+
+/**
+ * 验证请求的身份。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{id: string, method: string}|null>} 用户信息；未通过验证时返回 null。
+ *          AUTH_MODE 为 none 时返回匿名用户 { id: 'anonymous', method: 'none' }。
+ * @throws {Error} 如果验证方式缺少必要的配置。
+ */
+export async function authenticate(request, env) {
+    const mode = getAuthMode(env);
+    switch (mode) {
+        case 'token':
+            return authenticateToken(request, env);
+        case 'session':
+            return authenticateSession(request, env);
+        case 'header': {
+            const user = request.headers.get(env.AUTH_HEADER || DEFAULT_AUTH_HEADER)?.trim();
+            return user ? { id: user, method: 'header' } : null;
+        }
+        default:
+            return { id: 'anonymous', method: 'none' };
+    }
+}
+
+/**
+ * 在固定长度的摘要上比较两个字符串，耗时与内容无关，避免通过响应时间猜测令牌。
+ * @param {string} a - 字符串。
+ * @param {string} b - 字符串。
+ * @returns {Promise<boolean>}
+ */
+export async function timingSafeEqual(a, b) {
+    const [digestA, digestB] = await Promise.all([a, b].map(value => crypto.subtle.digest('SHA-256', encoder.encode(value))));
+    const bytesA = new Uint8Array(digestA);
+    const bytesB = new Uint8Array(digestB);
+    let diff = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+        diff |= bytesA[i] ^ bytesB[i];
+    }
+    return diff === 0;
+}
+
+/**
+ * 读取 ACCESS_TOKENS，统一为 [{ token, user }]。列表写法的用户名由令牌的摘要生成，不会泄露令牌本身。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<Array<{token: string, user: string}>>}
+ * @throws {Error} 如果没有配置任何令牌。
+ */
+async function getAccessTokens(env) {
+    const raw = (env.ACCESS_TOKENS || '').trim();
+    let entries;
+    if (raw.startsWith('{')) {
+        try {
+            entries = Object.entries(JSON.parse(raw)).map(([token, user]) => ({ token, user: String(user) }));
+        } catch (e) {
+            throw new Error('Server configuration error: ACCESS_TOKENS is not valid JSON.');
+        }
+    } else {
+        entries = await Promise.all(raw.split(',').map(token => token.trim()).filter(Boolean).map(async token => {
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token)));
+            const hex = [...digest.slice(0, 4)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            return { token, user: `token-${hex}` };
+        }));
+    }
+    if (entries.length === 0) {
+        throw new Error('Server configuration error: ACCESS_TOKENS is not set for AUTH_MODE "token".');
+    }
+    return entries;
+}
+
+/**
+ * 验证 Authorization 请求头中的访问令牌。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{id: string, method: string}|null>}
+ */
+async function authenticateToken(request, env) {
+    const tokens = await getAccessTokens(env);
+    const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return null;
+    }
+    // 与每个令牌都比较一次，不提前返回
+    let user = null;
+    for (const entry of tokens) {
+        if (await timingSafeEqual(match[1].trim(), entry.token)) {
+            user = entry.user;
+        }
+    }
+    return user ? { id: user, method: 'token' } : null;
+}
+
+/**
+ * base64url 编码。
+ * @param {Uint8Array} bytes - 字节。
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url 解码。
+ * @param {string} text - base64url 字符串。
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+}
+
+/**
+ * 导入会话签名密钥。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} 如果没有配置 SESSION_SECRET。
+ */
+function getSessionKey(env) {
+    if (!env.SESSION_SECRET) {
+        throw new Error('Server configuration error: SESSION_SECRET is not set for AUTH_MODE "session".');
+    }
+    return crypto.subtle.importKey('raw', encoder.encode(env.SESSION_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * 签发会话令牌: base64url(JSON { sub, exp }) + "." + base64url(HMAC 签名)。
+ * @param {string} userId - 用户名。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<string>}
+ */
+export async function createSessionToken(userId, env) {
+    const payload = toBase64Url(encoder.encode(JSON.stringify({ sub: userId, exp: Math.floor(Date.now() / 1000) + getSessionTtl(env) })));
+    const signature = await crypto.subtle.sign('HMAC', await getSessionKey(env), encoder.encode(payload));
+    return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * 校验会话令牌的签名和有效期。
+ * @param {string} token - 会话令牌。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<string|null>} 用户名；无效或已过期时返回 null。
+ */
+export async function verifySessionToken(token, env) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+    try {
+        const valid = await crypto.subtle.verify('HMAC', await getSessionKey(env), fromBase64Url(signature), encoder.encode(payload));
+        if (!valid) {
+            return null;
+        }
+        const { sub, exp } = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        return typeof sub === 'string' && exp > Date.now() / 1000 ? sub : null;
+    } catch (e) {
+        if (e.message.startsWith('Server configuration error')) {
+            throw e;
+        }
+        return null; // 格式错误的令牌
+    }
+}
+
+/**
+ * 从 Cookie 请求头中读取指定的 Cookie。
+ * @param {Request} request - 请求对象。
+ * @param {string} name - Cookie 名称。
+ * @returns {string|null}
+ */
+export function getCookie(request, name) {
+    for (const part of (request.headers.get('Cookie') || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return part.slice(index + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * 验证会话 Cookie。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{id: string, method: string}|null>}
+ */
+async function authenticateSession(request, env) {
+    const userId = await verifySessionToken(getCookie(request, SESSION_COOKIE_NAME), env);
+    return userId ? { id: userId, method: 'session' } : null;
+}
+
+/**
+ * 校验登录页面提交的用户名和密码 (LOGIN_USERS)。
+ * @param {string} username - 用户名。
+ * @param {string} password - 密码。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<boolean>}
+ * @throws {Error} 如果 LOGIN_USERS 没有配置或不是合法的 JSON 对象。
+ */
+export async function verifyLogin(username, password, env) {
+    let users;
+    try {
+        users = JSON.parse(env.LOGIN_USERS || 'null');
+    } catch (e) {
+        throw new Error('Server configuration error: LOGIN_USERS is not valid JSON.');
+    }
+    if (!users || typeof users !== 'object' || Array.isArray(users)) {
+        throw new Error('Server configuration error: LOGIN_USERS must be a JSON object of usernames and passwords.');
+    }
+    const expected = Object.prototype.hasOwnProperty.call(users, username) ? String(users[username]) : null;
+    // 用户不存在时也做一次比较，避免通过响应时间判断用户名是否存在
+    const matches = await timingSafeEqual(String(password), expected ?? `\u0000${password}`);
+    return expected !== null && matches;
+}
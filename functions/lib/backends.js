@@ -0,0 +1,151 @@
+// =========================================================================
+// 命名后端
+// 环境变量 BACKENDS 配置任意数量的 OpenAI 兼容服务 (包括多台 Ollama 服务器)，格式为 JSON 数组：
+//   [{"id": "lab", "label": "实验室 Ollama", "type": "ollama", "baseUrl": "http://192.168.1.100:11434",
+//     "models": ["llama3", {"id": "qwen2.5vl", "vision": true, "contextLength": 32768}]},
+//    {"id": "vllm", "baseUrl": "https://vllm.example.com/v1", "apiKey": "sk-...", "models": ["qwen3-32b"]}]
+// 客户端以 "后端ID/模型名" 的形式指定模型，例如 "lab/llama3"。服务地址只来自这里的配置，
+// 客户端无法让 Worker 请求任意地址。type 为 ollama 时 baseUrl 是服务根地址 (自动加上 /v1)，
+// 未列出 models 时从 /api/tags 发现；其余类型的 baseUrl 以 /v1 结尾，必须列出 models。
+// =========================================================================
+
+import { PROVIDERS } from './providers/index.js';
+
+// 后端类型与对应的供应商适配器
+const BACKEND_TYPES = [PROVIDERS.OPENAI_COMPATIBLE, PROVIDERS.OLLAMA];
+
+// 后端 ID 只能包含字母、数字、下划线和连字符，不能包含 "/"
+const BACKEND_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+// 模型名称：Ollama 的 "qwen3:14b"、Hugging Face 风格的 "org/model" 等
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:@+\/-]{0,255}$/;
+
+/**
+ * 校验并规范化后端的服务地址：只允许 http/https，不允许在地址中携带账号密码。
+ * @param {string} id - 后端 ID，用于错误信息。
+ * @param {*} baseUrl - 配置的服务地址。
+ * @returns {string} 去掉末尾斜杠的地址。
+ * @throws {Error} 如果地址不合法。
+ */
+function normalizeBaseUrl(id, baseUrl) {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (e) {
+        throw new Error(`Server configuration error: backend "${id}" has an invalid baseUrl.`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+        throw new Error(`Server configuration error: backend "${id}" baseUrl must be an http(s) URL without credentials.`);
+    }
+    return url.toString().replace(/\/+$/, '');
+}
+
+/**
+ * 规范化后端中配置的模型。
+ * @param {string} id - 后端 ID，用于错误信息。
+ * @param {string|Object} model - 模型名称，或 { id, label, vision, contextLength, maxOutputTokens }。
+ * @returns {{name: string, label: string, vision?: boolean, contextLength?: number, maxOutputTokens?: number}}
+ * @throws {Error} 如果模型名称不合法。
+ */
+function normalizeBackendModel(id, model) {
+    const options = typeof model === 'string' ? { id: model } : model || {};
+    if (typeof options.id !== 'string' || !MODEL_NAME_PATTERN.test(options.id)) {
+        throw new Error(`Server configuration error: backend "${id}" has an invalid model name.`);
+    }
+    return {
+        name: options.id,
+        label: options.label || options.id,
+        ...(options.vision !== undefined ? { vision: Boolean(options.vision) } : {}),
+        ...(options.contextLength ? { contextLength: Number(options.contextLength) } : {}),
+        ...(options.maxOutputTokens ? { maxOutputTokens: Number(options.maxOutputTokens) } : {}),
+    };
+}
+
+/**
+ * 读取 BACKENDS 中配置的后端。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<{id: string, label: string, type: string, baseUrl: string, apiBaseUrl: string, apiKey: string|null, models: Array<Object>|null}>}
+ *          apiBaseUrl 是 OpenAI 兼容接口的地址 (以 /v1 结尾)；models 为 null 表示从 Ollama 发现模型。
+ * @throws {Error} 如果配置不合法。
+ */
+export function getBackends(env) {
+    if (!env.BACKENDS) {
+        return [];
+    }
+
+    let backends;
+    try {
+        backends = JSON.parse(env.BACKENDS);
+    } catch (e) {
+        throw new Error('Server configuration error: BACKENDS is not valid JSON.');
+    }
+    if (!Array.isArray(backends)) {
+        throw new Error('Server configuration error: BACKENDS must be a JSON array.');
+    }
+
+    const seen = new Set();
+    return backends.map(backend => {
+        const { id, label, type = PROVIDERS.OPENAI_COMPATIBLE, baseUrl, apiKey, models } = backend || {};
+        if (typeof id !== 'string' || !BACKEND_ID_PATTERN.test(id)) {
+            throw new Error('Server configuration error: every backend in BACKENDS needs an "id" of letters, digits, "_" or "-".');
+        }
+        if (seen.has(id)) {
+            throw new Error(`Server configuration error: duplicate backend id "${id}" in BACKENDS.`);
+        }
+        seen.add(id);
+        if (!BACKEND_TYPES.includes(type)) {
+            throw new Error(`Server configuration error: backend "${id}" has unsupported type "${type}".`);
+        }
+        if (models !== undefined && !Array.isArray(models)) {
+            throw new Error(`Server configuration error: backend "${id}" models must be an array.`);
+        }
+        if (models === undefined && type !== PROVIDERS.OLLAMA) {
+            throw new Error(`Server configuration error: backend "${id}" must list its models.`);
+        }
+
+        const normalizedUrl = normalizeBaseUrl(id, baseUrl);
+        return {
+            id,
+            label: label || id,
+            type,
+            baseUrl: normalizedUrl,
+            apiBaseUrl: type === PROVIDERS.OLLAMA ? `${normalizedUrl}/v1` : normalizedUrl,
+            apiKey: typeof apiKey === 'string' && apiKey ? apiKey : null,
+            models: models ? models.map(model => normalizeBackendModel(id, model)) : null,
+        };
+    });
+}
+
+/**
+ * 拆分 "后端ID/模型名" 形式的模型 ID。
+ * @param {string} modelId - 模型 ID。
+ * @returns {{backendId: string, name: string}|null} 不是这种形式时返回 null。
+ */
+export function parseBackendModelId(modelId) {
+    const index = modelId.indexOf('/');
+    if (index === -1) {
+        return null;
+    }
+    const backendId = modelId.slice(0, index);
+    const name = modelId.slice(index + 1);
+    return BACKEND_ID_PATTERN.test(backendId) && MODEL_NAME_PATTERN.test(name) ? { backendId, name } : null;
+}
+
+/**
+ * 生成后端模型在目录中的条目。backend 字段只给出后端 ID 和名称，不包含地址和 API Key。
+ * @param {Object} backend - getBackends 返回的后端。
+ * @param {Object} model - 规范化后的模型 (见 normalizeBackendModel)。
+ * @returns {Object}
+ */
+export function toCatalogEntry(backend, model) {
+    return {
+        id: `${backend.id}/${model.name}`,
+        label: model.label,
+        provider: backend.type,
+        backend: backend.id,
+        backendLabel: backend.label,
+        upstreamModel: model.name,
+        ...(model.vision !== undefined ? { vision: model.vision } : {}),
+        ...(model.contextLength ? { contextLength: model.contextLength } : {}),
+        ...(model.maxOutputTokens ? { maxOutputTokens: model.maxOutputTokens } : {}),
+    };
+}
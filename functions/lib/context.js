@@ -0,0 +1,114 @@
+// =========================================================================
+// 上下文窗口管理
+// 按模型估算每条消息的 token 数，当对话超出模型的上下文长度时，从最早的轮次开始裁剪。
+// 这里只做估算和裁剪计划，不发起网络请求；用摘要替代被裁剪轮次的逻辑在 chat.js 中。
+// =========================================================================
+
+// 每条消息的格式开销 (角色标记、分隔符等)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// 各供应商对一张图片计费的大致 token 数 (按前端缩放后的尺寸估算)
+const IMAGE_TOKENS_BY_PROVIDER = {
+    gemini: 258,
+    openai: 765,
+    anthropic: 1600,
+    ollama: 576,
+};
+const DEFAULT_IMAGE_TOKENS = 1000;
+// 未指定 max_tokens 时为回复预留的 token 数
+const DEFAULT_RESERVED_OUTPUT_TOKENS = 4096;
+// 估算存在误差，只使用上下文长度的 95%
+const CONTEXT_SAFETY_RATIO = 0.95;
+
+// 中日韩文字大约每个字符一个 token，其余文本 (英文、代码等) 大约每 4 个字符一个 token
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+/**
+ * 估算一段文本的 token 数。
+ * @param {string} text - 文本。
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    const cjkCount = (text.match(CJK_PATTERN) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 估算一条统一格式消息的 token 数 (文本 + 图片 + 原文件 + 工具调用 + 格式开销)。
+ * @param {{content: string, images: Array<Object>, documents?: Array<Object>, toolCalls?: Array<Object>}} message - 消息。
+ *        原文件 (documents) 的 token 数在展开附件时已经估算好 (见 files.js)。
+ * @param {string} provider - 供应商标识，不同供应商对图片的计费不同。
+ * @returns {number}
+ */
+export function estimateMessageTokens(message, provider) {
+    const imageTokens = IMAGE_TOKENS_BY_PROVIDER[provider] ?? DEFAULT_IMAGE_TOKENS;
+    const toolCallTokens = (message.toolCalls || []).reduce((sum, call) => sum + estimateTextTokens(call.name) + estimateTextTokens(call.arguments), 0);
+    const documentTokens = (message.documents || []).reduce((sum, doc) => sum + doc.tokens, 0);
+    return MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(message.content) + message.images.length * imageTokens + documentTokens + toolCallTokens;
+}
+
+/**
+ * 计算发送给模型的消息可以使用的 token 预算：上下文长度减去为回复预留的部分。
+ * 上下文长度未知时 (目录中没有且未配置 DEFAULT_CONTEXT_LENGTH) 返回 null，表示不裁剪。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @param {Object} params - 已校验的生成参数。
+ * @param {Object} env - 环境变量。
+ * @returns {{limit: number, budget: number}|null} limit 为模型的上下文长度。
+ */
+export function getContextBudget(modelInfo, params, env) {
+    const limit = modelInfo.contextLength || Number(env.DEFAULT_CONTEXT_LENGTH) || null;
+    if (!limit) {
+        return null;
+    }
+    const reserved = params.max_tokens ?? Math.min(DEFAULT_RESERVED_OUTPUT_TOKENS, modelInfo.maxOutputTokens || DEFAULT_RESERVED_OUTPUT_TOKENS);
+    return { limit, budget: Math.floor(limit * CONTEXT_SAFETY_RATIO) - reserved };
+}
+
+/**
+ * 在预算内保留尽可能多的最近轮次。system 消息和最后一轮 (最后一条用户消息及其后的工具调用和结果) 总是保留；
+ * 其余消息从最早的开始按整轮 (一条用户消息及其后的回复) 裁剪，避免留下没有问题的回答。
+ * @param {Array<Object>} messages - 统一格式的消息。
+ * @param {number} budget - token 预算。
+ * @param {string} provider - 供应商标识。
+ * @returns {{messages: Array<Object>, trimmed: Array<Object>, tokens: number}}
+ *          messages 为保留的消息 (顺序不变)，trimmed 为被裁剪的消息，tokens 为保留消息的估算 token 数。
+ * @throws {Error} 如果仅 system 消息和最后一轮就已超出预算。
+ */
+export function fitToContextWindow(messages, budget, provider) {
+    const counts = messages.map(msg => estimateMessageTokens(msg, provider));
+    let tokens = counts.reduce((sum, count) => sum + count, 0);
+    if (tokens <= budget) {
+        return { messages, trimmed: [], tokens };
+    }
+
+    // 最后一轮从最后一条用户消息开始 (没有用户消息时只保留最后一条消息)，工具调用和结果必须成对保留
+    const lastUserIndex = messages.map(msg => msg.role).lastIndexOf('user');
+    const lastIndex = lastUserIndex === -1 ? messages.length - 1 : lastUserIndex;
+    const required = counts.reduce((sum, count, i) => messages[i].role === 'system' || i >= lastIndex ? sum + count : sum, 0);
+    if (required > budget) {
+        throw new Error(`The message is too long for the model's context window (about ${required} tokens, budget ${budget})`);
+    }
+
+    // 从最早的非 system 消息开始裁剪，直到放得下，然后继续裁剪到下一条用户消息之前，保证轮次完整
+    const dropped = new Set();
+    for (let i = 0; i < lastIndex && tokens > budget; i++) {
+        if (messages[i].role !== 'system') {
+            dropped.add(i);
+            tokens -= counts[i];
+        }
+    }
+    for (let i = Math.max(...dropped) + 1; i < lastIndex && messages[i].role !== 'user'; i++) {
+        if (messages[i].role !== 'system') {
+            dropped.add(i);
+            tokens -= counts[i];
+        }
+    }
+
+    return {
+        messages: messages.filter((msg, i) => !dropped.has(i)),
+        trimmed: messages.filter((msg, i) => dropped.has(i)),
+        tokens,
+    };
+}
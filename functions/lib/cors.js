@@ -0,0 +1,82 @@
+// =========================================================================
+// 跨域 (CORS)
+// CORS_ALLOWED_ORIGINS 为逗号分隔的来源列表，例如 "https://chat.example.com,http://localhost:8788"。
+// 未配置时只允许同源访问 (不返回任何 CORS 响应头)；配置为 "*" 时允许任意来源，但不携带 Cookie。
+// 各接口在响应中写的 Access-Control-Allow-Origin 都会在这里按允许列表统一改写。
+// =========================================================================
+
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-Request-ID, Last-Event-ID';
+const PREFLIGHT_MAX_AGE = 86400;
+
+/**
+ * 读取允许的来源列表。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<string>}
+ */
+function getAllowedOrigins(env) {
+    return (env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+/**
+ * 计算请求来源对应的 Access-Control-Allow-Origin，不允许时返回 null。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {string|null}
+ */
+function getAllowOrigin(request, env) {
+    const origin = request.headers.get('Origin');
+    const allowed = getAllowedOrigins(env);
+    if (allowed.includes('*')) {
+        return '*';
+    }
+    return origin && allowed.includes(origin) ? origin : null;
+}
+
+/**
+ * 处理 OPTIONS 预检请求。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Response}
+ */
+export function handlePreflight(request, env) {
+    const allowOrigin = getAllowOrigin(request, env);
+    if (!allowOrigin) {
+        return new Response(null, { status: 403, headers: { 'Vary': 'Origin' } });
+    }
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': allowOrigin,
+            'Access-Control-Allow-Methods': ALLOWED_METHODS,
+            'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+            'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE),
+            ...(allowOrigin !== '*' ? { 'Access-Control-Allow-Credentials': 'true' } : {}),
+            'Vary': 'Origin',
+        }
+    });
+}
+
+/**
+ * 按允许列表改写响应的 CORS 响应头。
+ * @param {Response} response - 接口返回的响应。
+ * @param {Request} request - 请求对象。
+ * @param {Object} env - 环境变量。
+ * @returns {Response} 新的响应 (响应体不变)。
+ */
+export function applyCors(response, request, env) {
+    // fetch 得到的响应头是只读的，复制一份再修改
+    const result = new Response(response.body, response);
+    const allowOrigin = getAllowOrigin(request, env);
+    result.headers.delete('Access-Control-Allow-Origin');
+    result.headers.append('Vary', 'Origin');
+    if (!allowOrigin) {
+        result.headers.delete('Access-Control-Expose-Headers');
+        return result;
+    }
+    result.headers.set('Access-Control-Allow-Origin', allowOrigin);
+    if (allowOrigin !== '*') {
+        result.headers.set('Access-Control-Allow-Credentials', 'true');
+    }
+    return result;
+}
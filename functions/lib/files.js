@@ -0,0 +1,206 @@
+// =========================================================================
+// 文件附件 (纯文本、Markdown、源代码、PDF)
+// 文本由前端提取，随用户消息的 files 字段发送：
+//   { name: "report.pdf", type: "application/pdf", size: 123456, pages: 12, text: "...", data: "<base64>" }
+// data 只用于 PDF (原文件的 base64)，支持直接读取该类型的供应商 (适配器的 documentTypes) 收到原文件；
+// 其余情况把文本插入用户消息，每个文件用 <file> 标签标明边界，较长的文本按段落切分为多个部分：
+//   <file name="report.pdf" pages="12" part="1/3">
+//   ...
+//   </file>
+// 插入后的文本和原文件都计入上下文窗口的估算 (见 context.js)。
+// 原文件只随最新一条用户消息发送，与图片一起计入请求的内联数据上限 (MAX_REQUEST_INLINE_BYTES)；
+// 较早轮次的文件只发送文本，否则对话中的每个 PDF 在之后的每一轮都会被重新发送。
+// =========================================================================
+
+import { estimateTextTokens } from './context.js';
+
+export const MAX_FILES_PER_MESSAGE = 8;
+// 单个文件的文本长度上限 (字符数)，与前端的限制相同；实际能发送多少由模型的上下文长度决定
+export const MAX_FILE_TEXT_LENGTH = 1000000;
+// 单个原文件的大小上限
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+// 一个请求中内联数据 (图片和原文件) 的总大小上限。Gemini 的整个请求不能超过 20 MB，
+// 内联数据按 base64 编码发送，14 MB 编码后约 18.7 MB，为消息文本留出余量
+export const MAX_REQUEST_INLINE_BYTES = 14 * 1024 * 1024;
+const MAX_FILE_NAME_LENGTH = 255;
+// 文本每个部分的长度上限 (字符数)，尽量在段落或行的边界处切分
+const FILE_CHUNK_LENGTH = 8000;
+// Gemini 对 PDF 每页按固定的 token 数计费
+const DOCUMENT_PAGE_TOKENS = 258;
+
+/**
+ * 校验并规范化一条消息中的文件附件。
+ * @param {*} files - 消息中的 files 字段。
+ * @returns {Array<{name: string, mimeType: string, size: number|null, pages: number|null, text: string, data: string|null}>}
+ * @throws {Error} 如果文件不合法。
+ */
+export function normalizeFileAttachments(files) {
+    if (!Array.isArray(files)) {
+        throw new Error('"files" must be an array');
+    }
+    if (files.length > MAX_FILES_PER_MESSAGE) {
+        throw new Error(`Too many files: at most ${MAX_FILES_PER_MESSAGE} files are allowed per message`);
+    }
+    return files.map(file => {
+        if (!file || typeof file.name !== 'string' || !file.name || file.name.length > MAX_FILE_NAME_LENGTH) {
+            throw new Error('Invalid file: every file needs a "name"');
+        }
+        if (typeof file.text !== 'string') {
+            throw new Error(`Invalid file "${file.name}": missing "text"`);
+        }
+        if (file.text.length > MAX_FILE_TEXT_LENGTH) {
+            throw new Error(`File "${file.name}" is too long (max ${MAX_FILE_TEXT_LENGTH} characters)`);
+        }
+        const mimeType = typeof file.type === 'string' && file.type ? file.type.toLowerCase() : 'text/plain';
+        let data = null;
+        if (file.data !== undefined && file.data !== null) {
+            if (mimeType !== 'application/pdf' || typeof file.data !== 'string' || !/^[A-Za-z0-9+/=]+$/.test(file.data)) {
+                throw new Error(`Invalid file "${file.name}": "data" must be a base64 encoded PDF`);
+            }
+            if (getDecodedSize(file.data) > MAX_DOCUMENT_BYTES) {
+                throw new Error(`File "${file.name}" is too large (max ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB)`);
+            }
+            data = file.data;
+        }
+        return {
+            name: file.name,
+            mimeType,
+            size: Number.isFinite(file.size) ? file.size : null,
+            pages: Number.isInteger(file.pages) && file.pages > 0 ? file.pages : null,
+            text: file.text,
+            data,
+        };
+    });
+}
+
+/**
+ * base64 数据解码后的字节数 (每 4 个字符对应 3 个字节)。
+ * @param {string} data - base64 数据。
+ * @returns {number}
+ */
+function getDecodedSize(data) {
+    return Math.floor(data.length * 3 / 4);
+}
+
+/**
+ * 一条消息中内联数据的字节数：图片，以及原文件 (展开前的 files 或展开后的 documents)。
+ * @param {Object} msg - 统一格式的消息。
+ * @returns {number}
+ */
+export function getInlineBytes(msg) {
+    const documents = [...(msg.files || []), ...(msg.documents || [])];
+    return (msg.images || []).reduce((sum, img) => sum + img.size, 0)
+        + documents.reduce((sum, doc) => sum + (doc.data ? getDecodedSize(doc.data) : 0), 0);
+}
+
+/**
+ * 限制请求中的原文件：较早轮次的文件去掉原文件 (data)，只保留提取的文本；
+ * 最新一条用户消息中的图片和原文件总大小不能超过 MAX_REQUEST_INLINE_BYTES。
+ * @param {Array<Object>} messages - normalizeMessages 生成的消息。
+ * @returns {Array<Object>} 处理后的消息 (不会修改传入的数组)。
+ * @throws {Error} 如果最新一条用户消息中的图片和原文件过大。
+ */
+export function applyDocumentBudget(messages) {
+    const latestUserIndex = messages.findLastIndex(msg => msg.role === 'user');
+    if (latestUserIndex >= 0 && getInlineBytes(messages[latestUserIndex]) > MAX_REQUEST_INLINE_BYTES) {
+        throw new Error(`Attachments are too large: at most ${MAX_REQUEST_INLINE_BYTES / 1024 / 1024} MB of images and PDF data per message`);
+    }
+    return messages.map((msg, index) => {
+        if (index === latestUserIndex || !msg.files?.some(file => file.data)) {
+            return msg;
+        }
+        return { ...msg, files: msg.files.map(file => ({ ...file, data: null })) };
+    });
+}
+
+/**
+ * 把文本切分为不超过 maxLength 的部分，优先在空行处切分，其次是换行。
+ * @param {string} text - 文本。
+ * @param {number} maxLength - 每部分的长度上限。
+ * @returns {Array<string>}
+ */
+function splitIntoChunks(text, maxLength) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > maxLength) {
+        const window = rest.slice(0, maxLength);
+        let end = window.lastIndexOf('\n\n');
+        if (end < maxLength / 2) {
+            end = window.lastIndexOf('\n');
+        }
+        if (end < maxLength / 2) {
+            end = maxLength;
+        }
+        chunks.push(rest.slice(0, end).trim());
+        rest = rest.slice(end);
+    }
+    chunks.push(rest.trim());
+    return chunks.filter(Boolean);
+}
+
+/**
+ * 生成 <file> 标签的属性。文件名中的引号和尖括号会被替换，避免破坏边界。
+ * @param {Object} file - 规范化后的文件。
+ * @param {Object<string, string>} [extra] - 额外的属性。
+ * @returns {string}
+ */
+function formatFileAttributes(file, extra = {}) {
+    const attributes = {
+        name: file.name.replace(/["<>]/g, '_'),
+        ...(file.pages ? { pages: String(file.pages) } : {}),
+        ...extra,
+    };
+    return Object.entries(attributes).map(([key, value]) => `${key}="${value}"`).join(' ');
+}
+
+/**
+ * 把一个文件的文本格式化为带边界的文本块。
+ * @param {Object} file - 规范化后的文件。
+ * @returns {string}
+ */
+export function formatFileText(file) {
+    const chunks = splitIntoChunks(file.text, FILE_CHUNK_LENGTH);
+    if (chunks.length === 0) {
+        return `<file ${formatFileAttributes(file)}>\n(未能从该文件中提取到文本)\n</file>`;
+    }
+    return chunks.map((chunk, index) => {
+        const part = chunks.length > 1 ? { part: `${index + 1}/${chunks.length}` } : {};
+        return `<file ${formatFileAttributes(file, part)}>\n${chunk}\n</file>`;
+    }).join('\n\n');
+}
+
+/**
+ * 为当前供应商展开消息中的文件附件：支持的类型作为原文件 (documents) 发送，其余把文本插入消息内容 (放在用户的文字之前)。
+ * @param {Array<Object>} messages - 统一格式的消息，用户消息可能带有 files。
+ * @param {import('./providers/index.js').ProviderAdapter} adapter - 供应商适配器。
+ * @returns {Array<Object>} 不再带有 files 的消息；原文件在 documents 中 ({ name, mimeType, data, tokens })。
+ */
+export function expandFileAttachments(messages, adapter) {
+    return messages.map(msg => {
+        if (!msg.files?.length) {
+            return msg;
+        }
+        const { files, ...rest } = msg;
+        const blocks = [];
+        const documents = [];
+        for (const file of files) {
+            if (file.data && adapter.documentTypes?.includes(file.mimeType)) {
+                // 原文件由模型自己读取，文本中只标明文件名，便于用户在提问中引用
+                blocks.push(`<file ${formatFileAttributes(file, { attached: 'inline' })} />`);
+                documents.push({
+                    name: file.name,
+                    mimeType: file.mimeType,
+                    data: file.data,
+                    tokens: file.pages ? file.pages * DOCUMENT_PAGE_TOKENS : estimateTextTokens(file.text),
+                });
+            } else {
+                blocks.push(formatFileText(file));
+            }
+        }
+        return {
+            ...rest,
+            content: [...blocks, msg.content].filter(Boolean).join('\n\n'),
+            ...(documents.length > 0 ? { documents: [...(msg.documents || []), ...documents] } : {}),
+        };
+    });
+}
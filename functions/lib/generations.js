@@ -0,0 +1,241 @@
+// =========================================================================
+// 可恢复的流式生成
+// 流式的 /api/chat 请求分配一个生成 ID (响应头 X-Generation-ID)，输出的每个 SSE 事件带有递增的 id。
+// 事件同时分批写入 env.STREAM_STORE 存储绑定 (接口见 functions/lib/storage.js)：
+//   generation:<id>          { userId, headers, status, chunks, events, updatedAt }
+//                            status 为 streaming、done、failed (上游中途出错) 或 cancelled
+//   generation:<id>:<n>      第 n 批事件 [{ id, event?, data }]
+//   generation:<id>:cancel   客户端停止生成时写入 (DELETE /api/chat/:id)
+// 客户端断开后生成仍在后台继续 (ctx.waitUntil)，重新连接时带上 Last-Event-ID 请求 GET /api/chat/:id/stream，
+// 先重放之后的事件，再跟随仍在进行的生成直到结束。没有绑定 STREAM_STORE 时不启用 (每个流式请求每秒都要写入存储)，
+// 客户端断开即取消上游请求。
+// KV 对同一个键每秒最多写一次，所以事件按 FLUSH_INTERVAL_MS 合并写入；重新连接最多重放到上一次写入为止，
+// 之后的事件随轮询陆续送达。Workers 在响应结束后只会把 waitUntil 延长有限的时间，
+// 客户端断开后特别长的生成仍可能被中断，此时状态为 failed。
+// =========================================================================
+
+import { createSSEParser, encodeSSE } from './sse.js';
+
+const FLUSH_INTERVAL_MS = 1000;
+const POLL_INTERVAL_MS = 1000;
+// 检查停止标记的间隔：单独计时，上游长时间没有输出 (或正在执行工具) 时也能及时停止
+const CANCEL_CHECK_INTERVAL_MS = 1000;
+// 重新连接后等待新事件的上限：生成的 Worker 已经被终止时，状态不会再更新
+const REPLAY_IDLE_TIMEOUT_MS = 30000;
+// 生成记录的保存时间 (秒)，足够覆盖断网重连和刷新页面
+const GENERATION_TTL_SECONDS = 3600;
+const GENERATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 获取保存生成事件的存储绑定。只使用单独的 STREAM_STORE，只为分享配置了 CHAT_STORE 的部署不会因此开始写入事件。
+ * @param {Object} env - 环境变量。
+ * @returns {Object|null} 没有绑定 STREAM_STORE 时返回 null (不启用可恢复的流)。
+ */
+export function getGenerationStore(env) {
+    return env.STREAM_STORE || null;
+}
+
+/**
+ * 读取生成记录。ID 不合法、记录不存在 (或已过期) 或不属于当前用户时返回 null。
+ * @param {Object} store - 存储绑定。
+ * @param {string} id - 生成 ID。
+ * @param {{id: string}} user - 当前用户。
+ * @returns {Promise<Object|null>}
+ */
+export async function getGeneration(store, id, user) {
+    if (!GENERATION_ID_PATTERN.test(id)) {
+        return null;
+    }
+    const meta = await store.get(`generation:${id}`, 'json');
+    return meta && meta.userId === user.id ? meta : null;
+}
+
+/**
+ * 请求停止一个生成。正在记录这个生成的 Worker 定时检查标记 (CANCEL_CHECK_INTERVAL_MS)，看到后中止上游请求。
+ * @param {Object} store - 存储绑定。
+ * @param {string} id - 生成 ID。
+ * @returns {Promise<void>}
+ */
+export async function cancelGeneration(store, id) {
+    await store.put(`generation:${id}:cancel`, '1', { expirationTtl: GENERATION_TTL_SECONDS });
+}
+
+/**
+ * 记录一个流式生成：给每个事件加上 id 后转发给客户端，同时分批写入存储。
+ * 客户端断开后继续读取上游，直到生成结束或被停止。
+ * @param {Object} options
+ * @param {ReadableStream} options.source - 发给客户端的 SSE 流 (已经过 usage 统计)。
+ * @param {Object} options.store - 存储绑定。
+ * @param {string} options.id - 生成 ID。
+ * @param {{id: string}} options.user - 当前用户，只有同一个用户可以重新连接。
+ * @param {Object<string, string>} options.headers - 重新连接时一并返回的响应头 (X-Served-By、上下文用量等)。
+ * @param {AbortController} options.upstream - 上游请求的中止控制器，停止生成时调用。
+ * @param {Object} [options.ctx] - 执行上下文 (用于 waitUntil)。
+ * @returns {ReadableStream} 发给客户端的流。
+ */
+export function recordGeneration({ source, store, id, user, headers, upstream, ctx }) {
+    const decoder = new TextDecoder();
+    const metaKey = `generation:${id}`;
+    const options = { expirationTtl: GENERATION_TTL_SECONDS };
+    let client = null; // 客户端断开后为 null
+    let eventId = 0;
+    let pending = []; // 还没有写入存储的事件
+    let chunks = 0;
+    let lastFlushAt = 0;
+    let writes = Promise.resolve(); // 写入按顺序进行，不阻塞转发
+
+    const output = new ReadableStream({
+        start(controller) {
+            client = controller;
+        },
+        cancel() {
+            client = null;
+        },
+    });
+
+    const parser = createSSEParser(({ event, data }) => {
+        eventId += 1;
+        pending.push({ id: eventId, ...(event ? { event } : {}), data });
+        if (client) {
+            client.enqueue(encodeSSE(data, event || undefined, eventId));
+        }
+    });
+
+    /**
+     * 写入新的一批事件和生成状态。
+     * @param {string} status - 生成状态。
+     * @returns {Promise<void>}
+     */
+    function flush(status) {
+        const batch = pending;
+        pending = [];
+        lastFlushAt = Date.now();
+        writes = writes.then(async () => {
+            if (batch.length > 0) {
+                await store.put(`${metaKey}:${chunks}`, JSON.stringify(batch), options);
+                chunks += 1;
+            }
+            await store.put(metaKey, JSON.stringify({ userId: user.id, headers, status, chunks, events: eventId, updatedAt: Date.now() }), options);
+        }).catch(error => console.error(`Failed to save events of generation ${id}:`, error));
+        return writes;
+    }
+
+    // 不依赖上游的输出：等待上游期间读取不会返回，只能由定时器发现停止请求
+    let checkingCancel = false;
+    const cancelTimer = setInterval(async () => {
+        if (checkingCancel || upstream.signal.aborted) {
+            return;
+        }
+        checkingCancel = true;
+        try {
+            if (await store.get(`${metaKey}:cancel`)) {
+                upstream.abort();
+            }
+        } catch (error) {
+            console.error(`Failed to check whether generation ${id} was cancelled:`, error);
+        } finally {
+            checkingCancel = false;
+        }
+    }, CANCEL_CHECK_INTERVAL_MS);
+
+    const recording = (async () => {
+        flush('streaming');
+        const reader = source.getReader();
+        let status = 'done';
+        let failure = null;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                parser.push(decoder.decode(value, { stream: true }));
+                if (Date.now() - lastFlushAt >= FLUSH_INTERVAL_MS) {
+                    flush('streaming');
+                }
+            }
+            parser.push(decoder.decode());
+            parser.flush();
+        } catch (error) {
+            status = upstream.signal.aborted ? 'cancelled' : 'failed';
+            failure = error;
+        } finally {
+            clearInterval(cancelTimer);
+        }
+        await flush(status);
+        if (!client) {
+            return;
+        }
+        if (failure) {
+            client.error(failure);
+        } else {
+            client.close();
+        }
+    })();
+    ctx?.waitUntil?.(recording);
+    return output;
+}
+
+/**
+ * 创建重新连接时返回的流：重放 lastEventId 之后已经保存的事件，再轮询存储跟随仍在进行的生成。
+ * 生成中途失败 (或长时间没有新事件) 时以一个错误事件结束。
+ * @param {Object} store - 存储绑定。
+ * @param {string} id - 生成 ID。
+ * @param {Object} meta - getGeneration 读取的生成记录。
+ * @param {number} lastEventId - 客户端收到的最后一个事件的 id，0 表示从头重放。
+ * @returns {ReadableStream}
+ */
+export function createReplayStream(store, id, meta, lastEventId) {
+    let cancelled = false;
+    let timer = null;
+    const sleep = ms => new Promise(resolve => {
+        timer = setTimeout(resolve, ms);
+    });
+
+    return new ReadableStream({
+        async start(controller) {
+            let current = meta;
+            let sentChunks = 0;
+            let lastId = lastEventId;
+            let idleSince = Date.now();
+            try {
+                while (!cancelled) {
+                    while (sentChunks < current.chunks) {
+                        const events = await store.get(`generation:${id}:${sentChunks}`, 'json');
+                        if (!events) {
+                            break; // 存储还没有同步到这一批，下一轮再读
+                        }
+                        for (const event of events.filter(candidate => candidate.id > lastId)) {
+                            controller.enqueue(encodeSSE(event.data, event.event, event.id));
+                            lastId = event.id;
+                        }
+                        sentChunks += 1;
+                        idleSince = Date.now();
+                    }
+                    if (cancelled) {
+                        return;
+                    }
+                    const finished = current.status !== 'streaming' && sentChunks >= current.chunks;
+                    const stalled = Date.now() - idleSince > REPLAY_IDLE_TIMEOUT_MS;
+                    if (finished || stalled) {
+                        if (current.status === 'failed' || stalled) {
+                            controller.enqueue(encodeSSE({ error: { message: 'The generation was interrupted before it finished', type: 'stream_interrupted' } }, 'error'));
+                        }
+                        controller.close();
+                        return;
+                    }
+                    await sleep(POLL_INTERVAL_MS);
+                    current = await store.get(`generation:${id}`, 'json') || { ...current, status: 'failed' };
+                }
+            } catch (error) {
+                if (!cancelled) {
+                    controller.error(error);
+                }
+            }
+        },
+        cancel() {
+            cancelled = true;
+            clearTimeout(timer);
+        },
+    });
+}
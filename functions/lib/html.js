@@ -0,0 +1,17 @@
+// =========================================================================
+// 服务端渲染 HTML 页面 (分享页、登录页) 的公共工具
+// =========================================================================
+
+/**
+ * 转义 HTML 特殊字符，所有来自对话或请求的文本都必须经过这里，防止 XSS。
+ * @param {string} text - 原始文本。
+ * @returns {string} 转义后的文本。
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
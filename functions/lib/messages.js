@@ -0,0 +1,18 @@
+// =========================================================================
+// 统一格式消息 { role, content, images } 的通用处理
+// =========================================================================
+
+/**
+ * 把 system 消息从对话中分离出来。多条 system 消息按顺序以空行拼接。
+ * 各供应商放置系统提示词的位置不同 (Gemini 的 systemInstruction、Anthropic 的 system 字段)，
+ * 适配器先调用这里，再分别转换。
+ * @param {Array<Object>} messages - 统一格式的消息。
+ * @returns {{system: string, messages: Array<Object>}} system 为空字符串表示没有系统提示词。
+ */
+export function splitSystemMessages(messages) {
+    const system = messages
+        .filter(msg => msg.role === 'system' && msg.content)
+        .map(msg => msg.content)
+        .join('\n\n');
+    return { system, messages: messages.filter(msg => msg.role !== 'system') };
+}
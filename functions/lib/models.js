@@ -0,0 +1,343 @@
+// =========================================================================
+// 模型目录
+// 由四部分组成：内置的默认模型、环境变量 MODEL_CATALOG 中配置的模型、BACKENDS 中命名后端的模型
+// (ID 为 "后端ID/模型名"，见 backends.js)，以及从 Ollama (/api/tags) 和 Gemini (models 列表) 实时发现的模型。
+// 每个模型都声明所属供应商、是否支持图片输入、上下文长度以及输出长度上限，
+// 聊天请求按目录中的供应商路由，而不是猜测模型名称的前缀。
+// =========================================================================
+
+import { PROVIDERS, getProvider } from './providers/index.js';
+import { GEMINI_DEFAULT_BASE_URL } from './providers/gemini.js';
+import { getRoutes } from './router.js';
+import { getBackends, parseBackendModelId, toCatalogEntry } from './backends.js';
+
+// 目录中路由别名 (见 router.js) 使用的 provider 值，它们不属于任何一个供应商
+export const ROUTE_PROVIDER = 'route';
+
+// Ollama 模型在目录中的 ID 前缀，例如 "ollama-qwen3:14b"
+export const OLLAMA_MODEL_PREFIX = 'ollama-';
+
+const DISCOVERY_TIMEOUT_MS = 5000;
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// OpenAI 模型名称的前缀，用于在目录之外推断供应商
+const OPENAI_MODEL_PATTERN = /^(gpt-|chatgpt-|o[134](-|$))/;
+// 按命名约定推断供应商的模型 ID 只允许这些字符：Gemini 的模型 ID 是请求地址的一部分 (/models/<ID>:generateContent)
+const INFERRED_MODEL_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// 内置的默认模型，保证在没有任何额外配置时也能正常使用 (只列出已配置 API Key 的供应商)
+const DEFAULT_MODELS = [
+    { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', provider: PROVIDERS.GEMINI, vision: true, contextLength: 1048576, maxOutputTokens: 65536 },
+    { id: 'gpt-4o', label: 'GPT-4o', provider: PROVIDERS.OPENAI, vision: true, contextLength: 128000, maxOutputTokens: 16384 },
+    { id: 'claude-sonnet-4-0', label: 'Claude Sonnet 4', provider: PROVIDERS.ANTHROPIC, vision: true, contextLength: 200000, maxOutputTokens: 64000 },
+];
+
+// 实时发现的结果缓存 (同一个 Worker 实例内有效)
+let discoveryCache = null;
+
+/**
+ * 读取 MODEL_CATALOG 中配置的模型。格式为 JSON 数组：
+ * [{ "id": "ollama-qwen3:14b", "label": "通义千问 3", "provider": "ollama", "vision": false, "contextLength": 40960, "maxOutputTokens": 8192 }]
+ * 可选的 upstreamModel 字段指定发送给上游的模型名称 (默认由 ID 推导)。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<Object>} 模型列表。
+ * @throws {Error} 如果配置不是合法的 JSON 数组。
+ */
+function getConfiguredModels(env) {
+    if (!env.MODEL_CATALOG) {
+        return [];
+    }
+
+    let models;
+    try {
+        models = JSON.parse(env.MODEL_CATALOG);
+    } catch (e) {
+        throw new Error('Server configuration error: MODEL_CATALOG is not valid JSON.');
+    }
+    if (!Array.isArray(models)) {
+        throw new Error('Server configuration error: MODEL_CATALOG must be a JSON array.');
+    }
+
+    return models
+        .filter(model => model && typeof model.id === 'string' && Object.values(PROVIDERS).includes(model.provider))
+        .map(model => ({
+            id: model.id,
+            label: model.label || model.id,
+            provider: model.provider,
+            // 未配置的字段不写入，以免覆盖实时发现得到的值
+            ...(model.vision !== undefined ? { vision: Boolean(model.vision) } : {}),
+            ...(model.contextLength ? { contextLength: Number(model.contextLength) } : {}),
+            ...(model.maxOutputTokens ? { maxOutputTokens: Number(model.maxOutputTokens) } : {}),
+            ...(typeof model.upstreamModel === 'string' ? { upstreamModel: model.upstreamModel } : {}),
+        }));
+}
+
+/**
+ * 带超时的 fetch，避免某个后端无响应时拖慢整个目录接口。
+ * @param {string} url - 请求地址。
+ * @param {RequestInit} [options] - fetch 选项。
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DISCOVERY_TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 从 Ollama 发现本地模型。/api/tags 只返回模型名称，
+ * 是否支持图片和上下文长度需要再通过 /api/show 查询。
+ * @param {string} baseUrl - Ollama 服务地址。
+ * @param {Object} [backend] - 命名后端 (getBackends 的结果)；省略时为 OLLAMA_API_BASE_URL 上的模型。
+ * @returns {Promise<Array<Object>>} 模型列表。
+ */
+async function discoverOllamaModels(baseUrl, backend = null) {
+    const response = await fetchWithTimeout(`${baseUrl}/api/tags`);
+    if (!response.ok) {
+        throw new Error(`Ollama /api/tags returned status ${response.status}`);
+    }
+    const { models = [] } = await response.json();
+
+    return Promise.all(models.map(async ({ name, details }) => {
+        const model = {
+            ...(backend ? toCatalogEntry(backend, { name, label: name }) : {
+                id: `${OLLAMA_MODEL_PREFIX}${name}`,
+                label: name,
+                provider: PROVIDERS.OLLAMA,
+                upstreamModel: name,
+            }),
+            vision: Boolean(details?.families?.some(family => family === 'clip' || family === 'mllama')),
+            contextLength: null,
+            maxOutputTokens: null,
+        };
+
+        try {
+            const showResponse = await fetchWithTimeout(`${baseUrl}/api/show`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: name }),
+            });
+            if (showResponse.ok) {
+                const info = await showResponse.json();
+                if (Array.isArray(info.capabilities)) {
+                    model.vision = info.capabilities.includes('vision');
+                }
+                const contextKey = Object.keys(info.model_info || {}).find(key => key.endsWith('.context_length'));
+                model.contextLength = contextKey ? Number(info.model_info[contextKey]) : null;
+            }
+        } catch (e) {
+            console.warn(`Failed to query Ollama model details for ${name}:`, e.message);
+        }
+        return model;
+    }));
+}
+
+/**
+ * 从 Gemini API 发现可用于对话的模型。
+ * @param {string} baseUrl - Gemini API 地址。
+ * @param {string} apiKey - Gemini API Key。
+ * @returns {Promise<Array<Object>>} 模型列表。
+ */
+async function discoverGeminiModels(baseUrl, apiKey) {
+    const response = await fetchWithTimeout(`${baseUrl}/models?pageSize=1000&key=${encodeURIComponent(apiKey)}`);
+    if (!response.ok) {
+        throw new Error(`Gemini models list returned status ${response.status}`);
+    }
+    const { models = [] } = await response.json();
+
+    return models
+        .filter(model => model.name?.startsWith('models/gemini') && model.supportedGenerationMethods?.includes('generateContent'))
+        .map(model => ({
+            id: model.name.substring('models/'.length),
+            label: model.displayName || model.name.substring('models/'.length),
+            provider: PROVIDERS.GEMINI,
+            upstreamModel: model.name.substring('models/'.length),
+            vision: true, // Gemini 对话模型均支持图片输入
+            contextLength: model.inputTokenLimit || null,
+            maxOutputTokens: model.outputTokenLimit || null,
+        }));
+}
+
+/**
+ * 实时发现所有已配置后端上的模型。结果会缓存一段时间；单个后端失败不影响其他后端。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{models: Array<Object>, errors: Array<Object>}>}
+ */
+async function discoverModels(env) {
+    if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+        return discoveryCache.result;
+    }
+
+    const sources = [];
+    if (env.OLLAMA_API_BASE_URL) {
+        sources.push({ provider: PROVIDERS.OLLAMA, discover: () => discoverOllamaModels(env.OLLAMA_API_BASE_URL) });
+    }
+    if (env.GEMINI_API_KEY) {
+        sources.push({ provider: PROVIDERS.GEMINI, discover: () => discoverGeminiModels(env.GEMINI_API_BASE_URL || GEMINI_DEFAULT_BASE_URL, env.GEMINI_API_KEY) });
+    }
+    // 没有列出模型的 Ollama 后端
+    for (const backend of getBackends(env).filter(candidate => !candidate.models)) {
+        sources.push({ provider: backend.type, backend: backend.id, discover: () => discoverOllamaModels(backend.baseUrl, backend) });
+    }
+
+    const settled = await Promise.allSettled(sources.map(source => source.discover()));
+    const result = { models: [], errors: [] };
+    settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+            result.models.push(...outcome.value);
+        } else {
+            const { provider, backend } = sources[index];
+            console.error(`Model discovery failed for ${backend || provider}:`, outcome.reason);
+            result.errors.push({ provider, ...(backend ? { backend } : {}), error: outcome.reason.message });
+        }
+    });
+
+    // 只缓存完全成功的结果，失败的后端下次请求时会重新尝试
+    if (result.errors.length === 0) {
+        discoveryCache = { result, expiresAt: Date.now() + CATALOG_CACHE_TTL_MS };
+    }
+    return result;
+}
+
+/**
+ * 列出命名后端中配置的模型。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<Object>}
+ */
+function getBackendModels(env) {
+    return getBackends(env).flatMap(backend => (backend.models || []).map(model => toCatalogEntry(backend, model)));
+}
+
+/**
+ * 生成完整的模型目录。同一个 ID 出现多次时，配置优先于实时发现，实时发现优先于内置默认值。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{models: Array<Object>, errors: Array<Object>}>}
+ */
+export async function getModelCatalog(env) {
+    const configured = [...getBackendModels(env), ...getConfiguredModels(env)];
+    const discovered = await discoverModels(env);
+
+    const byId = new Map();
+    const defaults = DEFAULT_MODELS.filter(model => getProvider(model.provider).isConfigured(env));
+    for (const model of [...defaults, ...discovered.models, ...configured]) {
+        byId.set(model.id, { vision: null, contextLength: null, maxOutputTokens: null, ...byId.get(model.id), ...model });
+    }
+
+    const models = [...byId.values()].map(model => ({ ...model, upstreamModel: model.upstreamModel || getUpstreamModel(model) }));
+    return { models: [...models, ...describeRoutes(models, env)], errors: discovered.errors };
+}
+
+/**
+ * 把 MODEL_ROUTES 中的别名整理为目录条目。能力取所有目标中最保守的值：
+ * 只有全部目标都支持图片时才标记为支持，上下文长度和输出长度取已知值中的最小值。
+ * @param {Array<Object>} models - 目录中的模型。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<Object>}
+ */
+function describeRoutes(models, env) {
+    const minKnown = values => {
+        const known = values.filter(value => value);
+        return known.length > 0 ? Math.min(...known) : null;
+    };
+    return getRoutes(env).map(route => {
+        const members = route.targets.map(id => models.find(model => model.id === id)).filter(Boolean);
+        return {
+            id: route.id,
+            label: route.label,
+            provider: ROUTE_PROVIDER,
+            targets: route.targets,
+            vision: members.length > 0 && members.every(model => model.vision !== false),
+            contextLength: minKnown(members.map(model => model.contextLength)),
+            maxOutputTokens: minKnown(members.map(model => model.maxOutputTokens)),
+        };
+    });
+}
+
+/**
+ * 由目录 ID 推导发送给上游的模型名称：Ollama 模型去掉 "ollama-" 前缀，其余保持不变。
+ * @param {{id: string, provider: string}} model - 模型。
+ * @returns {string}
+ */
+function getUpstreamModel(model) {
+    if (model.provider === PROVIDERS.OLLAMA && model.id.startsWith(OLLAMA_MODEL_PREFIX)) {
+        return model.id.substring(OLLAMA_MODEL_PREFIX.length);
+    }
+    return model.id;
+}
+
+/**
+ * 解析 "后端ID/模型名" 形式的模型 ID。后端列出了模型时，只接受列出的模型。
+ * @param {string} modelId - 模型 ID。
+ * @param {Object} env - 环境变量。
+ * @returns {Object|null} 模型信息，backend 字段带有后端的服务地址和 API Key (仅供服务端使用)；
+ *          前缀不是已配置的后端时返回 null。
+ * @throws {Error} 如果后端没有配置该模型。
+ */
+function resolveBackendModel(modelId, env) {
+    const parsed = parseBackendModelId(modelId);
+    const backend = parsed && getBackends(env).find(candidate => candidate.id === parsed.backendId);
+    if (!backend) {
+        return null;
+    }
+
+    let entry;
+    if (backend.models) {
+        const model = backend.models.find(candidate => candidate.name === parsed.name);
+        if (!model) {
+            throw new Error(`Model "${parsed.name}" is not configured for backend "${backend.id}"`);
+        }
+        entry = toCatalogEntry(backend, model);
+    } else {
+        entry = discoveryCache?.result.models.find(model => model.id === modelId) || toCatalogEntry(backend, { name: parsed.name, label: parsed.name });
+    }
+    return {
+        vision: null,
+        contextLength: null,
+        maxOutputTokens: null,
+        ...entry,
+        backend: { id: backend.id, apiBaseUrl: backend.apiBaseUrl, apiKey: backend.apiKey },
+    };
+}
+
+/**
+ * 解析聊天请求中的模型 ID，确定其供应商和能力。不会发起网络请求：
+ * "后端ID/模型名" 形式的 ID 只在 BACKENDS 中查找，其余依次查找 MODEL_CATALOG 配置、内置默认值和已缓存的发现结果，
+ * 最后按常见的命名约定推断 (gemini-* 属于 Gemini，ollama-* 属于 Ollama，
+ * gpt-* / o1 / o3 / o4 属于 OpenAI，claude-* 属于 Anthropic)；推断的 ID (ollama-* 除外) 只能包含字母、数字、"."、"_" 和 "-"。
+ * @param {string} modelId - 模型 ID。
+ * @param {Object} env - 环境变量。
+ * @returns {{id: string, provider: string, upstreamModel: string, vision: boolean|null, contextLength: number|null, maxOutputTokens: number|null, backend?: Object}}
+ * @throws {Error} 如果无法确定模型的供应商，或模型 ID 包含不允许的字符。
+ */
+export function resolveModel(modelId, env) {
+    const backendModel = resolveBackendModel(modelId, env);
+    if (backendModel) {
+        return backendModel;
+    }
+
+    const matches = [...DEFAULT_MODELS, ...(discoveryCache?.result.models || []), ...getConfiguredModels(env)]
+        .filter(model => model.id === modelId);
+
+    let model;
+    if (matches.length > 0) {
+        model = Object.assign({ vision: null, contextLength: null, maxOutputTokens: null }, ...matches);
+    } else if (modelId.startsWith(OLLAMA_MODEL_PREFIX)) {
+        // Ollama 的模型名称 (例如 "qwen3:14b") 只放在请求体中
+        model = { id: modelId, provider: PROVIDERS.OLLAMA, vision: null, contextLength: null, maxOutputTokens: null };
+    } else if (!INFERRED_MODEL_ID_PATTERN.test(modelId)) {
+        throw new Error(`Invalid model ID: ${modelId}`);
+    } else if (modelId.startsWith('gemini')) {
+        model = { id: modelId, provider: PROVIDERS.GEMINI, vision: true, contextLength: null, maxOutputTokens: null };
+    } else if (OPENAI_MODEL_PATTERN.test(modelId)) {
+        model = { id: modelId, provider: PROVIDERS.OPENAI, vision: null, contextLength: null, maxOutputTokens: null };
+    } else if (modelId.startsWith('claude-')) {
+        model = { id: modelId, provider: PROVIDERS.ANTHROPIC, vision: true, contextLength: null, maxOutputTokens: null };
+    } else {
+        throw new Error(`Unsupported model: ${modelId}`);
+    }
+    return { ...model, upstreamModel: model.upstreamModel || getUpstreamModel(model) };
+}
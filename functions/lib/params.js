@@ -0,0 +1,87 @@
+// =========================================================================
+// 生成参数
+// 客户端在 /api/chat 的请求体中发送 params 对象 (OpenAI 风格的字段名)：
+//   { temperature, top_p, max_tokens, stop, seed }
+// 这里按模型和供应商的限制校验取值；供应商不支持的参数不会发送给上游，
+// 而是返回给调用方 (X-Unsupported-Params 响应头和 JSON 中的 unsupportedParams)。
+// 字段名的转换由各供应商适配器的 buildRequest 完成。
+// =========================================================================
+
+// 所有可识别的参数
+export const GENERATION_PARAMS = ['temperature', 'top_p', 'max_tokens', 'stop', 'seed'];
+
+/**
+ * 校验并规范化请求中的生成参数。
+ * @param {Object|undefined} params - 请求中的 params 对象。
+ * @param {Object} modelInfo - resolveModel 的结果 (maxOutputTokens 为模型的输出上限，可能为空)。
+ * @param {import('./providers/index.js').ProviderAdapter} adapter - 供应商适配器，paramLimits 声明其支持的参数及取值范围。
+ * @returns {{params: Object, unsupported: Array<string>}} params 只包含供应商支持且已设置的参数。
+ * @throws {Error} 如果参数格式或取值不合法。
+ */
+export function validateParams(params, modelInfo, adapter) {
+    const result = { params: {}, unsupported: [] };
+    if (params === undefined || params === null) {
+        return result;
+    }
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        throw new Error('"params" must be an object');
+    }
+
+    for (const [name, value] of Object.entries(params)) {
+        if (!GENERATION_PARAMS.includes(name)) {
+            throw new Error(`Unknown parameter "${name}" (supported: ${GENERATION_PARAMS.join(', ')})`);
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const limits = adapter.paramLimits[name];
+        if (!limits) {
+            result.unsupported.push(name);
+            continue;
+        }
+        result.params[name] = validateParam(name, value, limits, modelInfo);
+    }
+    return result;
+}
+
+/**
+ * 校验单个参数。
+ * @param {string} name - 参数名。
+ * @param {*} value - 取值。
+ * @param {{min?: number, max?: number, maxItems?: number}} limits - 供应商的限制。
+ * @param {Object} modelInfo - resolveModel 的结果。
+ * @returns {*} 规范化后的取值。
+ * @throws {Error} 如果取值不合法。
+ */
+function validateParam(name, value, limits, modelInfo) {
+    switch (name) {
+        case 'temperature':
+        case 'top_p':
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+                throw new Error(`"${name}" must be a number between ${limits.min} and ${limits.max} for model ${modelInfo.id}`);
+            }
+            return value;
+        case 'max_tokens': {
+            const max = modelInfo.maxOutputTokens || limits.max || Infinity;
+            if (!Number.isInteger(value) || value < 1 || value > max) {
+                throw new Error(`"max_tokens" must be an integer between 1 and ${max} for model ${modelInfo.id}`);
+            }
+            return value;
+        }
+        case 'stop': {
+            const sequences = typeof value === 'string' ? [value] : value;
+            if (!Array.isArray(sequences) || sequences.some(seq => typeof seq !== 'string' || seq === '')) {
+                throw new Error('"stop" must be a non-empty string or an array of non-empty strings');
+            }
+            if (sequences.length > limits.maxItems) {
+                throw new Error(`"stop" accepts at most ${limits.maxItems} sequences for model ${modelInfo.id}`);
+            }
+            return sequences;
+        }
+        case 'seed':
+            if (!Number.isSafeInteger(value)) {
+                throw new Error('"seed" must be an integer');
+            }
+            return value;
+    }
+}
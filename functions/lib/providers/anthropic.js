@@ -0,0 +1,225 @@
+// =========================================================================
+// Anthropic Messages API 适配器
+// 使用 /v1/messages 接口，API Key 通过 x-api-key 请求头传递。
+// 流式响应是带事件名的 SSE (content_block_delta、message_delta、message_stop 等)，
+// 这里将其转换为 OpenAI 兼容的 SSE 格式。
+// =========================================================================
+
+import { createSSETranslator, createOpenAIChunk, createToolCallChunk } from '../sse.js';
+import { splitSystemMessages } from '../messages.js';
+
+export const ANTHROPIC_DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+// Messages API 要求必须指定 max_tokens
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Anthropic 的 stop_reason 与 OpenAI finish_reason 的对应关系
+const FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+};
+
+/**
+ * 将一条统一格式的消息转换为 content blocks：图片在前、文本在后，之后是工具调用 (tool_use)；
+ * 工具结果转换为 tool_result。
+ * @param {Object} msg - 统一格式的消息。
+ * @returns {Array<Object>}
+ */
+function toAnthropicBlocks(msg) {
+    if (msg.role === 'tool') {
+        return [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }];
+    }
+    return [
+        ...msg.images.map(img => ({ type: 'image', source: { type: 'base64', media_type: img.mimeType, data: img.data } })),
+        ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+        ...(msg.toolCalls || []).map(call => {
+            let input = {};
+            try {
+                input = JSON.parse(call.arguments || '{}');
+            } catch (e) {
+                // 模型给出的参数不是合法的 JSON 时按空参数回传，工具结果中已经说明了错误
+            }
+            return { type: 'tool_use', id: call.id, name: call.name, input };
+        }),
+    ];
+}
+
+/**
+ * 将统一格式的消息转换为 Anthropic 的 system 和 messages。
+ * system 消息单独提取；其余消息合并连续的同角色消息，并确保第一条是用户消息。工具结果属于 user 角色。
+ * @param {Array<Object>} messages - 统一格式的消息 { role, content, images, toolCalls?, toolCallId? }。
+ * @returns {{system: string, messages: Array<Object>}}
+ * @throws {Error} 如果对话历史不合法。
+ */
+function toAnthropicMessages(messages) {
+    const { system, messages: conversation } = splitSystemMessages(messages);
+
+    // 1. 过滤掉空消息，并确保第一条消息是 'user'
+    let processed = conversation.filter(msg => msg.content || msg.images.length > 0 || msg.toolCalls?.length > 0 || msg.role === 'tool');
+    const firstUserIndex = processed.findIndex(msg => msg.role === 'user');
+    if (firstUserIndex === -1) {
+        throw new Error("Invalid chat history: No user messages found.");
+    }
+    processed = processed.slice(firstUserIndex);
+
+    // 2. 转换为 content blocks，合并连续的同角色消息
+    const result = [];
+    for (const msg of processed) {
+        const role = msg.role === 'user' || msg.role === 'tool' ? 'user' : 'assistant';
+        const blocks = toAnthropicBlocks(msg);
+        const last = result[result.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            result.push({ role, content: blocks });
+        }
+    }
+    return { system, messages: result };
+}
+
+/** @type {import('./index.js').ProviderAdapter} */
+export const anthropicAdapter = {
+    id: 'anthropic',
+    label: 'Anthropic',
+
+    // Messages API 不支持 seed
+    paramLimits: {
+        temperature: { min: 0, max: 1 },
+        top_p: { min: 0, max: 1 },
+        max_tokens: {},
+        stop: { maxItems: 16 },
+    },
+
+    isConfigured(env) {
+        return Boolean(env.ANTHROPIC_API_KEY);
+    },
+
+    getAuth(env) {
+        if (!env.ANTHROPIC_API_KEY) {
+            throw new Error('Server configuration error: ANTHROPIC_API_KEY is not set for Anthropic model.');
+        }
+        return {
+            query: {},
+            headers: { 'x-api-key': env.ANTHROPIC_API_KEY, 'anthropic-version': ANTHROPIC_VERSION },
+        };
+    },
+
+    buildHealthRequest(env) {
+        const baseUrl = env.ANTHROPIC_API_BASE_URL || ANTHROPIC_DEFAULT_BASE_URL;
+        return { url: `${baseUrl}/v1/models?limit=1`, init: { method: 'GET', headers: anthropicAdapter.getAuth(env).headers } };
+    },
+
+    buildRequest({ model, messages, params = {}, tools, stream, env }) {
+        const auth = anthropicAdapter.getAuth(env);
+        const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+        const baseUrl = env.ANTHROPIC_API_BASE_URL || ANTHROPIC_DEFAULT_BASE_URL;
+        return {
+            url: `${baseUrl}/v1/messages`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...auth.headers },
+                body: JSON.stringify({
+                    model: model.upstreamModel,
+                    max_tokens: params.max_tokens ?? Math.min(DEFAULT_MAX_TOKENS, model.maxOutputTokens || DEFAULT_MAX_TOKENS),
+                    ...(system ? { system } : {}),
+                    messages: anthropicMessages,
+                    ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+                    ...(params.top_p !== undefined ? { top_p: params.top_p } : {}),
+                    ...(params.stop ? { stop_sequences: params.stop } : {}),
+                    ...(tools ? {
+                        tools: tools.map(({ function: fn }) => ({
+                            name: fn.name,
+                            description: fn.description,
+                            input_schema: fn.parameters || { type: 'object', properties: {} },
+                        })),
+                    } : {}),
+                    stream: Boolean(stream),
+                }),
+            },
+        };
+    },
+
+    // tool_use 内容块转换为 delta.tool_calls：content_block_start 给出 ID 和名称，input_json_delta 给出参数片段
+    createStreamTranslator() {
+        let finished = false;
+        let inputTokens = null; // 输入 token 数在 message_start 中给出，输出 token 数在 message_delta 中给出
+        const toolIndexes = new Map(); // 内容块序号 -> 工具调用序号
+        return createSSETranslator({
+            onEvent({ event, data }, emit) {
+                let payload;
+                try {
+                    payload = JSON.parse(data);
+                } catch (e) {
+                    console.error('Error parsing Anthropic stream chunk:', e, 'Chunk:', data);
+                    return;
+                }
+
+                switch (event || payload.type) {
+                    case 'message_start':
+                        inputTokens = payload.message?.usage?.input_tokens ?? null;
+                        break;
+                    case 'content_block_start':
+                        if (payload.content_block?.type === 'tool_use') {
+                            const index = toolIndexes.size;
+                            toolIndexes.set(payload.index, index);
+                            emit(createToolCallChunk([{ index, id: payload.content_block.id, name: payload.content_block.name }]));
+                        }
+                        break;
+                    case 'content_block_delta':
+                        if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+                            emit(createOpenAIChunk(payload.delta.text));
+                        } else if (payload.delta?.type === 'input_json_delta' && payload.delta.partial_json && toolIndexes.has(payload.index)) {
+                            emit(createToolCallChunk([{ index: toolIndexes.get(payload.index), arguments: payload.delta.partial_json }]));
+                        }
+                        break;
+                    case 'message_delta':
+                        if (payload.delta?.stop_reason) {
+                            emit(createOpenAIChunk('', FINISH_REASONS[payload.delta.stop_reason] || 'stop', {
+                                prompt_tokens: inputTokens,
+                                completion_tokens: payload.usage?.output_tokens ?? null,
+                            }));
+                        }
+                        break;
+                    case 'message_stop':
+                        finished = true;
+                        emit('[DONE]');
+                        break;
+                    case 'error':
+                        emit({ error: { message: payload.error?.message || 'Anthropic stream error', type: payload.error?.type } }, 'error');
+                        break;
+                    // content_block_stop 和 ping 不需要转发
+                }
+            },
+            onFlush(emit) {
+                if (!finished) {
+                    emit('[DONE]');
+                }
+            },
+        });
+    },
+
+    parseResponse(data) {
+        const blocks = Array.isArray(data?.content) ? data.content : [];
+        const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+        const toolCalls = blocks.filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) }));
+        return {
+            // 空回复 (例如一开始就因 max_tokens 结束) 也是合法的结果，交给调用方按 finish_reason 处理；
+            // 只有缺少 content 时才视为无法识别的响应
+            reply: Array.isArray(data?.content) ? text : undefined,
+            usage: data?.usage ? { prompt_tokens: data.usage.input_tokens, completion_tokens: data.usage.output_tokens } : null,
+            finishReason: data?.stop_reason ? FINISH_REASONS[data.stop_reason] || 'stop' : null,
+            toolCalls,
+        };
+    },
+
+    normalizeError(status, data, rawText) {
+        // Anthropic 的错误格式: { type: "error", error: { type, message } }
+        return {
+            message: data?.error?.message || rawText || `HTTP ${status}`,
+            details: rawText ?? JSON.stringify(data?.error) ?? 'No error details available.',
+        };
+    },
+};
@@ -0,0 +1,389 @@
+// =========================================================================
+// Google Gemini 适配器
+// 使用 generateContent / streamGenerateContent 接口，API Key 通过 URL 参数传递。
+// =========================================================================
+
+import { createSSETranslator, createOpenAIChunk, createToolCallChunk } from '../sse.js';
+import { splitSystemMessages } from '../messages.js';
+
+export const GEMINI_DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * 将工具结果转换为 functionResponse 的 response 字段 (必须是对象)：JSON 对象原样使用，其余包装为 { result }。
+ * @param {string} content - 工具结果。
+ * @returns {Object}
+ */
+function toFunctionResponse(content) {
+    try {
+        const parsed = JSON.parse(content);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch (e) {
+        // 不是 JSON，按文本处理
+    }
+    return { result: content };
+}
+
+/**
+ * 将一条统一格式的消息转换为 Gemini 的 parts：文本、图片和原文件 (inline_data)、工具调用 (functionCall) 或工具结果 (functionResponse)。
+ * @param {Object} msg - 统一格式的消息。
+ * @returns {Array<Object>}
+ */
+function toGeminiParts(msg) {
+    if (msg.role === 'tool') {
+        return [{ functionResponse: { name: msg.name, response: toFunctionResponse(msg.content) } }];
+    }
+    return [
+        ...(msg.content ? [{ text: msg.content }] : []),
+        ...msg.images.map(img => ({ inline_data: { mime_type: img.mimeType, data: img.data } })),
+        ...(msg.documents || []).map(doc => ({ inline_data: { mime_type: doc.mimeType, data: doc.data } })),
+        ...(msg.toolCalls || []).map(call => {
+            let args = {};
+            try {
+                args = JSON.parse(call.arguments || '{}');
+            } catch (e) {
+                // 模型给出的参数不是合法的 JSON 时按空参数回传，工具结果中已经说明了错误
+            }
+            return { functionCall: { name: call.name, args } };
+        }),
+    ];
+}
+
+/**
+ * 将统一格式的消息转换为 Gemini 的 contents：确保第一条是用户消息，合并连续的同角色消息，确保角色交替。
+ * system 消息不在这里处理，由调用方转换为 systemInstruction。工具结果属于 user 角色。
+ * @param {Array<Object>} messages - 统一格式的消息 { role, content, images, toolCalls?, name? }，不含 system 消息。
+ * @returns {Array<Object>} Gemini contents。
+ * @throws {Error} 如果对话历史不合法。
+ */
+function toGeminiContents(messages) {
+    // 1. 过滤掉无效或空内容的消息
+    let processed = messages.filter(msg => msg.content || msg.images.length > 0 || msg.toolCalls?.length > 0 || msg.role === 'tool');
+
+    // 2. 确保第一条消息是 'user'
+    const firstUserIndex = processed.findIndex(msg => msg.role === 'user');
+    if (firstUserIndex > 0) {
+        processed = processed.slice(firstUserIndex);
+    } else if (firstUserIndex === -1) {
+        throw new Error("Invalid chat history: No user messages found.");
+    }
+
+    // 3. 转换为 Gemini 的 parts 格式，并合并连续的同角色消息，确保角色交替
+    const contents = [];
+    for (const msg of processed) {
+        const lastMsg = contents.length > 0 ? contents[contents.length - 1] : null;
+        const currentRole = msg.role === 'user' || msg.role === 'tool' ? 'user' : 'model'; // 标准化当前角色
+        const parts = toGeminiParts(msg);
+
+        if (lastMsg && lastMsg.role === currentRole) {
+            lastMsg.parts.push(...parts);
+        } else {
+            contents.push({ role: currentRole, parts });
+        }
+    }
+
+    if (contents.length === 0) {
+        throw new Error("Invalid chat history: Resulting messages are empty.");
+    }
+    return contents;
+}
+
+// Gemini 的 finishReason 与 OpenAI finish_reason 的对应关系，安全相关的原因统一为 content_filter。
+// 未列出的原因 (OTHER、MALFORMED_FUNCTION_CALL 等) 转为小写原样传递
+const FINISH_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter',
+    IMAGE_SAFETY: 'content_filter',
+};
+
+// Gemini 的风险概率与 Azure OpenAI content_filter_results 中 severity 的对应关系
+const SEVERITIES = {
+    NEGLIGIBLE: 'safe',
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+};
+
+// Gemini 的 Schema 是 OpenAPI 的一个子集，其余 JSON Schema 关键字 (additionalProperties、$schema 等) 会被拒绝
+const SCHEMA_KEYS = ['type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required', 'items',
+    'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering'];
+
+/**
+ * 把 JSON Schema 转换为 Gemini 接受的 Schema：去掉不支持的关键字。
+ * @param {Object} schema - JSON Schema。
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+    const result = {};
+    for (const key of SCHEMA_KEYS) {
+        if (schema?.[key] === undefined) {
+            continue;
+        }
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)]));
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else if (key === 'anyOf') {
+            result.anyOf = schema.anyOf.map(toGeminiSchema);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+/**
+ * 将 OpenAI 格式的工具定义转换为 Gemini 的 tools。
+ * @param {Array<Object>} tools - [{ type: 'function', function: { name, description, parameters } }]。
+ * @returns {Array<Object>}
+ */
+function toGeminiTools(tools) {
+    return [{
+        functionDeclarations: tools.map(({ function: fn }) => ({
+            name: fn.name,
+            description: fn.description,
+            ...(fn.parameters ? { parameters: toGeminiSchema(fn.parameters) } : {}),
+        })),
+    }];
+}
+
+/**
+ * 转换 finishReason。
+ * @param {string|undefined} reason - Gemini 的 finishReason。
+ * @returns {string|null}
+ */
+function toFinishReason(reason) {
+    if (!reason || reason === 'FINISH_REASON_UNSPECIFIED') {
+        return null;
+    }
+    return FINISH_REASONS[reason] || reason.toLowerCase();
+}
+
+/**
+ * 将 safetyRatings 转换为 Azure OpenAI 风格的 content_filter_results：
+ * { harassment: { filtered: true, severity: 'high' }, ... }
+ * @param {Array<Object>|undefined} ratings - Gemini 的 safetyRatings。
+ * @returns {Object|null}
+ */
+function toContentFilterResults(ratings) {
+    if (!Array.isArray(ratings) || ratings.length === 0) {
+        return null;
+    }
+    return Object.fromEntries(ratings.map(rating => [
+        String(rating.category || 'unknown').replace(/^HARM_CATEGORY_/, '').toLowerCase(),
+        { filtered: Boolean(rating.blocked), severity: SEVERITIES[rating.probability] || String(rating.probability || 'unknown').toLowerCase() },
+    ]));
+}
+
+/**
+ * 解析一个 Gemini 响应 (或流式数据块)：拼接所有文本 part，收集工具调用，并整理结束原因、安全拦截信息和用量。
+ * 思考过程 (thought) 的 part 不属于回复内容，会被跳过。
+ * @param {Object} response - GenerateContentResponse。
+ * @returns {{text: string, toolCalls: Array<Object>, finishReason: string|null, contentFilter: Object|null, promptFilter: Object|null, usage: Object|null}}
+ *          toolCalls 为 [{ id, name, arguments }] (arguments 是 JSON 文本)，Gemini 没有给出 ID 时随机生成；
+ *          contentFilter 只在回复被拦截时给出；promptFilter 只在提问本身被拦截 (promptFeedback.blockReason) 时给出。
+ */
+function parseGeminiResponse(response) {
+    const candidate = response?.candidates?.[0];
+    const parts = Array.isArray(candidate?.content?.parts) ? candidate.content.parts : [];
+    const text = parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+    const toolCalls = parts.filter(part => part.functionCall?.name).map(({ functionCall }) => ({
+        id: functionCall.id || `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`,
+        name: functionCall.name,
+        arguments: JSON.stringify(functionCall.args || {}),
+    }));
+    let finishReason = toFinishReason(candidate?.finishReason);
+    // 调用工具时 Gemini 的 finishReason 仍是 STOP
+    if (finishReason === 'stop' && toolCalls.length > 0) {
+        finishReason = 'tool_calls';
+    }
+    const blocked = finishReason === 'content_filter' || candidate?.safetyRatings?.some(rating => rating.blocked);
+
+    // 提问被拦截时没有 candidates，只有 promptFeedback
+    let promptFilter = null;
+    const blockReason = response?.promptFeedback?.blockReason;
+    if (blockReason) {
+        finishReason = 'content_filter';
+        promptFilter = {
+            prompt_index: 0,
+            block_reason: blockReason.toLowerCase(),
+            content_filter_results: toContentFilterResults(response.promptFeedback.safetyRatings) || {},
+        };
+    }
+
+    return {
+        text,
+        toolCalls,
+        finishReason,
+        contentFilter: blocked ? toContentFilterResults(candidate?.safetyRatings) || {} : null,
+        promptFilter,
+        usage: toUsage(response?.usageMetadata),
+    };
+}
+
+/**
+ * 将 Gemini 的 usageMetadata 转换为 OpenAI 的 usage 格式。
+ * @param {Object|undefined} metadata - usageMetadata。
+ * @returns {{prompt_tokens: number, completion_tokens: number}|null}
+ */
+function toUsage(metadata) {
+    if (!metadata) {
+        return null;
+    }
+    return { prompt_tokens: metadata.promptTokenCount ?? 0, completion_tokens: metadata.candidatesTokenCount ?? 0 };
+}
+
+/**
+ * 将生成参数转换为 Gemini 的 generationConfig。
+ * @param {Object} params - 已校验的生成参数。
+ * @returns {Object}
+ */
+function toGenerationConfig(params) {
+    const config = {
+        temperature: params.temperature,
+        topP: params.top_p,
+        maxOutputTokens: params.max_tokens,
+        stopSequences: params.stop,
+        seed: params.seed,
+    };
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+/** @type {import('./index.js').ProviderAdapter} */
+export const geminiAdapter = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    // Gemini 可以直接读取 PDF (包括其中的图片和表格)，不必使用前端提取的文本
+    documentTypes: ['application/pdf'],
+
+    paramLimits: {
+        temperature: { min: 0, max: 2 },
+        top_p: { min: 0, max: 1 },
+        max_tokens: {},
+        stop: { maxItems: 5 },
+        seed: {},
+    },
+
+    isConfigured(env) {
+        return Boolean(env.GEMINI_API_KEY);
+    },
+
+    getAuth(env) {
+        if (!env.GEMINI_API_KEY) {
+            throw new Error('Server configuration error: GEMINI_API_KEY is not set for Gemini model.');
+        }
+        // Gemini 的 API Key 通过 URL 参数传递
+        return { query: { key: env.GEMINI_API_KEY }, headers: {} };
+    },
+
+    buildHealthRequest(env) {
+        const urlParams = new URLSearchParams({ pageSize: '1', ...geminiAdapter.getAuth(env).query });
+        const baseUrl = env.GEMINI_API_BASE_URL || GEMINI_DEFAULT_BASE_URL;
+        return { url: `${baseUrl}/models?${urlParams.toString()}`, init: { method: 'GET' } };
+    },
+
+    buildRequest({ model, messages, params = {}, tools, stream, env }) {
+        const urlParams = new URLSearchParams();
+        if (stream) {
+            urlParams.append('alt', 'sse');
+        }
+        const auth = geminiAdapter.getAuth(env);
+        for (const [name, value] of Object.entries(auth.query)) {
+            urlParams.append(name, value);
+        }
+
+        // 统一构建 Gemini API 的操作路径
+        const operation = stream ? 'streamGenerateContent' : 'generateContent';
+        const baseUrl = env.GEMINI_API_BASE_URL || GEMINI_DEFAULT_BASE_URL;
+        // 系统提示词通过 systemInstruction 传递，不能作为对话中的一条消息
+        const { system, messages: conversation } = splitSystemMessages(messages);
+        const generationConfig = toGenerationConfig(params);
+        return {
+            url: `${baseUrl}/models/${encodeURIComponent(model.upstreamModel)}:${operation}?${urlParams.toString()}`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...auth.headers },
+                body: JSON.stringify({
+                    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+                    contents: toGeminiContents(conversation),
+                    ...(tools ? { tools: toGeminiTools(tools) } : {}),
+                    ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+                }),
+            },
+        };
+    },
+
+    // 将 Gemini 的流式 JSON 转换为 OpenAI 兼容的 SSE 格式。
+    // 安全拦截信息放在 Azure OpenAI 风格的 content_filter_results / prompt_filter_results 字段中；
+    // 上游在流中途返回的错误和无法解析的数据块都转换为 "event: error" 事件。
+    // functionCall 转换为 delta.tool_calls (Gemini 一次给出完整的参数)
+    createStreamTranslator() {
+        let toolCallCount = 0;
+        return createSSETranslator({
+            onEvent({ data }, emit) {
+                let geminiChunk;
+                try {
+                    geminiChunk = JSON.parse(data);
+                } catch (e) {
+                    console.error('Error parsing Gemini stream chunk:', e, 'Chunk:', data);
+                    emit({ error: { message: 'Malformed chunk in Gemini stream', type: 'invalid_response' } }, 'error');
+                    return;
+                }
+
+                if (geminiChunk.error) {
+                    emit({ error: { message: geminiChunk.error.message || 'Gemini stream error', type: geminiChunk.error.status, code: geminiChunk.error.code } }, 'error');
+                    return;
+                }
+
+                // 每个数据块都带有累计的 usageMetadata，原样附加即可，以最后一个为准
+                const { text, toolCalls, finishReason: reason, contentFilter, promptFilter, usage } = parseGeminiResponse(geminiChunk);
+                if (toolCalls.length > 0) {
+                    emit(createToolCallChunk(toolCalls.map(call => ({ index: toolCallCount++, ...call }))));
+                }
+                // 工具调用和结束原因可能不在同一个数据块中
+                const finishReason = reason === 'stop' && toolCallCount > 0 ? 'tool_calls' : reason;
+                if (!text && !finishReason && !usage) {
+                    return;
+                }
+                const chunk = createOpenAIChunk(text, finishReason, usage);
+                if (contentFilter) {
+                    chunk.choices[0].content_filter_results = contentFilter;
+                }
+                if (promptFilter) {
+                    chunk.prompt_filter_results = [promptFilter];
+                }
+                emit(chunk);
+            }
+        });
+    },
+
+    parseResponse(data) {
+        const { text, toolCalls, finishReason, contentFilter, promptFilter, usage } = parseGeminiResponse(data);
+        // 被拦截或只调用工具时没有回复内容，返回空字符串并通过 finishReason 说明原因，而不是当作异常的响应结构
+        const blocked = finishReason === 'content_filter';
+        return {
+            reply: text || (blocked || toolCalls.length > 0 ? '' : undefined),
+            usage,
+            finishReason,
+            toolCalls,
+            filterResults: {
+                ...(contentFilter ? { content_filter_results: contentFilter } : {}),
+                ...(promptFilter ? { prompt_filter_results: [promptFilter] } : {}),
+            },
+        };
+    },
+
+    normalizeError(status, data, rawText) {
+        // Gemini 的错误格式: { error: { code, message, status } }
+        return {
+            message: data?.error?.message || rawText || `HTTP ${status}`,
+            details: rawText ?? JSON.stringify(data?.error) ?? 'No error details available.',
+        };
+    },
+};
@@ -0,0 +1,83 @@
+// =========================================================================
+// 供应商适配器注册表
+// 每个大模型供应商实现同一个适配器接口 (见下方 ProviderAdapter)，
+// chat.js 只通过这个接口构建请求、转换流式响应和解析错误，不再关心具体供应商的格式。
+// 新增供应商时只需实现适配器并在这里注册。
+// =========================================================================
+
+import { geminiAdapter } from './gemini.js';
+import { anthropicAdapter } from './anthropic.js';
+import { openaiAdapter, openaiCompatibleAdapter, ollamaAdapter } from './openai.js';
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id - 供应商标识，与模型目录中的 provider 字段对应。
+ * @property {string} label - 显示名称。
+ * @property {function(Object): boolean} isConfigured - 根据 env 判断该供应商是否可用 (例如是否配置了 API Key)。
+ * @property {function(Object, Object=): {query: Object, headers: Object}} getAuth - 返回鉴权所需的 URL 参数和请求头，缺少配置时抛出错误。
+ *           可选的第二个参数是模型信息，来自命名后端 (BACKENDS) 的模型使用后端自己的 API Key。
+ * @property {Object<string, {min?: number, max?: number, maxItems?: number}>} paramLimits
+ *           支持的生成参数 (OpenAI 风格的字段名) 及其取值范围，未列出的参数视为不支持 (见 functions/lib/params.js)。
+ * @property {function({model: Object, messages: Array<Object>, params: Object, tools?: Array<Object>, stream: boolean, env: Object}): {url: string, init: RequestInit}} buildRequest
+ *           将统一格式的消息转换为上游请求。model 为 resolveModel 的结果，messages 为 { role, content, images }，
+ *           params 为已校验的生成参数，由适配器转换为供应商的字段名。tools 为 OpenAI 格式的工具定义 (见 functions/lib/tools.js)；
+ *           调用过工具的助手消息带有 toolCalls ([{ id, name, arguments }])，工具结果是 role 为 tool 的消息 ({ toolCallId, name, content })。
+ *           用户消息可能带有 documents ([{ name, mimeType, data }])，即直接发送的原文件，只会出现 documentTypes 中的类型。
+ * @property {Array<string>} [documentTypes] - 可以直接读取的文件类型 (例如 'application/pdf')，这些文件附件以原文件发送；
+ *           未列出的类型和不支持原文件的供应商使用前端提取的文本 (见 functions/lib/files.js)。
+ * @property {function(Object, Object=): {url: string, init: RequestInit}} buildHealthRequest
+ *           构建一个轻量的请求 (通常是列出模型)，供 /api/health 检查后端是否可达。参数与 getAuth 相同。
+ * @property {function(): (TransformStream|null)} createStreamTranslator - 返回把上游流转换为 OpenAI 兼容 SSE 的 TransformStream，
+ *           上游本身就是 OpenAI 格式时返回 null (直接透传)。转换后的数据块在 usage 字段中带上 token 用量
+ *           ({ prompt_tokens, completion_tokens })，在 finish_reason 中带上结束原因，工具调用放在 delta.tool_calls 中；
+ *           上游的错误转换为 "event: error" 事件。
+ * @property {function(Object): {reply: string|undefined, usage: Object|null, finishReason: string|null, toolCalls?: Array<Object>, filterResults?: Object}} parseResponse
+ *           解析非流式响应，usage 与流式数据块中的格式相同。回复被安全策略拦截时 finishReason 为 content_filter，
+ *           模型请求调用工具时 toolCalls 为 [{ id, name, arguments }] (arguments 是 JSON 文本)，
+ *           可选的 filterResults 给出 content_filter_results / prompt_filter_results (与流式数据块中的字段相同)。
+ * @property {function(number, Object|null, string|null): {message: string, details: string}} normalizeError
+ *           将上游的错误响应统一为 { message, details }。
+ */
+
+// 供应商标识
+export const PROVIDERS = {
+    OLLAMA: 'ollama',
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    ANTHROPIC: 'anthropic',
+    OPENAI_COMPATIBLE: 'openai-compatible',
+};
+
+const registry = new Map();
+
+/**
+ * 注册一个供应商适配器，相同 id 的适配器会被替换。
+ * @param {ProviderAdapter} adapter - 适配器。
+ */
+export function registerProvider(adapter) {
+    registry.set(adapter.id, adapter);
+}
+
+/**
+ * 获取指定供应商的适配器。
+ * @param {string} id - 供应商标识。
+ * @returns {ProviderAdapter}
+ * @throws {Error} 如果供应商未注册。
+ */
+export function getProvider(id) {
+    const adapter = registry.get(id);
+    if (!adapter) {
+        throw new Error(`Unsupported provider: ${id}`);
+    }
+    return adapter;
+}
+
+/**
+ * 列出所有已注册的适配器。
+ * @returns {Array<ProviderAdapter>}
+ */
+export function listProviders() {
+    return [...registry.values()];
+}
+
+[geminiAdapter, ollamaAdapter, openaiAdapter, anthropicAdapter, openaiCompatibleAdapter].forEach(registerProvider);
@@ -0,0 +1,186 @@
+// =========================================================================
+// OpenAI 兼容适配器
+// OpenAI 官方 API、Ollama (/v1 兼容接口) 以及任何实现了 /chat/completions 的服务
+// 都使用同一套请求和响应格式，这里用工厂函数为它们分别生成适配器，
+// 差别只在于服务地址和 API Key 的来源。BACKENDS 中的命名后端 (见 functions/lib/backends.js)
+// 也使用这些适配器，服务地址和 API Key 取自模型信息中的 backend。
+// =========================================================================
+
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * 将统一格式的消息转换为 OpenAI 的 messages：content 统一为数组 (文本 + image_url)。
+ * system 消息保持纯文本 content，部分兼容服务 (包括 Ollama) 不接受数组形式的系统提示词。
+ * 带有 toolCalls 的助手消息转换为 tool_calls，工具结果转换为 role 为 tool 的消息。
+ * @param {Array<Object>} messages - 统一格式的消息 { role, content, images, toolCalls?, toolCallId? }。
+ * @returns {Array<Object>}
+ */
+function toOpenAIMessages(messages) {
+    return messages.map(msg => {
+        if (msg.role === 'system') {
+            return { role: 'system', content: msg.content };
+        }
+        if (msg.role === 'tool') {
+            return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+        }
+        if (msg.toolCalls?.length > 0) {
+            return {
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: msg.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
+            };
+        }
+        return {
+            role: msg.role,
+            content: [
+                { type: 'text', text: msg.content || '' },
+                ...msg.images.map(img => ({ type: 'image_url', image_url: { url: img.dataUrl } }))
+            ]
+        };
+    });
+}
+
+// OpenAI Chat Completions 接口的参数限制，兼容服务通常沿用相同的范围
+const OPENAI_PARAM_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    top_p: { min: 0, max: 1 },
+    max_tokens: {},
+    stop: { maxItems: 4 },
+    seed: {},
+};
+
+/**
+ * 创建一个 OpenAI 兼容的供应商适配器。
+ * @param {Object} options
+ * @param {string} options.id - 供应商标识。
+ * @param {string} options.label - 显示名称。
+ * @param {function(Object): string|undefined} options.getBaseUrl - 根据 env 返回服务地址 (以 /v1 结尾)。
+ * @param {function(Object): string|undefined} options.getApiKey - 根据 env 返回 API Key。
+ * @param {boolean} options.requiresApiKey - 是否必须配置 API Key。
+ * @param {string} options.configHint - 缺少配置时错误信息中提示的环境变量。
+ * @param {Object} [options.paramLimits] - 支持的生成参数及取值范围。
+ * @returns {import('./index.js').ProviderAdapter}
+ */
+export function createOpenAICompatibleAdapter({ id, label, getBaseUrl, getApiKey, requiresApiKey, configHint, paramLimits = OPENAI_PARAM_LIMITS }) {
+    /**
+     * 确定服务地址：命名后端的模型使用后端的地址，否则使用环境变量中的地址。
+     * @param {Object} env - 环境变量。
+     * @param {Object|null} model - resolveModel 的结果。
+     * @returns {string}
+     * @throws {Error} 如果没有配置服务地址。
+     */
+    function resolveBaseUrl(env, model) {
+        const baseUrl = model?.backend?.apiBaseUrl || getBaseUrl(env);
+        if (!baseUrl) {
+            throw new Error(`Server configuration error: ${configHint} is not set for ${label} model.`);
+        }
+        return baseUrl;
+    }
+
+    const adapter = {
+        id,
+        label,
+        paramLimits,
+
+        isConfigured(env) {
+            return Boolean(getBaseUrl(env)) && (!requiresApiKey || Boolean(getApiKey(env)));
+        },
+
+        getAuth(env, model = null) {
+            if (model?.backend) {
+                return { query: {}, headers: model.backend.apiKey ? { 'Authorization': `Bearer ${model.backend.apiKey}` } : {} };
+            }
+            const apiKey = getApiKey(env);
+            if (requiresApiKey && !apiKey) {
+                throw new Error(`Server configuration error: ${configHint} is not set for ${label} model.`);
+            }
+            return { query: {}, headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {} };
+        },
+
+        buildRequest({ model, messages, params = {}, tools, stream, env }) {
+            const baseUrl = resolveBaseUrl(env, model);
+            return {
+                url: `${baseUrl}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...adapter.getAuth(env, model).headers },
+                    body: JSON.stringify({
+                        model: model.upstreamModel,
+                        messages: toOpenAIMessages(messages),
+                        ...params, // 参数名与 OpenAI 相同，无需转换
+                        ...(tools ? { tools } : {}), // 工具定义本身就是 OpenAI 格式
+                        stream: Boolean(stream),
+                        // 流式响应默认不返回用量，需要显式请求 (最后一个数据块的 usage 字段)
+                        ...(stream ? { stream_options: { include_usage: true } } : {}),
+                    }),
+                },
+            };
+        },
+
+        buildHealthRequest(env, model = null) {
+            return {
+                url: `${resolveBaseUrl(env, model)}/models`,
+                init: { method: 'GET', headers: adapter.getAuth(env, model).headers },
+            };
+        },
+
+        // 响应本身就是 OpenAI 格式的 SSE，直接透传
+        createStreamTranslator() {
+            return null;
+        },
+
+        parseResponse(data) {
+            const usage = data?.usage;
+            const message = data?.choices?.[0]?.message;
+            const toolCalls = (Array.isArray(message?.tool_calls) ? message.tool_calls : [])
+                .map(call => ({ id: call.id, name: call.function?.name, arguments: call.function?.arguments || '' }));
+            return {
+                // 只调用工具时 content 为 null
+                reply: message?.content ?? (toolCalls.length > 0 ? '' : undefined),
+                usage: usage ? { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens } : null,
+                finishReason: data?.choices?.[0]?.finish_reason || null,
+                toolCalls,
+            };
+        },
+
+        normalizeError(status, data, rawText) {
+            // OpenAI: { error: { message, type, code } }；Ollama: { error: "..." }
+            const error = data?.error;
+            return {
+                message: (typeof error === 'string' ? error : error?.message) || rawText || `HTTP ${status}`,
+                details: rawText ?? JSON.stringify(error) ?? 'No error details available.',
+            };
+        },
+    };
+    return adapter;
+}
+
+// OpenAI 官方 API，使用 Bearer Key 鉴权
+export const openaiAdapter = createOpenAICompatibleAdapter({
+    id: 'openai',
+    label: 'OpenAI',
+    getBaseUrl: env => env.OPENAI_API_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+    getApiKey: env => env.OPENAI_API_KEY,
+    requiresApiKey: true,
+    configHint: 'OPENAI_API_KEY',
+});
+
+// 任意 OpenAI 兼容服务 (vLLM、LM Studio、各类云服务等)，由服务地址和可选的 Key 配置
+export const openaiCompatibleAdapter = createOpenAICompatibleAdapter({
+    id: 'openai-compatible',
+    label: 'OpenAI 兼容服务',
+    getBaseUrl: env => env.OPENAI_COMPATIBLE_BASE_URL,
+    getApiKey: env => env.OPENAI_COMPATIBLE_API_KEY,
+    requiresApiKey: false,
+    configHint: 'OPENAI_COMPATIBLE_BASE_URL',
+});
+
+// Ollama 的 OpenAI 兼容接口，通常不需要 API Key。多台 Ollama 服务器通过 BACKENDS 配置
+export const ollamaAdapter = createOpenAICompatibleAdapter({
+    id: 'ollama',
+    label: 'Ollama',
+    getBaseUrl: env => env.OLLAMA_API_BASE_URL ? `${env.OLLAMA_API_BASE_URL}/v1` : undefined,
+    getApiKey: () => null,
+    requiresApiKey: false,
+    configHint: 'OLLAMA_API_BASE_URL',
+});
@@ -0,0 +1,158 @@
+// =========================================================================
+// 请求与 token 配额
+// 通过 QUOTAS 配置，按用户 (通过身份验证的用户名) 和按来源 IP 分别限制：
+//   {"user": {"requestsPerMinute": 20, "tokensPerDay": 200000},
+//    "ip":   {"requestsPerMinute": 60, "tokensPerDay": 1000000}}
+// 未配置的项不做限制。计数保存在 QUOTA_STORE 存储绑定中 (未配置时使用 CHAT_STORE)，
+// 使用固定时间窗口：请求数按分钟，token 数按 UTC 自然日。
+// KV 不支持原子递增，并发请求时计数可能略有偏差，这里的配额只用于防止滥用，不用于精确计费。
+// =========================================================================
+
+import { getStore } from './storage.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 读取配额配置。
+ * @param {Object} env - 环境变量。
+ * @returns {Object|null} { user?: {requestsPerMinute?, tokensPerDay?}, ip?: {...} }，未配置时返回 null。
+ * @throws {Error} 如果 QUOTAS 不是合法的 JSON 对象。
+ */
+export function getQuotaConfig(env) {
+    if (!env.QUOTAS) {
+        return null;
+    }
+    let config;
+    try {
+        config = JSON.parse(env.QUOTAS);
+    } catch (e) {
+        throw new Error('Server configuration error: QUOTAS is not valid JSON.');
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Server configuration error: QUOTAS must be a JSON object.');
+    }
+    return config;
+}
+
+/**
+ * 获取保存计数的存储绑定。
+ * @param {Object} env - 环境变量。
+ * @returns {Object} KV 命名空间或兼容实现。
+ */
+function getQuotaStore(env) {
+    return env.QUOTA_STORE || getStore(env);
+}
+
+/**
+ * 生成当前时间窗口内的计数键，以及窗口结束前剩余的秒数。
+ * @param {{scope: string, id: string}} subject - 计数对象。
+ * @param {'requests'|'tokens'} kind - 计数类型。
+ * @returns {{key: string, retryAfter: number, ttl: number}}
+ */
+function getWindow(subject, kind) {
+    const size = kind === 'requests' ? MINUTE_MS : DAY_MS;
+    const now = Date.now();
+    const windowStart = Math.floor(now / size) * size;
+    return {
+        key: `quota:${subject.scope}:${subject.id}:${kind}:${windowStart}`,
+        retryAfter: Math.ceil((windowStart + size - now) / 1000),
+        // KV 的 expirationTtl 至少为 60 秒，多保留一个窗口以免边界上提前过期
+        ttl: Math.max(60, Math.ceil(size * 2 / 1000)),
+    };
+}
+
+/**
+ * 一个请求的计数对象：来源 IP，以及通过身份验证的用户 (AUTH_MODE 为 none 时只有 IP)。
+ * @param {Request} request - 请求对象。
+ * @param {{id: string, method: string}} user - 当前用户。
+ * @returns {Array<{scope: 'user'|'ip', id: string}>}
+ */
+export function getQuotaSubjects(request, user) {
+    return [
+        { scope: 'ip', id: request.headers.get('CF-Connecting-IP') || 'unknown' },
+        ...(user.method !== 'none' ? [{ scope: 'user', id: user.id }] : []),
+    ];
+}
+
+/**
+ * 生成超出配额时的 429 响应，格式与上游速率限制的 429 相同，并带有 Retry-After。
+ * @param {{scope: string, kind: string, limit: number, retryAfter: number}} exceeded - checkQuota 的结果。
+ * @returns {Response}
+ */
+export function createQuotaExceededResponse(exceeded) {
+    const who = exceeded.scope === 'user' ? '当前用户' : '当前 IP ';
+    const what = exceeded.kind === 'tokens' ? `今日 token 用量已达上限 (${exceeded.limit})` : `每分钟请求数已达上限 (${exceeded.limit})`;
+    return new Response(JSON.stringify({
+        error: `${who}${what}，请稍后再试。`,
+        statusCode: 429,
+        quota: { scope: exceeded.scope, kind: exceeded.kind, limit: exceeded.limit },
+        retryAfter: exceeded.retryAfter,
+    }, null, 2), {
+        status: 429,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Retry-After': String(exceeded.retryAfter),
+            'Access-Control-Expose-Headers': 'Retry-After',
+        }
+    });
+}
+
+/**
+ * 检查各个计数对象的配额。都未超出时，记录本次请求。
+ * @param {Array<{scope: 'user'|'ip', id: string}>} subjects - 计数对象，例如当前用户和来源 IP。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<{scope: string, kind: string, limit: number, retryAfter: number}|null>} 超出的配额；未超出时返回 null。
+ */
+export async function checkQuota(subjects, env) {
+    const config = getQuotaConfig(env);
+    if (!config) {
+        return null;
+    }
+    const store = getQuotaStore(env);
+
+    const requestCounters = [];
+    for (const subject of subjects) {
+        const limits = config[subject.scope] || {};
+        if (limits.tokensPerDay) {
+            const { key, retryAfter } = getWindow(subject, 'tokens');
+            if ((Number(await store.get(key)) || 0) >= limits.tokensPerDay) {
+                return { scope: subject.scope, kind: 'tokens', limit: limits.tokensPerDay, retryAfter };
+            }
+        }
+        if (limits.requestsPerMinute) {
+            const { key, retryAfter, ttl } = getWindow(subject, 'requests');
+            const count = Number(await store.get(key)) || 0;
+            if (count >= limits.requestsPerMinute) {
+                return { scope: subject.scope, kind: 'requests', limit: limits.requestsPerMinute, retryAfter };
+            }
+            requestCounters.push({ key, count, ttl });
+        }
+    }
+
+    await Promise.all(requestCounters.map(({ key, count, ttl }) => store.put(key, String(count + 1), { expirationTtl: ttl })));
+    return null;
+}
+
+/**
+ * 在回复完成后累计 token 用量。
+ * @param {Array<{scope: 'user'|'ip', id: string}>} subjects - 计数对象。
+ * @param {number} tokens - 本次请求消耗的 token 数。
+ * @param {Object} env - 环境变量。
+ * @returns {Promise<void>}
+ */
+export async function recordTokenUsage(subjects, tokens, env) {
+    const config = getQuotaConfig(env);
+    if (!config || !(tokens > 0)) {
+        return;
+    }
+    const store = getQuotaStore(env);
+    await Promise.all(subjects
+        .filter(subject => config[subject.scope]?.tokensPerDay)
+        .map(async subject => {
+            const { key, ttl } = getWindow(subject, 'tokens');
+            const used = Number(await store.get(key)) || 0;
+            await store.put(key, String(used + tokens), { expirationTtl: ttl });
+        }));
+}
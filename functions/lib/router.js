@@ -0,0 +1,275 @@
+// =========================================================================
+// 路由策略：模型别名、失败切换、重试与熔断
+// 环境变量 MODEL_ROUTES 把一个别名映射为按优先级排列的目标模型 (目录中的模型 ID)：
+//   {"fast": {"label": "快速 (自动切换)", "targets": ["gemini-2.5-flash", "gpt-4o", "ollama-qwen3:14b"],
+//             "retries": 1, "timeoutMs": 20000}}
+// 也可以简写为 {"fast": ["gemini-2.5-flash", "gpt-4o"]}。
+// 请求别名时依次尝试各个目标：网络错误、超时和 408/429/5xx 会先在同一目标上重试 (带随机抖动的指数退避)，
+// 仍然失败就切换到下一个目标。流式请求只在收到第一个字节之前切换，之后的错误由流本身报告。
+// 连续失败的后端会被熔断一段时间，期间优先跳过。直接请求单个模型时只尝试一次，不设超时。
+// =========================================================================
+
+const DEFAULT_ROUTE_RETRIES = 1; // 每个目标额外重试的次数
+const DEFAULT_ROUTE_TIMEOUT_MS = 30000; // 等待响应头和第一个字节的超时
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 2000;
+
+// 可以重试或切换目标的上游状态码；其余错误 (例如 400、401) 换一个目标通常也无济于事，直接返回
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// 熔断：连续失败达到阈值后，在冷却期内跳过该后端；冷却期过后允许再次尝试，成功即恢复
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+// 各后端的健康状况 (同一个 Worker 实例内有效)：{ failures, openUntil }
+const circuits = new Map();
+
+/**
+ * 读取 MODEL_ROUTES 中配置的路由。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<{id: string, label: string, targets: Array<string>, retries: number, timeoutMs: number}>}
+ * @throws {Error} 如果配置不是合法的 JSON 对象。
+ */
+export function getRoutes(env) {
+    if (!env.MODEL_ROUTES) {
+        return [];
+    }
+
+    let routes;
+    try {
+        routes = JSON.parse(env.MODEL_ROUTES);
+    } catch (e) {
+        throw new Error('Server configuration error: MODEL_ROUTES is not valid JSON.');
+    }
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+        throw new Error('Server configuration error: MODEL_ROUTES must be a JSON object.');
+    }
+
+    return Object.entries(routes)
+        .map(([id, config]) => {
+            const options = Array.isArray(config) ? { targets: config } : config || {};
+            return {
+                id,
+                label: options.label || id,
+                targets: Array.isArray(options.targets) ? options.targets.filter(target => typeof target === 'string') : [],
+                retries: Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_ROUTE_RETRIES,
+                timeoutMs: Number(options.timeoutMs) > 0 ? Number(options.timeoutMs) : DEFAULT_ROUTE_TIMEOUT_MS,
+            };
+        })
+        .filter(route => route.targets.length > 0);
+}
+
+/**
+ * 查找模型 ID 对应的路由。不是别名时返回只包含该模型本身的路由 (不重试、不设超时)。
+ * @param {string} modelId - 请求中的模型 ID。
+ * @param {Object} env - 环境变量。
+ * @returns {{id: string, label: string, targets: Array<string>, retries: number, timeoutMs: number|null, alias: boolean}}
+ */
+export function resolveRoute(modelId, env) {
+    const route = getRoutes(env).find(candidate => candidate.id === modelId);
+    if (route) {
+        return { ...route, alias: true };
+    }
+    return { id: modelId, label: modelId, targets: [modelId], retries: 0, timeoutMs: null, alias: false };
+}
+
+/**
+ * 熔断所用的后端标识：命名后端 (BACKENDS) 各自独立熔断，其余按供应商。
+ * @param {Object} target - resolveModel 的结果。
+ * @returns {string}
+ */
+export function getBackendKey(target) {
+    return target.backend ? `backend:${target.backend.id}` : target.provider;
+}
+
+/**
+ * 判断后端当前是否处于熔断状态。
+ * @param {string} key - 后端标识 (见 getBackendKey)。
+ * @returns {boolean}
+ */
+export function isCircuitOpen(key) {
+    return (circuits.get(key)?.openUntil || 0) > Date.now();
+}
+
+/**
+ * 记录一次请求结果，更新后端的熔断状态。
+ * @param {string} key - 后端标识。
+ * @param {boolean} success - 是否成功。
+ */
+function recordOutcome(key, success) {
+    if (success) {
+        circuits.delete(key);
+        return;
+    }
+    const circuit = circuits.get(key) || { failures: 0, openUntil: 0 };
+    circuit.failures += 1;
+    if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+        console.warn(`Circuit opened for backend ${key} after ${circuit.failures} consecutive failures`);
+    }
+    circuits.set(key, circuit);
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：指数退避，并在 [0, 上限) 之间随机抖动，避免多个请求同时重试。
+ * @param {number} attempt - 已经重试的次数 (从 0 开始)。
+ * @returns {number} 毫秒数。
+ */
+function getRetryDelay(attempt) {
+    return Math.random() * Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * 等待一段时间，客户端断开时提前结束。
+ * @param {number} ms - 毫秒数。
+ * @param {AbortSignal} [signal] - 客户端请求的中止信号。
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * 请求上游。设置了超时时，超时覆盖到收到响应头 (流式请求则是收到第一个字节) 为止；
+ * 流式响应会先读出第一个数据块，再把它和剩余部分拼接为新的响应体返回。
+ * 客户端断开时 (signal) 始终会中止上游请求。
+ * @param {string} url - 请求地址。
+ * @param {RequestInit} init - fetch 选项。
+ * @param {{stream: boolean, timeoutMs: number|null, signal: AbortSignal}} options
+ * @returns {Promise<Response>}
+ */
+async function fetchUpstream(url, init, { stream, timeoutMs, signal }) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) {
+        abort();
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+    let timedOut = false;
+    const timer = timeoutMs ? setTimeout(() => {
+        timedOut = true;
+        abort();
+    }, timeoutMs) : null;
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (!stream || !response.ok || !response.body) {
+            return response;
+        }
+
+        const reader = response.body.getReader();
+        const first = await reader.read();
+        const body = new ReadableStream({
+            start(streamController) {
+                if (first.done) {
+                    streamController.close();
+                } else {
+                    streamController.enqueue(first.value);
+                }
+            },
+            async pull(streamController) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    streamController.close();
+                } else {
+                    streamController.enqueue(value);
+                }
+            },
+            cancel(reason) {
+                return reader.cancel(reason);
+            },
+        });
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    } catch (error) {
+        if (timedOut) {
+            throw new Error(`Upstream did not respond within ${timeoutMs} ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 按路由依次尝试各个目标，返回第一个成功 (或不可重试) 的上游响应。
+ * 处于熔断状态的后端排在最后，只有其他目标都失败时才会尝试。
+ * @param {Object} route - resolveRoute 的结果。
+ * @param {Array<Object>} targets - 已解析的目标模型 (resolveModel 的结果)，与 route.targets 一一对应。
+ * @param {Object} options
+ * @param {function(Object): Promise<{url: string, init: RequestInit}>} options.prepare
+ *        为目标模型准备上游请求。抛出错误时跳过该目标 (例如参数超出了它的限制)。
+ * @param {boolean} options.stream - 是否流式传输。
+ * @param {AbortSignal} options.signal - 客户端请求的中止信号。
+ * @returns {Promise<{target: Object|null, prepared: Object|null, response: Response|null, error: Error|null, failures: Array<Object>}>}
+ *          response 为 null 时表示没有任何目标返回响应，error 是最后一个错误；
+ *          failures 记录每次失败 { target, stage: 'prepare'|'fetch'|'status', message }。
+ */
+export async function sendWithFallback(route, targets, { prepare, stream, signal }) {
+    const ordered = [...targets.filter(target => !isCircuitOpen(getBackendKey(target))), ...targets.filter(target => isCircuitOpen(getBackendKey(target)))];
+    const failures = [];
+    let lastError = null;
+    let lastFailed = null; // 最后一个可重试的失败响应，所有目标都失败时返回给客户端
+
+    for (const target of ordered) {
+        const key = getBackendKey(target);
+        let prepared;
+        try {
+            prepared = await prepare(target);
+        } catch (error) {
+            failures.push({ target: target.id, stage: 'prepare', message: error.message });
+            lastError = error;
+            continue;
+        }
+
+        for (let attempt = 0; attempt <= route.retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(getRetryDelay(attempt - 1), signal);
+            }
+            if (signal?.aborted) {
+                return { target, prepared, response: null, error: new DOMException('Client disconnected', 'AbortError'), failures };
+            }
+
+            let response;
+            try {
+                response = await fetchUpstream(prepared.url, prepared.init, { stream, timeoutMs: route.timeoutMs, signal });
+            } catch (error) {
+                if (signal?.aborted) {
+                    return { target, prepared, response: null, error, failures };
+                }
+                console.error(`Request to ${target.id} failed (attempt ${attempt + 1}):`, error.message);
+                failures.push({ target: target.id, stage: 'fetch', message: error.message });
+                recordOutcome(key, false);
+                lastError = error;
+                continue;
+            }
+
+            if (response.ok || !RETRYABLE_STATUSES.includes(response.status)) {
+                // 4xx 说明请求本身有问题，不代表后端不健康
+                recordOutcome(key, true);
+                if (lastFailed) {
+                    await lastFailed.response.body?.cancel();
+                }
+                return { target, prepared, response, error: null, failures };
+            }
+
+            console.error(`Request to ${target.id} returned status ${response.status} (attempt ${attempt + 1})`);
+            failures.push({ target: target.id, stage: 'status', message: `HTTP ${response.status}` });
+            recordOutcome(key, false);
+            if (lastFailed) {
+                await lastFailed.response.body?.cancel();
+            }
+            lastFailed = { target, prepared, response };
+        }
+    }
+
+    if (lastFailed) {
+        return { ...lastFailed, error: null, failures };
+    }
+    return { target: null, prepared: null, response: null, error: lastError, failures };
+}
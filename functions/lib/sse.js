@@ -0,0 +1,157 @@
+// =========================================================================
+// SSE (Server-Sent Events) 工具
+// 各供应商的流式响应都会被转换为 OpenAI 兼容的 SSE 格式：
+//   data: {"choices":[{"delta":{"content":"..."},"index":0,"finish_reason":null}]}
+//   ...
+//   data: {"choices":[{"delta":{},"index":0,"finish_reason":"stop"}],"usage":{"prompt_tokens":12,"completion_tokens":80}}
+//   data: [DONE]
+// 上游在流的中途出错时，输出一个错误事件 (之后仍以 [DONE] 结束)：
+//   event: error
+//   data: {"error":{"message":"...","type":"..."}}
+// 上游连接中途断开时同样如此，错误类型为 stream_interrupted (见 usage.js 的 createUsageTracker)。
+// 可恢复的流式请求 (见 generations.js) 中，每个事件前还有一行 "id: 序号"。
+// 模型请求调用工具时，各适配器输出 OpenAI 格式的 delta.tool_calls；启用服务端工具时 (见 tool-loop.js)，
+// 这些数据块不会转发给客户端，而是在执行工具前后分别输出：
+//   event: tool_call
+//   data: {"id":"call_0","name":"calculator","arguments":"{\"expression\":\"2^10\"}"}
+//   event: tool_result
+//   data: {"id":"call_0","name":"calculator","result":"{\"result\":1024}"}   (失败时为 "error" 字段)
+// =========================================================================
+
+const encoder = new TextEncoder();
+
+/**
+ * 将一条 SSE 消息编码为字节。Workers 的响应体必须是字节流，不能直接写入字符串。
+ * @param {Object|string} data - 消息数据，对象会被序列化为 JSON。
+ * @param {string} [event] - 可选的事件名称。
+ * @param {number} [id] - 可选的事件 ID，客户端重新连接时通过 Last-Event-ID 告知收到的最后一个事件 (见 generations.js)。
+ * @returns {Uint8Array}
+ */
+export function encodeSSE(data, event, id) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    return encoder.encode(`${id !== undefined ? `id: ${id}\n` : ''}${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+}
+
+/**
+ * 构造一个 OpenAI 兼容的流式数据块。
+ * @param {string} content - 本次增量的文本。
+ * @param {string|null} [finishReason] - 结束原因。
+ * @param {{prompt_tokens?: number, completion_tokens?: number}|null} [usage] - token 用量 (通常只在最后一个数据块中出现)。
+ * @returns {Object}
+ */
+export function createOpenAIChunk(content, finishReason = null, usage = null) {
+    return {
+        choices: [{
+            delta: content ? { content } : {},
+            index: 0,
+            finish_reason: finishReason
+        }],
+        ...(usage ? { usage } : {})
+    };
+}
+
+/**
+ * 构造一个只包含工具调用增量的 OpenAI 兼容流式数据块。
+ * @param {Array<{index: number, id?: string, name?: string, arguments?: string}>} calls - 工具调用的增量，
+ *        同一个调用的后续增量只带 index 和追加的 arguments 片段。
+ * @returns {Object}
+ */
+export function createToolCallChunk(calls) {
+    return {
+        choices: [{
+            delta: {
+                tool_calls: calls.map(call => ({
+                    index: call.index,
+                    ...(call.id ? { id: call.id, type: 'function' } : {}),
+                    function: {
+                        ...(call.name ? { name: call.name } : {}),
+                        arguments: call.arguments ?? '',
+                    },
+                })),
+            },
+            index: 0,
+            finish_reason: null
+        }]
+    };
+}
+
+/**
+ * 创建一个增量 SSE 解析器。输入任意切分的文本，按完整事件回调。
+ * 兼容 \n 和 \r\n 两种换行，支持多行 data 字段。
+ * @param {function({event: string|null, data: string}): void} onEvent - 每解析出一个完整事件时调用。
+ * @returns {{push: function(string): void, flush: function(): void}}
+ */
+export function createSSEParser(onEvent) {
+    let buffer = '';
+    let event = null;
+    let dataLines = [];
+
+    function dispatch() {
+        if (dataLines.length > 0) {
+            onEvent({ event, data: dataLines.join('\n') });
+        }
+        event = null;
+        dataLines = [];
+    }
+
+    function processLine(line) {
+        if (line === '') {
+            dispatch();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        }
+        // 其他字段 (id、retry) 和注释行 (以冒号开头) 在这里不需要处理
+    }
+
+    return {
+        push(text) {
+            buffer += text;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop(); // 最后一行可能还不完整，留在缓冲区
+            lines.forEach(processLine);
+        },
+        flush() {
+            if (buffer) {
+                processLine(buffer);
+                buffer = '';
+            }
+            dispatch();
+        },
+    };
+}
+
+/**
+ * 创建一个把上游 SSE 字节流转换为 OpenAI 兼容 SSE 字节流的 TransformStream。
+ * @param {Object} handlers
+ * @param {function({event: string|null, data: string}, function(Object|string, string=): void): void} handlers.onEvent
+ *        处理上游的每个事件，通过第二个参数 emit(data, event) 输出消息。
+ * @param {function(function(Object|string, string=): void): void} [handlers.onFlush]
+ *        上游结束时调用，默认输出 data: [DONE]。
+ * @returns {TransformStream}
+ */
+export function createSSETranslator({ onEvent, onFlush }) {
+    const decoder = new TextDecoder();
+    let emit;
+    const parser = createSSEParser(evt => onEvent(evt, emit));
+
+    return new TransformStream({
+        start(controller) {
+            emit = (data, event) => controller.enqueue(encodeSSE(data, event));
+        },
+        transform(chunk, controller) {
+            parser.push(decoder.decode(chunk, { stream: true }));
+        },
+        flush(controller) {
+            parser.push(decoder.decode());
+            parser.flush();
+            if (onFlush) {
+                onFlush(emit);
+            } else {
+                // 流结束时，发送一个 [DONE] 消息，以符合 OpenAI SSE 规范
+                emit('[DONE]');
+            }
+        }
+    });
+}
@@ -0,0 +1,44 @@
+// =========================================================================
+// 存储绑定 (KV 风格)
+// 生产环境使用 Cloudflare KV 命名空间，通过 env.CHAT_STORE 绑定；
+// 本地测试时可以用 createMemoryStore() 生成一个接口兼容的内存实现放入 env。
+// 只依赖 KV 的 get / put / delete 三个方法。
+// =========================================================================
+
+/**
+ * 创建一个与 KV 命名空间接口兼容的内存存储，供本地测试使用。
+ * 数据只保存在当前进程中，进程结束即丢失。
+ * @returns {{get: Function, put: Function, delete: Function}} 内存存储。
+ */
+export function createMemoryStore() {
+    const data = new Map();
+
+    return {
+        async get(key, type) {
+            const value = data.has(key) ? data.get(key) : null;
+            if (value === null || type !== 'json') {
+                return value;
+            }
+            return JSON.parse(value);
+        },
+        async put(key, value) {
+            data.set(key, typeof value === 'string' ? value : String(value));
+        },
+        async delete(key) {
+            data.delete(key);
+        },
+    };
+}
+
+/**
+ * 获取存储绑定。
+ * @param {Object} env - 环境变量。
+ * @returns {Object} KV 命名空间或兼容实现。
+ * @throws {Error} 如果没有配置 CHAT_STORE 绑定。
+ */
+export function getStore(env) {
+    if (!env.CHAT_STORE) {
+        throw new Error('Server configuration error: CHAT_STORE storage binding is not set.');
+    }
+    return env.CHAT_STORE;
+}
@@ -0,0 +1,259 @@
+// =========================================================================
+// 工具调用循环
+// 模型请求调用工具时，Worker 执行工具 (见 tools.js)，把调用和结果追加到对话中再次请求模型，
+// 直到模型给出普通回复或达到轮数上限。流式与非流式请求各有一个入口：
+//   - completeWithTools : 非流式，返回最后一轮的上游响应 (由 chat.js 照常解析) 和执行过的工具调用
+//   - createToolLoopStream : 流式，合并各轮的输出为一个 OpenAI 兼容的 SSE 流，
+//     工具调用和结果以 "event: tool_call" / "event: tool_result" 事件告知客户端 (见 sse.js)
+// 后续轮次由调用方提供的 send(messages) 发送，它负责构建请求、重试和超时，返回上游响应。
+// =========================================================================
+
+import { createSSEParser, encodeSSE, createOpenAIChunk } from './sse.js';
+import { executeTool } from './tools.js';
+
+// 一次请求中最多执行几轮工具调用，防止模型反复调用工具
+export const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * 执行一轮中的所有工具调用 (并行)。
+ * @param {Array<{id: string, name: string, arguments: string}>} toolCalls - 模型给出的调用。
+ * @param {Object} env - 环境变量。
+ * @param {AbortSignal} [signal] - 客户端请求的中止信号。
+ * @returns {Promise<Array<{id: string, name: string, arguments: string, result?: string, error?: string}>>}
+ */
+async function runToolCalls(toolCalls, env, signal) {
+    return Promise.all(toolCalls.map(async call => ({ ...call, ...await executeTool(call, env, signal) })));
+}
+
+/**
+ * 把一轮工具调用追加到对话中：模型的回复 (带 toolCalls) 之后跟着每个调用的结果。
+ * @param {Array<Object>} messages - 本轮发送的消息。
+ * @param {string} reply - 模型在调用工具前输出的文本 (通常为空)。
+ * @param {Array<Object>} executed - runToolCalls 的结果。
+ * @returns {Array<Object>} 新的消息数组。
+ */
+function appendToolRound(messages, reply, executed) {
+    return [
+        ...messages,
+        {
+            role: 'assistant',
+            content: reply || '',
+            images: [],
+            toolCalls: executed.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+        },
+        ...executed.map(call => ({
+            role: 'tool',
+            toolCallId: call.id,
+            name: call.name,
+            content: call.error !== undefined ? JSON.stringify({ error: call.error }) : call.result,
+            images: [],
+        })),
+    ];
+}
+
+/**
+ * 累加两轮的 token 用量。任何一轮缺少某项时，该项视为未知。
+ * @param {Object|null} total - 之前各轮的用量，null 表示没有之前的轮次。
+ * @param {Object|null} usage - 本轮的用量。
+ * @returns {Object|null}
+ */
+export function addUsage(total, usage) {
+    if (!total) {
+        return usage || null;
+    }
+    const add = key => total[key] != null && usage?.[key] != null ? total[key] + usage[key] : null;
+    return { prompt_tokens: add('prompt_tokens'), completion_tokens: add('completion_tokens') };
+}
+
+/**
+ * 为缺少 ID 的工具调用补上 ID (部分 OpenAI 兼容服务不返回)，后续消息需要用它关联调用和结果。
+ * @param {Array<Object>} toolCalls - 模型给出的调用。
+ * @param {number} round - 轮次，保证不同轮次的 ID 不重复。
+ * @returns {Array<{id: string, name: string, arguments: string}>}
+ */
+function withCallIds(toolCalls, round) {
+    return toolCalls.map((call, index) => ({ ...call, id: call.id || `call_${round}_${index}` }));
+}
+
+/**
+ * 非流式的工具调用循环。
+ * @param {Object} options
+ * @param {Response} options.response - 第一轮的上游响应 (2xx)。
+ * @param {import('./providers/index.js').ProviderAdapter} options.adapter - 供应商适配器。
+ * @param {Array<Object>} options.messages - 第一轮发送的消息 (统一格式)。
+ * @param {function(Array<Object>): Promise<Response>} options.send - 发送后续轮次，失败时抛出错误。
+ * @param {Object} options.env - 环境变量。
+ * @param {AbortSignal} [options.signal] - 客户端请求的中止信号。
+ * @returns {Promise<{response: Response, toolCalls: Array<Object>, usage: Object|null}>}
+ *          response 是最后一轮的上游响应 (响应体未读取，可能不是 2xx)；toolCalls 是执行过的调用 (含 result 或 error)；
+ *          usage 是之前各轮的用量之和 (不含最后一轮)。
+ */
+export async function completeWithTools({ response, adapter, messages, send, env, signal }) {
+    const toolCalls = [];
+    let usage = null;
+    let current = messages;
+    for (let round = 0; round < MAX_TOOL_ROUNDS && response.ok; round++) {
+        let parsed;
+        try {
+            // 读取副本，不需要继续调用工具时原响应交给调用方解析
+            parsed = adapter.parseResponse(JSON.parse(await response.clone().text()));
+        } catch (e) {
+            break;
+        }
+        if (!parsed.toolCalls?.length) {
+            break;
+        }
+
+        const executed = await runToolCalls(withCallIds(parsed.toolCalls, round), env, signal);
+        toolCalls.push(...executed);
+        usage = addUsage(usage, parsed.usage);
+        current = appendToolRound(current, parsed.reply, executed);
+        await response.body?.cancel();
+        response = await send(current);
+    }
+    return { response, toolCalls, usage };
+}
+
+/**
+ * 流式的工具调用循环。
+ * @param {Object} options
+ * @param {Response} options.response - 第一轮的上游响应 (2xx)。
+ * @param {import('./providers/index.js').ProviderAdapter} options.adapter - 供应商适配器。
+ * @param {Array<Object>} options.messages - 第一轮发送的消息 (统一格式)。
+ * @param {function(Array<Object>): Promise<Response>} options.send - 发送后续轮次，失败时抛出错误。
+ * @param {Object} options.env - 环境变量。
+ * @param {AbortSignal} [options.signal] - 客户端请求的中止信号。
+ * @returns {ReadableStream<Uint8Array>} OpenAI 兼容的 SSE 字节流。各轮的文本原样转发；
+ *          最后一个数据块给出最终的结束原因和各轮用量之和，之后是 [DONE]。
+ */
+export function createToolLoopStream({ response, adapter, messages, send, env, signal }) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const write = (data, event) => writer.write(encodeSSE(data, event));
+
+    /**
+     * 读取一轮的输出：转发文本和事件，收集工具调用、结束原因和用量。
+     * @param {Response} roundResponse - 本轮的上游响应。
+     * @returns {Promise<{text: string, toolCalls: Array<Object>, finishReason: string|null, usage: Object|null, failed: boolean}>}
+     */
+    async function readRound(roundResponse) {
+        const translator = adapter.createStreamTranslator();
+        const reader = (translator ? roundResponse.body.pipeThrough(translator) : roundResponse.body).getReader();
+        const decoder = new TextDecoder();
+        const round = { text: '', toolCalls: [], finishReason: null, usage: null, failed: false };
+        const pending = [];
+
+        const parser = createSSEParser(({ event, data }) => {
+            if (event) {
+                round.failed ||= event === 'error';
+                pending.push([data, event]);
+                return;
+            }
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (e) {
+                // [DONE] 由循环结束时统一发送；其余无法解析的数据块照常转发，由客户端处理
+                if (data !== '[DONE]') {
+                    pending.push([data]);
+                }
+                return;
+            }
+            const choice = chunk.choices?.[0];
+            for (const delta of choice?.delta?.tool_calls || []) {
+                const call = round.toolCalls[delta.index ?? 0] ||= { id: '', name: '', arguments: '' };
+                call.id ||= delta.id || '';
+                call.name ||= delta.function?.name || '';
+                call.arguments += delta.function?.arguments || '';
+            }
+            round.finishReason = choice?.finish_reason || round.finishReason;
+            round.usage = chunk.usage || round.usage;
+            // 结束原因和用量在所有轮次结束后统一给出，这里只转发内容
+            const { tool_calls: toolCallDeltas, ...delta } = choice?.delta || {};
+            if (delta.content) {
+                round.text += delta.content;
+            }
+            const { usage, ...rest } = chunk;
+            if (delta.content || choice?.content_filter_results || chunk.prompt_filter_results) {
+                pending.push([{ ...rest, choices: [{ ...choice, delta, finish_reason: null }] }]);
+            }
+        });
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                parser.push(decoder.decode(value, { stream: true }));
+                for (const [data, event] of pending.splice(0)) {
+                    await write(data, event);
+                }
+            }
+            parser.push(decoder.decode());
+            parser.flush();
+            for (const [data, event] of pending.splice(0)) {
+                await write(data, event);
+            }
+        } catch (error) {
+            await reader.cancel(error).catch(() => {});
+            throw error;
+        }
+        round.toolCalls = round.toolCalls.filter(Boolean);
+        return round;
+    }
+
+    async function run() {
+        let current = messages;
+        let usage = null;
+        let finishReason = null;
+        for (let round = 0; ; round++) {
+            const result = await readRound(response);
+            usage = addUsage(usage, result.usage);
+            finishReason = result.finishReason;
+            if (result.failed || result.toolCalls.length === 0 || round >= MAX_TOOL_ROUNDS) {
+                break;
+            }
+
+            const calls = withCallIds(result.toolCalls, round);
+            for (const call of calls) {
+                await write({ id: call.id, name: call.name, arguments: call.arguments }, 'tool_call');
+            }
+            const executed = await runToolCalls(calls, env, signal);
+            for (const call of executed) {
+                await write({ id: call.id, name: call.name, ...(call.error !== undefined ? { error: call.error } : { result: call.result }) }, 'tool_result');
+            }
+            current = appendToolRound(current, result.text, executed);
+
+            response = await send(current);
+            if (!response.ok) {
+                const rawText = await response.text().catch(() => '');
+                let data = null;
+                try {
+                    data = JSON.parse(rawText);
+                } catch (e) {
+                    // 非 JSON 的错误响应按原文处理
+                }
+                const { message } = adapter.normalizeError(response.status, data, data ? null : rawText);
+                await write({ error: { message: `Backend API error after tool call (status ${response.status}): ${message}`, type: 'upstream_error' } }, 'error');
+                finishReason = null;
+                break;
+            }
+        }
+        if (finishReason || usage) {
+            await write(createOpenAIChunk('', finishReason, usage));
+        }
+    }
+
+    run()
+        .catch(async error => {
+            if (signal?.aborted) {
+                return;
+            }
+            console.error('Tool loop failed:', error);
+            await write({ error: { message: error.message, type: 'tool_loop_error' } }, 'error').catch(() => {});
+        })
+        .finally(() => write('[DONE]').then(() => writer.close()).catch(() => {}));
+
+    return readable;
+}
@@ -0,0 +1,422 @@
+// =========================================================================
+// 服务端工具
+// 模型可以调用的工具在这里注册，由 Worker 执行后把结果交回模型 (循环见 tool-loop.js)。
+// 客户端在 /api/chat 的请求体中用 tools 字段启用：true 表示启用所有可用的工具，
+// 也可以是工具名称数组，例如 ["calculator", "current_time"]。
+// 工具以 OpenAI 的 function 格式描述，由各供应商适配器转换为自己的格式 (例如 Gemini 的 functionDeclarations)。
+// 内置工具：
+//   - calculator         : 计算数学表达式 (自带解析器，不使用 eval)
+//   - current_time       : 当前日期和时间，可指定时区 (默认 TOOL_DEFAULT_TIMEZONE，未配置时为 UTC)
+//   - fetch_internal_url : 读取 TOOL_FETCH_URLS 中配置的内部地址，模型只能按名称选择，不能指定任意 URL：
+//       {"status": {"url": "https://status.internal/api/summary", "description": "各服务的运行状态",
+//                   "headers": {"Authorization": "Bearer ..."}, "queryParam": "q"}}
+//     配置了 queryParam 时，模型可以传入 query，作为该查询参数附加到地址上。
+// =========================================================================
+
+const TOOL_TIMEOUT_MS = 10000;
+const MAX_TOOL_RESULT_CHARS = 8000; // 交回模型的工具结果的长度上限
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * @typedef {Object} Tool
+ * @property {string} name - 工具名称 (字母、数字、下划线和连字符)。
+ * @property {string} description - 给模型看的用途说明。
+ * @property {function(Object): boolean} isAvailable - 根据 env 判断工具是否可用 (例如是否有所需的配置)。
+ * @property {function(Object): Object} getParameters - 返回参数的 JSON Schema。
+ * @property {function(Object, Object, {signal: AbortSignal}): Promise<string|Object>} execute
+ *           执行工具。参数为模型给出的参数对象、env 和中止信号；返回文本或可序列化为 JSON 的对象，失败时抛出错误。
+ */
+
+const registry = new Map();
+
+/**
+ * 注册一个工具，相同名称的工具会被替换。
+ * @param {Tool} tool - 工具。
+ */
+export function registerTool(tool) {
+    registry.set(tool.name, tool);
+}
+
+/**
+ * 列出当前配置下可用的工具。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<Tool>}
+ */
+export function listAvailableTools(env) {
+    return [...registry.values()].filter(tool => tool.isAvailable(env));
+}
+
+/**
+ * 解析请求中的 tools 字段。
+ * @param {boolean|Array<string>|undefined} requested - true、工具名称数组，或未启用。
+ * @param {Object} env - 环境变量。
+ * @returns {Array<Object>|null} OpenAI function 格式的工具定义 [{ type: 'function', function: { name, description, parameters } }]；
+ *          未启用工具时返回 null。
+ * @throws {Error} 如果格式不合法或请求了不可用的工具。
+ */
+export function resolveTools(requested, env) {
+    if (requested === undefined || requested === null || requested === false) {
+        return null;
+    }
+    const available = listAvailableTools(env);
+    let tools;
+    if (requested === true) {
+        tools = available;
+    } else if (Array.isArray(requested) && requested.every(name => typeof name === 'string')) {
+        tools = [...new Set(requested)].map(name => {
+            const tool = available.find(candidate => candidate.name === name);
+            if (!tool) {
+                throw new Error(`Unknown or unavailable tool "${name}" (available: ${available.map(candidate => candidate.name).join(', ')})`);
+            }
+            return tool;
+        });
+    } else {
+        throw new Error('"tools" must be true or an array of tool names');
+    }
+    if (tools.length === 0) {
+        return null;
+    }
+    return tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.getParameters(env) },
+    }));
+}
+
+/**
+ * 执行一次工具调用。出错 (未知工具、参数不是合法的 JSON、执行失败或超时) 时返回 error，交给模型自行处理。
+ * @param {{name: string, arguments: string}} call - 模型给出的调用，arguments 是 JSON 文本。
+ * @param {Object} env - 环境变量。
+ * @param {AbortSignal} [signal] - 客户端请求的中止信号。
+ * @returns {Promise<{result: string}|{error: string}>} result 已截断到 MAX_TOOL_RESULT_CHARS。
+ */
+export async function executeTool(call, env, signal) {
+    const tool = registry.get(call.name);
+    if (!tool || !tool.isAvailable(env)) {
+        return { error: `Unknown tool "${call.name}"` };
+    }
+
+    let args;
+    try {
+        args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch (e) {
+        return { error: 'Tool arguments are not valid JSON' };
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { error: 'Tool arguments must be a JSON object' };
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    const timer = setTimeout(abort, TOOL_TIMEOUT_MS);
+    try {
+        const output = await tool.execute(args, env, { signal: controller.signal });
+        const text = typeof output === 'string' ? output : JSON.stringify(output);
+        return {
+            result: text.length > MAX_TOOL_RESULT_CHARS ? `${text.slice(0, MAX_TOOL_RESULT_CHARS)}\n[结果过长，已截断]` : text,
+        };
+    } catch (error) {
+        if (controller.signal.aborted && !signal?.aborted) {
+            return { error: `Tool "${call.name}" did not finish within ${TOOL_TIMEOUT_MS} ms` };
+        }
+        return { error: error.message };
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+// =========================================================================
+// 计算器：递归下降解析器，支持 + - * / % ^ (或 **)、括号、常量 pi 和 e，以及常用函数
+// =========================================================================
+
+const CALCULATOR_FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+    min: Math.min, max: Math.max, pow: Math.pow,
+};
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * 把表达式切分为记号。
+ * @param {string} expression - 表达式。
+ * @returns {Array<{type: 'number'|'name'|'op', value: string|number}>}
+ * @throws {Error} 如果包含无法识别的字符。
+ */
+function tokenizeExpression(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+    let index = 0;
+    while (index < expression.length) {
+        if (/^\s*$/.test(expression.slice(index))) {
+            break;
+        }
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) {
+            throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}" in expression`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        } else {
+            tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+        }
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * 计算数学表达式。
+ * @param {string} expression - 表达式，例如 "sqrt(2) * (3 + 4)^2"。
+ * @returns {number}
+ * @throws {Error} 如果表达式不合法或结果不是有限的数。
+ */
+export function evaluateExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('"expression" must be a non-empty string');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`Expression is too long (max ${MAX_EXPRESSION_LENGTH} characters)`);
+    }
+    const tokens = tokenizeExpression(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = value => peek()?.type === 'op' && peek().value === value;
+    const expect = value => {
+        if (!isOp(value)) {
+            throw new Error(`Expected "${value}" in expression`);
+        }
+        position++;
+    };
+
+    // expression := term (('+' | '-') term)*
+    function parseExpression() {
+        let value = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            const right = parseTerm();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    // term := unary (('*' | '/' | '%') unary)*
+    function parseTerm() {
+        let value = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[position++].value;
+            const right = parseUnary();
+            value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    // unary := ('+' | '-') unary | power，因此 -2^2 = -4
+    function parseUnary() {
+        if (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            const value = parseUnary();
+            return op === '-' ? -value : value;
+        }
+        return parsePower();
+    }
+
+    // power := primary ('^' unary)?，右结合
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return base ** parseUnary();
+        }
+        return base;
+    }
+
+    // primary := number | constant | function '(' arguments ')' | '(' expression ')'
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token.type === 'number') {
+            position++;
+            return token.value;
+        }
+        if (isOp('(')) {
+            position++;
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            position++;
+            if (Object.hasOwn(CALCULATOR_FUNCTIONS, token.value)) {
+                expect('(');
+                const args = [parseExpression()];
+                while (isOp(',')) {
+                    position++;
+                    args.push(parseExpression());
+                }
+                expect(')');
+                return CALCULATOR_FUNCTIONS[token.value](...args);
+            }
+            if (Object.hasOwn(CALCULATOR_CONSTANTS, token.value)) {
+                return CALCULATOR_CONSTANTS[token.value];
+            }
+            throw new Error(`Unknown function or constant "${token.value}"`);
+        }
+        throw new Error(`Unexpected "${token.value}" in expression`);
+    }
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value}" in expression`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('The result is not a finite number');
+    }
+    return result;
+}
+
+registerTool({
+    name: 'calculator',
+    description: '计算数学表达式并返回精确结果。支持 + - * / % ^、括号、pi、e 以及 sqrt、abs、round、floor、ceil、'
+        + 'sin、cos、tan、asin、acos、atan、exp、ln、log (以 10 为底)、log2、min、max、pow 等函数 (三角函数使用弧度)。',
+    isAvailable: () => true,
+    getParameters: () => ({
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: '要计算的表达式，例如 "(1.5 + 2) * sqrt(16)"' },
+        },
+        required: ['expression'],
+    }),
+    async execute({ expression }) {
+        return { expression, result: evaluateExpression(expression) };
+    },
+});
+
+// =========================================================================
+// 当前时间
+// =========================================================================
+
+registerTool({
+    name: 'current_time',
+    description: '获取当前的日期、时间和星期。可以指定 IANA 时区，例如 "Asia/Shanghai"、"America/New_York"。',
+    isAvailable: () => true,
+    getParameters: env => ({
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: `IANA 时区名称，默认为 ${env.TOOL_DEFAULT_TIMEZONE || 'UTC'}` },
+        },
+    }),
+    async execute({ timezone }, env) {
+        const timeZone = timezone || env.TOOL_DEFAULT_TIMEZONE || 'UTC';
+        const now = new Date();
+        let parts;
+        try {
+            parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', weekday: 'long', hourCycle: 'h23',
+            }).formatToParts(now).map(part => [part.type, part.value]));
+        } catch (e) {
+            throw new Error(`Unknown time zone "${timeZone}"`);
+        }
+        return {
+            timezone: timeZone,
+            local: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`,
+            weekday: parts.weekday,
+            iso: now.toISOString(),
+        };
+    },
+});
+
+// =========================================================================
+// 读取配置的内部地址
+// =========================================================================
+
+/**
+ * 读取 TOOL_FETCH_URLS 中配置的地址。
+ * @param {Object} env - 环境变量。
+ * @returns {Object<string, {url: string, description: string, headers: Object, queryParam: string|null}>}
+ * @throws {Error} 如果配置不合法。
+ */
+function getFetchSources(env) {
+    if (!env.TOOL_FETCH_URLS) {
+        return {};
+    }
+    let sources;
+    try {
+        sources = JSON.parse(env.TOOL_FETCH_URLS);
+    } catch (e) {
+        throw new Error('Server configuration error: TOOL_FETCH_URLS is not valid JSON.');
+    }
+    if (!sources || typeof sources !== 'object' || Array.isArray(sources)) {
+        throw new Error('Server configuration error: TOOL_FETCH_URLS must be a JSON object.');
+    }
+    return Object.fromEntries(Object.entries(sources).map(([name, source]) => {
+        let url;
+        try {
+            url = new URL(source?.url);
+        } catch (e) {
+            throw new Error(`Server configuration error: TOOL_FETCH_URLS entry "${name}" has an invalid url.`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error(`Server configuration error: TOOL_FETCH_URLS entry "${name}" must be an http(s) URL.`);
+        }
+        return [name, {
+            url: url.toString(),
+            description: source.description || name,
+            headers: source.headers && typeof source.headers === 'object' ? source.headers : {},
+            queryParam: typeof source.queryParam === 'string' && source.queryParam ? source.queryParam : null,
+        }];
+    }));
+}
+
+registerTool({
+    name: 'fetch_internal_url',
+    description: '读取服务端预先配置的内部数据源，返回其文本或 JSON 内容。只能按名称选择数据源。',
+    isAvailable: env => Object.keys(getFetchSources(env)).length > 0,
+    getParameters(env) {
+        const sources = getFetchSources(env);
+        return {
+            type: 'object',
+            properties: {
+                source: {
+                    type: 'string',
+                    enum: Object.keys(sources),
+                    description: Object.entries(sources).map(([name, source]) => `${name}: ${source.description}`).join('; '),
+                },
+                query: { type: 'string', description: '可选的查询内容，只对支持查询的数据源有效' },
+            },
+            required: ['source'],
+        };
+    },
+    async execute({ source, query }, env, { signal }) {
+        const sources = getFetchSources(env);
+        // 只接受配置中的名称，不能落到对象原型上的属性 (例如 "constructor")
+        const config = typeof source === 'string' && Object.hasOwn(sources, source) ? sources[source] : null;
+        if (!config) {
+            throw new Error(`Unknown source "${source}"`);
+        }
+        const url = new URL(config.url);
+        if (query !== undefined && config.queryParam) {
+            url.searchParams.set(config.queryParam, String(query));
+        }
+        // 不跟随重定向，避免被引导到配置之外的地址
+        const response = await fetch(url.toString(), { headers: config.headers, redirect: 'manual', signal });
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new Error(`Source "${source}" returned status ${response.status}`);
+        }
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!/^(text\/|application\/(json|xml)|[^;]*\+(json|xml))/i.test(contentType)) {
+            await response.body?.cancel();
+            throw new Error(`Source "${source}" returned unsupported content type "${contentType}"`);
+        }
+        return response.text();
+    },
+});
@@ -0,0 +1,180 @@
+// =========================================================================
+// 用量与费用统计
+// 各供应商适配器把 token 用量统一为 OpenAI 的 usage 格式 ({ prompt_tokens, completion_tokens })，
+// 流式响应中放在数据块的 usage 字段里。这里在流的末尾 ([DONE] 之前) 追加一个 usage 事件：
+//   event: usage
+//   data: {"prompt_tokens":12,"completion_tokens":80,"total_tokens":92,"finish_reason":"stop",
+//          "latency_ms":2300,"ttft_ms":450,"cost":0.00083,"currency":"USD"}
+// 费用按价格表计算，价格单位为每百万 token 的美元价格，可通过 MODEL_PRICES 覆盖：
+//   {"gpt-4o": {"input": 2.5, "output": 10}}
+// =========================================================================
+
+import { createSSEParser, encodeSSE } from './sse.js';
+
+// 内置默认模型的价格 (美元 / 百万 token)。本地模型没有价格，费用显示为空
+const DEFAULT_PRICES = {
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'claude-sonnet-4-0': { input: 3, output: 15 },
+};
+
+/**
+ * 查找模型的价格。MODEL_PRICES 中的配置优先于内置价格。
+ * @param {string} modelId - 模型 ID。
+ * @param {Object} env - 环境变量。
+ * @returns {{input: number, output: number}|null}
+ * @throws {Error} 如果 MODEL_PRICES 不是合法的 JSON 对象。
+ */
+export function getModelPrice(modelId, env) {
+    let configured = {};
+    if (env.MODEL_PRICES) {
+        try {
+            configured = JSON.parse(env.MODEL_PRICES);
+        } catch (e) {
+            throw new Error('Server configuration error: MODEL_PRICES is not valid JSON.');
+        }
+        if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+            throw new Error('Server configuration error: MODEL_PRICES must be a JSON object.');
+        }
+    }
+    const price = configured[modelId] || DEFAULT_PRICES[modelId];
+    if (!price || !Number.isFinite(Number(price.input)) || !Number.isFinite(Number(price.output))) {
+        return null;
+    }
+    return { input: Number(price.input), output: Number(price.output) };
+}
+
+/**
+ * 生成最终的用量统计。
+ * @param {Object} options
+ * @param {{prompt_tokens?: number, completion_tokens?: number}|null} options.usage - 供应商返回的用量。
+ * @param {string|null} options.finishReason - 结束原因。
+ * @param {number} options.startedAt - 开始请求上游的时间戳。
+ * @param {number|null} options.firstTokenAt - 收到第一段内容的时间戳。
+ * @param {{input: number, output: number}|null} options.price - 模型价格。
+ * @returns {Object} usage 事件的数据。
+ */
+export function buildUsageReport({ usage, finishReason, startedAt, firstTokenAt, price }) {
+    const promptTokens = usage?.prompt_tokens ?? null;
+    const completionTokens = usage?.completion_tokens ?? null;
+    const cost = price && promptTokens !== null && completionTokens !== null
+        ? (promptTokens * price.input + completionTokens * price.output) / 1e6
+        : null;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null,
+        finish_reason: finishReason,
+        latency_ms: Date.now() - startedAt,
+        ttft_ms: firstTokenAt ? firstTokenAt - startedAt : null,
+        cost,
+        currency: cost !== null ? 'USD' : null,
+    };
+}
+
+/**
+ * 监视 OpenAI 兼容的 SSE 流：原样转发所有事件，记录结束原因、用量和首个 token 的时间，
+ * 并在 [DONE] 之前 (或流结束时) 插入 usage 事件。
+ * 上游连接中途断开时，丢弃最后一个不完整的事件，以 stream_interrupted 错误事件、usage 事件和 [DONE] 结束，
+ * 客户端保留已经收到的回复 (与 sse.js 中错误事件的约定一致)。
+ * @param {ReadableStream} source - OpenAI 兼容的 SSE 字节流 (已经过适配器转换)。
+ * @param {Object} options
+ * @param {number} options.startedAt - 开始请求上游的时间戳。
+ * @param {{input: number, output: number}|null} options.price - 模型价格。
+ * @param {function(Object): void} [options.onReport] - 生成 usage 事件时调用，参数与事件数据相同。
+ * @param {AbortSignal} [options.signal] - 上游请求的中止信号。请求是被主动中止的 (停止生成) 时，流照常以错误结束。
+ * @returns {ReadableStream}
+ */
+export function createUsageTracker(source, { startedAt, price, onReport, signal }) {
+    const decoder = new TextDecoder();
+    const reader = source.getReader();
+    let usage = null;
+    let finishReason = null;
+    let firstTokenAt = null;
+    let reported = false;
+    let finished = false; // 已经转发了 [DONE]
+    let cancelled = false; // 客户端已经断开
+    let controller;
+
+    function report() {
+        if (!reported) {
+            reported = true;
+            const summary = buildUsageReport({ usage, finishReason, startedAt, firstTokenAt, price });
+            controller.enqueue(encodeSSE(summary, 'usage'));
+            onReport?.(summary);
+        }
+    }
+
+    const parser = createSSEParser(({ event, data }) => {
+        if (data === '[DONE]') {
+            report();
+            controller.enqueue(encodeSSE('[DONE]'));
+            finished = true;
+            return;
+        }
+        if (!event) {
+            try {
+                const chunk = JSON.parse(data);
+                const choice = chunk.choices?.[0];
+                if (choice?.delta?.content && firstTokenAt === null) {
+                    firstTokenAt = Date.now();
+                }
+                if (choice?.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+                if (chunk.usage) {
+                    usage = chunk.usage; // 部分供应商每个数据块都带有累计用量，以最后一次为准
+                }
+            } catch (e) {
+                // 无法解析的数据块照常转发，由客户端处理
+            }
+        }
+        controller.enqueue(encodeSSE(data, event || undefined));
+    });
+
+    async function pump() {
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done || cancelled) {
+                    break;
+                }
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+        } catch (error) {
+            if (cancelled) {
+                return;
+            }
+            if (signal?.aborted) {
+                controller.error(error);
+                return;
+            }
+            console.warn('Upstream stream was interrupted:', error);
+            if (!finished) {
+                controller.enqueue(encodeSSE({ error: { message: 'The upstream connection was interrupted before the reply finished', type: 'stream_interrupted' } }, 'error'));
+                report();
+                controller.enqueue(encodeSSE('[DONE]'));
+            }
+            controller.close();
+            return;
+        }
+        if (cancelled) {
+            return;
+        }
+        parser.push(decoder.decode());
+        parser.flush();
+        report(); // 上游没有发送 [DONE] 时也要给出用量
+        controller.close();
+    }
+
+    return new ReadableStream({
+        start(streamController) {
+            controller = streamController;
+            pump();
+        },
+        cancel(reason) {
+            cancelled = true;
+            return reader.cancel(reason);
+        },
+    });
+}
@@ -0,0 +1,252 @@
+// --- 助手回复的 Markdown 渲染 ---
+// 依赖 index.html 中通过 CDN 引入的 marked、DOMPurify、highlight.js 和 KaTeX。
+// 所有 HTML 在插入页面之前都会经过 DOMPurify 清洗；如果 DOMPurify 没有加载成功，
+// 则退化为纯文本显示，绝不直接写入未清洗的 HTML。
+//
+// 流式输出时使用 createMarkdownStream：文本按"块"(以代码块之外的空行分隔) 切分，
+// 已经完整的块只渲染一次并固定下来，每次增量只重新解析最后一个未完成的块，
+// 避免长回复在每个 delta 上都重新解析全文。
+
+// 数学公式占位符使用 Unicode 私有区字符包裹，Markdown 解析器不会改动它们，也不会与正常文本冲突
+const MATH_PLACEHOLDER_START = '\uE000';
+const MATH_PLACEHOLDER_END = '\uE001';
+
+// 代码 (围栏代码块和行内代码) 中的 $ 不应被当作公式处理
+const CODE_SEGMENT_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)/;
+// 依次匹配 $$...$$、\[...\]、\(...\)、$...$ 四种公式写法
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$\w])\$(?!\s)([^$\n]+?)(?<!\s)\$(?![\w$])/g;
+
+const SANITIZE_OPTIONS = {
+    USE_PROFILES: { html: true, svg: true, mathMl: true }, // KaTeX 的输出包含 MathML 和 SVG
+    ADD_ATTR: ['target'],
+};
+
+let markdownConfigured = false;
+
+/**
+ * 转义 HTML 特殊字符。
+ * @param {string} text - 原始文本。
+ * @returns {string} 转义后的文本。
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 检查渲染所需的库是否已加载。marked 和 DOMPurify 是必需的，highlight.js 和 KaTeX 是可选的。
+ * @returns {boolean}
+ */
+function isMarkdownAvailable() {
+    return typeof window.marked !== 'undefined' && typeof window.DOMPurify !== 'undefined';
+}
+
+/**
+ * 首次使用时配置 marked (代码块渲染) 和 DOMPurify (链接在新窗口打开)。
+ */
+function configureMarkdown() {
+    if (markdownConfigured) {
+        return;
+    }
+    markdownConfigured = true;
+
+    const renderer = new marked.Renderer();
+    renderer.code = (code, infostring) => {
+        const language = (infostring || '').match(/^\S*/)[0].toLowerCase();
+        let highlighted = escapeHtml(code);
+        if (window.hljs && language && hljs.getLanguage(language)) {
+            highlighted = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+        }
+        return '<div class="code-block">'
+            + `<div class="code-block-header"><span>${escapeHtml(language || 'text')}</span>`
+            + '<button type="button" class="copy-code-button"><i class="fa-regular fa-copy"></i> 复制</button></div>'
+            + `<pre><code class="hljs">${highlighted}</code></pre>`
+            + '</div>';
+    };
+    marked.use({ renderer, gfm: true });
+
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A') {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+/**
+ * 把文本中的公式替换为占位符，返回替换后的文本和公式列表。代码中的内容保持不变。
+ * @param {string} text - Markdown 文本。
+ * @returns {{text: string, formulas: Array<{tex: string, display: boolean}>}}
+ */
+function extractMath(text) {
+    const formulas = [];
+    const segments = text.split(CODE_SEGMENT_PATTERN);
+    for (let i = 0; i < segments.length; i += 2) { // split 的捕获组位于奇数下标，即代码片段
+        segments[i] = segments[i].replace(MATH_PATTERN, (match, block, bracket, paren, inline) => {
+            const display = block !== undefined || bracket !== undefined;
+            formulas.push({ tex: block ?? bracket ?? paren ?? inline, display });
+            return `${MATH_PLACEHOLDER_START}${formulas.length - 1}${MATH_PLACEHOLDER_END}`;
+        });
+    }
+    return { text: segments.join(''), formulas };
+}
+
+/**
+ * 将 HTML 中的公式占位符替换为 KaTeX 渲染结果 (KaTeX 未加载时显示原始 TeX)。
+ * @param {string} html - marked 输出的 HTML。
+ * @param {Array<{tex: string, display: boolean}>} formulas - extractMath 提取的公式。
+ * @returns {string}
+ */
+function restoreMath(html, formulas) {
+    const pattern = new RegExp(`${MATH_PLACEHOLDER_START}(\\d+)${MATH_PLACEHOLDER_END}`, 'g');
+    return html.replace(pattern, (match, index) => {
+        const { tex, display } = formulas[Number(index)];
+        if (!window.katex) {
+            return escapeHtml(display ? `$$${tex}$$` : `$${tex}$`);
+        }
+        return katex.renderToString(tex, { displayMode: display, throwOnError: false, output: 'htmlAndMathml' });
+    });
+}
+
+/**
+ * 将 Markdown 文本渲染为经过清洗的 DOM 片段。
+ * @param {string} text - Markdown 文本。
+ * @returns {DocumentFragment}
+ */
+function renderMarkdownFragment(text) {
+    if (!isMarkdownAvailable()) {
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(document.createTextNode(text));
+        return fragment;
+    }
+
+    configureMarkdown();
+    const { text: protectedText, formulas } = extractMath(text);
+    const html = restoreMath(marked.parse(protectedText), formulas);
+    return DOMPurify.sanitize(html, { ...SANITIZE_OPTIONS, RETURN_DOM_FRAGMENT: true });
+}
+
+/**
+ * 用 Markdown 渲染结果替换元素的全部内容。
+ * @param {HTMLElement} element - 目标元素 (通常是 .message-content)。
+ * @param {string} text - Markdown 文本。
+ */
+function renderMarkdownInto(element, text) {
+    element.classList.toggle('markdown-body', isMarkdownAvailable());
+    element.replaceChildren(renderMarkdownFragment(text));
+}
+
+/**
+ * 从 start 开始查找第一个块边界：代码块或 $$ 公式块之外的空行。
+ * 只有空行之后已经有了新内容，才认为前面的块已经完整。
+ * @param {string} text - 完整文本。
+ * @param {number} start - 开始查找的位置 (必须位于某个块的开头)。
+ * @returns {number} 边界位置 (下一个块的开头)，没有找到时返回 -1。
+ */
+function findBlockBoundary(text, start) {
+    let fence = null; // 当前所在的代码围栏标记，例如 ``` 或 ~~~~
+    let inMathBlock = false;
+    let hasContent = false;
+    let lineStart = start;
+
+    while (lineStart < text.length) {
+        const lineEnd = text.indexOf('\n', lineStart);
+        if (lineEnd === -1) {
+            return -1; // 最后一行还没有结束
+        }
+        const line = text.slice(lineStart, lineEnd);
+        const trimmed = line.trim();
+
+        if (fence) {
+            if (trimmed.startsWith(fence) && trimmed.slice(fence.length).trim() === '') {
+                fence = null;
+            }
+        } else if (/^(`{3,}|~{3,})/.test(trimmed)) {
+            fence = trimmed.match(/^(`{3,}|~{3,})/)[1];
+            hasContent = true;
+        } else if (trimmed === '$$' || (trimmed.startsWith('$$') && !trimmed.slice(2).includes('$$'))) {
+            inMathBlock = !inMathBlock;
+            hasContent = true;
+        } else if (trimmed.endsWith('$$') && inMathBlock) {
+            inMathBlock = false;
+        } else if (trimmed === '' && !inMathBlock) {
+            if (hasContent && lineEnd + 1 < text.length) {
+                return lineEnd + 1;
+            }
+        } else {
+            hasContent = true;
+        }
+        lineStart = lineEnd + 1;
+    }
+    return -1;
+}
+
+/**
+ * 为流式输出创建一个增量 Markdown 渲染器。
+ * 渲染通过 requestAnimationFrame 合并，每帧最多更新一次 DOM。
+ * @param {HTMLElement} element - 目标元素 (通常是 .message-content)。
+ * @returns {{update: function(string): void, finish: function(): void}}
+ *          update 传入当前累积的完整文本；finish 在流结束后调用，对全文做一次完整渲染。
+ */
+function createMarkdownStream(element) {
+    let text = '';
+    let committedLength = 0; // 已固定渲染的文本长度
+    let frame = null;
+    const liveElement = document.createElement('div'); // 最后一个未完成的块
+
+    element.classList.toggle('markdown-body', isMarkdownAvailable());
+    element.replaceChildren(liveElement);
+
+    function render() {
+        frame = null;
+        if (liveElement.parentNode !== element) {
+            return; // 元素内容已被替换 (例如显示了错误信息)，不再继续渲染
+        }
+        let boundary;
+        while ((boundary = findBlockBoundary(text, committedLength)) !== -1) {
+            element.insertBefore(renderMarkdownFragment(text.slice(committedLength, boundary)), liveElement);
+            committedLength = boundary;
+        }
+        liveElement.replaceChildren(renderMarkdownFragment(text.slice(committedLength)));
+    }
+
+    return {
+        update(fullText) {
+            text = fullText;
+            if (frame === null) {
+                frame = requestAnimationFrame(render);
+            }
+        },
+        finish() {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+            // 流结束后整体渲染一次，修正跨块的结构 (例如以空行分隔的列表项)
+            renderMarkdownInto(element, text);
+        },
+    };
+}
+
+// 代码块的复制按钮 (事件委托，适用于所有已渲染和之后渲染的代码块)
+document.addEventListener('click', async (e) => {
+    const button = e.target.closest('.copy-code-button');
+    if (!button) {
+        return;
+    }
+    const code = button.closest('.code-block')?.querySelector('code')?.textContent || '';
+    try {
+        await navigator.clipboard.writeText(code);
+        button.innerHTML = '<i class="fa-solid fa-check"></i> 已复制';
+    } catch (error) {
+        console.error('复制代码失败:', error);
+        button.textContent = '复制失败';
+    }
+    setTimeout(() => {
+        button.innerHTML = '<i class="fa-regular fa-copy"></i> 复制';
+    }, 2000);
+});
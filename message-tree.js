@@ -0,0 +1,157 @@
+// --- 对话消息树 ---
+// 对话不再是一个只增不减的数组，而是一棵树：重新生成回复或编辑后重发时，
+// 会在同一个父节点下创建新的兄弟节点 (分支)，之前的内容不会被覆盖。
+// 每个节点记录当前选中的子节点，从根节点沿着选中的子节点走下去，就是界面上显示并发送给 API 的对话。
+//
+// 树的结构：
+//   { nodes: { [id]: { id, parentId, childIds, selectedChildId, role, content, images, files, truncated, meta } } }
+// files 只出现在带有文件附件的用户消息上 (见 documents.js)。
+// 其中 id 为 ROOT_NODE_ID 的根节点不对应任何消息。meta 保存只用于界面显示的附加信息 (例如被忽略的参数)，不会发送给 API。
+
+const ROOT_NODE_ID = 'root';
+
+/**
+ * 创建一棵空的消息树。
+ * @returns {Object} 消息树。
+ */
+function createMessageTree() {
+    return {
+        nodes: {
+            [ROOT_NODE_ID]: { id: ROOT_NODE_ID, parentId: null, childIds: [], selectedChildId: null },
+        },
+    };
+}
+
+/**
+ * 由一组线性的消息创建消息树 (用于读取旧版本保存的对话)。
+ * @param {Array<Object>} messages - 消息数组 { role, content, images, truncated }。
+ * @returns {Object} 消息树。
+ */
+function createTreeFromMessages(messages) {
+    const tree = createMessageTree();
+    let parentId = ROOT_NODE_ID;
+    for (const message of messages) {
+        parentId = addMessageNode(tree, parentId, message).id;
+    }
+    return tree;
+}
+
+/**
+ * 在指定父节点下添加一条消息，并将其设为父节点当前选中的分支。
+ * @param {Object} tree - 消息树。
+ * @param {string} parentId - 父节点 ID。
+ * @param {Object} message - 消息 { role, content, images, files, truncated, meta }。
+ * @returns {Object} 新创建的节点。
+ */
+function addMessageNode(tree, parentId, message) {
+    const parent = tree.nodes[parentId];
+    const node = {
+        id: crypto.randomUUID(),
+        parentId,
+        childIds: [],
+        selectedChildId: null,
+        role: message.role,
+        content: message.content || '',
+        images: message.images || [],
+        ...(message.files?.length > 0 ? { files: message.files } : {}),
+        ...(message.truncated ? { truncated: true } : {}),
+        ...(message.meta ? { meta: message.meta } : {}),
+    };
+    tree.nodes[node.id] = node;
+    parent.childIds.push(node.id);
+    parent.selectedChildId = node.id;
+    return node;
+}
+
+/**
+ * 从根节点开始沿着选中的分支向下，返回当前显示的消息节点 (不含根节点)。
+ * @param {Object} tree - 消息树。
+ * @returns {Array<Object>} 节点数组。
+ */
+function getActivePath(tree) {
+    const path = [];
+    let node = tree.nodes[ROOT_NODE_ID];
+    while (node.selectedChildId) {
+        node = tree.nodes[node.selectedChildId];
+        path.push(node);
+    }
+    return path;
+}
+
+/**
+ * 返回从根节点到指定节点 (含) 的路径，不含根节点。
+ * @param {Object} tree - 消息树。
+ * @param {string} nodeId - 节点 ID。
+ * @returns {Array<Object>} 节点数组。
+ */
+function getPathTo(tree, nodeId) {
+    const path = [];
+    let node = tree.nodes[nodeId];
+    while (node && node.id !== ROOT_NODE_ID) {
+        path.unshift(node);
+        node = tree.nodes[node.parentId];
+    }
+    return path;
+}
+
+/**
+ * 返回当前选中分支的最后一个节点 ID，没有任何消息时返回根节点 ID。
+ * @param {Object} tree - 消息树。
+ * @returns {string}
+ */
+function getActiveLeafId(tree) {
+    const path = getActivePath(tree);
+    return path.length > 0 ? path[path.length - 1].id : ROOT_NODE_ID;
+}
+
+/**
+ * 获取节点在兄弟节点中的位置，用于显示 "< 2/3 >" 分支切换器。
+ * @param {Object} tree - 消息树。
+ * @param {string} nodeId - 节点 ID。
+ * @returns {{index: number, count: number}} index 从 0 开始。
+ */
+function getSiblingPosition(tree, nodeId) {
+    const siblings = tree.nodes[tree.nodes[nodeId].parentId].childIds;
+    return { index: siblings.indexOf(nodeId), count: siblings.length };
+}
+
+/**
+ * 切换到相邻的兄弟分支。
+ * @param {Object} tree - 消息树。
+ * @param {string} nodeId - 当前节点 ID。
+ * @param {number} offset - -1 表示上一个分支，1 表示下一个分支。
+ * @returns {boolean} 是否发生了切换。
+ */
+function selectSibling(tree, nodeId, offset) {
+    const parent = tree.nodes[tree.nodes[nodeId].parentId];
+    const index = parent.childIds.indexOf(nodeId) + offset;
+    if (index < 0 || index >= parent.childIds.length) {
+        return false;
+    }
+    parent.selectedChildId = parent.childIds[index];
+    return true;
+}
+
+/**
+ * 选中指定的节点作为其父节点的当前分支 (例如在对比模式中选择用哪个回答继续对话)。
+ * @param {Object} tree - 消息树。
+ * @param {string} nodeId - 要选中的节点 ID。
+ */
+function selectNode(tree, nodeId) {
+    tree.nodes[tree.nodes[nodeId].parentId].selectedChildId = nodeId;
+}
+
+/**
+ * 将节点转换为发送给 API / 用于导出的消息格式。
+ * @param {Object} node - 消息节点。
+ * @returns {{role: string, content: string, images: Array<string>, files?: Array<Object>, truncated?: boolean}}
+ */
+function toHistoryMessage(node) {
+    return {
+        role: node.role,
+        content: node.content,
+        images: node.images,
+        ...(node.files?.length > 0 ? { files: node.files } : {}),
+        ...(node.truncated ? { truncated: true } : {}),
+    };
+}
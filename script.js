@@ -7,25 +7,117 @@ const chatForm = document.getElementById('chat-form'); // 底部的表单
 const messageInput = document.getElementById('message-input'); // 文本输入框
 const modelSelect = document.getElementById('model-select'); // 模型选择下拉框
 const sendButton = chatForm.querySelector('button[type="submit"]'); // 发送按钮
-const uploadButton = document.getElementById('upload-button'); // 图片上传按钮
+const stopButton = document.getElementById('stop-button'); // 停止生成按钮，仅在等待回复时显示
+const uploadButton = document.getElementById('upload-button'); // 图片和文件上传按钮
 const fileInput = document.getElementById('file-input'); // 隐藏的文件选择框
-const imagePreviewContainer = document.getElementById('image-preview-container'); // 图片预览区域
+const micButton = document.getElementById('mic-button'); // 语音输入按钮：点击开始录音，再次点击结束并转为文字
+const imagePreviewContainer = document.getElementById('image-preview-container'); // 附件预览区域 (图片和文件)
+const sidebar = document.getElementById('sidebar'); // 左侧对话列表
+const sidebarToggle = document.getElementById('sidebar-toggle'); // 窄屏下展开/收起对话列表的按钮
+const newChatButton = document.getElementById('new-chat-button'); // 新建对话按钮
+const conversationSearch = document.getElementById('conversation-search'); // 对话搜索框
+const conversationList = document.getElementById('conversation-list'); // 对话列表
+const shareButton = document.getElementById('share-button'); // 分享当前对话的按钮
+const exportButton = document.getElementById('export-button'); // 导出当前对话的按钮
+const exportDialog = document.getElementById('export-dialog'); // 选择导出格式的对话框
+const exportForm = document.getElementById('export-form'); // 导出格式表单
+const importButton = document.getElementById('import-button'); // 侧边栏的"导入对话"按钮
+const importFileInput = document.getElementById('import-file-input'); // 选择导入文件的隐藏文件输入框
+const personaSelect = document.getElementById('persona-select'); // 头部的角色预设选择框
+const personaButton = document.getElementById('persona-button'); // 打开系统提示词与角色管理对话框的按钮
+const personaDialog = document.getElementById('persona-dialog'); // 系统提示词与角色管理对话框
+const systemPromptInput = document.getElementById('system-prompt-input'); // 对话框中的系统提示词输入框
+const personaList = document.getElementById('persona-list'); // 对话框中的角色列表
+const personaNameInput = document.getElementById('persona-name-input'); // 保存角色时的名称输入框
+const savePersonaButton = document.getElementById('save-persona-button'); // "保存为角色"按钮
+const paramsButton = document.getElementById('params-button'); // 打开生成参数对话框的按钮
+const paramsDialog = document.getElementById('params-dialog'); // 生成参数对话框
+const paramsForm = document.getElementById('params-form'); // 生成参数表单
+const paramsModelHint = document.getElementById('params-model-hint'); // 对话框中当前模型的限制说明
+const resetParamsButton = document.getElementById('reset-params-button'); // "全部恢复默认"按钮
+const toolsButton = document.getElementById('tools-button'); // 启用或停用服务端工具 (计算器、当前时间等) 的开关
+const speakButton = document.getElementById('speak-button'); // 开启或关闭朗读回复
+const compareButton = document.getElementById('compare-button'); // 打开多模型对比设置的按钮
+const compareDialog = document.getElementById('compare-dialog'); // 选择参与对比的模型的对话框
+const compareModelList = document.getElementById('compare-model-list'); // 对话框中的模型复选框列表
+const contextUsage = document.getElementById('context-usage'); // 输入框上方的上下文用量
+const conversationUsage = document.getElementById('conversation-usage'); // 当前对话累计的 token 用量与费用
+const logoutButton = document.getElementById('logout-button'); // 侧边栏底部的退出登录按钮
 
 // --- 应用状态管理 ---
 // 使用 let 定义变量，用于存储应用在运行过程中的状态。
 
-let conversationHistory = []; // 存储整个对话历史记录，用于发送给 API 以维持上下文
-let attachedImageBase64 = null; // 用于存储当前选中的、已编码为 Base64 的图片数据。发送后会清空。
+let messageTree = createMessageTree(); // 对话消息树 (见 message-tree.js)，当前选中的分支就是发送给 API 的上下文
+let currentConversation = null; // 当前对话的存储记录 (见 storage.js)，首次发送消息时才创建
+let isGenerating = false; // 是否正在等待 AI 回复，期间禁止切换或删除对话
+let currentAbortController = null; // 当前请求的 AbortController，用于"停止生成"
+let modelCatalog = []; // 由 /api/models 返回的模型目录 { id, label, provider, vision, contextLength, maxOutputTokens }
+let systemPrompt = ''; // 当前对话的系统提示词，随对话一起保存
+let activePersonaId = null; // 当前对话使用的角色预设 ID；手动修改过系统提示词时为 null
+let generationParams = {}; // 当前对话的生成参数，随角色预设一起保存和应用
+let personas = []; // 已保存的角色预设 (见 storage.js)
+
+// 模型选择器中各供应商分组的显示名称
+const PROVIDER_LABELS = {
+    gemini: 'Google Gemini',
+    ollama: 'Ollama (本地)',
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    'openai-compatible': 'OpenAI 兼容服务',
+    route: '自动切换',
+};
+const SELECTED_MODEL_STORAGE_KEY = 'aiwebchat.selectedModel'; // 记住用户上次选择的模型
+const ACCESS_TOKEN_STORAGE_KEY = 'aiwebchat.accessToken'; // AUTH_MODE 为 token 时用户输入的访问令牌
+const TOOLS_ENABLED_STORAGE_KEY = 'aiwebchat.toolsEnabled'; // 是否允许模型调用服务端工具
+let toolsEnabled = localStorage.getItem(TOOLS_ENABLED_STORAGE_KEY) === '1';
+const SPEAK_REPLIES_STORAGE_KEY = 'aiwebchat.speakReplies'; // 是否在回复输出时朗读
+let speakReplies = localStorage.getItem(SPEAK_REPLIES_STORAGE_KEY) === '1';
+const COMPARE_MODELS_STORAGE_KEY = 'aiwebchat.compareModels'; // 对比模式中同时请求的模型
+const MAX_COMPARE_MODELS = 4; // 对比模式最多同时请求的模型数量
+let compareModels = (localStorage.getItem(COMPARE_MODELS_STORAGE_KEY) || '').split(',').filter(Boolean); // 选择的对比模型 (逗号分隔保存)，少于两个时不启用对比模式
+// 工具卡片上显示的工具名称，未列出的工具显示原名
+const TOOL_LABELS = {
+    calculator: '计算器',
+    current_time: '当前时间',
+    fetch_internal_url: '内部数据',
+};
+let attachedImages = []; // 当前待发送的图片附件 (已缩放并编码为 Base64 data URL)。发送后会清空。
+let attachedFiles = []; // 当前待发送的文件附件 (见 documents.js 中的 readDocumentFile)。发送后会清空。
+
+// --- 图片附件配置 ---
+const MAX_ATTACHMENTS = 4; // 每条消息最多附带的图片数量
+const MAX_SOURCE_IMAGE_SIZE = 20 * 1024 * 1024; // 允许选择的原始图片大小上限 (缩放前)
+const MAX_ENCODED_IMAGE_SIZE = 4 * 1024 * 1024; // 缩放后 data URL 的大小上限，需低于后端的限制
+const MAX_IMAGE_DIMENSION = 1568; // 长边超过该像素值的图片会被等比缩小
+const IMAGE_JPEG_QUALITY = 0.85; // 重新编码为 JPEG 时使用的质量
+const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_FILE_ATTACHMENTS = 8; // 每条消息最多附带的文件数量 (文本、PDF)，与后端的限制相同
+
+// --- 速率限制 (429) 时的自动重试 ---
+const RATE_LIMIT_MAX_RETRIES = 3; // 最多自动重试的次数
+const RATE_LIMIT_BASE_DELAY = 2000; // 没有 Retry-After 时的首次等待时间 (毫秒)，之后每次翻倍
+const RATE_LIMIT_MAX_DELAY = 60000; // 单次等待的上限 (毫秒)
+
+// --- 流式回复中断后的重新连接 (后端配置了存储时，回复带有生成 ID，见 functions/lib/generations.js) ---
+const STREAM_RECONNECT_MAX_ATTEMPTS = 5; // 每次中断后最多尝试重新连接的次数
+const STREAM_RECONNECT_BASE_DELAY = 1000; // 首次重新连接前的等待时间 (毫秒)，之后每次翻倍
+const PENDING_GENERATION_STORAGE_KEY = 'aiwebchat.pendingGeneration'; // 正在生成的回复，刷新页面后据此继续接收
+
+// --- 语音输入 ---
+const MAX_RECORDING_MS = 5 * 60 * 1000; // 单次录音的最长时间，到时自动结束
+let activeRecording = null; // 正在进行的录音 (见 speech.js 中的 startAudioRecording)
+let recordingTimer = null; // 自动结束录音的定时器
 
 /**
  * 向聊天窗口添加一条消息。这是一个非常核心的 UI 更新函数。
- * 它可以灵活处理只包含文本、只包含图片或图文混合的消息。
+ * 它可以灵活处理只包含文本、只包含图片或图文混合的消息，用户消息还可能带有文件附件。
  * @param {string} sender - 消息的发送者，'user' 或 'assistant'。这个参数决定了消息气泡的样式和位置。
  * @param {string} [text] - (可选) 消息的文本内容。
- * @param {string|null} [imageBase64] - (可选) 要在消息中显示的图片的 Base64 数据 URL。
+ * @param {Array<string>} [images] - (可选) 要在消息中显示的图片的 Base64 数据 URL 数组。
+ * @param {Array<Object>} [files] - (可选) 文件附件，显示为文件卡片 (文件名、页数和大小)。
  * @returns {HTMLElement} 返回创建的消息内容元素，用于后续可能的更新（例如流式输出）
  */
-function addMessage(sender, text, imageBase64 = null) {
+function addMessage(sender, text, images = [], files = []) {
     // 1. 创建消息的最外层容器 <div>
     const messageElement = document.createElement('div');
     messageElement.classList.add('message', sender); // 添加 'message' 和发送者 ('user'/'assistant') 类名
@@ -34,8 +126,14 @@ function addMessage(sender, text, imageBase64 = null) {
     const contentElement = document.createElement('div');
     contentElement.classList.add('message-content');
 
-    // 3. 如果存在图片数据，则创建并添加图片元素
-    if (imageBase64) {
+    // 3. 如果存在文件附件，显示为一组文件卡片；图片则逐张创建并添加图片元素
+    if (files.length > 0) {
+        const fileList = document.createElement('div');
+        fileList.classList.add('file-chip-list');
+        files.forEach(file => fileList.appendChild(createFileChip(file)));
+        contentElement.appendChild(fileList);
+    }
+    for (const imageBase64 of images) {
         const imageElement = document.createElement('img');
         imageElement.src = imageBase64; // Base64 数据可以直接作为图片的 src
         imageElement.alt = '用户上传的图片';
@@ -44,7 +142,11 @@ function addMessage(sender, text, imageBase64 = null) {
 
     // 4. 如果存在文本内容，则创建并添加文本节点
     // 使用 createTextNode 而不是 innerHTML 是为了防止 XSS (跨站脚本) 攻击，确保文本内容被当作纯文本处理。
-    if (text) {
+    // 助手的回复按 Markdown 渲染，生成的 HTML 会先经过 DOMPurify 清洗 (见 markdown.js)。
+    if (text && sender === 'assistant') {
+        contentElement.classList.toggle('markdown-body', isMarkdownAvailable());
+        contentElement.appendChild(renderMarkdownFragment(text));
+    } else if (text) {
         const textNode = document.createTextNode(text);
         contentElement.appendChild(textNode); // 将文本添加到内容容器中
     }
@@ -62,21 +164,210 @@ function addMessage(sender, text, imageBase64 = null) {
 
 
 /**
- * 清除图片预览区域的内容，并重置相关的状态变量。
+ * 清除附件预览区域的内容，并重置相关的状态变量。
  */
-function clearImagePreview() {
+function clearAttachmentPreview() {
     imagePreviewContainer.innerHTML = ''; // 清空预览区的 HTML
-    attachedImageBase64 = null; // 重置 Base64 数据状态
+    attachedImages = []; // 重置附件状态
+    attachedFiles = [];
     fileInput.value = ''; // 重置文件输入框的值。这很重要，否则用户无法连续选择同一张图片。
 }
 
+/**
+ * 创建一个文件卡片：图标、文件名，以及页数和大小。
+ * @param {{name: string, type?: string, size?: number, pages?: number}} file - 文件附件。
+ * @returns {HTMLElement}
+ */
+function createFileChip(file) {
+    const chip = document.createElement('div');
+    chip.classList.add('file-chip');
+    chip.title = file.name;
+
+    const icon = document.createElement('i');
+    icon.className = file.type === 'application/pdf' ? 'fa-solid fa-file-pdf' : 'fa-solid fa-file-lines';
+
+    const name = document.createElement('span');
+    name.classList.add('file-chip-name');
+    name.textContent = file.name; // 文件名来自用户的文件，使用 textContent
+
+    const info = document.createElement('span');
+    info.classList.add('file-chip-info');
+    info.textContent = describeFile(file);
+
+    chip.append(icon, name, info);
+    return chip;
+}
+
+/**
+ * 根据 attachedFiles 和 attachedImages 重新渲染预览区域，每个文件和每张图片都带有一个移除按钮。
+ */
+function renderAttachmentPreviews() {
+    imagePreviewContainer.innerHTML = '';
+    attachedFiles.forEach((file, index) => {
+        const chip = createFileChip(file);
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.classList.add('remove-file-btn');
+        removeButton.title = '移除文件';
+        removeButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+        removeButton.addEventListener('click', () => {
+            attachedFiles.splice(index, 1);
+            renderAttachmentPreviews();
+        });
+        chip.appendChild(removeButton);
+        imagePreviewContainer.appendChild(chip);
+    });
+    attachedImages.forEach((imageBase64, index) => {
+        const item = document.createElement('div');
+        item.classList.add('image-preview-item');
+
+        const img = document.createElement('img');
+        img.src = imageBase64;
+        img.alt = `待发送的图片 ${index + 1}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.classList.add('remove-image-btn');
+        removeButton.title = '移除图片';
+        removeButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+        removeButton.addEventListener('click', () => {
+            attachedImages.splice(index, 1);
+            renderAttachmentPreviews();
+        });
+
+        item.append(img, removeButton);
+        imagePreviewContainer.appendChild(item);
+    });
+}
+
+/**
+ * 在预览区域短暂显示一条附件相关的提示 (例如类型不支持、文件过大)。
+ * @param {string} message - 提示内容。
+ */
+function showAttachmentNotice(message) {
+    const notice = document.createElement('div');
+    notice.classList.add('attachment-notice');
+    notice.textContent = message;
+    imagePreviewContainer.appendChild(notice);
+    setTimeout(() => notice.remove(), 4000);
+}
+
+/**
+ * 将图片文件读取为 data URL。
+ * @param {Blob} file - 图片文件。
+ * @returns {Promise<string>} data URL。
+ */
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * 在浏览器端缩放并重新编码图片，以减小请求体积。
+ * 尺寸与体积都在限制内的 PNG/JPEG/WebP 会原样保留；其余情况统一绘制到 canvas 上，
+ * 长边缩放到 MAX_IMAGE_DIMENSION 以内并编码为 JPEG。
+ * @param {File} file - 用户选择的图片文件。
+ * @returns {Promise<string>} 处理后的图片 data URL。
+ */
+async function downscaleImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+
+    if (scale === 1 && file.type !== 'image/gif' && file.size <= MAX_ENCODED_IMAGE_SIZE * 0.75) {
+        bitmap.close();
+        return readFileAsDataURL(file);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d');
+    // JPEG 不支持透明通道，先铺一层白色背景，避免透明区域变黑
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return canvas.toDataURL('image/jpeg', IMAGE_JPEG_QUALITY);
+}
+
+/**
+ * 校验并添加一个文件附件 (文本、Markdown、源代码或 PDF)，文本在浏览器中提取 (见 documents.js)。
+ * @param {File} file - 待添加的文件。
+ */
+async function addFileAttachment(file) {
+    if (attachedFiles.length >= MAX_FILE_ATTACHMENTS) {
+        showAttachmentNotice(`每条消息最多附带 ${MAX_FILE_ATTACHMENTS} 个文件`);
+        return;
+    }
+    try {
+        attachedFiles.push(await readDocumentFile(file));
+        renderAttachmentPreviews();
+    } catch (error) {
+        console.error('读取文件失败:', error);
+        showAttachmentNotice(error.message);
+    }
+}
+
+/**
+ * 校验并添加一组附件 (来自文件选择框、粘贴或拖放)：图片作为图片附件，文本和 PDF 作为文件附件。
+ * @param {FileList|Array<File>} files - 待添加的文件。
+ */
+async function addAttachments(files) {
+    for (const file of Array.from(files)) {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+            if (getDocumentKind(file)) {
+                await addFileAttachment(file);
+            } else {
+                showAttachmentNotice(`不支持的文件类型: ${file.name || file.type || '未知'}`);
+            }
+            continue;
+        }
+        if (!selectedModelSupportsVision()) {
+            showAttachmentNotice(`当前模型不支持图片输入: ${file.name}`);
+            continue;
+        }
+        if (attachedImages.length >= MAX_ATTACHMENTS) {
+            showAttachmentNotice(`每条消息最多附带 ${MAX_ATTACHMENTS} 张图片`);
+            continue;
+        }
+        if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+            showAttachmentNotice(`图片过大 (上限 ${MAX_SOURCE_IMAGE_SIZE / 1024 / 1024} MB): ${file.name}`);
+            continue;
+        }
+
+        try {
+            const dataUrl = await downscaleImage(file);
+            if (dataUrl.length > MAX_ENCODED_IMAGE_SIZE) {
+                showAttachmentNotice(`图片压缩后仍然过大: ${file.name}`);
+                continue;
+            }
+            attachedImages.push(dataUrl);
+            renderAttachmentPreviews();
+        } catch (error) {
+            console.error('处理图片失败:', error);
+            showAttachmentNotice(`无法读取图片: ${file.name}`);
+        }
+    }
+    fileInput.value = ''; // 允许再次选择同一个文件
+}
+
 /**
  * 禁用聊天界面的输入控件（发送按钮、模型选择器、上传按钮）。
  * 防止用户在消息发送过程中进行重复操作。
  */
 function disableInputControls() {
+    isGenerating = true;
+    sidebar.classList.add('busy');
     sendButton.disabled = true;
+    sendButton.hidden = true;
+    stopButton.hidden = false;
     modelSelect.disabled = true;
+    personaSelect.disabled = true;
     uploadButton.disabled = true;
 }
 
@@ -85,146 +376,2298 @@ function disableInputControls() {
  * 在消息发送完成后或发生错误时调用。
  */
 function enableInputControls() {
+    isGenerating = false;
+    sidebar.classList.remove('busy');
     sendButton.disabled = false;
+    sendButton.hidden = false;
+    stopButton.hidden = true;
     modelSelect.disabled = false;
+    personaSelect.disabled = false;
     uploadButton.disabled = false;
 }
 
+// =========================================================================
+// 模型目录：从 /api/models 加载模型列表，按供应商分组生成下拉框
+// =========================================================================
+
+/**
+ * 当前选中的模型是否支持图片输入。未知的模型视为支持，由后端兜底处理。
+ * @returns {boolean}
+ */
+function selectedModelSupportsVision() {
+    return modelSelect.selectedOptions[0]?.dataset.vision !== 'false';
+}
+
+/**
+ * 根据当前模型的能力更新上传按钮。文件附件以文本发送，所有模型都可以使用；
+ * 切换到不支持图片的模型时，只移除已添加的图片。
+ */
+function updateAttachmentAvailability() {
+    const supportsVision = selectedModelSupportsVision();
+    uploadButton.disabled = isGenerating;
+    uploadButton.title = supportsVision
+        ? '添加图片或文件 (文本、代码、PDF，也可以粘贴或拖放到聊天窗口)'
+        : '添加文件 (文本、代码、PDF；当前模型不支持图片输入)';
+    if (!supportsVision && attachedImages.length > 0) {
+        attachedImages = [];
+        renderAttachmentPreviews();
+        showAttachmentNotice('当前模型不支持图片输入，已移除待发送的图片');
+    }
+}
+
+/**
+ * 格式化上下文长度，例如 1048576 -> "1M"，32768 -> "32K"。
+ * @param {number|null} tokens - 上下文长度 (token 数)。
+ * @returns {string}
+ */
+function formatContextLength(tokens) {
+    if (!tokens) {
+        return '';
+    }
+    return tokens >= 1024 * 1024 ? `${Math.round(tokens / 1024 / 1024)}M` : `${Math.round(tokens / 1024)}K`;
+}
+
+// =========================================================================
+// 身份验证：后端启用 AUTH_MODE 后，接口未通过验证时返回 401
+// =========================================================================
+
+/**
+ * 请求后端接口。自动携带保存的访问令牌；遇到 401 时按后端的验证方式处理：
+ * session 方式跳转到登录页面，token 方式提示输入访问令牌后重新请求。
+ * @param {string} url - 接口地址。
+ * @param {RequestInit} [options] - fetch 选项 (body 必须可以重复发送，例如字符串)。
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(url, options = {}) {
+    const token = localStorage.getItem(ACCESS_TOKEN_STORAGE_KEY);
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { 'Authorization': `Bearer ${token}` } : {}) },
+    });
+    if (response.status !== 401) {
+        return response;
+    }
+
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.loginUrl) {
+        location.href = `${data.loginUrl}?next=${encodeURIComponent(location.pathname + location.search)}`;
+    } else if (data.auth === 'token') {
+        const entered = prompt(token ? '访问令牌无效，请重新输入:' : '请输入访问令牌:')?.trim();
+        if (entered) {
+            localStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, entered);
+            return apiFetch(url, options);
+        }
+    }
+    return response;
+}
+
+/**
+ * 读取当前用户。使用登录页面 (session) 登录时显示退出按钮。
+ * @returns {Promise<void>}
+ */
+async function loadSession() {
+    try {
+        const response = await apiFetch('/api/session');
+        if (!response.ok) {
+            return;
+        }
+        const { user, method } = await response.json();
+        logoutButton.hidden = method !== 'session';
+        logoutButton.querySelector('.logout-user').textContent = user;
+    } catch (error) {
+        console.error('读取登录状态失败:', error);
+    }
+}
+
+logoutButton.addEventListener('click', async () => {
+    await fetch('/api/logout', { method: 'POST' }).catch(error => console.error('退出登录失败:', error));
+    location.href = '/login';
+});
+
+/**
+ * 从 /api/models 加载模型目录并重建模型下拉框。加载失败时保留 HTML 中的默认选项。
+ * @returns {Promise<void>}
+ */
+async function loadModelCatalog() {
+    try {
+        const response = await apiFetch('/api/models');
+        if (!response.ok) {
+            throw new Error(`状态码 ${response.status}`);
+        }
+        const { models = [], errors = [] } = await response.json();
+        errors.forEach(({ provider, backend, error }) => console.warn(`模型发现失败 (${backend || provider}):`, error));
+        if (models.length === 0) {
+            return;
+        }
+        modelCatalog = models;
+    } catch (error) {
+        console.error('加载模型列表失败:', error);
+        return;
+    }
+
+    const previousValue = localStorage.getItem(SELECTED_MODEL_STORAGE_KEY) || modelSelect.value;
+    modelSelect.innerHTML = '';
+
+    // 按供应商分组 (命名后端各自一组)，使用 <optgroup> 显示
+    const groups = new Map();
+    for (const model of modelCatalog) {
+        const groupKey = model.backend ? `backend:${model.backend}` : model.provider;
+        if (!groups.has(groupKey)) {
+            const group = document.createElement('optgroup');
+            group.label = model.backend ? model.backendLabel : PROVIDER_LABELS[model.provider] || model.provider;
+            groups.set(groupKey, group);
+            modelSelect.appendChild(group);
+        }
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.dataset.vision = String(model.vision !== false);
+        const details = [model.vision ? '图片' : '', formatContextLength(model.contextLength)].filter(Boolean).join(' · ');
+        option.textContent = details ? `${model.label} (${details})` : model.label;
+        if (model.targets) {
+            option.title = `依次尝试: ${model.targets.join(' → ')}`; // 路由别名
+        }
+        groups.get(groupKey).appendChild(option);
+    }
+
+    if (modelCatalog.some(model => model.id === previousValue)) {
+        modelSelect.value = previousValue;
+    }
+    updateAttachmentAvailability();
+    updateCompareButton();
+}
+
 /**
  * 更新助手消息元素以显示错误信息。
  * @param {HTMLElement} element - 助手消息的内容元素。
  * @param {string} message - 要显示的错误信息。
+ * @param {function(): void} [onRetry] - 提供时在错误信息下方显示"重试"按钮。
  */
-function updateAssistantMessageWithError(element, message) {
+function updateAssistantMessageWithError(element, message, onRetry) {
     element.parentElement.classList.remove('loading');
     element.parentElement.classList.add('error');
     element.textContent = `抱歉，出错了: ${message}`;
+    if (onRetry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.classList.add('retry-button');
+        retryButton.innerHTML = '<i class="fa-solid fa-rotate-right"></i> 重试';
+        retryButton.addEventListener('click', () => {
+            if (!isGenerating) {
+                element.parentElement.remove();
+                onRetry();
+            }
+        });
+        element.appendChild(retryButton);
+    }
 }
 
-// 监听表单的 'submit' 事件。这是应用的核心交互逻辑。
-chatForm.addEventListener('submit', async (e) => {
-    console.log('Chat form submit event triggered.'); // 新增调试日志
-    e.preventDefault(); // 阻止表单的默认提交行为（即刷新页面）
-    
-    const userMessage = messageInput.value.trim(); // 获取输入框中的文本，并移除首尾空格
-
-    // 验证：必须有文本或图片才能发送
-    if (!userMessage && !attachedImageBase64) {
-        return; // 如果两者都为空，则不执行任何操作
+/**
+ * 计算 429 之后自动重试前需要等待的时间：优先使用 Retry-After，否则按指数退避。
+ * @param {Response} response - 状态码为 429 的响应。
+ * @param {Object} errorData - 响应体中的错误信息 (可能带有 retryAfter 秒数)。
+ * @param {number} attempt - 已经重试的次数 (从 0 开始)。
+ * @returns {number|null} 等待的毫秒数；Retry-After 超过单次等待上限 (例如每日配额用完) 时返回 null，表示不自动重试。
+ */
+function getRateLimitDelay(response, errorData, attempt) {
+    const retryAfter = Number(response.headers.get('Retry-After') ?? errorData.retryAfter);
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+        return retryAfter * 1000 <= RATE_LIMIT_MAX_DELAY ? retryAfter * 1000 : null;
     }
+    return Math.min(RATE_LIMIT_BASE_DELAY * 2 ** attempt, RATE_LIMIT_MAX_DELAY);
+}
+
+/**
+ * 在助手消息中显示倒计时并等待，期间点击"停止生成"会立即结束等待。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ * @param {number} delay - 等待的毫秒数。
+ * @param {number} attempt - 即将进行的是第几次重试 (从 1 开始)。
+ * @param {AbortSignal} signal - 当前请求的中止信号。
+ * @returns {Promise<void>} 被中止时以 AbortError 拒绝。
+ */
+function waitForRateLimit(element, delay, attempt, signal) {
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + delay;
+        const showCountdown = () => {
+            const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            element.textContent = `请求过于频繁，${seconds} 秒后自动重试 (第 ${attempt}/${RATE_LIMIT_MAX_RETRIES} 次)...`;
+        };
+        showCountdown();
+        const interval = setInterval(showCountdown, 1000);
+        const timer = setTimeout(() => {
+            clearInterval(interval);
+            signal.removeEventListener('abort', onAbort);
+            element.textContent = '';
+            resolve();
+        }, delay);
+        const onAbort = () => {
+            clearTimeout(timer);
+            clearInterval(interval);
+            reject(new DOMException('Rate limit wait aborted', 'AbortError'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-    const selectedModel = modelSelect.value; // 获取当前选择的模型
+/**
+ * 将助手消息标记为"已停止生成"，在气泡下方显示提示。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ */
+function markMessageTruncated(element) {
+    const messageElement = element.parentElement;
+    messageElement.classList.remove('loading');
+    messageElement.classList.add('truncated');
+    const note = document.createElement('div');
+    note.classList.add('message-note');
+    note.textContent = '已停止生成';
+    element.appendChild(note);
+}
 
-    // --- 调试日志：在发送前打印关键信息 ---
-    console.log('--- Sending Message Debug Info ---');
-    console.log('User Message:', userMessage);
-    console.log('Attached Image Base64 (truncated):', attachedImageBase64 ? attachedImageBase64.substring(0, 100) + '...' : 'None');
-    console.log('Selected Model:', selectedModel);
-    console.log('Conversation History:', conversationHistory);
-    console.log('----------------------------------');
+// =========================================================================
+// 对话管理：侧边栏列表、切换、重命名、删除、搜索，数据保存在 IndexedDB
+// =========================================================================
 
-    // 1. 乐观更新 UI：立即在界面上显示用户的消息。
-    addMessage('user', userMessage, attachedImageBase64);
-    
-    // 2. 更新对话历史：将用户的文本消息添加到历史记录中。
-    conversationHistory.push({ role: 'user', content: userMessage });
+const TITLE_MAX_LENGTH = 30; // 对话标题的最大长度
 
-    // 3. 准备发送 API 请求
-    const currentImageBase64 = attachedImageBase64; // 临时保存当前要发送的图片数据
+/**
+ * 根据消息文本生成一个临时标题，在自动标题生成之前或失败时使用。
+ * @param {string} text - 第一条用户消息。
+ * @returns {string} 临时标题。
+ */
+function fallbackTitle(text) {
+    const title = (text || '').replace(/\s+/g, ' ').trim();
+    if (!title) {
+        return '图片对话';
+    }
+    return title.length > TITLE_MAX_LENGTH ? title.slice(0, TITLE_MAX_LENGTH) + '…' : title;
+}
 
-    // 4. 清理和禁用输入：在请求发送期间，清空输入框和预览，并禁用所有输入控件，防止用户重复发送。
-    messageInput.value = '';
-    clearImagePreview();
-    disableInputControls(); // 使用封装函数禁用控件
+/**
+ * 将当前对话 (消息树、模型) 保存到 IndexedDB。当前还没有对话记录时会新建一条。
+ * @returns {Promise<void>}
+ */
+async function persistCurrentConversation() {
+    if (!currentConversation) {
+        currentConversation = {
+            id: crypto.randomUUID(),
+            title: fallbackTitle(getConversationHistory()[0]?.content),
+            createdAt: Date.now(),
+        };
+    }
+    currentConversation.tree = messageTree;
+    currentConversation.messages = getConversationHistory(); // 当前分支的线性副本，便于分享和生成标题
+    currentConversation.model = modelSelect.value;
+    currentConversation.systemPrompt = systemPrompt;
+    currentConversation.personaId = activePersonaId;
+    currentConversation.params = generationParams;
 
-    // 5. 创建一个空的 AI 消息气泡，用于接收流式响应
-    const assistantMessageElement = addMessage('assistant', '');
-    assistantMessageElement.parentElement.classList.add('loading'); // 添加加载样式
-    let fullAssistantMessage = ''; // 用于累积完整的 AI 回复
+    try {
+        currentConversation = await saveConversation(currentConversation);
+    } catch (error) {
+        console.error('保存对话失败:', error);
+    }
+    await renderConversationList();
+}
+
+/**
+ * 根据第一轮问答，调用 /api/chat 为对话自动生成一个简短标题。
+ * 失败时保留临时标题，不影响正常使用。
+ * @param {Object} conversation - 需要生成标题的对话记录。
+ * @returns {Promise<void>}
+ */
+async function generateConversationTitle(conversation) {
+    const firstQuestion = conversation.messages.find(msg => msg.role === 'user');
+    const firstAnswer = conversation.messages.find(msg => msg.role === 'assistant');
+    const prompt = '请为下面这段对话生成一个简短的标题 (不超过 15 个字)，只输出标题本身，不要加引号或标点。\n\n'
+        + `用户: ${firstQuestion.content || (firstQuestion.files || []).map(file => file.name).join(', ') || '(图片)'}\n助手: ${firstAnswer.content.slice(0, 1000)}`;
 
-    // 6. 使用 try...catch...finally 结构来健壮地处理异步 API 请求
     try {
-        // 发送网络请求到我们的后端 API 代理
-        const response = await fetch('/api/chat', {
+        const response = await apiFetch('/api/chat', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                model: selectedModel,
-                messages: conversationHistory,
-                stream: true, // *** 启用流式传输 ***
-                image: currentImageBase64,
+                model: conversation.model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
             }),
         });
-
-        // 如果响应不成功 (例如 4xx, 5xx 错误)
         if (!response.ok) {
-            // 尝试从响应体中解析详细的 JSON 错误信息
-            const errorData = await response.json().catch(() => {
-                // 如果响应体不是有效的 JSON，则创建一个包含状态文本的错误对象
-                return { error: `服务器错误，状态码: ${response.status} ${response.statusText}` };
-            });
-            // 抛出错误，由下方的 catch 块处理
-            throw new Error(errorData.error || '发生未知错误');
+            throw new Error(`状态码 ${response.status}`);
+        }
+        const { reply } = await response.json();
+        const title = fallbackTitle(reply?.replace(/^["'“《]+|["'”》]+$/g, ''));
+        if (!reply || !title) {
+            return;
         }
 
-        // --- 处理流式响应 ---
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        let isFirstChunk = true;
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                break; // 读取完成
-            }
+        // 生成标题期间用户可能已经切换或修改了对话，重新读取最新记录再写回
+        const latest = await getConversation(conversation.id);
+        if (!latest) {
+            return;
+        }
+        const saved = await saveConversation({ ...latest, title });
+        if (currentConversation?.id === saved.id) {
+            currentConversation.title = saved.title;
+        }
+        await renderConversationList();
+    } catch (error) {
+        console.error('自动生成对话标题失败:', error);
+    }
+}
 
-            if (isFirstChunk) {
-                assistantMessageElement.parentElement.classList.remove('loading'); // 移除加载样式
-                isFirstChunk = false;
-            }
+/**
+ * 重新渲染侧边栏中的对话列表，并按搜索框的内容过滤 (匹配标题和消息文本)。
+ * @returns {Promise<void>}
+ */
+async function renderConversationList() {
+    let conversations;
+    try {
+        conversations = await listConversations();
+    } catch (error) {
+        console.error('读取对话列表失败:', error);
+        return;
+    }
 
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n\n');
-            buffer = lines.pop() || ''; // 保留不完整的行在缓冲区
+    const keyword = conversationSearch.value.trim().toLowerCase();
+    if (keyword) {
+        conversations = conversations.filter(conversation =>
+            conversation.title.toLowerCase().includes(keyword)
+            || Object.values(conversation.tree?.nodes || {}).concat(conversation.messages || [])
+                .some(msg => (msg.content || '').toLowerCase().includes(keyword))
+        );
+    }
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const dataStr = line.substring(6);
-                    if (dataStr === '[DONE]') {
-                        break;
-                    }
-                    try {
-                        const data = JSON.parse(dataStr);
-                        const delta = data.choices?.[0]?.delta?.content || '';
-                        if (delta) {
-                            fullAssistantMessage += delta;
-                            // 直接更新消息内容元素的文本
-                            assistantMessageElement.textContent = fullAssistantMessage;
-                            assistantMessageElement.scrollIntoView({ behavior: 'smooth', block: 'end' }); // 实时滚动
-                        }
-                    } catch (e) {
-                        console.error('解析 SSE 数据块失败:', e, '数据块:', dataStr);
-                    }
-                }
-            }
-        }
-        
-        // 流结束后，将完整的消息存入历史记录
-        if (fullAssistantMessage) {
-            conversationHistory.push({ role: 'assistant', content: fullAssistantMessage });
+    conversationList.innerHTML = '';
+    for (const conversation of conversations) {
+        const item = document.createElement('li');
+        item.classList.add('conversation-item');
+        item.classList.toggle('active', conversation.id === currentConversation?.id);
+        item.dataset.id = conversation.id;
+
+        const title = document.createElement('span');
+        title.classList.add('conversation-title');
+        title.textContent = conversation.title; // 标题可能来自模型输出，同样使用 textContent 防止 XSS
+        title.title = conversation.title;
+
+        const renameButton = document.createElement('button');
+        renameButton.type = 'button';
+        renameButton.dataset.action = 'rename';
+        renameButton.title = '重命名';
+        renameButton.innerHTML = '<i class="fa-solid fa-pen"></i>';
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.dataset.action = 'delete';
+        deleteButton.title = '删除';
+        deleteButton.innerHTML = '<i class="fa-solid fa-trash"></i>';
+
+        item.append(title, renameButton, deleteButton);
+        conversationList.appendChild(item);
+    }
+}
+
+/**
+ * 返回当前选中分支上的消息，即发送给 API 的对话历史。
+ * @returns {Array<Object>} 消息数组 { role, content, images, truncated }。
+ */
+function getConversationHistory() {
+    return getActivePath(messageTree).map(toHistoryMessage);
+}
+
+/**
+ * 通过 addMessage 渲染一个消息节点，并附加操作栏：
+ * 用户消息可以编辑后重发，助手消息可以重新生成；存在多个分支时显示 "< 2/3 >" 切换器。
+ * @param {Object} node - 消息树中的节点。
+ * @returns {HTMLElement} 消息内容元素。
+ */
+function renderMessageNode(node) {
+    const contentElement = addMessage(node.role, node.content, node.images, node.files);
+    if (node.truncated) {
+        markMessageTruncated(contentElement);
+    }
+    if (node.meta?.unsupportedParams?.length > 0) {
+        const note = document.createElement('div');
+        note.classList.add('message-note');
+        note.textContent = `当前模型不支持以下参数，已忽略: ${node.meta.unsupportedParams.join(', ')}`;
+        contentElement.appendChild(note);
+    }
+    const stateNote = createReplyStateNote(node.meta);
+    if (stateNote) {
+        contentElement.appendChild(stateNote);
+    }
+    if (node.meta?.usage || node.meta?.servedBy) {
+        contentElement.appendChild(createUsageLine(node.meta.usage || {}, node.meta.servedBy));
+    }
+    if (node.meta?.tools?.length > 0) {
+        const cards = createToolCardList(contentElement);
+        node.meta.tools.forEach(call => cards.appendChild(createToolCard(call)));
+    }
+
+    const messageElement = contentElement.parentElement;
+    messageElement.dataset.nodeId = node.id;
+
+    const actions = document.createElement('div');
+    actions.classList.add('message-actions');
+
+    const { index, count } = getSiblingPosition(messageTree, node.id);
+    if (count > 1) {
+        const switcher = document.createElement('span');
+        switcher.classList.add('branch-switcher');
+        switcher.innerHTML = '<button type="button" data-action="prev-branch" title="上一个版本"><i class="fa-solid fa-chevron-left"></i></button>'
+            + '<span class="branch-position"></span>'
+            + '<button type="button" data-action="next-branch" title="下一个版本"><i class="fa-solid fa-chevron-right"></i></button>';
+        switcher.querySelector('.branch-position').textContent = `${index + 1}/${count}`;
+        switcher.querySelector('[data-action="prev-branch"]').disabled = index === 0;
+        switcher.querySelector('[data-action="next-branch"]').disabled = index === count - 1;
+        actions.appendChild(switcher);
+    }
+
+    const actionButton = document.createElement('button');
+    actionButton.type = 'button';
+    if (node.role === 'user') {
+        actionButton.dataset.action = 'edit';
+        actionButton.title = '编辑并重新发送';
+        actionButton.innerHTML = '<i class="fa-solid fa-pen"></i>';
+    } else {
+        actionButton.dataset.action = 'regenerate';
+        actionButton.title = '重新生成';
+        actionButton.innerHTML = '<i class="fa-solid fa-rotate-right"></i>';
+    }
+    actions.appendChild(actionButton);
+
+    messageElement.appendChild(actions);
+    return contentElement;
+}
+
+/**
+ * 清空聊天窗口，并沿着当前选中的分支重新渲染整个对话。
+ */
+function renderConversation() {
+    chatWindow.innerHTML = '';
+    const path = getActivePath(messageTree);
+    for (const node of path) {
+        renderMessageNode(node);
+    }
+    // 显示当前分支上最近一次请求的上下文用量
+    updateContextUsage([...path].reverse().find(node => node.meta?.context)?.meta.context || null);
+    updateConversationUsage();
+}
+
+/**
+ * 在消息内容之前创建工具卡片的容器。
+ * @param {HTMLElement} contentElement - 消息内容元素。
+ * @returns {HTMLElement}
+ */
+function createToolCardList(contentElement) {
+    const list = document.createElement('div');
+    list.classList.add('tool-cards');
+    contentElement.before(list);
+    return list;
+}
+
+/**
+ * 把工具的参数或结果格式化为便于阅读的文本：JSON 缩进显示，其余原样显示。
+ * @param {string} text - 参数或结果。
+ * @returns {string}
+ */
+function formatToolText(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * 创建一张可折叠的工具调用卡片。
+ * @param {{id: string, name: string, arguments: string, result?: string, error?: string}} call - 工具调用。
+ * @returns {HTMLDetailsElement}
+ */
+function createToolCard(call) {
+    const card = document.createElement('details');
+    card.classList.add('tool-card');
+    card.dataset.callId = call.id;
+    updateToolCard(card, call);
+    return card;
+}
+
+/**
+ * 按调用的当前状态 (执行中、完成、失败) 重新填充工具卡片。
+ * @param {HTMLDetailsElement} card - createToolCard 创建的卡片。
+ * @param {Object} call - 工具调用，收到结果后带有 result 或 error。
+ */
+function updateToolCard(card, call) {
+    const state = call.error !== undefined ? 'error' : call.result !== undefined ? 'done' : 'pending';
+    card.classList.remove('pending', 'done', 'error');
+    card.classList.add(state);
+    card.innerHTML = '<summary><i class="fa-solid fa-screwdriver-wrench"></i> <span class="tool-name"></span><span class="tool-state"></span></summary>'
+        + '<div class="tool-card-body"><div class="tool-card-label">参数</div><pre class="tool-arguments"></pre></div>';
+    card.querySelector('.tool-name').textContent = TOOL_LABELS[call.name] || call.name;
+    card.querySelector('.tool-state').textContent = state === 'pending' ? '执行中…' : state === 'error' ? '失败' : '完成';
+    card.querySelector('.tool-arguments').textContent = formatToolText(call.arguments || '{}');
+    if (state !== 'pending') {
+        const label = document.createElement('div');
+        label.classList.add('tool-card-label');
+        label.textContent = state === 'error' ? '错误' : '结果';
+        const output = document.createElement('pre');
+        output.textContent = state === 'error' ? call.error : formatToolText(call.result);
+        card.querySelector('.tool-card-body').append(label, output);
+    }
+}
+
+// finish_reason 不是正常结束时，在回复下方显示的说明
+const FINISH_REASON_LABELS = {
+    length: '已达到最大输出长度，回复不完整',
+    content_filter: '回复被内容安全策略拦截',
+    tool_calls: '模型请求调用工具',
+};
+
+/**
+ * 根据回复的结束状态 (被拦截、被截断、流中途出错) 创建说明，正常结束时返回 null。
+ * @param {Object|undefined} meta - 回复节点的附加信息。
+ * @returns {HTMLElement|null}
+ */
+function createReplyStateNote(meta) {
+    let text;
+    let state;
+    if (meta?.error) {
+        state = 'error';
+        text = `生成中途出错: ${meta.error}`;
+    } else if (meta?.finishReason === 'content_filter') {
+        state = 'blocked';
+        text = meta.filter?.blockReason ? `提问被内容安全策略拦截 (${meta.filter.blockReason})` : FINISH_REASON_LABELS.content_filter;
+        if (meta.filter?.categories?.length > 0) {
+            text += `，类别: ${meta.filter.categories.join(', ')}`;
         }
+    } else if (meta?.finishReason) {
+        state = meta.finishReason === 'length' ? 'length' : 'other';
+        text = FINISH_REASON_LABELS[meta.finishReason] || `结束原因: ${meta.finishReason}`;
+    } else {
+        return null;
+    }
 
-    } catch (error) {
-        // 捕获所有在 try 块中发生的错误 (网络错误, HTTP 错误等)
-        console.error('请求出错:', error);
-        updateAssistantMessageWithError(assistantMessageElement, error.message); // 使用辅助函数显示错误
+    const note = document.createElement('div');
+    note.classList.add('message-note', 'reply-state', state);
+    note.textContent = text;
+    return note;
+}
 
-    } finally {
-        // 无论请求成功还是失败，finally 块中的代码都一定会执行
-        // 7. 恢复界面：重新启用输入控件
-        enableInputControls(); // 使用封装函数启用控件
-        messageInput.focus();
+/**
+ * 格式化费用，例如 $0.0123。
+ * @param {number} cost - 费用。
+ * @param {string} currency - 货币代码。
+ * @returns {string}
+ */
+function formatCost(cost, currency) {
+    const amount = cost >= 0.01 ? cost.toFixed(2) : cost.toPrecision(2);
+    return currency === 'USD' ? `$${amount}` : `${amount} ${currency}`;
+}
+
+/**
+ * 格式化耗时，例如 850ms、2.3s。
+ * @param {number} ms - 毫秒数。
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * 创建助手消息下方的用量信息：实际回答的模型、输入/输出 token 数、首个 token 时间、总耗时和费用。
+ * @param {Object} usage - 后端返回的 usage 事件 (见 functions/lib/usage.js)。
+ * @param {string} [servedBy] - 选择路由别名时实际回答的模型 ID。
+ * @returns {HTMLElement}
+ */
+function createUsageLine(usage, servedBy) {
+    const parts = [];
+    if (servedBy) {
+        const model = modelCatalog.find(candidate => candidate.id === servedBy);
+        parts.push(`由 ${model?.label || servedBy} 回答`);
     }
-});
+    if ((usage.prompt_tokens ?? null) !== null || (usage.completion_tokens ?? null) !== null) {
+        parts.push(`输入 ${formatTokenCount(usage.prompt_tokens ?? 0)} · 输出 ${formatTokenCount(usage.completion_tokens ?? 0)} tokens`);
+    }
+    if (usage.ttft_ms !== null && usage.ttft_ms !== undefined) {
+        parts.push(`首字 ${formatDuration(usage.ttft_ms)}`);
+    }
+    if (usage.latency_ms !== null && usage.latency_ms !== undefined) {
+        parts.push(`耗时 ${formatDuration(usage.latency_ms)}`);
+    }
+    if (usage.cost !== null && usage.cost !== undefined) {
+        parts.push(formatCost(usage.cost, usage.currency));
+    }
+
+    const line = document.createElement('div');
+    line.classList.add('message-usage');
+    line.textContent = parts.join(' · ');
+    return line;
+}
 
+/**
+ * 更新输入框上方当前对话的累计用量。
+ * 统计消息树中所有助手回复 (包括其他分支上的)，因为它们都实际产生了费用。
+ */
+function updateConversationUsage() {
+    const usages = Object.values(messageTree.nodes).map(node => node.meta?.usage).filter(Boolean);
+    conversationUsage.hidden = usages.length === 0;
+    if (usages.length === 0) {
+        return;
+    }
+
+    const tokens = usages.reduce((sum, usage) => sum + (usage.total_tokens ?? 0), 0);
+    const priced = usages.filter(usage => usage.cost !== null && usage.cost !== undefined);
+    let text = `本对话累计 ${formatTokenCount(tokens)} tokens`;
+    if (priced.length > 0) {
+        // 不同模型的费用都以同一种货币计价时才能相加，以第一条的货币为准
+        const currency = priced[0].currency;
+        const cost = priced.filter(usage => usage.currency === currency).reduce((sum, usage) => sum + usage.cost, 0);
+        text += ` · 约 ${formatCost(cost, currency)}`;
+        if (priced.length < usages.length) {
+            text += ' (部分模型未配置价格)';
+        }
+    }
+    conversationUsage.textContent = text;
+}
+
+/**
+ * 格式化 token 数，例如 850、12.3K。
+ * @param {number} tokens - token 数。
+ * @returns {string}
+ */
+function formatTokenCount(tokens) {
+    return tokens < 1000 ? String(tokens) : `${(tokens / 1000).toFixed(1)}K`;
+}
+
+/**
+ * 更新输入框上方的上下文用量。
+ * @param {{tokens: number, limit: number|null, trimmed: number, summarized: boolean}|null} context
+ *        后端返回的上下文窗口使用情况 (X-Context-* 响应头)，null 表示隐藏。
+ */
+function updateContextUsage(context) {
+    contextUsage.hidden = !context;
+    if (!context) {
+        return;
+    }
+
+    const ratio = context.limit ? Math.min(context.tokens / context.limit, 1) : 0;
+    contextUsage.classList.toggle('near-limit', ratio >= 0.8);
+    contextUsage.querySelector('.context-usage-bar').hidden = !context.limit;
+    contextUsage.querySelector('.context-usage-bar span').style.width = `${Math.round(ratio * 100)}%`;
+
+    let text = context.limit
+        ? `上下文约 ${formatTokenCount(context.tokens)} / ${formatTokenCount(context.limit)} tokens (${Math.round(ratio * 100)}%)`
+        : `上下文约 ${formatTokenCount(context.tokens)} tokens`;
+    if (context.trimmed > 0) {
+        text += context.summarized
+            ? ` · 较早的 ${context.trimmed} 条消息已由摘要代替`
+            : ` · 较早的 ${context.trimmed} 条消息未发送`;
+    }
+    contextUsage.querySelector('.context-usage-text').textContent = text;
+}
+
+/**
+ * 从 /api/chat 的响应头中读取上下文窗口的使用情况。
+ * @param {Headers} headers - 响应头。
+ * @returns {{tokens: number, limit: number|null, trimmed: number, summarized: boolean}|null}
+ */
+function readContextUsage(headers) {
+    const tokens = headers.get('X-Context-Tokens');
+    if (tokens === null) {
+        return null;
+    }
+    return {
+        tokens: Number(tokens),
+        limit: Number(headers.get('X-Context-Limit')) || null,
+        trimmed: Number(headers.get('X-Context-Trimmed')) || 0,
+        summarized: headers.get('X-Context-Summarized') === '1',
+    };
+}
+
+/**
+ * 在用户消息的位置显示编辑框。保存后会在同一位置创建一个新分支并重新请求回复，原消息及其后续内容保留在旧分支中。
+ * @param {string} nodeId - 用户消息节点 ID。
+ */
+function startEditingMessage(nodeId) {
+    const node = messageTree.nodes[nodeId];
+    const messageElement = chatWindow.querySelector(`.message[data-node-id="${nodeId}"]`);
+    if (!node || !messageElement || messageElement.classList.contains('editing')) {
+        return;
+    }
+    messageElement.classList.add('editing');
+
+    const editor = document.createElement('div');
+    editor.classList.add('message-editor');
+    const textarea = document.createElement('textarea');
+    textarea.value = node.content;
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.textContent = '发送';
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = '取消';
+    editor.append(textarea, saveButton, cancelButton);
+    messageElement.appendChild(editor);
+    textarea.focus();
+
+    cancelButton.addEventListener('click', () => {
+        editor.remove();
+        messageElement.classList.remove('editing');
+    });
+    saveButton.addEventListener('click', () => {
+        const newText = textarea.value.trim();
+        if ((!newText && node.images.length === 0 && !node.files?.length) || isGenerating) {
+            return;
+        }
+        const newNode = addMessageNode(messageTree, node.parentId, { role: 'user', content: newText, images: node.images, files: node.files });
+        renderConversation();
+        persistCurrentConversation();
+        requestReplies(newNode.id);
+    });
+}
+
+/**
+ * 为某条助手消息重新生成回复。新回复作为该消息的兄弟分支，旧回复保留。
+ * @param {string} nodeId - 助手消息节点 ID。
+ */
+function regenerateMessage(nodeId) {
+    const node = messageTree.nodes[nodeId];
+    if (!node) {
+        return;
+    }
+    // 只显示到父消息为止，新的回复在其后流式输出
+    chatWindow.innerHTML = '';
+    for (const pathNode of getPathTo(messageTree, node.parentId)) {
+        renderMessageNode(pathNode);
+    }
+    generateAssistantReply(node.parentId);
+}
+
+/**
+ * 切换到指定的对话。
+ * @param {string} id - 对话 ID。
+ * @returns {Promise<void>}
+ */
+async function switchConversation(id) {
+    const conversation = await getConversation(id);
+    if (!conversation) {
+        await renderConversationList();
+        return;
+    }
+
+    currentConversation = conversation;
+    // 旧版本保存的对话只有线性的 messages，读取时转换为消息树
+    messageTree = conversation.tree || createTreeFromMessages(conversation.messages || []);
+    // 恢复对话使用的模型 (如果该模型仍在下拉框中)
+    if ([...modelSelect.options].some(option => option.value === conversation.model)) {
+        modelSelect.value = conversation.model;
+        updateAttachmentAvailability();
+    }
+    systemPrompt = conversation.systemPrompt || '';
+    activePersonaId = conversation.personaId || null;
+    generationParams = conversation.params || {};
+    updatePersonaControls();
+    updateParamsButton();
+    clearAttachmentPreview();
+    renderConversation();
+    sidebar.classList.remove('open');
+    await renderConversationList();
+}
+
+/**
+ * 开始一个新的空白对话。对话记录会在发送第一条消息时才真正创建。
+ */
+function startNewConversation() {
+    currentConversation = null;
+    messageTree = createMessageTree();
+    chatWindow.innerHTML = '';
+    updateContextUsage(null);
+    updateConversationUsage();
+    clearAttachmentPreview();
+    messageInput.value = '';
+    messageInput.focus();
+    sidebar.classList.remove('open');
+    renderConversationList();
+}
+
+/**
+ * 重命名指定的对话。
+ * @param {string} id - 对话 ID。
+ * @returns {Promise<void>}
+ */
+async function renameConversation(id) {
+    const conversation = await getConversation(id);
+    if (!conversation) {
+        return;
+    }
+    const newTitle = prompt('重命名对话:', conversation.title)?.trim();
+    if (!newTitle) {
+        return;
+    }
+
+    const saved = await saveConversation({ ...conversation, title: newTitle.slice(0, 100) });
+    if (currentConversation?.id === id) {
+        currentConversation.title = saved.title;
+    }
+    await renderConversationList();
+}
+
+/**
+ * 删除指定的对话。如果删除的是当前对话，则切换到新的空白对话。
+ * @param {string} id - 对话 ID。
+ * @returns {Promise<void>}
+ */
+async function removeConversation(id) {
+    if (!confirm('确定要删除这个对话吗？此操作无法撤销。')) {
+        return;
+    }
+    await deleteConversation(id);
+    if (currentConversation?.id === id) {
+        startNewConversation();
+    } else {
+        await renderConversationList();
+    }
+}
+
+/**
+ * 将当前对话上传到服务器，并创建一个只读分享链接。
+ * 链接会复制到剪贴板，同时弹窗显示，方便手动复制。
+ * @returns {Promise<void>}
+ */
+async function shareCurrentConversation() {
+    if (!currentConversation || getActivePath(messageTree).length === 0) {
+        alert('当前对话还没有内容，无法分享。');
+        return;
+    }
+
+    shareButton.disabled = true;
+    try {
+        const { id, title, model, createdAt } = currentConversation;
+        const saveResponse = await apiFetch(`/api/conversations/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title, model, createdAt, messages: getConversationHistory() }),
+        });
+        if (!saveResponse.ok) {
+            const errorData = await saveResponse.json().catch(() => ({}));
+            throw new Error(errorData.error || `保存对话失败，状态码: ${saveResponse.status}`);
+        }
+
+        const shareResponse = await apiFetch('/api/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ conversationId: id }),
+        });
+        const shareData = await shareResponse.json().catch(() => ({}));
+        if (!shareResponse.ok) {
+            throw new Error(shareData.error || `创建分享链接失败，状态码: ${shareResponse.status}`);
+        }
+
+        await navigator.clipboard?.writeText(shareData.url).catch(() => {});
+        prompt('分享链接 (已复制到剪贴板):', shareData.url);
+    } catch (error) {
+        console.error('分享对话失败:', error);
+        alert(`分享失败: ${error.message}`);
+    } finally {
+        shareButton.disabled = false;
+    }
+}
+
+// =========================================================================
+// 导出与导入 (格式见 export.js)
+// =========================================================================
+
+const MAX_IMPORT_FILE_SIZE = 100 * 1024 * 1024; // 导入文件的大小上限 (图片以 data URL 保存在文件中)
+
+// 各导出格式的文件扩展名和 MIME 类型
+const EXPORT_FILE_TYPES = {
+    markdown: { extension: 'md', type: 'text/markdown' },
+    json: { extension: 'json', type: 'application/json' },
+    jsonl: { extension: 'jsonl', type: 'application/jsonl' },
+};
+
+/**
+ * 让浏览器下载一段文本。
+ * @param {string} fileName - 文件名。
+ * @param {string} text - 文件内容。
+ * @param {string} type - MIME 类型。
+ */
+function downloadTextFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 按选择的格式导出当前对话 (使用界面上的最新状态，包括尚未保存的模型和参数)。
+ * @param {'markdown'|'json'|'jsonl'} format - 导出格式。
+ * @param {'embed'|'link'} images - Markdown 中图片的处理方式。
+ */
+function exportCurrentConversation(format, images) {
+    const conversation = {
+        ...currentConversation,
+        tree: messageTree,
+        model: modelSelect.value,
+        systemPrompt,
+        params: generationParams,
+    };
+    const text = format === 'json' ? exportConversationAsJSON(conversation)
+        : format === 'jsonl' ? exportConversationAsJSONL(conversation)
+        : exportConversationAsMarkdown(conversation, { images });
+    if (!text) {
+        alert('当前对话中没有可以导出为训练数据的完整问答。');
+        return;
+    }
+    const { extension, type } = EXPORT_FILE_TYPES[format];
+    downloadTextFile(`${toExportFileName(conversation.title)}.${extension}`, text, type);
+}
+
+/**
+ * 从导出的 JSON 文件恢复对话，作为一个新对话保存并切换过去。
+ * @param {File} file - 用户选择的文件。
+ * @returns {Promise<void>}
+ */
+async function importConversation(file) {
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`导入失败: 文件过大 (最大 ${MAX_IMPORT_FILE_SIZE / 1024 / 1024} MB)`);
+        return;
+    }
+    let imported;
+    try {
+        imported = parseConversationImport(await file.text());
+    } catch (error) {
+        alert(`导入失败: ${error.message}`);
+        return;
+    }
+
+    const messages = getActivePath(imported.tree).map(toHistoryMessage);
+    const saved = await saveConversation({
+        id: crypto.randomUUID(),
+        title: imported.title || fallbackTitle(messages[0]?.content),
+        createdAt: Date.now(),
+        model: imported.model,
+        systemPrompt: imported.systemPrompt,
+        personaId: null,
+        params: imported.params,
+        tree: imported.tree,
+        messages,
+    });
+    await switchConversation(saved.id);
+}
+
+exportButton.addEventListener('click', () => {
+    if (getActivePath(messageTree).length === 0) {
+        alert('当前对话还没有内容，无法导出。');
+        return;
+    }
+    exportDialog.showModal();
+});
+
+// 图片选项只对 Markdown 有意义
+exportForm.addEventListener('change', () => {
+    exportForm.elements.images.disabled = exportForm.elements.format.value !== 'markdown';
+});
+
+exportDialog.addEventListener('close', () => {
+    if (exportDialog.returnValue === 'export') {
+        exportCurrentConversation(exportForm.elements.format.value, exportForm.elements.images.value);
+    }
+});
+
+importButton.addEventListener('click', () => {
+    if (!isGenerating) {
+        importFileInput.click();
+    }
+});
+
+importFileInput.addEventListener('change', () => {
+    const [file] = importFileInput.files;
+    importFileInput.value = ''; // 允许再次选择同一个文件
+    if (file) {
+        importConversation(file).catch(error => {
+            console.error('导入对话失败:', error);
+            alert(`导入失败: ${error.message}`);
+        });
+    }
+});
+
+// =========================================================================
+// 系统提示词与角色预设：每个对话有自己的系统提示词；
+// 角色预设 (名称、提示词、默认模型、生成参数) 保存在 IndexedDB 中，可以从头部快速切换
+// =========================================================================
+
+/**
+ * 根据当前状态刷新头部的角色选择框和角色按钮的高亮。
+ */
+function updatePersonaControls() {
+    personaSelect.innerHTML = '';
+    personaSelect.appendChild(new Option(activePersonaId || !systemPrompt ? '默认助手' : '自定义提示词', ''));
+    for (const persona of personas) {
+        personaSelect.appendChild(new Option(persona.name, persona.id));
+    }
+    personaSelect.value = personas.some(persona => persona.id === activePersonaId) ? activePersonaId : '';
+
+    personaButton.classList.toggle('active', Boolean(systemPrompt));
+    personaButton.title = systemPrompt ? `系统提示词: ${systemPrompt.slice(0, 100)}` : '系统提示词与角色管理';
+}
+
+/**
+ * 从 IndexedDB 重新读取角色预设，并刷新选择框。
+ * @returns {Promise<void>}
+ */
+async function loadPersonas() {
+    try {
+        personas = await listPersonas();
+    } catch (error) {
+        console.error('读取角色预设失败:', error);
+        personas = [];
+    }
+    updatePersonaControls();
+}
+
+/**
+ * 将角色预设应用到当前对话：系统提示词、默认模型 (如果仍可用) 和生成参数。
+ * @param {Object|null} persona - 角色记录，传入 null 表示恢复为不带系统提示词的默认助手。
+ */
+function applyPersona(persona) {
+    systemPrompt = persona?.prompt || '';
+    activePersonaId = persona?.id || null;
+    generationParams = { ...(persona?.params || {}) };
+    if (persona?.model && [...modelSelect.options].some(option => option.value === persona.model)) {
+        modelSelect.value = persona.model;
+        localStorage.setItem(SELECTED_MODEL_STORAGE_KEY, modelSelect.value);
+        updateAttachmentAvailability();
+    }
+    updatePersonaControls();
+    updateParamsButton();
+    if (currentConversation) {
+        persistCurrentConversation();
+    }
+}
+
+/**
+ * 重新渲染对话框中的角色列表。
+ */
+function renderPersonaList() {
+    personaList.innerHTML = '';
+    if (personas.length === 0) {
+        const empty = document.createElement('li');
+        empty.classList.add('persona-empty');
+        empty.textContent = '还没有保存的角色。填写系统提示词后输入名称即可保存。';
+        personaList.appendChild(empty);
+        return;
+    }
+
+    for (const persona of personas) {
+        const item = document.createElement('li');
+        item.dataset.id = persona.id;
+
+        const name = document.createElement('span');
+        name.classList.add('persona-name');
+        name.textContent = persona.name;
+        name.title = persona.prompt;
+        item.appendChild(name);
+
+        if (persona.model) {
+            const model = document.createElement('span');
+            model.classList.add('persona-model');
+            model.textContent = persona.model;
+            item.appendChild(model);
+        }
+
+        const useButton = document.createElement('button');
+        useButton.type = 'button';
+        useButton.dataset.action = 'use';
+        useButton.textContent = '使用';
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.dataset.action = 'delete';
+        deleteButton.title = '删除角色';
+        deleteButton.innerHTML = '<i class="fa-solid fa-trash"></i>';
+        item.append(useButton, deleteButton);
+
+        personaList.appendChild(item);
+    }
+}
+
+/**
+ * 打开系统提示词与角色管理对话框。
+ */
+function openPersonaDialog() {
+    systemPromptInput.value = systemPrompt;
+    personaNameInput.value = personas.find(persona => persona.id === activePersonaId)?.name || '';
+    renderPersonaList();
+    personaDialog.returnValue = ''; // 按 Esc 关闭时不会设置 returnValue，先清除上一次的值
+    personaDialog.showModal();
+    systemPromptInput.focus();
+}
+
+/**
+ * 将对话框中的系统提示词连同当前模型和生成参数保存为角色预设。同名角色会被覆盖。
+ * @returns {Promise<void>}
+ */
+async function saveCurrentAsPersona() {
+    const name = personaNameInput.value.trim();
+    const prompt = systemPromptInput.value.trim();
+    if (!name) {
+        personaNameInput.focus();
+        return;
+    }
+    if (!prompt) {
+        alert('请先填写系统提示词。');
+        systemPromptInput.focus();
+        return;
+    }
+
+    const existing = personas.find(persona => persona.name === name);
+    try {
+        const saved = await savePersona({
+            id: existing?.id || crypto.randomUUID(),
+            name,
+            prompt,
+            model: modelSelect.value,
+            params: { ...generationParams },
+            createdAt: existing?.createdAt || Date.now(),
+        });
+        await loadPersonas();
+        renderPersonaList();
+        // 保存的就是对话框中正在编辑的提示词，直接把它设为当前角色
+        if (prompt === systemPrompt) {
+            activePersonaId = saved.id;
+            updatePersonaControls();
+        }
+    } catch (error) {
+        console.error('保存角色失败:', error);
+        alert(`保存角色失败: ${error.message}`);
+    }
+}
+
+/**
+ * 删除一个角色预设。正在使用该角色的对话保留其系统提示词。
+ * @param {string} id - 角色 ID。
+ * @returns {Promise<void>}
+ */
+async function removePersona(id) {
+    const persona = personas.find(item => item.id === id);
+    if (!persona || !confirm(`确定要删除角色"${persona.name}"吗？`)) {
+        return;
+    }
+    await deletePersona(id);
+    if (activePersonaId === id) {
+        activePersonaId = null;
+    }
+    await loadPersonas();
+    renderPersonaList();
+}
+
+personaSelect.addEventListener('change', () => {
+    applyPersona(personas.find(persona => persona.id === personaSelect.value) || null);
+});
+
+personaButton.addEventListener('click', () => openPersonaDialog());
+
+savePersonaButton.addEventListener('click', () => saveCurrentAsPersona());
+
+// 在名称输入框中按回车直接保存，而不是提交 (关闭) 对话框
+personaNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        saveCurrentAsPersona();
+    }
+});
+
+personaList.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    const id = button?.closest('li')?.dataset.id;
+    if (!id) {
+        return;
+    }
+    if (button.dataset.action === 'use') {
+        applyPersona(personas.find(persona => persona.id === id));
+        personaDialog.close('used');
+    } else if (button.dataset.action === 'delete') {
+        removePersona(id).catch(error => console.error('删除角色失败:', error));
+    }
+});
+
+// 点击"应用"关闭对话框时，把编辑后的系统提示词设置到当前对话
+personaDialog.addEventListener('close', () => {
+    if (personaDialog.returnValue !== 'apply') {
+        return;
+    }
+    const prompt = systemPromptInput.value.trim();
+    if (prompt === systemPrompt) {
+        return;
+    }
+    systemPrompt = prompt;
+    // 修改后的提示词与所选角色不再一致，视为自定义提示词
+    if (personas.find(persona => persona.id === activePersonaId)?.prompt !== prompt) {
+        activePersonaId = null;
+    }
+    updatePersonaControls();
+    if (currentConversation) {
+        persistCurrentConversation();
+    }
+});
+
+// =========================================================================
+// 生成参数：temperature、top_p、max_tokens、stop、seed，随对话保存，以 params 字段发送给 /api/chat。
+// 取值由后端按模型的限制校验；当前模型不支持的参数会被忽略，并通过 X-Unsupported-Params 响应头告知
+// =========================================================================
+
+// Anthropic 的 temperature 上限为 1，其他供应商为 2
+const TEMPERATURE_MAX_BY_PROVIDER = { anthropic: 1 };
+
+/**
+ * 返回当前选中模型在目录中的信息，目录中没有时返回 null。
+ * @returns {Object|null}
+ */
+function getSelectedModelInfo() {
+    return modelCatalog.find(model => model.id === modelSelect.value) || null;
+}
+
+/**
+ * 已设置生成参数时高亮参数按钮。
+ */
+function updateParamsButton() {
+    const names = Object.keys(generationParams);
+    paramsButton.classList.toggle('active', names.length > 0);
+    paramsButton.title = names.length > 0 ? `生成参数: ${names.join(', ')}` : '生成参数';
+}
+
+/**
+ * 打开生成参数对话框，并按当前模型的限制设置输入框的取值范围。
+ */
+function openParamsDialog() {
+    const modelInfo = getSelectedModelInfo();
+    const elements = paramsForm.elements;
+    elements.temperature.max = TEMPERATURE_MAX_BY_PROVIDER[modelInfo?.provider] ?? 2;
+    elements.max_tokens.max = modelInfo?.maxOutputTokens || '';
+    paramsModelHint.textContent = modelInfo
+        ? `当前模型: ${modelInfo.label}` + (modelInfo.maxOutputTokens ? `，最多输出 ${modelInfo.maxOutputTokens} tokens` : '')
+        : `当前模型: ${modelSelect.value}`;
+
+    elements.temperature.value = generationParams.temperature ?? '';
+    elements.top_p.value = generationParams.top_p ?? '';
+    elements.max_tokens.value = generationParams.max_tokens ?? '';
+    elements.seed.value = generationParams.seed ?? '';
+    elements.stop.value = (generationParams.stop || []).join('\n');
+
+    paramsDialog.returnValue = ''; // 按 Esc 关闭时不会设置 returnValue，先清除上一次的值
+    paramsDialog.showModal();
+}
+
+/**
+ * 读取对话框中的参数，留空的字段不包含在结果中。
+ * @returns {Object} 生成参数。
+ */
+function readParamsForm() {
+    const elements = paramsForm.elements;
+    const params = {};
+    for (const name of ['temperature', 'top_p', 'max_tokens', 'seed']) {
+        if (elements[name].value !== '') {
+            params[name] = Number(elements[name].value);
+        }
+    }
+    const stop = elements.stop.value.split('\n').filter(line => line.trim() !== '');
+    if (stop.length > 0) {
+        params.stop = stop;
+    }
+    return params;
+}
+
+paramsButton.addEventListener('click', () => openParamsDialog());
+
+/**
+ * 根据是否启用工具更新工具按钮的高亮和提示。
+ */
+function updateToolsButton() {
+    toolsButton.classList.toggle('active', toolsEnabled);
+    toolsButton.setAttribute('aria-pressed', String(toolsEnabled));
+    toolsButton.title = toolsEnabled ? '工具调用: 已启用 (点击停用)' : '工具调用: 已停用 (点击启用)';
+}
+
+toolsButton.addEventListener('click', () => {
+    toolsEnabled = !toolsEnabled;
+    localStorage.setItem(TOOLS_ENABLED_STORAGE_KEY, toolsEnabled ? '1' : '0');
+    updateToolsButton();
+});
+updateToolsButton();
+
+compareButton.addEventListener('click', () => openCompareDialog());
+
+compareModelList.addEventListener('change', () => updateCompareLimit());
+
+// 点击"应用"时保存勾选的模型；少于两个时关闭对比模式
+compareDialog.addEventListener('close', () => {
+    if (compareDialog.returnValue !== 'apply') {
+        return;
+    }
+    compareModels = [...compareModelList.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+    localStorage.setItem(COMPARE_MODELS_STORAGE_KEY, compareModels.join(','));
+    updateCompareButton();
+});
+
+resetParamsButton.addEventListener('click', () => paramsForm.reset());
+
+// 点击"应用"关闭对话框时保存参数 (输入框的 min/max 校验不通过时浏览器会阻止提交)
+paramsDialog.addEventListener('close', () => {
+    if (paramsDialog.returnValue !== 'apply') {
+        return;
+    }
+    generationParams = readParamsForm();
+    updateParamsButton();
+    if (currentConversation) {
+        persistCurrentConversation();
+    }
+});
+
+// =========================================================================
+// 语音输入与朗读回复 (录音和朗读的实现见 speech.js)
+// =========================================================================
+
+/**
+ * 按录音状态更新麦克风按钮。
+ * @param {'idle'|'starting'|'recording'|'transcribing'} state - 空闲、等待麦克风权限、录音中、转写中。
+ */
+function updateMicButton(state) {
+    micButton.classList.toggle('recording', state === 'recording');
+    micButton.disabled = state === 'starting' || state === 'transcribing';
+    micButton.setAttribute('aria-pressed', String(state === 'recording'));
+    micButton.title = state === 'recording' ? '结束录音并转为文字' : state === 'transcribing' ? '正在识别...' : '语音输入';
+    micButton.innerHTML = state === 'recording' ? '<i class="fa-solid fa-stop"></i>'
+        : state === 'transcribing' ? '<i class="fa-solid fa-spinner fa-spin"></i>'
+        : '<i class="fa-solid fa-microphone"></i>';
+}
+
+/**
+ * 将录音发送到 /api/transcribe 转为文字。
+ * @param {Blob} audio - 录到的音频。
+ * @returns {Promise<string>} 识别出的文字 (可能为空)。
+ * @throws {Error} 如果转写失败，message 为后端给出的错误信息。
+ */
+async function transcribeAudio(audio) {
+    const form = new FormData();
+    form.append('file', audio, 'recording');
+    const response = await apiFetch('/api/transcribe', { method: 'POST', body: form });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `状态码 ${response.status}`);
+    }
+    return data.text || '';
+}
+
+/**
+ * 开始录音。再次点击麦克风按钮或录音达到 MAX_RECORDING_MS 时结束。
+ * @returns {Promise<void>}
+ */
+async function startRecording() {
+    updateMicButton('starting');
+    try {
+        activeRecording = await startAudioRecording();
+    } catch (error) {
+        console.error('无法开始录音:', error);
+        showAttachmentNotice('无法使用麦克风，请检查浏览器的麦克风权限');
+        updateMicButton('idle');
+        return;
+    }
+    recordingTimer = setTimeout(() => finishRecording(), MAX_RECORDING_MS);
+    updateMicButton('recording');
+}
+
+/**
+ * 结束录音并转为文字，追加到输入框中已有的内容之后，由用户确认后再发送。
+ * @returns {Promise<void>}
+ */
+async function finishRecording() {
+    const recording = activeRecording;
+    activeRecording = null;
+    clearTimeout(recordingTimer);
+    if (!recording) {
+        return;
+    }
+    updateMicButton('transcribing');
+    try {
+        const text = await transcribeAudio(await recording.stop());
+        if (text) {
+            messageInput.value = [messageInput.value.trim(), text].filter(Boolean).join(' ');
+        } else {
+            showAttachmentNotice('没有识别到语音');
+        }
+    } catch (error) {
+        console.error('语音转文字失败:', error);
+        showAttachmentNotice(`语音转文字失败: ${error.message}`);
+    } finally {
+        updateMicButton('idle');
+        messageInput.focus();
+    }
+}
+
+/**
+ * 根据是否朗读回复更新朗读按钮的图标和提示。
+ */
+function updateSpeakButton() {
+    speakButton.classList.toggle('active', speakReplies);
+    speakButton.setAttribute('aria-pressed', String(speakReplies));
+    speakButton.title = speakReplies ? '朗读回复: 已开启 (点击关闭)' : '朗读回复: 已关闭 (点击开启)';
+    speakButton.innerHTML = speakReplies ? '<i class="fa-solid fa-volume-high"></i>' : '<i class="fa-solid fa-volume-xmark"></i>';
+}
+
+// 浏览器不支持录音或朗读时不显示对应的按钮
+micButton.hidden = !isRecordingSupported();
+micButton.addEventListener('click', () => (activeRecording ? finishRecording() : startRecording()));
+
+speakButton.hidden = !isSpeechSynthesisSupported();
+speakButton.addEventListener('click', () => {
+    speakReplies = !speakReplies;
+    localStorage.setItem(SPEAK_REPLIES_STORAGE_KEY, speakReplies ? '1' : '0');
+    if (!speakReplies) {
+        stopSpeaking();
+    }
+    updateSpeakButton();
+});
+updateSpeakButton();
+
+// --- 侧边栏交互 ---
+newChatButton.addEventListener('click', () => {
+    if (!isGenerating) {
+        startNewConversation();
+    }
+});
+
+conversationSearch.addEventListener('input', () => renderConversationList());
+
+sidebarToggle.addEventListener('click', () => sidebar.classList.toggle('open'));
+
+shareButton.addEventListener('click', () => shareCurrentConversation());
+
+// 使用事件委托处理列表项及其中按钮的点击
+conversationList.addEventListener('click', (e) => {
+    const item = e.target.closest('.conversation-item');
+    if (!item || isGenerating) {
+        return;
+    }
+    const action = e.target.closest('button')?.dataset.action;
+    const handler = action === 'rename' ? renameConversation
+        : action === 'delete' ? removeConversation
+        : switchConversation;
+    handler(item.dataset.id).catch(error => console.error('对话操作失败:', error));
+});
+
+/**
+ * 页面刷新 (或关闭) 时还有回复正在生成：切换到它所在的对话，从头重放并继续接收这个回复。
+ * 生成已经过期或对话已被删除时只清除记录。
+ * @returns {Promise<boolean>} 是否继续了一个回复。
+ */
+async function resumePendingGeneration() {
+    const pending = JSON.parse(localStorage.getItem(PENDING_GENERATION_STORAGE_KEY) || 'null');
+    if (!pending) {
+        return false;
+    }
+    await switchConversation(pending.conversationId);
+    if (currentConversation?.id !== pending.conversationId || !messageTree.nodes[pending.parentId]) {
+        localStorage.removeItem(PENDING_GENERATION_STORAGE_KEY);
+        return false;
+    }
+    // 与重新生成相同：只显示到父消息为止，回复在其后流式输出
+    chatWindow.innerHTML = '';
+    for (const pathNode of getPathTo(messageTree, pending.parentId)) {
+        renderMessageNode(pathNode);
+    }
+    generateAssistantReply(pending.parentId, pending);
+    return true;
+}
+
+// 页面加载时，先加载模型目录和角色预设，再恢复最近一次的对话 (以便恢复对话所用的模型和角色)；
+// 刷新前有回复正在生成时，恢复它所在的对话并继续接收
+(async () => {
+    await Promise.all([loadSession(), loadModelCatalog(), loadPersonas()]);
+    try {
+        if (await resumePendingGeneration()) {
+            return;
+        }
+        const [latest] = await listConversations();
+        if (latest) {
+            await switchConversation(latest.id);
+            return;
+        }
+    } catch (error) {
+        console.error('恢复对话失败:', error);
+    }
+    await renderConversationList();
+})();
+
+// --- 附件的交互：点击上传、粘贴、拖放 ---
+uploadButton.addEventListener('click', () => fileInput.click());
+
+fileInput.addEventListener('change', () => addAttachments(fileInput.files));
+
+modelSelect.addEventListener('change', () => {
+    localStorage.setItem(SELECTED_MODEL_STORAGE_KEY, modelSelect.value);
+    updateAttachmentAvailability();
+});
+
+messageInput.addEventListener('paste', (e) => {
+    if (uploadButton.disabled) {
+        return; // 正在等待回复
+    }
+    const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/') || getDocumentKind(file));
+    if (files.length > 0) {
+        e.preventDefault(); // 阻止把文件名之类的内容粘贴进输入框
+        addAttachments(files);
+    }
+});
+
+chatWindow.addEventListener('dragover', (e) => {
+    if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault(); // 必须阻止默认行为，drop 事件才会触发
+        chatWindow.classList.add('drag-over');
+    }
+});
+
+chatWindow.addEventListener('dragleave', (e) => {
+    // 只有真正离开聊天窗口 (而不是进入其子元素) 时才移除高亮
+    if (!chatWindow.contains(e.relatedTarget)) {
+        chatWindow.classList.remove('drag-over');
+    }
+});
+
+chatWindow.addEventListener('drop', (e) => {
+    e.preventDefault();
+    chatWindow.classList.remove('drag-over');
+    if (!uploadButton.disabled) {
+        addAttachments(e.dataTransfer.files);
+    }
+});
+
+// "停止生成"：中止当前的 fetch，已收到的部分回复会被保留
+stopButton.addEventListener('click', () => currentAbortController?.abort());
+
+// 消息操作栏：分支切换、编辑后重发、重新生成 (事件委托)
+chatWindow.addEventListener('click', (e) => {
+    const button = e.target.closest('.message-actions button');
+    const nodeId = button?.closest('.message')?.dataset.nodeId;
+    if (!nodeId || isGenerating) {
+        return;
+    }
+
+    switch (button.dataset.action) {
+        case 'prev-branch':
+        case 'next-branch':
+            if (selectSibling(messageTree, nodeId, button.dataset.action === 'prev-branch' ? -1 : 1)) {
+                renderConversation();
+                persistCurrentConversation();
+            }
+            break;
+        case 'edit':
+            startEditingMessage(nodeId);
+            break;
+        case 'regenerate':
+            regenerateMessage(nodeId);
+            break;
+    }
+});
+
+/**
+ * 整理回复节点的附加信息 (只用于界面显示)。
+ * @param {Object} info
+ * @param {Array<string>} [info.unsupportedParams] - 被忽略的生成参数。
+ * @param {Object|null} [info.context] - 上下文用量。
+ * @param {Object|null} [info.usage] - token 用量、耗时与费用。
+ * @param {{finishReason: string|null, filter: Object|null, error: string|null}} [info.ending] - 回复的结束状态。
+ * @param {string|null} [info.servedBy] - 选择的是路由别名时，实际回答的模型 ID。
+ * @param {Array<Object>} [info.toolCalls] - 服务端执行的工具调用 { id, name, arguments, result?, error? }。
+ * @returns {Object|undefined} 没有任何信息时返回 undefined。
+ */
+function buildReplyMeta({ unsupportedParams = [], context = null, usage = null, ending = {}, servedBy = null, toolCalls = [] }) {
+    const meta = {
+        ...(toolCalls.length > 0 ? { tools: toolCalls } : {}),
+        ...(unsupportedParams.length > 0 ? { unsupportedParams } : {}),
+        ...(context ? { context } : {}),
+        ...(usage ? { usage } : {}),
+        ...(servedBy ? { servedBy } : {}),
+        ...(ending.finishReason && ending.finishReason !== 'stop' ? { finishReason: ending.finishReason } : {}),
+        ...(ending.filter ? { filter: ending.filter } : {}),
+        ...(ending.error ? { error: ending.error } : {}),
+    };
+    return Object.keys(meta).length > 0 ? meta : undefined;
+}
+
+/**
+ * 从一个 OpenAI 兼容的流式数据块中读取结束原因和安全拦截信息 (content_filter_results / prompt_filter_results)。
+ * @param {Object} data - 数据块。
+ * @param {{finishReason: string|null, filter: Object|null}} ending - 要更新的结束状态。
+ */
+function readReplyEnding(data, ending) {
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason) {
+        ending.finishReason = choice.finish_reason;
+    }
+    const promptFilter = data.prompt_filter_results?.[0];
+    const results = promptFilter?.content_filter_results || choice?.content_filter_results;
+    if (promptFilter || (results && ending.finishReason === 'content_filter')) {
+        ending.filter = {
+            ...(promptFilter?.block_reason ? { blockReason: promptFilter.block_reason } : {}),
+            categories: Object.entries(results || {}).filter(([, result]) => result.filtered).map(([category]) => category),
+        };
+    }
+}
+
+/**
+ * 回复没有任何内容 (例如提问被拦截) 时，在空气泡中显示结束状态。这样的回复不会保存到消息树。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ * @param {Object} meta - 由 buildReplyMeta 整理的结束状态。
+ */
+function showEmptyReplyState(element, meta) {
+    element.parentElement.classList.remove('loading');
+    element.parentElement.classList.add('empty-reply');
+    element.textContent = '';
+    element.appendChild(createReplyStateNote(meta));
+}
+
+/**
+ * 构造 /api/chat 的请求体 (流式)，使用当前对话的系统提示词、生成参数和工具设置。
+ * 只有最后一条消息中的 PDF 附带原文件，较早的文件只发送提取的文本 (后端同样只使用最新一轮的原文件)。
+ * @param {string} model - 模型 ID。
+ * @param {Array<Object>} history - 发送的对话历史 (toHistoryMessage 的结果)。
+ * @returns {string}
+ */
+function buildChatRequestBody(model, history) {
+    const messages = history.map((msg, index) => index < history.length - 1 && msg.files
+        ? { ...msg, files: msg.files.map(({ data, ...file }) => file) }
+        : msg);
+    return JSON.stringify({
+        model,
+        messages,
+        systemPrompt: systemPrompt || undefined, // 由后端按供应商放到正确的位置
+        params: Object.keys(generationParams).length > 0 ? generationParams : undefined,
+        tools: toolsEnabled || undefined, // 启用所有可用的服务端工具
+        stream: true, // *** 启用流式传输 ***
+    });
+}
+
+/**
+ * 发送聊天请求到我们的后端 API 代理；遇到速率限制 (429) 时在助手消息中显示倒计时，等待后自动重试。
+ * @param {string} requestBody - 请求体 (buildChatRequestBody 的结果)。
+ * @param {Object} options
+ * @param {HTMLElement} options.element - 显示重试倒计时的助手消息内容元素。
+ * @param {AbortSignal} options.signal - 点击"停止生成"时中止请求，后端会随之取消上游请求。
+ * @param {string} [options.requestId] - 请求 ID (X-Request-ID)。对比模式中同一条消息的各个请求共用一个，便于在后端日志中关联。
+ * @returns {Promise<Response>} 成功 (2xx) 的响应。
+ * @throws {Error} 请求失败 (重试次数用完或不是 429) 时抛出，message 为后端给出的错误信息。
+ */
+async function postChatRequest(requestBody, { element, signal, requestId }) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await apiFetch('/api/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(requestId ? { 'X-Request-ID': requestId } : {}) },
+            body: requestBody,
+            signal,
+        });
+        if (response.ok) {
+            return response;
+        }
+
+        // 如果响应不成功 (例如 4xx, 5xx 错误)，尝试从响应体中解析详细的 JSON 错误信息
+        const errorData = await response.json().catch(() => {
+            // 如果响应体不是有效的 JSON，则创建一个包含状态文本的错误对象
+            return { error: `服务器错误，状态码: ${response.status} ${response.statusText}` };
+        });
+        const delay = response.status === 429 ? getRateLimitDelay(response, errorData, attempt) : null;
+        if (delay === null || attempt >= RATE_LIMIT_MAX_RETRIES) {
+            throw new Error(errorData.error || '发生未知错误');
+        }
+        await waitForRateLimit(element, delay, attempt + 1, signal);
+    }
+}
+
+/**
+ * 创建一条回复的生成状态，由 readReplyStream 随流式响应更新。
+ * @returns {{content: string, usage: Object|null, ending: Object, toolCalls: Array<Object>, generationId: string|null, lastEventId: number}}
+ */
+function createReplyState() {
+    return {
+        content: '', // 累积的完整回复
+        usage: null, // 流末尾 usage 事件给出的 token 用量、耗时与费用
+        // 回复的结束状态：finish_reason、安全拦截信息 ({ blockReason, categories }) 和流中途的错误
+        ending: { finishReason: null, filter: null, error: null },
+        toolCalls: [], // 服务端执行的工具调用，随 tool_call / tool_result 事件更新
+        generationId: null, // 后端的生成 ID (X-Generation-ID)，连接中断后据此重新连接；后端不支持时为 null
+        lastEventId: 0, // 已经处理的最后一个事件的 id，重新连接时从它之后继续
+    };
+}
+
+/**
+ * 请求一个生成的事件流 (GET /api/chat/:id/stream)，从 Last-Event-ID 之后的事件开始。
+ * @param {string} generationId - 生成 ID。
+ * @param {number} lastEventId - 已经处理的最后一个事件的 id，0 表示从头开始。
+ * @param {AbortSignal} signal - 中止信号。
+ * @returns {Promise<Response>} 成功的流式响应。
+ * @throws {Error} 生成不存在或已过期时抛出 (status 为 404)。
+ */
+async function fetchGenerationStream(generationId, lastEventId, signal) {
+    const response = await apiFetch(`/api/chat/${encodeURIComponent(generationId)}/stream`, {
+        headers: { 'Last-Event-ID': String(lastEventId) },
+        signal,
+    });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw Object.assign(new Error(errorData.error || `服务器错误，状态码: ${response.status}`), { status: response.status });
+    }
+    return response;
+}
+
+/**
+ * 流式回复的连接中断后重新连接，失败时按指数退避重试。期间助手消息显示"正在重新连接"。
+ * @param {Object} reply - 回复状态 (带有 generationId 和 lastEventId)。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ * @param {AbortSignal} signal - 中止信号，点击"停止生成"时立即结束。
+ * @returns {Promise<Response>} 重新连接后的流式响应。
+ * @throws {Error} 重试次数用完或生成已经不存在时抛出最后一次的错误。
+ */
+async function reconnectReplyStream(reply, element, signal) {
+    const messageElement = element.parentElement;
+    messageElement.classList.add('reconnecting');
+    try {
+        for (let attempt = 0; ; attempt++) {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Reconnect aborted', 'AbortError'));
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, STREAM_RECONNECT_BASE_DELAY * 2 ** attempt);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+            try {
+                return await fetchGenerationStream(reply.generationId, reply.lastEventId, signal);
+            } catch (error) {
+                if (error.name === 'AbortError' || error.status === 404 || attempt + 1 >= STREAM_RECONNECT_MAX_ATTEMPTS) {
+                    throw error;
+                }
+                console.warn(`重新连接失败 (第 ${attempt + 1}/${STREAM_RECONNECT_MAX_ATTEMPTS} 次):`, error);
+            }
+        }
+    } finally {
+        messageElement.classList.remove('reconnecting');
+    }
+}
+
+/**
+ * 停止后端的一个生成 (DELETE /api/chat/:id)。客户端断开后后端仍会继续生成，需要单独通知它停止。
+ * @param {string} generationId - 生成 ID。
+ */
+function cancelGeneration(generationId) {
+    apiFetch(`/api/chat/${encodeURIComponent(generationId)}`, { method: 'DELETE' })
+        .catch(error => console.warn('停止生成失败:', error));
+}
+
+/**
+ * 读取 /api/chat 的流式响应：回复增量渲染到助手消息中，工具调用显示为卡片，其余信息记录到回复状态。
+ * @param {Response} response - 成功的流式响应。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ * @param {Object} reply - createReplyState 创建的回复状态。
+ * @param {Object} [options]
+ * @param {boolean} [options.follow] - 是否随着输出滚动到消息底部。对比模式中多列同时输出，不自动滚动。
+ * @param {function(string): void} [options.onUpdate] - 回复文本每增加一次调用，参数为目前完整的回复 (用于朗读)。
+ * @param {AbortSignal} [options.signal] - 请求的中止信号。响应带有生成 ID 时，连接中断后用它重新连接，
+ *        中止时通知后端停止生成。
+ * @returns {Promise<void>} 被中止时以 AbortError 拒绝，已收到的内容保留在 reply 中。
+ */
+async function readReplyStream(response, element, reply, { follow = true, onUpdate, signal } = {}) {
+    reply.generationId ||= response.headers.get('X-Generation-ID');
+    try {
+        await readReplyEvents(response, element, reply, { follow, onUpdate, signal });
+    } catch (error) {
+        if (error.name === 'AbortError' && reply.generationId) {
+            cancelGeneration(reply.generationId);
+        }
+        throw error;
+    }
+}
+
+/**
+ * readReplyStream 的主体：逐个处理流中的事件；有生成 ID 时，连接中断 (网络错误) 后从最后一个事件之后重新连接。
+ * @param {Response} response - 成功的流式响应。
+ * @param {HTMLElement} element - 助手消息的内容元素。
+ * @param {Object} reply - 回复状态。
+ * @param {Object} options - 见 readReplyStream。
+ * @returns {Promise<void>}
+ */
+async function readReplyEvents(response, element, reply, { follow, onUpdate, signal }) {
+    const markdownStream = createMarkdownStream(element); // 增量渲染 Markdown
+    let reader = response.body.getReader();
+    let decoder = new TextDecoder();
+    let buffer = '';
+    let isFirstChunk = true;
+    let toolCardList = null; // 工具卡片的容器，第一次调用工具时创建
+
+    while (true) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (error) {
+            if (error.name === 'AbortError' || !reply.generationId) {
+                throw error;
+            }
+            console.warn('流式回复的连接中断，正在重新连接:', error);
+            reader = (await reconnectReplyStream(reply, element, signal)).body.getReader();
+            // 未完整收到的事件会在重新连接后从头发送
+            decoder = new TextDecoder();
+            buffer = '';
+            continue;
+        }
+        const { done, value } = chunk;
+        if (done) {
+            break; // 读取完成
+        }
+
+        if (isFirstChunk) {
+            element.parentElement.classList.remove('loading'); // 移除加载样式
+            isFirstChunk = false;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || ''; // 保留不完整的事件在缓冲区
+
+        for (const block of blocks) {
+            // 每个事件可能带有 "event: 名称" 行，没有时为普通的数据块
+            const eventLine = block.split('\n').find(line => line.startsWith('event: '));
+            const dataLine = block.split('\n').find(line => line.startsWith('data: '));
+            const idLine = block.split('\n').find(line => line.startsWith('id: '));
+            if (idLine) {
+                reply.lastEventId = Number(idLine.substring(4)); // 重新连接时从这个事件之后继续
+            }
+            if (!dataLine) {
+                continue;
+            }
+            const dataStr = dataLine.substring(6);
+            if (dataStr === '[DONE]') {
+                break;
+            }
+            try {
+                const data = JSON.parse(dataStr);
+                if (eventLine?.substring(7) === 'usage') {
+                    reply.usage = data;
+                    continue;
+                }
+                // 工具调用：先收到调用 (显示为执行中的卡片)，执行完成后收到结果
+                if (eventLine?.substring(7) === 'tool_call') {
+                    reply.toolCalls.push(data);
+                    toolCardList ||= createToolCardList(element);
+                    toolCardList.appendChild(createToolCard(data));
+                    continue;
+                }
+                if (eventLine?.substring(7) === 'tool_result') {
+                    const call = reply.toolCalls.findLast(candidate => candidate.id === data.id);
+                    if (call) {
+                        Object.assign(call, data.error !== undefined ? { error: data.error } : { result: data.result });
+                        const card = [...toolCardList.children].findLast(cardElement => cardElement.dataset.callId === data.id);
+                        updateToolCard(card, call);
+                    }
+                    continue;
+                }
+                // 错误事件之后仍会收到 [DONE]，这里只记录下来，等流结束后再显示
+                if (eventLine?.substring(7) === 'error' || data.error) {
+                    reply.ending.error = data.error?.message || String(data.error || '未知错误');
+                    continue;
+                }
+                readReplyEnding(data, reply.ending);
+                const delta = data.choices?.[0]?.delta?.content || '';
+                if (delta) {
+                    reply.content += delta;
+                    // 增量渲染：只重新解析最后一个未完成的 Markdown 块
+                    markdownStream.update(reply.content);
+                    onUpdate?.(reply.content);
+                    if (follow) {
+                        element.scrollIntoView({ behavior: 'smooth', block: 'end' }); // 实时滚动
+                    }
+                }
+            } catch (e) {
+                console.error('解析 SSE 数据块失败:', e, '数据块:', dataStr);
+            }
+        }
+    }
+
+    markdownStream.finish();
+}
+
+/**
+ * 从响应头中读取被后端忽略的生成参数 (当前模型不支持)。
+ * @param {Headers} headers - /api/chat 的响应头。
+ * @returns {Array<string>}
+ */
+function readUnsupportedParams(headers) {
+    return (headers.get('X-Unsupported-Params') || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * 以指定节点之前 (含) 的分支作为上下文请求 AI 回复，并以流式方式显示。
+ * 回复完成 (或被用户停止) 后，作为该节点的新子节点加入消息树。
+ * 生成期间把生成 ID 记录在 localStorage 中，页面刷新后由 resumePendingGeneration 继续接收同一个回复。
+ * @param {string} parentId - 回复所要接在后面的消息节点 ID (通常是一条用户消息)。
+ * @param {Object} [resume] - 继续接收刷新页面前的回复 { generationId, model }，不重新发送请求。
+ * @returns {Promise<void>}
+ */
+async function generateAssistantReply(parentId, resume = null) {
+    const selectedModel = resume ? resume.model : modelSelect.value; // 获取当前选择的模型
+    const history = getPathTo(messageTree, parentId).map(toHistoryMessage);
+    let unsupportedParams = []; // 当前模型不支持、被后端忽略的参数
+    let context = null; // 本次请求的上下文用量
+    let servedBy = null; // 选择路由别名时实际回答的模型
+    const reply = createReplyState();
+    // 开启朗读时，回复中每个完整的句子都会立即朗读；新的回复开始时停止上一条的朗读
+    stopSpeaking();
+    const speaker = speakReplies && isSpeechSynthesisSupported() ? createReplySpeaker() : null;
+
+    // 1. 禁用输入：在请求发送期间禁用所有输入控件，防止用户重复发送。
+    disableInputControls(); // 使用封装函数禁用控件
+
+    // 2. 创建一个空的 AI 消息气泡，用于接收流式响应
+    const assistantMessageElement = addMessage('assistant', '');
+    assistantMessageElement.parentElement.classList.add('loading'); // 添加加载样式
+    currentAbortController = new AbortController();
+
+    // 3. 使用 try...catch...finally 结构来健壮地处理异步 API 请求
+    try {
+        const response = resume
+            ? await fetchGenerationStream(resume.generationId, 0, currentAbortController.signal)
+            : await postChatRequest(buildChatRequestBody(selectedModel, history), {
+                element: assistantMessageElement,
+                signal: currentAbortController.signal,
+            });
+        const generationId = response.headers.get('X-Generation-ID');
+        if (generationId && currentConversation) {
+            localStorage.setItem(PENDING_GENERATION_STORAGE_KEY, JSON.stringify({
+                conversationId: currentConversation.id, parentId, generationId, model: selectedModel,
+            }));
+        }
+
+        unsupportedParams = readUnsupportedParams(response.headers);
+        context = readContextUsage(response.headers);
+        updateContextUsage(context);
+        if (modelCatalog.find(candidate => candidate.id === selectedModel)?.provider === 'route') {
+            servedBy = response.headers.get('X-Served-By');
+        }
+
+        // --- 处理流式响应 ---
+        await readReplyStream(response, assistantMessageElement, reply, {
+            onUpdate: text => speaker?.update(text),
+            signal: currentAbortController.signal,
+        });
+        speaker?.finish(reply.content);
+
+        // 流结束后，将完整的消息作为新分支存入消息树。
+        // 没有任何内容 (也没有调用工具) 时不保存：出错的显示错误，被拦截的显示拦截说明
+        const hasReply = Boolean(reply.content) || reply.toolCalls.length > 0;
+        if (!hasReply && reply.ending.error) {
+            throw new Error(reply.ending.error);
+        }
+        if (!hasReply && reply.ending.finishReason) {
+            showEmptyReplyState(assistantMessageElement, buildReplyMeta({ ending: reply.ending }));
+        }
+        if (hasReply) {
+            addMessageNode(messageTree, parentId, {
+                role: 'assistant',
+                content: reply.content,
+                meta: buildReplyMeta({ unsupportedParams, context, usage: reply.usage, ending: reply.ending, servedBy, toolCalls: reply.toolCalls }),
+            });
+            renderConversation(); // 重新渲染以显示操作栏和分支切换器
+            await persistCurrentConversation();
+            // 第一轮问答完成后，自动生成对话标题
+            if (Object.values(messageTree.nodes).filter(node => node.role === 'assistant').length === 1) {
+                generateConversationTitle(currentConversation);
+            }
+        }
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            stopSpeaking();
+            // 用户主动停止：保留已经生成的部分内容 (包括已执行的工具调用)，并在消息树中标记为被截断
+            if (reply.content || reply.toolCalls.length > 0) {
+                addMessageNode(messageTree, parentId, {
+                    role: 'assistant',
+                    content: reply.content,
+                    truncated: true,
+                    meta: buildReplyMeta({ unsupportedParams, context, usage: reply.usage, ending: reply.ending, servedBy, toolCalls: reply.toolCalls }),
+                });
+                renderConversation();
+                await persistCurrentConversation();
+            } else {
+                assistantMessageElement.parentElement.remove(); // 还没有收到任何内容，直接移除空气泡
+            }
+        } else {
+            // 捕获所有在 try 块中发生的错误 (网络错误, HTTP 错误等)
+            console.error('请求出错:', error);
+            updateAssistantMessageWithError(assistantMessageElement, error.message, () => generateAssistantReply(parentId)); // 使用辅助函数显示错误，并提供重试按钮
+        }
+
+    } finally {
+        // 无论请求成功还是失败，finally 块中的代码都一定会执行
+        // 4. 恢复界面：重新启用输入控件
+        localStorage.removeItem(PENDING_GENERATION_STORAGE_KEY);
+        currentAbortController = null;
+        enableInputControls(); // 使用封装函数启用控件
+        messageInput.focus();
+    }
+}
+
+// =========================================================================
+// 对比模式：同一条消息同时发给 2 到 MAX_COMPARE_MODELS 个模型，各自的回复并排显示
+// 每个模型是一个独立的 /api/chat 请求 (共用同一个 X-Request-ID)，全部结束后所有回复都作为分支保存，
+// 用户选择用哪个回答继续对话；其他回答仍可以通过分支切换器查看。
+// =========================================================================
+
+/**
+ * 当前参与对比的模型 (只包括模型目录中存在的)。少于两个时表示没有启用对比模式。
+ * @returns {Array<string>}
+ */
+function getActiveCompareModels() {
+    const models = compareModels.filter(id => modelCatalog.some(model => model.id === id));
+    return models.length >= 2 ? models : [];
+}
+
+/**
+ * 根据是否启用对比模式更新对比按钮的高亮、提示和输入框的占位文字。
+ */
+function updateCompareButton() {
+    const models = getActiveCompareModels();
+    compareButton.classList.toggle('active', models.length > 0);
+    compareButton.setAttribute('aria-pressed', String(models.length > 0));
+    const labels = models.map(id => modelCatalog.find(model => model.id === id)?.label || id);
+    compareButton.title = models.length > 0 ? `多模型对比: ${labels.join('、')}` : '多模型对比';
+    messageInput.placeholder = models.length > 0 ? `输入消息 (同时发给 ${models.length} 个模型)...` : '输入消息...';
+}
+
+/**
+ * 打开对比模式对话框：列出模型目录中的所有模型，勾选当前参与对比的模型。
+ */
+function openCompareDialog() {
+    compareModelList.innerHTML = '';
+    for (const model of modelCatalog) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'model';
+        checkbox.value = model.id;
+        checkbox.checked = compareModels.includes(model.id);
+        label.append(checkbox, ` ${model.label}`);
+        compareModelList.appendChild(label);
+    }
+    updateCompareLimit();
+    compareDialog.showModal();
+}
+
+/**
+ * 已经勾选了 MAX_COMPARE_MODELS 个模型时，禁用其余的复选框。
+ */
+function updateCompareLimit() {
+    const checkboxes = [...compareModelList.querySelectorAll('input[type="checkbox"]')];
+    const full = checkboxes.filter(checkbox => checkbox.checked).length >= MAX_COMPARE_MODELS;
+    checkboxes.forEach(checkbox => {
+        checkbox.disabled = full && !checkbox.checked;
+    });
+}
+
+/**
+ * 请求对一条消息的回复：启用对比模式时同时请求多个模型，否则请求当前选择的模型。
+ * @param {string} parentId - 用户消息节点 ID。
+ * @returns {Promise<void>}
+ */
+function requestReplies(parentId) {
+    const models = getActiveCompareModels();
+    return models.length > 0 ? generateComparison(parentId, models) : generateAssistantReply(parentId);
+}
+
+/**
+ * 在对比区域中创建一列：模型名称和一个空的助手消息气泡。
+ * @param {HTMLElement} group - 对比区域。
+ * @param {string} model - 模型 ID。
+ * @returns {HTMLElement} 助手消息的内容元素。
+ */
+function addCompareColumn(group, model) {
+    const column = document.createElement('div');
+    column.classList.add('compare-column');
+    const header = document.createElement('div');
+    header.classList.add('compare-header');
+    header.textContent = modelCatalog.find(candidate => candidate.id === model)?.label || model;
+    const messageElement = document.createElement('div');
+    messageElement.classList.add('message', 'assistant', 'loading');
+    const contentElement = document.createElement('div');
+    contentElement.classList.add('message-content');
+    messageElement.appendChild(contentElement);
+    column.append(header, messageElement);
+    group.appendChild(column);
+    return contentElement;
+}
+
+/**
+ * 请求对比中的一个模型，并把回复流式显示在它的列中。出错时在该列中显示错误，不影响其他列。
+ * @param {Object} entry - 这一列的状态 { model, element, reply, unsupportedParams, context, servedBy, truncated }。
+ * @param {Array<Object>} history - 发送的对话历史。
+ * @param {string} requestId - 本次对比共用的请求 ID。
+ * @param {AbortSignal} signal - 本次对比共用的中止信号。
+ * @returns {Promise<void>}
+ */
+async function streamCompareColumn(entry, history, requestId, signal) {
+    const { model, element, reply } = entry;
+    try {
+        const response = await postChatRequest(buildChatRequestBody(model, history), { element, signal, requestId });
+        entry.unsupportedParams = readUnsupportedParams(response.headers);
+        entry.context = readContextUsage(response.headers);
+        entry.servedBy = response.headers.get('X-Served-By') || model;
+
+        await readReplyStream(response, element, reply, { follow: false, signal });
+
+        const hasReply = Boolean(reply.content) || reply.toolCalls.length > 0;
+        if (!hasReply && reply.ending.error) {
+            throw new Error(reply.ending.error);
+        }
+        const meta = buildReplyMeta({ ending: reply.ending });
+        if (!hasReply) {
+            showEmptyReplyState(element, meta || {});
+            return;
+        }
+        const stateNote = createReplyStateNote(meta);
+        if (stateNote) {
+            element.appendChild(stateNote);
+        }
+        // 模型名称已经显示在列的标题中，路由别名时才注明实际回答的模型
+        element.appendChild(createUsageLine(reply.usage || {}, entry.servedBy !== model ? entry.servedBy : null));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            entry.truncated = true;
+            markMessageTruncated(element);
+        } else {
+            console.error(`对比请求出错 (${model}):`, error);
+            updateAssistantMessageWithError(element, error.message);
+        }
+    }
+}
+
+/**
+ * 对比模式：把同一条消息同时发给多个模型，每个模型的回复流式显示在各自的一列中，显示耗时和 token 用量。
+ * 全部结束 (或被停止) 后，有内容的回复都作为该消息的子节点加入消息树，默认选中第一个；
+ * 点击某一列的"用这个回答继续"后改为选中它，并按普通对话重新显示。
+ * @param {string} parentId - 用户消息节点 ID。
+ * @param {Array<string>} models - 参与对比的模型 ID。
+ * @returns {Promise<void>}
+ */
+async function generateComparison(parentId, models) {
+    const history = getPathTo(messageTree, parentId).map(toHistoryMessage);
+    const requestId = crypto.randomUUID();
+    const isFirstReply = !Object.values(messageTree.nodes).some(node => node.role === 'assistant');
+
+    stopSpeaking(); // 多列同时输出，不朗读
+    disableInputControls();
+    currentAbortController = new AbortController();
+
+    const group = document.createElement('div');
+    group.classList.add('compare-group');
+    group.style.setProperty('--compare-columns', String(models.length));
+    chatWindow.appendChild(group);
+    const entries = models.map(model => ({
+        model,
+        element: addCompareColumn(group, model),
+        reply: createReplyState(),
+        unsupportedParams: [],
+        context: null,
+        servedBy: model,
+        truncated: false,
+    }));
+    group.scrollIntoView({ behavior: 'smooth', block: 'end' });
+
+    try {
+        await Promise.all(entries.map(entry => streamCompareColumn(entry, history, requestId, currentAbortController.signal)));
+
+        const saved = entries.filter(({ reply }) => reply.content || reply.toolCalls.length > 0);
+        for (const entry of saved) {
+            entry.node = addMessageNode(messageTree, parentId, {
+                role: 'assistant',
+                content: entry.reply.content,
+                truncated: entry.truncated,
+                meta: buildReplyMeta({
+                    unsupportedParams: entry.unsupportedParams,
+                    context: entry.context,
+                    usage: entry.reply.usage,
+                    ending: entry.reply.ending,
+                    servedBy: entry.servedBy, // 分支中的各个回答来自不同的模型，始终注明
+                    toolCalls: entry.reply.toolCalls,
+                }),
+            });
+        }
+        if (saved.length === 0) {
+            return;
+        }
+
+        selectNode(messageTree, saved[0].node.id);
+        for (const entry of saved) {
+            const column = entry.element.closest('.compare-column');
+            column.classList.toggle('chosen', entry === saved[0]);
+            const chooseButton = document.createElement('button');
+            chooseButton.type = 'button';
+            chooseButton.classList.add('compare-choose');
+            chooseButton.innerHTML = '<i class="fa-solid fa-check"></i> 用这个回答继续';
+            chooseButton.addEventListener('click', () => {
+                if (isGenerating || !messageTree.nodes[entry.node.id]) {
+                    return;
+                }
+                selectNode(messageTree, entry.node.id);
+                renderConversation();
+                persistCurrentConversation();
+            });
+            column.appendChild(chooseButton);
+        }
+        updateContextUsage(saved[0].node.meta?.context || null);
+        updateConversationUsage();
+        await persistCurrentConversation();
+        if (isFirstReply) {
+            generateConversationTitle(currentConversation);
+        }
+    } finally {
+        currentAbortController = null;
+        enableInputControls();
+        messageInput.focus();
+    }
+}
+
+// 监听表单的 'submit' 事件。这是应用的核心交互逻辑。
+chatForm.addEventListener('submit', async (e) => {
+    e.preventDefault(); // 阻止表单的默认提交行为（即刷新页面）
+    
+    const userMessage = messageInput.value.trim(); // 获取输入框中的文本，并移除首尾空格
+
+    // 验证：必须有文本、图片或文件才能发送
+    if (!userMessage && attachedImages.length === 0 && attachedFiles.length === 0) {
+        return; // 如果两者都为空，则不执行任何操作
+    }
+
+    // 1. 更新消息树：将用户的文本、图片和文件作为当前分支末尾的新节点，后续轮次模型仍能"看到"这些附件。
+    //    旧图片过多时由后端按策略省略或替换为描述，这里保留完整数据。
+    const userNode = addMessageNode(messageTree, getActiveLeafId(messageTree), {
+        role: 'user',
+        content: userMessage,
+        images: [...attachedImages],
+        files: [...attachedFiles],
+    });
+
+    // 2. 乐观更新 UI：立即在界面上显示用户的消息。
+    //    上一次的对比结果还没有选择时，重新渲染整个对话，只显示默认选中的回答
+    if (chatWindow.querySelector('.compare-group')) {
+        renderConversation();
+    } else {
+        renderMessageNode(userNode);
+    }
+    persistCurrentConversation(); // 无需等待：保存失败只会记录日志，不影响本次发送
+
+    // 3. 清理输入：清空输入框和预览
+    messageInput.value = '';
+    clearAttachmentPreview();
+
+    // 4. 请求并流式显示 AI 回复 (对比模式下同时请求多个模型)
+    await requestReplies(userNode.id);
+});
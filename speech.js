@@ -0,0 +1,128 @@
+// --- 语音输入与朗读 ---
+// 语音输入：用 MediaRecorder 录音，录音由 /api/transcribe 转为文字 (见 functions/api/transcribe.js)。
+// 朗读回复：用浏览器的 speechSynthesis 朗读助手的回复，回复流式输出时每收到一个完整的句子就开始朗读，
+// 不必等整条回复结束。代码块、公式和链接地址不朗读。
+
+// 按顺序尝试的录音格式，转写服务都支持这些格式 (Safari 只支持 mp4)
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+// 句子的结束位置：中文标点、后面跟着空白的英文标点，或换行
+const SENTENCE_END_PATTERN = /[。！？；…]+|[.!?;](?=\s)|\n+/g;
+
+/**
+ * 浏览器是否支持录音。
+ * @returns {boolean}
+ */
+function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * 浏览器是否支持朗读。
+ * @returns {boolean}
+ */
+function isSpeechSynthesisSupported() {
+    return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+/**
+ * 开始录音 (会请求麦克风权限)。
+ * @returns {Promise<{stop: function(): Promise<Blob>}>} stop() 结束录音并返回录到的音频，同时释放麦克风。
+ * @throws {Error} 用户拒绝了麦克风权限或没有可用的麦克风。
+ */
+async function startAudioRecording() {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const releaseMicrophone = () => stream.getTracks().forEach(track => track.stop());
+
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    });
+    const recorded = new Promise((resolve, reject) => {
+        recorder.addEventListener('stop', () => {
+            releaseMicrophone();
+            resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }));
+        });
+        recorder.addEventListener('error', (e) => {
+            releaseMicrophone();
+            reject(e.error || new Error('录音失败'));
+        });
+    });
+    recorder.start();
+
+    return {
+        stop() {
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+            return recorded;
+        },
+    };
+}
+
+/**
+ * 把 Markdown 转换为适合朗读的纯文本：去掉代码块、公式、图片、链接地址和格式符号。
+ * 文本增加时，已经转换的前缀保持不变，朗读器据此只朗读新增的部分。
+ * @param {string} markdown - 回复的 Markdown 文本 (可能还不完整)。
+ * @returns {string}
+ */
+function toSpeechText(markdown) {
+    return markdown
+        .replace(/```[\s\S]*?(```|$)/g, '\n') // 代码块 (包括还没有结束的)
+        .replace(/\$\$[\s\S]*?(\$\$|$)/g, '\n') // 公式块
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // 图片
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // 链接只读文字
+        .replace(/^[ \t]*(#{1,6}|[-*+]|>)[ \t]+/gm, '') // 标题、列表和引用的标记
+        .replace(/[*_~`|#]+/g, '');
+}
+
+/**
+ * 停止朗读，并清空朗读队列。
+ */
+function stopSpeaking() {
+    if (isSpeechSynthesisSupported()) {
+        speechSynthesis.cancel();
+    }
+}
+
+/**
+ * 创建一条回复的朗读器。回复每更新一次调用 update，已经完整的句子会加入朗读队列。
+ * @returns {{update: function(string): void, finish: function(string): void}}
+ *          update(markdown) 朗读新增的完整句子；finish(markdown) 朗读剩余的文本。
+ */
+function createReplySpeaker() {
+    let spokenLength = 0; // 已经加入朗读队列的纯文本长度
+
+    function speak(text, end) {
+        const sentence = text.slice(spokenLength, end).trim();
+        spokenLength = end;
+        if (!sentence) {
+            return;
+        }
+        const utterance = new SpeechSynthesisUtterance(sentence);
+        utterance.lang = /[\u3400-\u9fff]/.test(sentence) ? 'zh-CN' : 'en-US';
+        speechSynthesis.speak(utterance);
+    }
+
+    return {
+        update(markdown) {
+            const text = toSpeechText(markdown);
+            spokenLength = Math.min(spokenLength, text.length);
+            let end = -1;
+            SENTENCE_END_PATTERN.lastIndex = spokenLength;
+            for (let match; (match = SENTENCE_END_PATTERN.exec(text));) {
+                end = match.index + match[0].length;
+            }
+            if (end > spokenLength) {
+                speak(text, end);
+            }
+        },
+        finish(markdown) {
+            const text = toSpeechText(markdown);
+            speak(text, text.length);
+        },
+    };
+}
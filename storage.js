@@ -0,0 +1,142 @@
+// --- 本地对话存储 (IndexedDB) ---
+// 每个对话保存为一条记录：{ id, title, model, messages, createdAt, updatedAt }。
+// messages 中的图片附件以 data URL 的形式随消息一起保存。
+// 角色预设保存在单独的存储中：{ id, name, prompt, model, params, createdAt, updatedAt }。
+// 所有函数都返回 Promise，由 script.js 调用。
+
+const DB_NAME = 'aiwebchat';
+const DB_VERSION = 2; // 版本 2 新增了角色预设存储
+const CONVERSATION_STORE = 'conversations';
+const PERSONA_STORE = 'personas';
+
+let dbPromise = null; // 缓存打开的数据库连接，避免重复打开
+
+/**
+ * 将 IDBRequest 包装为 Promise。
+ * @param {IDBRequest} request - IndexedDB 请求对象。
+ * @returns {Promise<any>} 请求的结果。
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 打开 (必要时创建) 数据库。
+ * @returns {Promise<IDBDatabase>} 数据库连接。
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+                    const store = db.createObjectStore(CONVERSATION_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(PERSONA_STORE)) {
+                    db.createObjectStore(PERSONA_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // 允许下次重试
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * 在指定的对象存储上执行一次操作。
+ * @param {string} storeName - 对象存储名称。
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'。
+ * @param {function(IDBObjectStore): IDBRequest} operation - 具体操作。
+ * @returns {Promise<any>} 操作结果。
+ */
+async function withStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    return promisifyRequest(operation(transaction.objectStore(storeName)));
+}
+
+/**
+ * 在对话存储上执行一次操作。
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'。
+ * @param {function(IDBObjectStore): IDBRequest} operation - 具体操作。
+ * @returns {Promise<any>} 操作结果。
+ */
+function withConversationStore(mode, operation) {
+    return withStore(CONVERSATION_STORE, mode, operation);
+}
+
+/**
+ * 读取所有对话，按最近更新时间倒序排列。
+ * @returns {Promise<Array<Object>>} 对话列表。
+ */
+async function listConversations() {
+    const conversations = await withConversationStore('readonly', store => store.getAll());
+    return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 读取单个对话。
+ * @param {string} id - 对话 ID。
+ * @returns {Promise<Object|undefined>} 对话记录。
+ */
+function getConversation(id) {
+    return withConversationStore('readonly', store => store.get(id));
+}
+
+/**
+ * 新建或覆盖保存一个对话，并刷新其 updatedAt。
+ * @param {Object} conversation - 对话记录。
+ * @returns {Promise<Object>} 保存后的对话记录。
+ */
+async function saveConversation(conversation) {
+    const record = { ...conversation, updatedAt: Date.now() };
+    await withConversationStore('readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * 删除一个对话。
+ * @param {string} id - 对话 ID。
+ * @returns {Promise<void>}
+ */
+function deleteConversation(id) {
+    return withConversationStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * 读取所有角色预设，按名称排序。
+ * @returns {Promise<Array<Object>>} 角色列表。
+ */
+async function listPersonas() {
+    const personas = await withStore(PERSONA_STORE, 'readonly', store => store.getAll());
+    return personas.sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+}
+
+/**
+ * 新建或覆盖保存一个角色预设，并刷新其 updatedAt。
+ * @param {Object} persona - 角色记录。
+ * @returns {Promise<Object>} 保存后的角色记录。
+ */
+async function savePersona(persona) {
+    const record = { ...persona, updatedAt: Date.now() };
+    await withStore(PERSONA_STORE, 'readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * 删除一个角色预设。
+ * @param {string} id - 角色 ID。
+ * @returns {Promise<void>}
+ */
+function deletePersona(id) {
+    return withStore(PERSONA_STORE, 'readwrite', store => store.delete(id));
+}
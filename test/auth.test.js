@@ -0,0 +1,194 @@
+// 身份验证 (令牌、会话 Cookie、可信请求头)、登录跳转、/api/chat 的请求配额，以及实际响应上的 CORS 响应头
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { createMemoryStore } from '../functions/lib/storage.js';
+import { createSessionToken } from '../functions/lib/auth.js';
+import { startMockUpstream } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, silenceConsole } from './helpers/worker.js';
+
+const GEMINI_REPLY = JSON.stringify({
+    candidates: [{ content: { parts: [{ text: '你好' }], role: 'model' }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 1, totalTokenCount: 6 },
+});
+
+/**
+ * 读取 /api/session 的结果。
+ * @param {Object} env - 环境变量。
+ * @param {Object} [headers] - 请求头。
+ * @returns {Promise<Response>}
+ */
+function session(env, headers = {}) {
+    return callWorker(env, '/api/session', { method: 'GET', headers });
+}
+
+describe('authentication', () => {
+    before(() => silenceConsole());
+    after(() => mock.restoreAll());
+
+    describe('token mode', () => {
+        const env = createTestEnv({ AUTH_MODE: 'token', ACCESS_TOKENS: JSON.stringify({ 'token-a': 'alice' }) });
+
+        it('returns 401 without a valid bearer token', async () => {
+            for (const headers of [{}, { 'Authorization': 'Bearer token-b' }, { 'Authorization': 'token-a' }]) {
+                const response = await session(env, headers);
+                assert.equal(response.status, 401);
+                assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer realm="aiwebchat"');
+                assert.deepEqual(await response.json(), { error: 'Authentication required', statusCode: 401, auth: 'token' });
+            }
+        });
+
+        it('maps the token to its user', async () => {
+            const response = await session(env, { 'Authorization': 'Bearer token-a' });
+            assert.deepEqual(await response.json(), { user: 'alice', method: 'token' });
+        });
+    });
+
+    describe('header mode', () => {
+        const env = createTestEnv({ AUTH_MODE: 'header' });
+
+        it('returns 401 without the trusted header', async () => {
+            const response = await session(env);
+            assert.equal(response.status, 401);
+            assert.deepEqual(await response.json(), { error: 'Authentication required', statusCode: 401, auth: 'header' });
+        });
+
+        it('uses the trusted header as the user', async () => {
+            const response = await session(env, { 'Cf-Access-Authenticated-User-Email': 'alice@example.com' });
+            assert.deepEqual(await response.json(), { user: 'alice@example.com', method: 'header' });
+        });
+    });
+
+    describe('session mode', () => {
+        const env = createTestEnv({ AUTH_MODE: 'session', SESSION_SECRET: 'test-secret', LOGIN_USERS: JSON.stringify({ alice: 'correct horse' }) });
+
+        /**
+         * 通过 JSON 登录，返回会话令牌。
+         * @returns {Promise<string>}
+         */
+        async function login() {
+            const response = await callWorker(env, '/api/login', { body: { username: 'alice', password: 'correct horse' } });
+            assert.equal(response.status, 200);
+            return response.headers.get('Set-Cookie').match(/^aiwebchat_session=([^;]+)/)[1];
+        }
+
+        it('returns 401 with the login URL without a session cookie', async () => {
+            const response = await session(env);
+            assert.equal(response.status, 401);
+            assert.deepEqual(await response.json(), { error: 'Authentication required', statusCode: 401, auth: 'session', loginUrl: '/login' });
+        });
+
+        it('rejects a wrong password', async () => {
+            const response = await callWorker(env, '/api/login', { body: { username: 'alice', password: 'wrong' } });
+            assert.equal(response.status, 401);
+            assert.equal(response.headers.get('Set-Cookie'), null);
+        });
+
+        it('accepts the signed session cookie issued at login', async () => {
+            const token = await login();
+            const response = await session(env, { 'Cookie': `theme=dark; aiwebchat_session=${token}` });
+            assert.deepEqual(await response.json(), { user: 'alice', method: 'session' });
+        });
+
+        it('rejects forged session cookies', async () => {
+            const [, signature] = (await login()).split('.');
+            const payload = Buffer.from(JSON.stringify({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+            const otherKey = await createSessionToken('alice', { ...env, SESSION_SECRET: 'another-secret' });
+            for (const token of [`${payload}.${signature}`, otherKey, 'not-a-token', `${payload}.`]) {
+                const response = await session(env, { 'Cookie': `aiwebchat_session=${token}` });
+                assert.equal(response.status, 401, token);
+            }
+        });
+
+        it('rejects expired session cookies', async () => {
+            const now = Date.now();
+            const clock = mock.method(Date, 'now', () => now - 8 * 24 * 60 * 60 * 1000); // 默认有效期为 7 天
+            const token = await createSessionToken('alice', env);
+            clock.mock.restore();
+
+            const response = await session(env, { 'Cookie': `aiwebchat_session=${token}` });
+            assert.equal(response.status, 401);
+        });
+
+        it('only redirects to paths on the same site after login', async () => {
+            for (const next of ['//evil.test/phish', '/\\evil.test', 'https://evil.test/', '/chat?x=1']) {
+                const form = new FormData();
+                form.append('username', 'alice');
+                form.append('password', 'correct horse');
+                form.append('next', next);
+                const response = await callWorker(env, '/api/login', { body: form });
+                assert.equal(response.status, 303);
+                assert.equal(response.headers.get('Location'), next === '/chat?x=1' ? 'https://chat.test/chat?x=1' : 'https://chat.test/', next);
+            }
+
+            const page = await callWorker(env, '/login?next=//evil.test', { method: 'GET' });
+            assert.match(await page.text(), /<input type="hidden" name="next" value="\/">/);
+        });
+    });
+});
+
+describe('/api/chat quotas and CORS', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({
+            GEMINI_API_KEY: 'test-key',
+            GEMINI_API_BASE_URL: `${upstream.url}/v1beta`,
+            AUTH_MODE: 'token',
+            ACCESS_TOKENS: JSON.stringify({ 'token-a': 'alice', 'token-b': 'bob' }),
+            QUOTAS: JSON.stringify({ user: { requestsPerMinute: 1 } }),
+            CHAT_STORE: createMemoryStore(),
+            CORS_ALLOWED_ORIGINS: 'https://app.test',
+        });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    function chat(token, headers = {}) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: '你好' }], stream: false },
+            headers: { 'Authorization': `Bearer ${token}`, ...headers },
+        });
+    }
+
+    it('returns 429 with Retry-After once the request quota of the user is used up', async () => {
+        upstream.reply({ body: GEMINI_REPLY }, { body: GEMINI_REPLY });
+        assert.equal((await chat('token-a')).status, 200);
+
+        const limited = await chat('token-a', { 'Origin': 'https://app.test' });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+        assert.match(limited.headers.get('Access-Control-Expose-Headers'), /Retry-After/);
+        const body = await limited.json();
+        assert.deepEqual(body.quota, { scope: 'user', kind: 'requests', limit: 1 });
+        assert.equal(body.retryAfter, Number(limited.headers.get('Retry-After')));
+        assert.equal(upstream.requests.length, 1, 'the limited request should not reach the upstream');
+
+        assert.equal((await chat('token-b')).status, 200, 'other users have their own quota');
+    });
+
+    it('adds CORS headers only for allowed origins', async () => {
+        const allowed = await session(env, { 'Authorization': 'Bearer token-a', 'Origin': 'https://app.test' });
+        assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), 'https://app.test');
+        assert.equal(allowed.headers.get('Access-Control-Allow-Credentials'), 'true');
+        assert.match(allowed.headers.get('Vary'), /Origin/);
+
+        for (const origin of ['https://evil.test', 'https://app.test.evil.test']) {
+            const response = await session(env, { 'Authorization': 'Bearer token-a', 'Origin': origin });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+            assert.equal(response.headers.get('Access-Control-Allow-Credentials'), null);
+        }
+
+        const unauthorized = await session(env, { 'Origin': 'https://evil.test' });
+        assert.equal(unauthorized.status, 401);
+        assert.equal(unauthorized.headers.get('Access-Control-Allow-Origin'), null);
+    });
+});
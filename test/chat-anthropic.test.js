@@ -0,0 +1,48 @@
+// /api/chat 与 Anthropic：非流式响应的解析
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { startMockUpstream } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, silenceConsole } from './helpers/worker.js';
+
+describe('/api/chat with Anthropic', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({ ANTHROPIC_API_KEY: 'sk-ant-test', ANTHROPIC_API_BASE_URL: upstream.url });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    function chat(body) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'claude-sonnet-4-0', messages: [{ role: 'user', content: 'Hi' }], stream: false, ...body },
+        });
+    }
+
+    it('returns an empty reply with its finish reason instead of an error', async () => {
+        upstream.reply({ body: JSON.stringify({ content: [], stop_reason: 'max_tokens', usage: { input_tokens: 8, output_tokens: 0 } }) });
+        const response = await chat();
+
+        assert.equal(response.status, 200);
+        const data = await response.json();
+        assert.equal(data.reply, '');
+        assert.equal(data.usage.finish_reason, 'length');
+        assert.equal(upstream.requests[0].path, '/v1/messages');
+    });
+
+    it('reports a response without content as unexpected', async () => {
+        upstream.reply({ body: JSON.stringify({ type: 'message' }) });
+        const response = await chat();
+
+        assert.equal(response.status, 500);
+        assert.deepEqual(await response.json(), { error: 'Unexpected response from anthropic for model claude-sonnet-4-0' });
+    });
+});
@@ -0,0 +1,246 @@
+// /api/chat 与 Gemini：请求格式、流式响应转换为 OpenAI 兼容 SSE、上游错误
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { startMockUpstream, loadFixture, splitBytes, streamReply } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, readStream, normalizeTimings, silenceConsole } from './helpers/worker.js';
+
+const GEMINI_STREAM = loadFixture('gemini-stream.txt');
+
+// gemini-stream.txt 转换后的完整输出 (usage 事件中的时间字段已归零)
+const EXPECTED_SSE = [
+    'data: {"choices":[{"delta":{"content":"你好"},"index":0,"finish_reason":null}],"usage":{"prompt_tokens":5,"completion_tokens":0}}\n\n',
+    'data: {"choices":[{"delta":{"content":"，世界！"},"index":0,"finish_reason":"stop"}],"usage":{"prompt_tokens":5,"completion_tokens":4}}\n\n',
+    'event: usage\ndata: {"prompt_tokens":5,"completion_tokens":4,"total_tokens":9,"finish_reason":"stop","latency_ms":0,"ttft_ms":0,"cost":0.0000115,"currency":"USD"}\n\n',
+    'data: [DONE]\n\n',
+].join('');
+
+describe('/api/chat with Gemini', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({ GEMINI_API_KEY: 'test-key', GEMINI_API_BASE_URL: `${upstream.url}/v1beta` });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    function chat(body) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: '你好' }], stream: true, ...body },
+        });
+    }
+
+    it('sends the system prompt as systemInstruction and the key as a query parameter', async () => {
+        upstream.reply(streamReply(GEMINI_STREAM));
+        const response = await chat({
+            systemPrompt: '用中文回答',
+            messages: [{ role: 'user', content: '你好' }, { role: 'assistant', content: '你好！' }, { role: 'user', content: '再说一次' }],
+            params: { temperature: 0.5 },
+        });
+        await response.text();
+
+        const [request] = upstream.requests;
+        assert.equal(request.path, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse&key=test-key');
+        assert.deepEqual(request.json, {
+            systemInstruction: { parts: [{ text: '用中文回答' }] },
+            contents: [
+                { role: 'user', parts: [{ text: '你好' }] },
+                { role: 'model', parts: [{ text: '你好！' }] },
+                { role: 'user', parts: [{ text: '再说一次' }] },
+            ],
+            generationConfig: { temperature: 0.5 },
+        });
+    });
+
+    it('translates the stream into OpenAI-compatible SSE', async () => {
+        upstream.reply(streamReply(GEMINI_STREAM));
+        const response = await chat();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+        assert.equal(response.headers.get('X-Served-By'), 'gemini-2.5-flash');
+        assert.equal(normalizeTimings(await response.text()), EXPECTED_SSE);
+    });
+
+    for (const size of [1, 7, 64]) {
+        it(`produces the same output when the stream is split into ${size}-byte chunks`, async () => {
+            upstream.reply({ headers: { 'Content-Type': 'text/event-stream' }, chunks: splitBytes(GEMINI_STREAM, size), delayMs: 0 });
+            const response = await chat();
+            assert.equal(normalizeTimings(await response.text()), EXPECTED_SSE);
+        });
+    }
+
+    it('reports a malformed chunk as an error event and keeps streaming', async () => {
+        const [first, second] = GEMINI_STREAM.split(/(?<=\r\n\r\n)/);
+        upstream.reply(streamReply(`${first}data: {"candidates": [{"content": \r\n\r\n${second}`));
+        const response = await chat();
+
+        const { text, error } = await readStream(response);
+        assert.equal(error, null);
+        assert.equal(normalizeTimings(text), [
+            'data: {"choices":[{"delta":{"content":"你好"},"index":0,"finish_reason":null}],"usage":{"prompt_tokens":5,"completion_tokens":0}}\n\n',
+            'event: error\ndata: {"error":{"message":"Malformed chunk in Gemini stream","type":"invalid_response"}}\n\n',
+            'data: {"choices":[{"delta":{"content":"，世界！"},"index":0,"finish_reason":"stop"}],"usage":{"prompt_tokens":5,"completion_tokens":4}}\n\n',
+            'event: usage\ndata: {"prompt_tokens":5,"completion_tokens":4,"total_tokens":9,"finish_reason":"stop","latency_ms":0,"ttft_ms":0,"cost":0.0000115,"currency":"USD"}\n\n',
+            'data: [DONE]\n\n',
+        ].join(''));
+    });
+
+    it('turns an error reported inside the stream into an error event', async () => {
+        const [first] = GEMINI_STREAM.split(/(?<=\r\n\r\n)/);
+        upstream.reply(streamReply(`${first}data: {"error": {"code": 503, "message": "The model is overloaded.", "status": "UNAVAILABLE"}}\r\n\r\n`));
+        const response = await chat();
+
+        assert.equal(normalizeTimings(await response.text()), [
+            'data: {"choices":[{"delta":{"content":"你好"},"index":0,"finish_reason":null}],"usage":{"prompt_tokens":5,"completion_tokens":0}}\n\n',
+            'event: error\ndata: {"error":{"message":"The model is overloaded.","type":"UNAVAILABLE","code":503}}\n\n',
+            'event: usage\ndata: {"prompt_tokens":5,"completion_tokens":0,"total_tokens":5,"finish_reason":null,"latency_ms":0,"ttft_ms":0,"cost":0.0000015,"currency":"USD"}\n\n',
+            'data: [DONE]\n\n',
+        ].join(''));
+    });
+
+    it('keeps the text received before the connection drops mid-stream and ends with an error event', async () => {
+        const [first] = GEMINI_STREAM.split(/(?<=\r\n\r\n)/);
+        upstream.reply(streamReply(first, { drop: true }));
+        const response = await chat();
+
+        assert.equal(response.status, 200);
+        const { text, error } = await readStream(response);
+        assert.equal(error, null);
+        assert.equal(normalizeTimings(text), [
+            'data: {"choices":[{"delta":{"content":"你好"},"index":0,"finish_reason":null}],"usage":{"prompt_tokens":5,"completion_tokens":0}}\n\n',
+            'event: error\ndata: {"error":{"message":"The upstream connection was interrupted before the reply finished","type":"stream_interrupted"}}\n\n',
+            'event: usage\ndata: {"prompt_tokens":5,"completion_tokens":0,"total_tokens":5,"finish_reason":null,"latency_ms":0,"ttft_ms":0,"cost":0.0000015,"currency":"USD"}\n\n',
+            'data: [DONE]\n\n',
+        ].join(''));
+    });
+
+    it('returns a 429 payload with Retry-After when Gemini is rate limited', async () => {
+        const upstreamError = { error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED' } };
+        upstream.reply({ status: 429, headers: { 'Retry-After': '7' }, body: JSON.stringify(upstreamError) });
+        const response = await chat();
+
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('Retry-After'), '7');
+        assert.deepEqual(await response.json(), {
+            error: '请求过于频繁 (速率限制)，请稍等片刻后再试。模型: gemini-2.5-flash',
+            statusCode: 429,
+            provider: 'gemini',
+            retryAfter: 7,
+            originalError: JSON.stringify(upstreamError.error),
+        });
+        assert.equal(upstream.requests.length, 1, 'a single model is tried only once');
+    });
+
+    it('returns the upstream status and raw details for non-JSON errors', async () => {
+        upstream.reply({ status: 500, headers: { 'Content-Type': 'text/html' }, body: '<html>Internal error</html>' });
+        const response = await chat({ stream: false });
+
+        assert.equal(response.status, 500);
+        assert.deepEqual(await response.json(), {
+            error: 'Backend API error for model gemini-2.5-flash (gemini): Status 500. Details: <html>Internal error</html>',
+            statusCode: 500,
+            originalResponse: '<html>Internal error</html>',
+        });
+    });
+
+    it('sends PDFs of earlier turns as text and only the latest ones inline', async () => {
+        upstream.reply(streamReply(GEMINI_STREAM));
+        const pdf = name => ({ name, type: 'application/pdf', pages: 1, text: `${name} 的内容`, data: 'JVBERi0xLjQK' });
+        const response = await chat({
+            messages: [
+                { role: 'user', content: '总结一下', files: [pdf('old.pdf')] },
+                { role: 'assistant', content: '好的' },
+                { role: 'user', content: '再看这个', files: [pdf('new.pdf')] },
+            ],
+        });
+        await response.text();
+
+        const [first, , last] = upstream.requests[0].json.contents;
+        assert.deepEqual(first.parts, [{ text: '<file name="old.pdf" pages="1">\nold.pdf 的内容\n</file>\n\n总结一下' }]);
+        assert.deepEqual(last.parts.find(part => part.inline_data)?.inline_data, { mime_type: 'application/pdf', data: 'JVBERi0xLjQK' });
+    });
+
+    it('rejects PDFs that exceed the per-request size limit before calling Gemini', async () => {
+        // 两个约 8 MB 的文件，单个不超过上限，合计超过 14 MB
+        const data = 'QUFB'.repeat(8 * 1024 * 1024 / 3);
+        const files = ['a.pdf', 'b.pdf'].map(name => ({ name, type: 'application/pdf', text: '', data }));
+        const response = await chat({ messages: [{ role: 'user', content: '看看', files }] });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Attachments are too large: at most 14 MB of images and PDF data per message' });
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('counts images and PDFs of the latest message against the same limit', async () => {
+        // 三张 4 MB 的图片和一个 3 MB 的 PDF：图片和文件各自都不超过上限，合计超过 14 MB
+        const images = Array(3).fill(`data:image/png;base64,${'QUFB'.repeat(4 * 1024 * 1024 / 3)}`);
+        const files = [{ name: 'a.pdf', type: 'application/pdf', text: '', data: 'QUFB'.repeat(1024 * 1024) }];
+        const response = await chat({ messages: [{ role: 'user', content: '看看', images, files }] });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Attachments are too large: at most 14 MB of images and PDF data per message' });
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('keeps earlier images only within the room left by the latest attachments', async () => {
+        // 历史图片的预算配置为 20 MB，但请求的内联数据不超过 14 MB：最新一条消息的 PDF 占用 9 MB 后，
+        // 较早的两张 4 MB 图片只能保留较新的一张
+        const image = `data:image/png;base64,${'QUFB'.repeat(4 * 1024 * 1024 / 3)}`;
+        const files = [{ name: 'a.pdf', type: 'application/pdf', text: '', data: 'QUFB'.repeat(3 * 1024 * 1024) }];
+        const body = {
+            model: 'gemini-2.5-flash',
+            messages: [
+                { role: 'user', content: '第一张', images: [image] },
+                { role: 'assistant', content: '好的' },
+                { role: 'user', content: '第二张', images: [image] },
+                { role: 'assistant', content: '好的' },
+                { role: 'user', content: '再看看这个文件', files },
+            ],
+            stream: true,
+        };
+        upstream.reply(streamReply(GEMINI_STREAM));
+        await (await callWorker({ ...env, IMAGE_HISTORY_MAX_BYTES: String(20 * 1024 * 1024) }, '/api/chat', { body })).text();
+
+        const { contents } = upstream.requests[0].json;
+        assert.deepEqual(contents.map(content => content.parts.filter(part => part.inline_data).map(part => part.inline_data.mime_type)), [
+            [], [], ['image/png'], [], ['application/pdf'],
+        ]);
+        assert.equal(contents[0].parts[0].text, '第一张\n[早先的图片已从上下文中省略]');
+
+        // 'keep' 策略不省略较早的图片，超出上限时拒绝请求
+        const keep = await callWorker({ ...env, IMAGE_HISTORY_POLICY: 'keep' }, '/api/chat', { body });
+        assert.equal(keep.status, 400);
+        assert.deepEqual(await keep.json(), { error: 'Images and documents in the conversation are too large: at most 14 MB per request' });
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('parses a non-streaming response', async () => {
+        upstream.reply({
+            body: JSON.stringify({
+                candidates: [{ content: { parts: [{ text: '你好，世界！' }], role: 'model' }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 4, totalTokenCount: 9 },
+            }),
+        });
+        const response = await chat({ stream: false });
+
+        assert.equal(response.status, 200);
+        const data = await response.json();
+        assert.equal(data.reply, '你好，世界！');
+        assert.deepEqual({ ...data.usage, latency_ms: 0 }, {
+            prompt_tokens: 5, completion_tokens: 4, total_tokens: 9, finish_reason: 'stop', latency_ms: 0, ttft_ms: null, cost: 0.0000115, currency: 'USD',
+        });
+        assert.match(upstream.requests[0].path, /:generateContent\?key=test-key$/);
+    });
+});
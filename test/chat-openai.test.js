@@ -0,0 +1,185 @@
+// /api/chat 与 OpenAI 兼容的上游 (OpenAI、Ollama)：SSE 透传、usage 事件、上游错误和路由切换
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { startMockUpstream, loadFixture, splitBytes, streamReply } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, readStream, normalizeTimings, silenceConsole } from './helpers/worker.js';
+
+const OPENAI_STREAM = loadFixture('openai-stream.txt');
+const OLLAMA_STREAM = loadFixture('ollama-stream.txt');
+
+/**
+ * 透传后的预期输出：上游的事件原样保留，[DONE] 之前插入 usage 事件。
+ * @param {string} stream - 录制的上游流。
+ * @param {string} usageEvent - usage 事件的数据。
+ * @returns {string}
+ */
+function expectedPassthrough(stream, usageEvent) {
+    return stream.replace('data: [DONE]\n\n', `event: usage\ndata: ${usageEvent}\n\ndata: [DONE]\n\n`);
+}
+
+const OPENAI_USAGE = '{"prompt_tokens":9,"completion_tokens":3,"total_tokens":12,"finish_reason":"stop","latency_ms":0,"ttft_ms":0,"cost":0.0000525,"currency":"USD"}';
+
+describe('/api/chat with OpenAI-compatible backends', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({
+            OPENAI_API_KEY: 'sk-test',
+            OPENAI_API_BASE_URL: `${upstream.url}/v1`,
+            OLLAMA_API_BASE_URL: upstream.url,
+            GEMINI_API_KEY: 'test-key',
+            GEMINI_API_BASE_URL: `${upstream.url}/v1beta`,
+            MODEL_ROUTES: JSON.stringify({ fast: { targets: ['gemini-2.5-flash', 'gpt-4o'], retries: 0 } }),
+        });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    function chat(body) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], stream: true, ...body },
+        });
+    }
+
+    it('sends an OpenAI request with the API key and asks for usage in the stream', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const response = await chat({ systemPrompt: 'Be brief.', params: { max_tokens: 100 } });
+        await response.text();
+
+        const [request] = upstream.requests;
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(request.json, {
+            model: 'gpt-4o',
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: [{ type: 'text', text: 'Hi' }] },
+            ],
+            max_tokens: 100,
+            stream: true,
+            stream_options: { include_usage: true },
+        });
+    });
+
+    it('passes the stream through and adds a usage event before [DONE]', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const response = await chat();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+        assert.equal(normalizeTimings(await response.text()), expectedPassthrough(OPENAI_STREAM, OPENAI_USAGE));
+    });
+
+    it('produces the same output when the stream is split into 5-byte chunks', async () => {
+        upstream.reply({ headers: { 'Content-Type': 'text/event-stream' }, chunks: splitBytes(OPENAI_STREAM, 5), delayMs: 0 });
+        const response = await chat();
+        assert.equal(normalizeTimings(await response.text()), expectedPassthrough(OPENAI_STREAM, OPENAI_USAGE));
+    });
+
+    it('streams from Ollama through its /v1 endpoint without an API key', async () => {
+        upstream.reply({ headers: { 'Content-Type': 'text/event-stream' }, chunks: splitBytes(OLLAMA_STREAM, 3), delayMs: 0 });
+        const response = await chat({ model: 'ollama-qwen3:14b' });
+
+        assert.equal(normalizeTimings(await response.text()), expectedPassthrough(OLLAMA_STREAM,
+            '{"prompt_tokens":11,"completion_tokens":2,"total_tokens":13,"finish_reason":"stop","latency_ms":0,"ttft_ms":0,"cost":null,"currency":null}'));
+        const [request] = upstream.requests;
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, undefined);
+        assert.equal(request.json.model, 'qwen3:14b');
+    });
+
+    it('forwards malformed chunks unchanged for the client to handle', async () => {
+        const stream = OPENAI_STREAM.replace('data: [DONE]', 'data: {"choices":[{"delta":\n\ndata: [DONE]');
+        upstream.reply(streamReply(stream));
+        const response = await chat();
+        assert.equal(normalizeTimings(await response.text()), expectedPassthrough(stream, OPENAI_USAGE));
+    });
+
+    it('ends with a usage event when the upstream closes without [DONE]', async () => {
+        const stream = OPENAI_STREAM.replace('data: [DONE]\n\n', '');
+        upstream.reply(streamReply(stream));
+        const response = await chat();
+        assert.equal(normalizeTimings(await response.text()), `${stream}event: usage\ndata: ${OPENAI_USAGE}\n\n`);
+    });
+
+    it('keeps the text received before the connection drops mid-stream and ends with an error event', async () => {
+        const events = OPENAI_STREAM.split(/(?<=\n\n)/);
+        // 第三个事件只写出一半就断开，不完整的事件不会转发
+        upstream.reply({ headers: { 'Content-Type': 'text/event-stream' }, chunks: [...events.slice(0, 2), events[2].slice(0, 40)], drop: true });
+        const response = await chat();
+
+        const { text, error } = await readStream(response);
+        assert.equal(error, null);
+        assert.equal(normalizeTimings(text), [
+            ...events.slice(0, 2),
+            'event: error\ndata: {"error":{"message":"The upstream connection was interrupted before the reply finished","type":"stream_interrupted"}}\n\n',
+            'event: usage\ndata: {"prompt_tokens":null,"completion_tokens":null,"total_tokens":null,"finish_reason":null,"latency_ms":0,"ttft_ms":0,"cost":null,"currency":null}\n\n',
+            'data: [DONE]\n\n',
+        ].join(''));
+    });
+
+    it('returns a 429 payload without Retry-After when the upstream gives none', async () => {
+        const upstreamError = { error: { message: 'Rate limit reached for gpt-4o', type: 'requests', code: 'rate_limit_exceeded' } };
+        upstream.reply({ status: 429, body: JSON.stringify(upstreamError) });
+        const response = await chat();
+
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('Retry-After'), null);
+        assert.deepEqual(await response.json(), {
+            error: '请求过于频繁 (速率限制)，请稍等片刻后再试。模型: gpt-4o',
+            statusCode: 429,
+            provider: 'openai',
+            originalError: JSON.stringify(upstreamError.error),
+        });
+    });
+
+    it('returns Ollama string errors with the upstream status', async () => {
+        upstream.reply({ status: 404, body: JSON.stringify({ error: 'model "qwen3:14b" not found, try pulling it first' }) });
+        const response = await chat({ model: 'ollama-qwen3:14b' });
+
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), {
+            error: 'Backend API error for model ollama-qwen3:14b (ollama): Status 404. Details: "model \\"qwen3:14b\\" not found, try pulling it first"',
+            statusCode: 404,
+            originalResponse: '"model \\"qwen3:14b\\" not found, try pulling it first"',
+        });
+    });
+
+    it('falls back to the next route target when the first one is rate limited', async () => {
+        upstream.reply({ status: 429, body: JSON.stringify({ error: { code: 429, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } }) });
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const response = await chat({ model: 'fast' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('X-Served-By'), 'gpt-4o');
+        assert.equal(normalizeTimings(await response.text()), expectedPassthrough(OPENAI_STREAM, OPENAI_USAGE));
+        assert.deepEqual(upstream.requests.map(request => request.path.split('?')[0]), [
+            '/v1beta/models/gemini-2.5-flash:streamGenerateContent',
+            '/v1/chat/completions',
+        ]);
+    });
+
+    it('returns the last failed response when every route target fails', async () => {
+        upstream.reply({ status: 503, body: '{"error":{"message":"unavailable"}}' }, { status: 503, body: '{"error":{"message":"unavailable"}}' });
+        const response = await chat({ model: 'fast', stream: false });
+
+        assert.equal(response.status, 503);
+        assert.deepEqual(await response.json(), {
+            error: 'Backend API error for model gpt-4o (openai): Status 503. Details: {"message":"unavailable"}',
+            statusCode: 503,
+            originalResponse: '{"message":"unavailable"}',
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// 对话存储与分享：每个用户只能读写、分享自己的对话
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { createMemoryStore } from '../functions/lib/storage.js';
+import { createTestEnv, callWorker, silenceConsole } from './helpers/worker.js';
+
+const ALICE = { 'Authorization': 'Bearer token-a' };
+const BOB = { 'Authorization': 'Bearer token-b' };
+const CONVERSATION = { title: '旅行计划', model: 'gpt-4o', messages: [{ role: 'user', content: '去哪里玩？' }] };
+
+describe('/api/conversations with several users', () => {
+    const env = createTestEnv({
+        AUTH_MODE: 'token',
+        ACCESS_TOKENS: JSON.stringify({ 'token-a': 'alice', 'token-b': 'bob' }),
+        CHAT_STORE: createMemoryStore(),
+    });
+
+    before(async () => {
+        silenceConsole();
+        const saved = await callWorker(env, '/api/conversations/trip', { method: 'PUT', body: CONVERSATION, headers: ALICE });
+        assert.equal(saved.status, 200);
+    });
+
+    after(() => mock.restoreAll());
+
+    it('returns the conversation to its owner', async () => {
+        const response = await callWorker(env, '/api/conversations/trip', { method: 'GET', headers: ALICE });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).title, '旅行计划');
+    });
+
+    it('returns 404 when another user reads or shares the conversation', async () => {
+        const read = await callWorker(env, '/api/conversations/trip', { method: 'GET', headers: BOB });
+        assert.equal(read.status, 404);
+        assert.deepEqual(await read.json(), { error: 'Conversation not found' });
+
+        const share = await callWorker(env, '/api/share', { body: { conversationId: 'trip' }, headers: BOB });
+        assert.equal(share.status, 404);
+    });
+
+    it('keeps the conversation of another user when the same ID is saved or deleted', async () => {
+        await callWorker(env, '/api/conversations/trip', { method: 'PUT', body: { ...CONVERSATION, title: '覆盖' }, headers: BOB });
+        await callWorker(env, '/api/conversations/trip', { method: 'DELETE', headers: BOB });
+
+        const response = await callWorker(env, '/api/conversations/trip', { method: 'GET', headers: ALICE });
+        assert.equal((await response.json()).title, '旅行计划');
+    });
+
+    it('shares the conversation of the owner', async () => {
+        const response = await callWorker(env, '/api/share', { body: { conversationId: 'trip' }, headers: ALICE });
+        assert.equal(response.status, 201);
+        const { shareId } = await response.json();
+
+        const page = await callWorker(env, `/share/${shareId}`, { method: 'GET' });
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /去哪里玩？/);
+    });
+
+    it('measures the size limit in UTF-8 bytes', async () => {
+        // 700 万个中文字符：不到 2000 万个 UTF-16 字符，但超过 20 MB
+        const messages = [{ role: 'user', content: '中'.repeat(7 * 1024 * 1024) }];
+        const response = await callWorker(env, '/api/conversations/long', { method: 'PUT', body: { ...CONVERSATION, messages }, headers: ALICE });
+        assert.equal(response.status, 413);
+        assert.deepEqual(await response.json(), { error: 'Conversation is too large (max 20 MB)' });
+    });
+
+    it('returns 503 when the store rejects the conversation', async () => {
+        const store = { ...createMemoryStore(), put: async () => { throw new Error('Value too large'); } };
+        const response = await callWorker({ ...env, CHAT_STORE: store }, '/api/conversations/trip', { method: 'PUT', body: CONVERSATION, headers: ALICE });
+        assert.equal(response.status, 503);
+        assert.deepEqual(await response.json(), { error: 'Failed to save the conversation, please try again later' });
+    });
+});
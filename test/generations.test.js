@@ -0,0 +1,212 @@
+// 可恢复的流式生成：事件 id、客户端断开后继续生成、通过 Last-Event-ID 重新连接、停止生成
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { createMemoryStore } from '../functions/lib/storage.js';
+import { startMockUpstream, loadFixture, streamReply } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, readStream, normalizeTimings, silenceConsole } from './helpers/worker.js';
+
+const OPENAI_STREAM = loadFixture('openai-stream.txt');
+const OPENAI_USAGE = '{"prompt_tokens":9,"completion_tokens":3,"total_tokens":12,"finish_reason":"stop","latency_ms":0,"ttft_ms":0,"cost":0.0000525,"currency":"USD"}';
+
+// 透传并加上 usage 事件后的输出，按事件切分 (不含 id)
+const EVENTS = OPENAI_STREAM.replace('data: [DONE]\n\n', `event: usage\ndata: ${OPENAI_USAGE}\n\ndata: [DONE]\n\n`)
+    .split(/(?<=\n\n)/);
+
+/**
+ * 给事件加上从 first 开始的 id 行，得到可恢复的流的预期输出。
+ * @param {Array<string>} events - 事件文本。
+ * @param {number} [first] - 第一个事件的 id。
+ * @returns {string}
+ */
+function withEventIds(events, first = 1) {
+    return events.map((event, index) => `id: ${first + index}\n${event}`).join('');
+}
+
+/**
+ * 收集 waitUntil 任务的执行上下文，测试可以等待后台的生成结束。
+ * @returns {{waitUntil: function(Promise): void, settled: function(): Promise}}
+ */
+function createContext() {
+    const tasks = [];
+    return {
+        waitUntil(promise) {
+            tasks.push(promise);
+        },
+        settled: () => Promise.allSettled(tasks),
+    };
+}
+
+describe('resumable chat streams', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({ OPENAI_API_KEY: 'sk-test', OPENAI_API_BASE_URL: `${upstream.url}/v1`, STREAM_STORE: createMemoryStore() });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    function chat(ctx) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], stream: true },
+            ctx,
+        });
+    }
+
+    function resume(id, lastEventId) {
+        return callWorker(env, `/api/chat/${id}/stream`, {
+            method: 'GET',
+            headers: lastEventId !== undefined ? { 'Last-Event-ID': String(lastEventId) } : {},
+        });
+    }
+
+    /**
+     * 读取响应的第一块数据后断开，模拟网络中断或页面刷新。
+     * @param {Response} response - 流式响应。
+     * @returns {Promise<string>} 断开前收到的文本。
+     */
+    async function readFirstChunk(response) {
+        const reader = response.body.getReader();
+        const { value } = await reader.read();
+        await reader.cancel();
+        return new TextDecoder().decode(value);
+    }
+
+    it('numbers the events and returns the generation ID', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const ctx = createContext();
+        const response = await chat(ctx);
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('X-Generation-ID'), /^[0-9a-f-]{36}$/);
+        assert.equal(normalizeTimings(await response.text()), withEventIds(EVENTS));
+        await ctx.settled();
+    });
+
+    it('replays the events after Last-Event-ID with the original headers', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const ctx = createContext();
+        const response = await chat(ctx);
+        const id = response.headers.get('X-Generation-ID');
+        await response.text();
+        await ctx.settled();
+
+        const replay = await resume(id, 3);
+        assert.equal(replay.status, 200);
+        assert.equal(replay.headers.get('Content-Type'), 'text/event-stream');
+        assert.equal(replay.headers.get('X-Served-By'), 'gpt-4o');
+        assert.equal(normalizeTimings(await replay.text()), withEventIds(EVENTS.slice(3), 4));
+
+        const full = await resume(id);
+        assert.equal(normalizeTimings(await full.text()), withEventIds(EVENTS));
+    });
+
+    it('keeps generating after the client disconnects', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM, { delayMs: 20 }));
+        const ctx = createContext();
+        const response = await chat(ctx);
+        const id = response.headers.get('X-Generation-ID');
+
+        assert.equal(await readFirstChunk(response), withEventIds(EVENTS.slice(0, 1)));
+        await ctx.settled();
+
+        const replay = await resume(id, 1);
+        assert.equal(normalizeTimings(await replay.text()), withEventIds(EVENTS.slice(1), 2));
+    });
+
+    it('replays the interruption error when the upstream dropped mid-stream', async () => {
+        upstream.reply(streamReply(EVENTS.slice(0, 2).join(''), { drop: true }));
+        const ctx = createContext();
+        const response = await chat(ctx);
+        const id = response.headers.get('X-Generation-ID');
+        const { text, error } = await readStream(response);
+        assert.equal(error, null);
+        await ctx.settled();
+
+        const expected = withEventIds([
+            ...EVENTS.slice(0, 2),
+            'event: error\ndata: {"error":{"message":"The upstream connection was interrupted before the reply finished","type":"stream_interrupted"}}\n\n',
+            'event: usage\ndata: {"prompt_tokens":null,"completion_tokens":null,"total_tokens":null,"finish_reason":null,"latency_ms":0,"ttft_ms":0,"cost":null,"currency":null}\n\n',
+            'data: [DONE]\n\n',
+        ]);
+        assert.equal(normalizeTimings(text), expected);
+        const replay = await resume(id, 0);
+        assert.equal(normalizeTimings(await replay.text()), expected);
+    });
+
+    it('ends the replay with an error event when the generation failed', async () => {
+        await env.STREAM_STORE.put('generation:failed', JSON.stringify({ userId: 'anonymous', headers: {}, status: 'failed', chunks: 1, events: 1 }));
+        await env.STREAM_STORE.put('generation:failed:0', JSON.stringify([{ id: 1, data: EVENTS[0].slice(6, -2) }]));
+
+        const replay = await resume('failed', 0);
+        assert.equal(await replay.text(), withEventIds(EVENTS.slice(0, 1))
+            + 'event: error\ndata: {"error":{"message":"The generation was interrupted before it finished","type":"stream_interrupted"}}\n\n');
+    });
+
+    it('stops the upstream request when the generation is cancelled', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM, { delayMs: 400 }));
+        const ctx = createContext();
+        const response = await chat(ctx);
+        const id = response.headers.get('X-Generation-ID');
+        await readFirstChunk(response);
+
+        const cancel = await callWorker(env, `/api/chat/${id}`, { method: 'DELETE' });
+        assert.deepEqual(await cancel.json(), { cancelled: true });
+        await ctx.settled();
+
+        const replay = await resume(id);
+        const text = await replay.text();
+        assert.ok(!text.includes('data: [DONE]'), 'the cancelled generation should not reach the end of the stream');
+        assert.deepEqual(await (await callWorker(env, `/api/chat/${id}`, { method: 'DELETE' })).json(), { cancelled: false });
+    });
+
+    it('stops the upstream request while the upstream is stalled', async () => {
+        const [first, ...rest] = OPENAI_STREAM.split(/(?<=\n\n)/);
+        upstream.reply({ headers: { 'Content-Type': 'text/event-stream' }, chunks: [first, rest.join('')], delayMs: 4000 });
+        const ctx = createContext();
+        const response = await chat(ctx);
+        const id = response.headers.get('X-Generation-ID');
+        await readFirstChunk(response);
+
+        const startedAt = Date.now();
+        const cancel = await callWorker(env, `/api/chat/${id}`, { method: 'DELETE' });
+        assert.deepEqual(await cancel.json(), { cancelled: true });
+        await ctx.settled();
+
+        assert.ok(Date.now() - startedAt < 3000, 'the upstream should be aborted before it sends anything else');
+        const meta = await env.STREAM_STORE.get(`generation:${id}`, 'json');
+        assert.equal(meta.status, 'cancelled');
+        assert.equal(meta.events, 1);
+    });
+
+    it('returns 404 for unknown generations and those of other users', async () => {
+        await env.STREAM_STORE.put('generation:someone-elses', JSON.stringify({ userId: 'alice', headers: {}, status: 'done', chunks: 0, events: 0 }));
+        for (const id of ['missing', 'someone-elses', 'not%20valid']) {
+            const response = await resume(id);
+            assert.equal(response.status, 404);
+            assert.deepEqual(await response.json(), { error: 'Generation not found' });
+        }
+        const cancel = await callWorker(env, '/api/chat/someone-elses', { method: 'DELETE' });
+        assert.equal(cancel.status, 404);
+    });
+
+    it('leaves streams without IDs when only CHAT_STORE is bound', async () => {
+        upstream.reply(streamReply(OPENAI_STREAM));
+        const response = await callWorker({ ...env, STREAM_STORE: undefined, CHAT_STORE: createMemoryStore() }, '/api/chat', {
+            body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], stream: true },
+        });
+        assert.equal(response.headers.get('X-Generation-ID'), null);
+        assert.equal(normalizeTimings(await response.text()), EVENTS.join(''));
+    });
+});
@@ -0,0 +1,110 @@
+// =========================================================================
+// 本地模拟的上游服务 (Gemini、OpenAI、Ollama)
+// 每个模拟服务是一个监听 127.0.0.1 随机端口的 HTTP 服务器，按顺序返回预先排好的回复，
+// 并记录收到的请求，供测试检查 Worker 发给上游的内容。回复的格式：
+//   { status: 200, headers: {...}, chunks: ['data: ...\n\n', Buffer, ...], body: '...', delayMs: 5, drop: false }
+// chunks 逐个写出 (每个之间间隔 delayMs)，用于模拟流式响应被任意切分；drop 为 true 时写完 chunks 后
+// 直接断开连接，模拟上游在流的中途失败。没有排好的回复时返回 500。
+// =========================================================================
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+
+/**
+ * 启动一个模拟的上游服务。
+ * @returns {Promise<{url: string, requests: Array<Object>, reply: function(...Object): void, close: function(): Promise<void>}>}
+ *          url 为服务地址 (不以 / 结尾)；requests 记录收到的请求 { method, path, headers, body, json }。
+ */
+export async function startMockUpstream() {
+    const requests = [];
+    const replies = [];
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        let json = null;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {
+            // 不是 JSON 的请求体 (例如 GET 请求) 只保留原文
+        }
+        requests.push({ method: req.method, path: req.url, headers: req.headers, body, json });
+
+        const reply = replies.shift() || { status: 500, body: JSON.stringify({ error: 'No mock reply queued' }) };
+        res.writeHead(reply.status ?? 200, { 'Content-Type': 'application/json', ...reply.headers });
+        for (const chunk of reply.chunks || []) {
+            res.write(chunk);
+            await new Promise(resolve => setTimeout(resolve, reply.delayMs ?? 5));
+        }
+        if (reply.drop) {
+            res.destroy();
+            return;
+        }
+        res.end(reply.body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        reply(...items) {
+            replies.push(...items);
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+/**
+ * 读取请求体。
+ * @param {http.IncomingMessage} req - 请求。
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 读取 test/fixtures 中录制的上游响应。
+ * @param {string} name - 文件名。
+ * @returns {string}
+ */
+export function loadFixture(name) {
+    return readFileSync(new URL(name, FIXTURES_DIR), 'utf8');
+}
+
+/**
+ * 把录制的流按固定的字节数切分，切分点可能落在一行、一个 JSON 甚至一个多字节字符的中间。
+ * @param {string} text - 流的内容。
+ * @param {number} size - 每块的字节数。
+ * @returns {Array<Buffer>}
+ */
+export function splitBytes(text, size) {
+    const bytes = Buffer.from(text, 'utf8');
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) {
+        chunks.push(bytes.subarray(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * 一个流式回复：按事件 (空行) 切分录制的流，每个事件单独写出。
+ * @param {string} text - 流的内容。
+ * @param {Object} [options] - 覆盖回复的其他字段 (status、drop 等)。
+ * @returns {Object}
+ */
+export function streamReply(text, options = {}) {
+    const events = text.split(/(?<=\r?\n\r?\n)/).filter(Boolean);
+    return { headers: { 'Content-Type': 'text/event-stream' }, chunks: events, ...options };
+}
@@ -0,0 +1,86 @@
+// =========================================================================
+// 在 Node 中运行 Worker (export default { fetch }) 的测试工具
+// 使用模拟的 env (包括静态资源 ASSETS)，请求通过 Worker 的入口进入，与部署后的路径相同。
+// =========================================================================
+
+import { mock } from 'node:test';
+import worker from '../../_worker.js';
+
+/**
+ * 创建测试用的 env。ASSETS 返回带有路径的纯文本，便于确认请求落到了静态资源。
+ * @param {Object} [overrides] - 额外的环境变量。
+ * @returns {Object}
+ */
+export function createTestEnv(overrides = {}) {
+    return {
+        ASSETS: {
+            fetch: async request => new Response(`asset ${new URL(request.url).pathname}`, {
+                status: 200,
+                headers: { 'Content-Type': 'text/plain' },
+            }),
+        },
+        ...overrides,
+    };
+}
+
+/**
+ * 向 Worker 发送一个请求。
+ * @param {Object} env - createTestEnv 的结果。
+ * @param {string} path - 请求路径。
+ * @param {Object} [options]
+ * @param {string} [options.method] - 请求方法，默认 POST。
+ * @param {Object|string|FormData} [options.body] - 请求体，普通对象会被序列化为 JSON，FormData 按 multipart 发送。
+ * @param {Object} [options.headers] - 额外的请求头。
+ * @param {Object} [options.ctx] - 执行上下文，默认忽略 waitUntil 的任务。
+ * @returns {Promise<Response>}
+ */
+export function callWorker(env, path, { method = 'POST', body, headers = {}, ctx = { waitUntil() {} } } = {}) {
+    const raw = body === undefined || typeof body === 'string' || body instanceof FormData;
+    const request = new Request(`https://chat.test${path}`, {
+        method,
+        headers: { ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: raw ? body : JSON.stringify(body),
+    });
+    return worker.fetch(request, env, ctx);
+}
+
+/**
+ * 逐块读取响应体，直到结束或出错。上游在中途断开时，已经收到的内容仍然保留。
+ * @param {Response} response - 响应。
+ * @returns {Promise<{text: string, error: Error|null}>}
+ */
+export async function readStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            text += decoder.decode(value, { stream: true });
+        }
+        return { text: text + decoder.decode(), error: null };
+    } catch (error) {
+        return { text, error };
+    }
+}
+
+/**
+ * 把 usage 事件中与时间有关的字段替换为 0，使 SSE 输出可以逐字比较。
+ * @param {string} text - SSE 文本。
+ * @returns {string}
+ */
+export function normalizeTimings(text) {
+    return text.replace(/"latency_ms":\d+/g, '"latency_ms":0').replace(/"ttft_ms":\d+/g, '"ttft_ms":0');
+}
+
+/**
+ * 屏蔽 Worker 的日志输出 (错误场景会打印大量预期内的日志)，之后调用 mock.restoreAll() 恢复。
+ */
+export function silenceConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}
@@ -0,0 +1,205 @@
+// 服务端工具：工具调用循环 (Gemini functionCall → tool_call / tool_result 事件)、轮数上限、计算器解析器，以及 fetch_internal_url
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { evaluateExpression, executeTool } from '../functions/lib/tools.js';
+import { MAX_TOOL_ROUNDS } from '../functions/lib/tool-loop.js';
+import { startMockUpstream, streamReply } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, readStream, silenceConsole } from './helpers/worker.js';
+
+/**
+ * 一个 Gemini 流式回复，模型在其中调用一次计算器。
+ * @param {string} id - 调用 ID。
+ * @param {string} expression - 表达式。
+ * @returns {Object}
+ */
+function functionCallReply(id, expression) {
+    const chunk = {
+        candidates: [{ content: { parts: [{ functionCall: { id, name: 'calculator', args: { expression } } }], role: 'model' }, finishReason: 'STOP', index: 0 }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+    };
+    return streamReply(`data: ${JSON.stringify(chunk)}\n\n`);
+}
+
+const TEXT_REPLY = streamReply(`data: ${JSON.stringify({
+    candidates: [{ content: { parts: [{ text: '6 乘以 7 等于 42。' }], role: 'model' }, finishReason: 'STOP', index: 0 }],
+    usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 8, totalTokenCount: 38 },
+})}\n\n`);
+
+/**
+ * 把 SSE 文本拆分为事件。
+ * @param {string} text - SSE 文本。
+ * @returns {Array<{event: string|null, data: Object|string}>} data 是解析后的 JSON，[DONE] 保留原文。
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)?.[1] ?? null;
+        const data = block.match(/^data: (.*)$/m)[1];
+        return { event, data: data === '[DONE]' ? data : JSON.parse(data) };
+    });
+}
+
+describe('/api/chat with server-side tools', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({ GEMINI_API_KEY: 'test-key', GEMINI_API_BASE_URL: `${upstream.url}/v1beta` });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    function chat(body) {
+        return callWorker(env, '/api/chat', {
+            body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: '6 乘以 7 是多少？' }], stream: true, tools: ['calculator'], ...body },
+        });
+    }
+
+    it('runs the tool, reports it to the client and sends the result back to Gemini', async () => {
+        upstream.reply(functionCallReply('call-1', '6*7'), TEXT_REPLY);
+        const { text, error } = await readStream(await chat());
+        assert.equal(error, null);
+
+        const events = parseEvents(text);
+        assert.deepEqual(events.filter(({ event }) => event === 'tool_call' || event === 'tool_result'), [
+            { event: 'tool_call', data: { id: 'call-1', name: 'calculator', arguments: '{"expression":"6*7"}' } },
+            { event: 'tool_result', data: { id: 'call-1', name: 'calculator', result: '{"expression":"6*7","result":42}' } },
+        ]);
+        const content = events.filter(({ event, data }) => !event && data !== '[DONE]').map(({ data }) => data.choices[0].delta.content || '').join('');
+        assert.equal(content, '6 乘以 7 等于 42。');
+        const last = events.filter(({ event, data }) => !event && data !== '[DONE]').at(-1).data;
+        assert.equal(last.choices[0].finish_reason, 'stop');
+        assert.deepEqual(last.usage, { prompt_tokens: 40, completion_tokens: 13 });
+        assert.equal(events.at(-1).data, '[DONE]');
+
+        const [first, second] = upstream.requests;
+        assert.equal(first.json.tools[0].functionDeclarations[0].name, 'calculator');
+        assert.deepEqual(second.json.contents.slice(1), [
+            { role: 'model', parts: [{ functionCall: { name: 'calculator', args: { expression: '6*7' } } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'calculator', response: { expression: '6*7', result: 42 } } }] },
+        ]);
+    });
+
+    it('gives tool errors back to the model instead of failing the request', async () => {
+        upstream.reply(functionCallReply('call-1', '6*'), TEXT_REPLY);
+        const events = parseEvents((await readStream(await chat())).text);
+        assert.deepEqual(events.find(({ event }) => event === 'tool_result').data, { id: 'call-1', name: 'calculator', error: 'Unexpected end of expression' });
+        assert.deepEqual(upstream.requests[1].json.contents.at(-1).parts[0].functionResponse.response, { error: 'Unexpected end of expression' });
+    });
+
+    it(`stops calling tools after ${MAX_TOOL_ROUNDS} rounds`, async () => {
+        upstream.reply(...Array.from({ length: MAX_TOOL_ROUNDS + 1 }, (_, round) => functionCallReply(`call-${round}`, `${round}+1`)));
+        const events = parseEvents((await readStream(await chat())).text);
+
+        assert.equal(upstream.requests.length, MAX_TOOL_ROUNDS + 1);
+        assert.equal(events.filter(({ event }) => event === 'tool_call').length, MAX_TOOL_ROUNDS);
+        assert.equal(events.filter(({ event }) => event === 'tool_result').length, MAX_TOOL_ROUNDS);
+        const last = events.filter(({ event, data }) => !event && data !== '[DONE]').at(-1).data;
+        assert.equal(last.choices[0].finish_reason, 'tool_calls');
+        assert.equal(events.at(-1).data, '[DONE]');
+    });
+
+    it('rejects unknown tools before calling the upstream', async () => {
+        const response = await chat({ tools: ['fetch_internal_url'] });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /^Unknown or unavailable tool "fetch_internal_url"/);
+        assert.equal(upstream.requests.length, 0);
+    });
+});
+
+describe('calculator', () => {
+    it('follows the usual precedence and associativity', () => {
+        const cases = [
+            ['1 + 2 * 3', 7],
+            ['(1 + 2) * 3', 9],
+            ['-2^2', -4],
+            ['2^3^2', 512],
+            ['2 ** 10', 1024],
+            ['7 % 4 - 10 / 4', 0.5],
+            ['sqrt(16) + abs(-3) + max(1, 5, 2)', 12],
+            ['round(pi * 100) / 100', 3.14],
+            ['log(1000) + ln(e)', 4],
+            ['1.5e3 + .5', 1500.5],
+        ];
+        for (const [expression, expected] of cases) {
+            assert.equal(evaluateExpression(expression), expected, expression);
+        }
+    });
+
+    it('rejects anything that is not an arithmetic expression', () => {
+        const cases = [
+            ['', '"expression" must be a non-empty string'],
+            ['1 +', 'Unexpected end of expression'],
+            ['(1 + 2', 'Expected ")" in expression'],
+            ['2 3', 'Unexpected "3" in expression'],
+            ['constructor(1)', 'Unknown function or constant "constructor"'],
+            ['toString', 'Unknown function or constant "tostring"'],
+            ['alert("x")', 'Unexpected character """ in expression'],
+            ['1 / 0', 'The result is not a finite number'],
+            ['1+'.repeat(300), 'Expression is too long (max 500 characters)'],
+        ];
+        for (const [expression, message] of cases) {
+            assert.throws(() => evaluateExpression(expression), { message }, expression);
+        }
+    });
+});
+
+describe('fetch_internal_url', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        upstream = await startMockUpstream();
+        env = createTestEnv({
+            TOOL_FETCH_URLS: JSON.stringify({
+                status: { url: `${upstream.url}/status`, headers: { 'Authorization': 'Bearer internal' }, queryParam: 'q' },
+                moved: { url: `${upstream.url}/moved` },
+            }),
+        });
+    });
+
+    after(() => upstream.close());
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    function fetchSource(args) {
+        return executeTool({ name: 'fetch_internal_url', arguments: JSON.stringify(args) }, env);
+    }
+
+    it('reads the configured source with its headers and query parameter', async () => {
+        upstream.reply({ body: '{"ok":true}' });
+        assert.deepEqual(await fetchSource({ source: 'status', query: 'db' }), { result: '{"ok":true}' });
+        assert.equal(upstream.requests[0].path, '/status?q=db');
+        assert.equal(upstream.requests[0].headers.authorization, 'Bearer internal');
+    });
+
+    it('does not follow redirects', async () => {
+        upstream.reply({ status: 302, headers: { 'Location': `${upstream.url}/status` } });
+        assert.deepEqual(await fetchSource({ source: 'moved' }), { error: 'Source "moved" returned status 302' });
+        assert.deepEqual(upstream.requests.map(request => request.path), ['/moved']);
+    });
+
+    it('only accepts sources listed in TOOL_FETCH_URLS', async () => {
+        for (const source of ['other', 'constructor', '__proto__', 'toString', 42]) {
+            assert.deepEqual(await fetchSource({ source }), { error: `Unknown source "${source}"` });
+        }
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('rejects content types other than text, JSON and XML', async () => {
+        upstream.reply({ headers: { 'Content-Type': 'application/octet-stream' }, body: 'binary' });
+        assert.deepEqual(await fetchSource({ source: 'status' }), { error: 'Source "status" returned unsupported content type "application/octet-stream"' });
+    });
+});
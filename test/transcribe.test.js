@@ -0,0 +1,53 @@
+// /api/transcribe：录音转发到转写服务，与 /api/chat 共用请求数配额
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { createMemoryStore } from '../functions/lib/storage.js';
+import { startMockUpstream } from './helpers/mock-upstream.js';
+import { createTestEnv, callWorker, silenceConsole } from './helpers/worker.js';
+
+/**
+ * 一段录音的表单。
+ * @returns {FormData}
+ */
+function recording() {
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(64)], { type: 'audio/webm' }), 'recording.webm');
+    return form;
+}
+
+describe('/api/transcribe', () => {
+    let upstream;
+    let env;
+
+    before(async () => {
+        silenceConsole();
+        upstream = await startMockUpstream();
+        env = createTestEnv({
+            TRANSCRIBE_API_BASE_URL: `${upstream.url}/v1`,
+            QUOTAS: JSON.stringify({ ip: { requestsPerMinute: 1 } }),
+            CHAT_STORE: createMemoryStore(),
+        });
+    });
+
+    after(async () => {
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    it('returns 429 without calling the backend once the request quota is used up', async () => {
+        upstream.reply({ body: JSON.stringify({ text: ' 你好 ' }) });
+        const headers = { 'CF-Connecting-IP': '203.0.113.7' };
+
+        const first = await callWorker(env, '/api/transcribe', { body: recording(), headers });
+        assert.equal(first.status, 200);
+        assert.deepEqual(await first.json(), { text: '你好' });
+
+        const second = await callWorker(env, '/api/transcribe', { body: recording(), headers });
+        assert.equal(second.status, 429);
+        assert.ok(Number(second.headers.get('Retry-After')) > 0);
+        assert.deepEqual((await second.json()).quota, { scope: 'ip', kind: 'requests', limit: 1 });
+        assert.equal(upstream.requests.length, 1);
+    });
+});
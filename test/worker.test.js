@@ -0,0 +1,78 @@
+// Worker 入口：静态资源、接口路由、跨域预检和请求校验
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import { createTestEnv, callWorker, silenceConsole } from './helpers/worker.js';
+
+describe('worker entry', () => {
+    const env = createTestEnv({ GEMINI_API_KEY: 'test-key', CORS_ALLOWED_ORIGINS: 'https://app.test' });
+
+    before(() => silenceConsole());
+    after(() => mock.restoreAll());
+
+    it('serves non-API paths from ASSETS', async () => {
+        const response = await callWorker(env, '/index.html', { method: 'GET' });
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'asset /index.html');
+    });
+
+    it('returns a JSON 404 for unknown API paths', async () => {
+        const response = await callWorker(env, '/api/unknown', { method: 'GET' });
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), { error: 'Not Found' });
+    });
+
+    it('answers preflight requests from allowed origins', async () => {
+        const response = await callWorker(env, '/api/chat', {
+            method: 'OPTIONS',
+            headers: { 'Origin': 'https://app.test', 'Access-Control-Request-Method': 'POST' },
+        });
+        assert.equal(response.status, 204);
+        assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'https://app.test');
+        assert.equal(response.headers.get('Access-Control-Allow-Headers'), 'Content-Type, Authorization, X-Request-ID, Last-Event-ID');
+    });
+
+    it('rejects preflight requests from other origins', async () => {
+        const response = await callWorker(env, '/api/chat', {
+            method: 'OPTIONS',
+            headers: { 'Origin': 'https://evil.test', 'Access-Control-Request-Method': 'POST' },
+        });
+        assert.equal(response.status, 403);
+    });
+
+    it('rejects chat requests that are not JSON', async () => {
+        const response = await callWorker(env, '/api/chat', { body: 'hello', headers: { 'Content-Type': 'text/plain' } });
+        assert.equal(response.status, 415);
+        assert.deepEqual(await response.json(), { error: 'Unsupported Media Type: Request must be JSON' });
+    });
+
+    it('rejects invalid JSON', async () => {
+        const response = await callWorker(env, '/api/chat', { body: '{"model":' });
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Invalid JSON in request body' });
+    });
+
+    it('validates the model and messages before calling any upstream', async () => {
+        const cases = [
+            [{ messages: [{ role: 'user', content: 'Hi' }] }, 'Missing "model" in request body'],
+            [{ model: 'gemini-2.5-flash', messages: [] }, 'Missing or empty "messages" array in request body'],
+            [{ model: 'unknown-model', messages: [{ role: 'user', content: 'Hi' }] }, 'Unsupported model: unknown-model'],
+            [{ model: 'gemini-2.5-flash', messages: [{ content: 'Hi' }] }, 'Invalid message at index 0: missing "role"'],
+        ];
+        for (const [body, error] of cases) {
+            const response = await callWorker(env, '/api/chat', { body });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error });
+        }
+    });
+
+    it('echoes a valid X-Request-ID and generates one otherwise', async () => {
+        const body = { messages: [{ role: 'user', content: 'Hi' }] };
+        const echoed = await callWorker(env, '/api/chat', { body, headers: { 'X-Request-ID': 'req-42' } });
+        assert.equal(echoed.headers.get('X-Request-ID'), 'req-42');
+
+        const generated = await callWorker(env, '/api/chat', { body, headers: { 'X-Request-ID': 'not valid!' } });
+        assert.match(generated.headers.get('X-Request-ID'), /^[0-9a-f-]{36}$/);
+    });
+});